@@ -0,0 +1,756 @@
+/**
+ * TypeScript declarations of the JavaScript client of the Walkspan API 2.0.0
+ * Generated from the OpenAPI spec of the api by `npm run client:generate`, don't edit it by hand
+ */
+
+export interface ScoreModel {
+    /** A proprietary score describing the natural beauty characteristics of this sidewalk */
+    natural_beauty_score: number | null;
+    /** A proprietary score describing the manmade beauty characteristics of this sidewalk */
+    manmade_beauty_score: number | null;
+    /** A proprietary score describing the comfort characteristics of this sidewalk */
+    comfort_score: number | null;
+    /** A proprietary score describing the local interest characteristics of this sidewalk */
+    interest_score: number | null;
+    /** A proprietary score describing the safety characteristics of this sidewalk */
+    safety_score: number | null;
+    /** A proprietary score describing the accessibility characteristics of this sidewalk */
+    access_score: number | null;
+    /** A proprietary score describing the local ameneties this sidewalk */
+    amenities_score: number | null;
+    walkspan_index?: WalkspanIndex;
+    matched_address?: MatchedAddress;
+    /** The latitude of the corner of this sidewalk */
+    latitude: number;
+    /** The longitude of the corner of this sidewalk */
+    longitude: number;
+}
+
+export interface AreaScoreModel {
+    /** Always area, the scores aggregate every sidewalk within the range */
+    mode: "area";
+    /** The range in miles the sidewalks were aggregated over */
+    range: number;
+    /** The number of sidewalks within the range */
+    segment_count: number;
+    natural_beauty_score: CategoryAggregate;
+    manmade_beauty_score: CategoryAggregate;
+    comfort_score: CategoryAggregate;
+    interest_score: CategoryAggregate;
+    safety_score: CategoryAggregate;
+    access_score: CategoryAggregate;
+    amenities_score: CategoryAggregate;
+    walkspan_index?: WalkspanIndex;
+    matched_address?: MatchedAddress;
+    /** The latitude the area is centered on */
+    latitude: number;
+    /** The longitude the area is centered on */
+    longitude: number;
+}
+
+export interface CategoryAggregate {
+    /** The mean score of the category weighted by the length of each sidewalk and rounded to 2 decimals, null when no sidewalk has a score for it */
+    mean: number | null;
+    /** The number of sidewalks having each score from 0 to 3 */
+    distribution: {
+        [key: string]: number;
+    };
+    /** The number of sidewalks that have a score for this category */
+    segment_count: number;
+}
+
+export interface WalkspanIndex {
+    /** A 0-100 composite of the category scores, null when no category has a score */
+    score: number | null;
+    /** The name of the weighting profile used, custom when weights were listed */
+    profile: string;
+    /** How each category contributed to the score keyed by category */
+    breakdown: {
+        [key: string]: WalkspanIndexContribution;
+    };
+}
+
+export interface WalkspanIndexContribution {
+    /** The 0-3 score of the category, null when it has no data and was left out of the index */
+    score: number | null;
+    /** The weight of the category */
+    weight: number;
+    /** The points out of 100 the category would contribute with a score of 3 */
+    max_contribution: number;
+    /** The points out of 100 the category contributed */
+    contribution: number;
+}
+
+export interface ScoreBatchRequest {
+    /** The locations to score, each either a pair of GPS coordinates or a street address. Items are validated one at a time so an invalid item gets its own errors in the results instead of failing the batch */
+    items: {
+        /** The latitude of the location, between -90 and 90 */
+        latitude?: unknown;
+        /** The longitude of the location, between -180 and 180 */
+        longitude?: unknown;
+        /** The street address of the location */
+        address?: unknown;
+    }[];
+    /** The range every item is scored over in area mode */
+    range?: 0.25 | 0.5 | 1;
+    /** Whether to score the closest sidewalk or aggregate every sidewalk within the range */
+    mode?: "closest" | "area";
+    /** How each category is weighted in the walkspan index, see /score/gps */
+    weights?: string;
+    /** The version of the sidewalk dataset every item is scored with, the current version by default */
+    dataVersion?: string;
+}
+
+export interface ScoreBatchResponse {
+    /** A result or a list of errors for every item in the order they were given */
+    results: Array<{
+        /** The position of the item in the request */
+        index: number;
+        result?: ScoreModel | AreaScoreModel;
+        matched_address?: MatchedAddress;
+        errors?: ErrorModel[];
+        /** The locations an ambiguous address matched, only set along with its errors */
+        candidates?: AddressCandidate[];
+    }>;
+}
+
+export interface RouteScoreModel {
+    origin: RouteLocation;
+    destination: RouteLocation;
+    shortest: RouteModel;
+    most_pleasant: RouteModel;
+}
+
+export interface RouteLocation {
+    latitude: number;
+    longitude: number;
+    matched_address?: MatchedAddress;
+}
+
+export interface RouteModel {
+    /** The length of the route in miles */
+    length: number;
+    /** The estimated number of minutes it takes to walk the route at 3 miles per hour */
+    walking_time: number;
+    /** The number of sidewalks the route follows */
+    segment_count: number;
+    /** The number of times the route crosses between the ends of two sidewalks */
+    crossing_count: number;
+    /** The mean natural_beauty_score of the sidewalks of the route weighted by their length and rounded to 2 decimals */
+    natural_beauty_score?: number | null;
+    /** The mean manmade_beauty_score of the sidewalks of the route weighted by their length and rounded to 2 decimals */
+    manmade_beauty_score?: number | null;
+    /** The mean comfort_score of the sidewalks of the route weighted by their length and rounded to 2 decimals */
+    comfort_score?: number | null;
+    /** The mean interest_score of the sidewalks of the route weighted by their length and rounded to 2 decimals */
+    interest_score?: number | null;
+    /** The mean safety_score of the sidewalks of the route weighted by their length and rounded to 2 decimals */
+    safety_score?: number | null;
+    /** The mean access_score of the sidewalks of the route weighted by their length and rounded to 2 decimals */
+    access_score?: number | null;
+    /** The mean amenities_score of the sidewalks of the route weighted by their length and rounded to 2 decimals */
+    amenities_score?: number | null;
+    walkspan_index: WalkspanIndex;
+    /** Every sidewalk and crossing of the route in walking order */
+    segments: RouteSegment[];
+}
+
+export interface RouteSegment {
+    /** Whether the segment follows a sidewalk or crosses between the ends of two sidewalks */
+    type: "sidewalk" | "crossing";
+    /** The data source of the sidewalk, only set for sidewalks */
+    source?: string;
+    /** The id of the sidewalk in its data source, only set for sidewalks */
+    sidewalk_id?: number;
+    starting_latitude: number;
+    starting_longitude: number;
+    ending_latitude: number;
+    ending_longitude: number;
+    /** The length of the segment in miles */
+    length: number;
+    natural_beauty_score?: number | null;
+    manmade_beauty_score?: number | null;
+    comfort_score?: number | null;
+    interest_score?: number | null;
+    safety_score?: number | null;
+    access_score?: number | null;
+    amenities_score?: number | null;
+}
+
+/**
+ * What a street address was matched to, only set when scoring a street address
+ */
+export interface MatchedAddress {
+    /** The street address as it was given */
+    query: string;
+    /** The address of the location it was matched to */
+    display_address: string;
+    match_type: AddressMatchType;
+    /** The share of the components of the address the location agrees with */
+    confidence: number;
+    components: AddressComponents;
+}
+
+/**
+ * Whether the address was matched to a building or address, a whole street, a postcode area or any other place
+ */
+export type AddressMatchType = "house_number" | "street" | "postcode" | "place";
+
+/**
+ * The components a street address was parsed into
+ */
+export interface AddressComponents {
+    address_line_1?: string;
+    street_number?: string;
+    street_name?: string;
+    street_suffix?: string;
+    city?: string;
+    state?: string;
+    zip_code?: string;
+}
+
+export interface AddressCandidate {
+    latitude: number;
+    longitude: number;
+    /** The address of the location, it can be sent back as is to pick this candidate */
+    display_address: string;
+    match_type: AddressMatchType;
+    /** The share of the components of the address this location agrees with */
+    confidence: number;
+}
+
+export interface AmbiguousAddress {
+    errors: ErrorModel[];
+    /** The id of the request, also in the X-Request-Id header */
+    requestId?: string;
+    /** The locations the address matched about as well, best match first */
+    candidates: AddressCandidate[];
+}
+
+export interface EssentialsModel {
+    /** The name of the lifestyle essential */
+    name: string;
+    /** A generic keyword explaining what type of lifestyle essential this is */
+    category_general: string;
+    /** A more specific keyword explaining the exact details of this lifestyle essential, only set for categories with a subcategory such as grocery, pharmacy, school, park or gym */
+    category_exact?: string;
+    /** The straight-line distance in miles from the requested location to this lifestyle essential */
+    distance?: number;
+    /** The estimated number of minutes it takes to walk that distance at 3 miles per hour */
+    walking_time?: number;
+    /** The latitude of this lifestyle essential */
+    latitude: number;
+    /** The longitude of this lifestyle essential */
+    longitude: number;
+}
+
+export interface EssentialsWarning {
+    /** The category whose lifestyle essentials could not be fetched */
+    category_general: string;
+    /** The subcategory whose lifestyle essentials could not be fetched, if the category has one */
+    category_exact?: string;
+    /** Why the lifestyle essentials of the category could not be fetched */
+    message: string;
+}
+
+export interface EssentialsResponse {
+    /** The lifestyle essentials of every category that could be fetched */
+    essentials: EssentialsModel[];
+    /** The categories whose lifestyle essentials are left out because Overpass failed to get them, empty when every category could be fetched */
+    warnings: EssentialsWarning[];
+}
+
+/**
+ * A GeoJSON FeatureCollection with a walkshed for every walking time, shortest first
+ */
+export interface WalkshedCollection {
+    type: "FeatureCollection";
+    features: Walkshed[];
+    /** The latitude the walksheds were built around */
+    latitude: number;
+    /** The longitude the walksheds were built around */
+    longitude: number;
+    /** The lifestyle essentials categories left out because Overpass failed to get them, every requested category when none could be fetched. The walksheds and their scores are answered either way */
+    warnings: EssentialsWarning[];
+    matched_address?: MatchedAddress;
+}
+
+/**
+ * A GeoJSON Feature outlining the area reachable on foot within a walking time
+ */
+export interface Walkshed {
+    type: "Feature";
+    /** A GeoJSON Polygon of [longitude, latitude] positions */
+    geometry: {
+        type: "Polygon";
+        coordinates: number[][][];
+    };
+    properties: WalkshedProperties;
+}
+
+export interface WalkshedProperties {
+    /** The walking time in minutes */
+    minutes: number;
+    /** The distance in miles walked over the sidewalk network in that time at 3 miles per hour */
+    distance: number;
+    /** The number of sidewalks within the walkshed */
+    segment_count: number;
+    /** The mean natural_beauty_score of the sidewalks within the walkshed weighted by their length and rounded to 2 decimals */
+    natural_beauty_score?: number | null;
+    /** The mean manmade_beauty_score of the sidewalks within the walkshed weighted by their length and rounded to 2 decimals */
+    manmade_beauty_score?: number | null;
+    /** The mean comfort_score of the sidewalks within the walkshed weighted by their length and rounded to 2 decimals */
+    comfort_score?: number | null;
+    /** The mean interest_score of the sidewalks within the walkshed weighted by their length and rounded to 2 decimals */
+    interest_score?: number | null;
+    /** The mean safety_score of the sidewalks within the walkshed weighted by their length and rounded to 2 decimals */
+    safety_score?: number | null;
+    /** The mean access_score of the sidewalks within the walkshed weighted by their length and rounded to 2 decimals */
+    access_score?: number | null;
+    /** The mean amenities_score of the sidewalks within the walkshed weighted by their length and rounded to 2 decimals */
+    amenities_score?: number | null;
+    walkspan_index: WalkspanIndex;
+    /** The lifestyle essentials within the walkshed */
+    essentials: EssentialsModel[];
+}
+
+/**
+ * A GeoJSON LineString of [longitude, latitude] positions
+ */
+export interface LineString {
+    type: "LineString";
+    coordinates: number[][];
+}
+
+/**
+ * A GeoJSON FeatureCollection with a feature for every sidewalk scored, along with every member of the
+ * ScoreModel or AreaScoreModel the sidewalks were scored as
+ */
+export interface SidewalkCollection {
+    type: "FeatureCollection";
+    features: SidewalkFeature[];
+    [key: string]: unknown;
+}
+
+export interface SidewalkFeature {
+    type: "Feature";
+    geometry: LineString;
+    /** The data source and id of the sidewalk along with its seven category scores */
+    properties: {
+        /** The data source of the sidewalk */
+        source?: string;
+        /** The id of the sidewalk in its data source */
+        sidewalk_id?: number;
+        [key: string]: unknown;
+    };
+}
+
+/**
+ * A GeoJSON FeatureCollection with a feature for every segment of both routes
+ */
+export interface RouteCollection {
+    type: "FeatureCollection";
+    features: RouteSegmentFeature[];
+    origin: RouteLocation;
+    destination: RouteLocation;
+    /** The RouteModel of the shortest and most pleasant routes, without their segments */
+    routes: {
+        shortest?: unknown;
+        most_pleasant?: unknown;
+    };
+}
+
+export interface RouteSegmentFeature {
+    type: "Feature";
+    geometry: LineString;
+    /** The RouteSegment without its coordinates, along with the route it belongs to */
+    properties: {
+        route: "shortest" | "most_pleasant";
+        [key: string]: unknown;
+    };
+}
+
+/**
+ * A GeoJSON FeatureCollection with a feature for every lifestyle essential
+ */
+export interface EssentialsCollection {
+    type: "FeatureCollection";
+    features: EssentialsFeature[];
+    /** The lifestyle essentials categories left out because Overpass failed to get them */
+    warnings: EssentialsWarning[];
+}
+
+export interface EssentialsFeature {
+    type: "Feature";
+    /** A GeoJSON Point at the [longitude, latitude] of the lifestyle essential */
+    geometry: {
+        type: "Point";
+        coordinates: number[];
+    };
+    /** The EssentialsModel without its latitude and longitude */
+    properties: {
+        [key: string]: unknown;
+    };
+}
+
+export interface HealthReport {
+    /** ok when the api is up */
+    status: "ok";
+    /** The counters of the reverse geocoding cache of cities, the forward geocoding cache of addresses and the cache of place lookups of the instance that answered the request */
+    geocoder_cache: {
+        city: CacheStats;
+        coordinates: CacheStats;
+        place: CacheStats;
+    };
+}
+
+export interface CacheStats {
+    /** The number of entries in the cache */
+    size: number;
+    /** The number of lookups answered from the cache with a result */
+    hits: number;
+    /** The number of lookups answered from the cache with a result that wasn't found */
+    negative_hits: number;
+    /** The number of lookups the cache couldn't answer, which were sent to the geocoder */
+    misses: number;
+}
+
+export interface DatasetList {
+    /** The version id of the current sidewalk dataset */
+    current: string;
+    /** Every version of the sidewalk dataset that can be queried, the current one first and then from newest to oldest */
+    versions: DatasetVersion[];
+}
+
+export interface DatasetVersion {
+    /** The version id, unversioned when the dataset was deployed without a manifest */
+    version: string;
+    /** When the version of the dataset was built */
+    built_at: string | null;
+    /** The sidewalk table and where its data came from for every data source of the version, by data source name */
+    tables: {
+        [key: string]: {
+            /** The name of the table in its database file */
+            table: string;
+            /** Where the data of the table came from, such as the survey or model that produced its scores */
+            source: string | null;
+        };
+    };
+}
+
+export interface ErrorModel {
+    /** A stable code for the kind of error, which sets the HTTP status of the response: - INVALID_PARAM (400): a parameter is missing or invalid - AMBIGUOUS_ADDRESS (300): an address matches several locations about as well - UNAUTHORIZED (401): the API key is missing, unknown or revoked - GEOCODE_NOT_FOUND (404): no location matches an address - NO_SIDEWALK_DATA (404): there's no sidewalk with walkspan scores close enough to the location - OUT_OF_COVERAGE (422): the location is outside of every area covered by walkspan - RATE_LIMITED (429): the API key made too many requests, either at once or today - INTERNAL_ERROR (500): something unexpected went wrong - UPSTREAM_UNAVAILABLE (503): a service the response depends on, such as the geocoder or overpass, failed */
+    code: "INVALID_PARAM" | "AMBIGUOUS_ADDRESS" | "UNAUTHORIZED" | "GEOCODE_NOT_FOUND" | "NO_SIDEWALK_DATA" | "OUT_OF_COVERAGE" | "RATE_LIMITED" | "INTERNAL_ERROR" | "UPSTREAM_UNAVAILABLE";
+    /** A string describing the details of an error */
+    message: string;
+    /** The parameter or parameters where the error was located, if it came from any */
+    param?: string | string[];
+    /** The parameter type that the error occured in, such as query, body or headers */
+    location?: string;
+}
+
+export interface ErrorResponse {
+    errors: ErrorModel[];
+    /** The id of the request, also in the X-Request-Id header, to mention when reporting an error */
+    requestId: string;
+}
+
+export interface GetDatasetsParams {}
+
+export interface GetEssentialsGpsParams {
+    /** If you would like the data instead represented as an html widget */
+    displayWidget?: boolean;
+    /** Where a widget loads Leaflet, Bootstrap and jQuery from when displayWidget is true. Every asset is pinned and carries its SRI hash, and the widget only runs the scripts and styles carrying the nonce of its Content-Security-Policy. cdn loads them from jsDelivr, hosted from /widget/assets of the API and inline embeds them in the widget. */
+    widgetAssets?: "cdn" | "hosted" | "inline";
+    /** If you would like the data as a GeoJSON FeatureCollection, with the lifestyle essentials as Point features and the warnings as a member of the collection */
+    format?: "json" | "geojson";
+    /** A comma separated list of the categories or subcategories of lifestyle essentials to get, such as `food,park`. Every category is returned when it's left out. */
+    category?: string;
+    /** If you would like to leave out the lifestyle essentials without a name */
+    named?: boolean;
+    /** If you would like the lifestyle essentials sorted from the nearest to the farthest */
+    sort?: "distance";
+    /** The latitude you would like to get the lifestyle essentials around */
+    latitude: number;
+    /** The longitude you would like to get the lifestyle essentials around */
+    longitude: number;
+    /** The range you would like to get the lifestyle essentials around in miles */
+    range: 0.25 | 0.5 | 1;
+}
+
+export interface GetEssentialsAddressParams {
+    /** If you would like the data instead represented as an html widget */
+    displayWidget?: boolean;
+    /** Where a widget loads Leaflet, Bootstrap and jQuery from when displayWidget is true. Every asset is pinned and carries its SRI hash, and the widget only runs the scripts and styles carrying the nonce of its Content-Security-Policy. cdn loads them from jsDelivr, hosted from /widget/assets of the API and inline embeds them in the widget. */
+    widgetAssets?: "cdn" | "hosted" | "inline";
+    /** If you would like the data as a GeoJSON FeatureCollection, with the lifestyle essentials as Point features and the warnings as a member of the collection */
+    format?: "json" | "geojson";
+    /** A comma separated list of the categories or subcategories of lifestyle essentials to get, such as `food,park`. Every category is returned when it's left out. */
+    category?: string;
+    /** If you would like to leave out the lifestyle essentials without a name */
+    named?: boolean;
+    /** If you would like the lifestyle essentials sorted from the nearest to the farthest */
+    sort?: "distance";
+    /** The street address you would like to get the lifestyle essentials for */
+    q: string;
+    /** The range you would like to get the lifestyle essentials around in miles */
+    range: 0.25 | 0.5 | 1;
+}
+
+export interface GetEssentialsLocationParams {
+    /** If you would like the data instead represented as an html widget */
+    displayWidget?: boolean;
+    /** Where a widget loads Leaflet, Bootstrap and jQuery from when displayWidget is true. Every asset is pinned and carries its SRI hash, and the widget only runs the scripts and styles carrying the nonce of its Content-Security-Policy. cdn loads them from jsDelivr, hosted from /widget/assets of the API and inline embeds them in the widget. */
+    widgetAssets?: "cdn" | "hosted" | "inline";
+    /** If you would like the data as a GeoJSON FeatureCollection, with the lifestyle essentials as Point features and the warnings as a member of the collection */
+    format?: "json" | "geojson";
+    /** A comma separated list of the categories or subcategories of lifestyle essentials to get, such as `food,park`. Every category is returned when it's left out. */
+    category?: string;
+    /** If you would like to leave out the lifestyle essentials without a name */
+    named?: boolean;
+    /** If you would like the lifestyle essentials sorted from the nearest to the farthest */
+    sort?: "distance";
+    /** The latitude of the location, along with longitude */
+    latitude?: number;
+    /** The longitude of the location, along with latitude */
+    longitude?: number;
+    /** The street address of the location */
+    q?: string;
+    /** The OpenStreetMap id of a place, N, W or R for a node, way or relation followed by its id, such as the ids found on https://www.openstreetmap.org */
+    placeId?: string;
+    /** The 10 digit borough, block and lot number of a New York City tax lot */
+    bbl?: string;
+    /** The 7 digit building identification number of a New York City building */
+    bin?: string;
+    /** A three word address locating a 3 meter square, with or without its leading /// */
+    words?: string;
+    /** The range you would like to get the lifestyle essentials around in miles */
+    range: 0.25 | 0.5 | 1;
+}
+
+export interface GetHealthParams {}
+
+export interface GetScoreGpsParams {
+    /** The range in miles you would like to get the score for, 0.35 miles when it's left out */
+    range?: 0.25 | 0.5 | 1;
+    /** Whether to score the closest sidewalk or aggregate every sidewalk within the range */
+    mode?: "closest" | "area";
+    /** How each category is weighted in the walkspan index. Either the name of a profile or a comma separated list of category:weight pairs such as `safety:3,comfort:2`, categories left out of the list keep a weight of 1. The default profile weighs every category equally, the families profile favors safety and comfort and the commuters profile favors access and amenities. */
+    weights?: string;
+    /** If you would like the data as a GeoJSON FeatureCollection, with the scored sidewalks as LineString features and the scores as members of the collection */
+    format?: "json" | "geojson";
+    /** The version of the sidewalk dataset to score with, to see how the scores of a location changed between releases. Every version is listed by /datasets, the current version is used when it's left out. */
+    dataVersion?: string;
+    /** If you would like the data instead represented as an html widget */
+    displayWidget?: boolean;
+    /** Where a widget loads Leaflet, Bootstrap and jQuery from when displayWidget is true. Every asset is pinned and carries its SRI hash, and the widget only runs the scripts and styles carrying the nonce of its Content-Security-Policy. cdn loads them from jsDelivr, hosted from /widget/assets of the API and inline embeds them in the widget. */
+    widgetAssets?: "cdn" | "hosted" | "inline";
+    /** The latitude you would like to get the score for */
+    latitude: number;
+    /** The longitude you would like to get the score for */
+    longitude: number;
+}
+
+export interface GetScoreAddressParams {
+    /** The range in miles you would like to get the score for, 0.35 miles when it's left out */
+    range?: 0.25 | 0.5 | 1;
+    /** Whether to score the closest sidewalk or aggregate every sidewalk within the range */
+    mode?: "closest" | "area";
+    /** How each category is weighted in the walkspan index. Either the name of a profile or a comma separated list of category:weight pairs such as `safety:3,comfort:2`, categories left out of the list keep a weight of 1. The default profile weighs every category equally, the families profile favors safety and comfort and the commuters profile favors access and amenities. */
+    weights?: string;
+    /** If you would like the data as a GeoJSON FeatureCollection, with the scored sidewalks as LineString features and the scores as members of the collection */
+    format?: "json" | "geojson";
+    /** The version of the sidewalk dataset to score with, to see how the scores of a location changed between releases. Every version is listed by /datasets, the current version is used when it's left out. */
+    dataVersion?: string;
+    /** If you would like the data instead represented as an html widget */
+    displayWidget?: boolean;
+    /** Where a widget loads Leaflet, Bootstrap and jQuery from when displayWidget is true. Every asset is pinned and carries its SRI hash, and the widget only runs the scripts and styles carrying the nonce of its Content-Security-Policy. cdn loads them from jsDelivr, hosted from /widget/assets of the API and inline embeds them in the widget. */
+    widgetAssets?: "cdn" | "hosted" | "inline";
+    /** The street address you would like to get the score for */
+    q: string;
+}
+
+export interface GetScoreLocationParams {
+    /** The range in miles you would like to get the score for, 0.35 miles when it's left out */
+    range?: 0.25 | 0.5 | 1;
+    /** Whether to score the closest sidewalk or aggregate every sidewalk within the range */
+    mode?: "closest" | "area";
+    /** How each category is weighted in the walkspan index. Either the name of a profile or a comma separated list of category:weight pairs such as `safety:3,comfort:2`, categories left out of the list keep a weight of 1. The default profile weighs every category equally, the families profile favors safety and comfort and the commuters profile favors access and amenities. */
+    weights?: string;
+    /** If you would like the data as a GeoJSON FeatureCollection, with the scored sidewalks as LineString features and the scores as members of the collection */
+    format?: "json" | "geojson";
+    /** The version of the sidewalk dataset to score with, to see how the scores of a location changed between releases. Every version is listed by /datasets, the current version is used when it's left out. */
+    dataVersion?: string;
+    /** If you would like the data instead represented as an html widget */
+    displayWidget?: boolean;
+    /** Where a widget loads Leaflet, Bootstrap and jQuery from when displayWidget is true. Every asset is pinned and carries its SRI hash, and the widget only runs the scripts and styles carrying the nonce of its Content-Security-Policy. cdn loads them from jsDelivr, hosted from /widget/assets of the API and inline embeds them in the widget. */
+    widgetAssets?: "cdn" | "hosted" | "inline";
+    /** The latitude of the location, along with longitude */
+    latitude?: number;
+    /** The longitude of the location, along with latitude */
+    longitude?: number;
+    /** The street address of the location */
+    q?: string;
+    /** The OpenStreetMap id of a place, N, W or R for a node, way or relation followed by its id, such as the ids found on https://www.openstreetmap.org */
+    placeId?: string;
+    /** The 10 digit borough, block and lot number of a New York City tax lot */
+    bbl?: string;
+    /** The 7 digit building identification number of a New York City building */
+    bin?: string;
+    /** A three word address locating a 3 meter square, with or without its leading /// */
+    words?: string;
+}
+
+export interface GetScoreRouteParams {
+    /** The street address to walk from */
+    origin?: string;
+    /** The latitude to walk from, along with originLongitude */
+    originLatitude?: number;
+    /** The longitude to walk from, along with originLatitude */
+    originLongitude?: number;
+    /** The OpenStreetMap id of the place to walk from, such as W42127044 */
+    originPlaceId?: string;
+    /** The 10 digit borough, block and lot number of the New York City tax lot to walk from */
+    originBbl?: string;
+    /** The 7 digit building identification number of the New York City building to walk from */
+    originBin?: string;
+    /** The three word address to walk from, with or without its leading /// */
+    originWords?: string;
+    /** The street address to walk to */
+    destination?: string;
+    /** The latitude to walk to, along with destinationLongitude */
+    destinationLatitude?: number;
+    /** The longitude to walk to, along with destinationLatitude */
+    destinationLongitude?: number;
+    /** The OpenStreetMap id of the place to walk to, such as W42127044 */
+    destinationPlaceId?: string;
+    /** The 10 digit borough, block and lot number of the New York City tax lot to walk to */
+    destinationBbl?: string;
+    /** The 7 digit building identification number of the New York City building to walk to */
+    destinationBin?: string;
+    /** The three word address to walk to, with or without its leading /// */
+    destinationWords?: string;
+    /** How each category is weighted in the walkspan index of each route. Either the name of a profile or a comma separated list of category:weight pairs such as `safety:3,comfort:2`. */
+    weights?: string;
+    /** If you would like the routes as a GeoJSON FeatureCollection, with every segment of each route as a LineString feature named after its route */
+    format?: "json" | "geojson";
+}
+
+export interface GetSidewalkTileParams {
+    /** The zoom level of the tile, from 10 to 18 by default */
+    z: number;
+    /** The column of the tile, from 0 to 2^z - 1 */
+    x: number;
+    /** The row of the tile, from 0 to 2^z - 1 starting from the north */
+    y: number;
+}
+
+export interface GetWalkshedGpsParams {
+    /** A comma separated list of up to 4 walking times from 1 to 30 minutes */
+    minutes?: string;
+    /** How each category is weighted in the walkspan index of each walkshed. Either the name of a profile or a comma separated list of category:weight pairs such as `safety:3,comfort:2`. */
+    weights?: string;
+    /** A comma separated list of the categories or subcategories of lifestyle essentials to get, such as `food,park`. Every category is returned when it's left out. */
+    category?: string;
+    /** The latitude you would like to get the walksheds of */
+    latitude: number;
+    /** The longitude you would like to get the walksheds of */
+    longitude: number;
+}
+
+export interface GetWalkshedAddressParams {
+    /** A comma separated list of up to 4 walking times from 1 to 30 minutes */
+    minutes?: string;
+    /** How each category is weighted in the walkspan index of each walkshed. Either the name of a profile or a comma separated list of category:weight pairs such as `safety:3,comfort:2`. */
+    weights?: string;
+    /** A comma separated list of the categories or subcategories of lifestyle essentials to get, such as `food,park`. Every category is returned when it's left out. */
+    category?: string;
+    /** The street address you would like to get the walksheds of */
+    q: string;
+}
+
+export interface GetWalkshedLocationParams {
+    /** A comma separated list of up to 4 walking times from 1 to 30 minutes */
+    minutes?: string;
+    /** How each category is weighted in the walkspan index of each walkshed. Either the name of a profile or a comma separated list of category:weight pairs such as `safety:3,comfort:2`. */
+    weights?: string;
+    /** A comma separated list of the categories or subcategories of lifestyle essentials to get, such as `food,park`. Every category is returned when it's left out. */
+    category?: string;
+    /** The latitude of the location, along with longitude */
+    latitude?: number;
+    /** The longitude of the location, along with latitude */
+    longitude?: number;
+    /** The street address of the location */
+    q?: string;
+    /** The OpenStreetMap id of a place, N, W or R for a node, way or relation followed by its id, such as the ids found on https://www.openstreetmap.org */
+    placeId?: string;
+    /** The 10 digit borough, block and lot number of a New York City tax lot */
+    bbl?: string;
+    /** The 7 digit building identification number of a New York City building */
+    bin?: string;
+    /** A three word address locating a 3 meter square, with or without its leading /// */
+    words?: string;
+}
+
+export interface WalkspanClientOptions {
+    /** The API key to send with every request */
+    apiKey?: string;
+    /** The url of the api */
+    baseUrl?: string;
+    /** The fetch function to request with, the global one by default */
+    fetch?: (url: string, init?: object) => Promise<any>;
+}
+
+export declare class WalkspanError extends Error {
+    status: number;
+    code?: string;
+    errors: ErrorModel[];
+    requestId?: string;
+    body: unknown;
+}
+
+export declare class WalkspanClient {
+    constructor(options?: WalkspanClientOptions);
+
+    /** List the versions of the sidewalk dataset */
+    getDatasets(params?: GetDatasetsParams): Promise<DatasetList>;
+
+    /** Get lifestyle essentials from GPS coordinates */
+    getEssentialsGps(params: GetEssentialsGpsParams): Promise<EssentialsResponse | EssentialsCollection | string>;
+
+    /** Get lifestyle essentials from a street address */
+    getEssentialsAddress(params: GetEssentialsAddressParams): Promise<EssentialsResponse | EssentialsCollection | string>;
+
+    /** Get lifestyle essentials from any kind of location */
+    getEssentialsLocation(params: GetEssentialsLocationParams): Promise<EssentialsResponse | EssentialsCollection | string>;
+
+    /** Report the health of the api */
+    getHealth(params?: GetHealthParams): Promise<HealthReport>;
+
+    /** Get score from GPS coordinates */
+    getScoreGps(params: GetScoreGpsParams): Promise<ScoreModel | AreaScoreModel | SidewalkCollection | string>;
+
+    /** Get score from a street address */
+    getScoreAddress(params: GetScoreAddressParams): Promise<ScoreModel | AreaScoreModel | SidewalkCollection | string>;
+
+    /** Get score from any kind of location */
+    getScoreLocation(params?: GetScoreLocationParams): Promise<ScoreModel | AreaScoreModel | SidewalkCollection | string>;
+
+    /** Get the scores of the walking routes between two locations */
+    getScoreRoute(params?: GetScoreRouteParams): Promise<RouteScoreModel | RouteCollection>;
+
+    /** Get scores for a batch of GPS coordinates and street addresses */
+    postScoreBatch(body: ScoreBatchRequest): Promise<ScoreBatchResponse>;
+
+    /** Get a vector tile of the sidewalk scores */
+    getSidewalkTile(params: GetSidewalkTileParams): Promise<ArrayBuffer | undefined>;
+
+    /** Get the walksheds of GPS coordinates */
+    getWalkshedGps(params: GetWalkshedGpsParams): Promise<WalkshedCollection>;
+
+    /** Get the walksheds of a street address */
+    getWalkshedAddress(params: GetWalkshedAddressParams): Promise<WalkshedCollection>;
+
+    /** Get the walksheds of any kind of location */
+    getWalkshedLocation(params?: GetWalkshedLocationParams): Promise<WalkshedCollection>;
+}
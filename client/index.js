@@ -0,0 +1,357 @@
+/**
+ * @file index.js
+ *
+ * JavaScript client of the Walkspan API 2.0.0
+ * Generated from the OpenAPI spec of the api by `npm run client:generate`, don't edit it by hand
+ */
+
+/**
+ * The url the api is requested at unless another one is given
+ */
+const DEFAULT_BASE_URL = 'https://api.walkspan.com';
+
+/**
+ * The header holding the API key
+ */
+const API_KEY_HEADER = 'X-API-Key';
+
+/**
+ * An error the api answered with, holding every error of its body
+ */
+class WalkspanError extends Error {
+    /**
+     * @param status The HTTP status of the response
+     * @param body The body of the response, holding its errors and request id when it's JSON
+     */
+    constructor(status, body) {
+        const errors = body && Array.isArray(body.errors) ? body.errors : [];
+        super(errors.length ? errors[0].message : `The api answered with a ${status}`);
+        this.name = 'WalkspanError';
+        this.status = status;
+        this.code = errors.length ? errors[0].code : undefined;
+        this.errors = errors;
+        this.requestId = body ? body.requestId : undefined;
+        this.body = body;
+    }
+}
+
+/**
+ * Calls the operations of the api, each with a method named after its operationId
+ */
+class WalkspanClient {
+    /**
+     * @param options.apiKey The API key to send with every request
+     * @param options.baseUrl The url of the api
+     * @param options.fetch The fetch function to request with, the global one by default
+     */
+    constructor({ apiKey, baseUrl = DEFAULT_BASE_URL, fetch = globalThis.fetch } = {}) {
+        if (typeof fetch !== 'function') {
+            throw new Error('A fetch function is needed, pass one as the fetch option');
+        }
+        this.apiKey = apiKey;
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+        this.fetch = fetch;
+    }
+
+    /**
+     * Requests an operation of the api
+     *
+     * @param method The HTTP method of the operation
+     * @param path The path of the operation, such as /tiles/{z}/{x}/{y}.mvt
+     * @param options.params The parameters of the operation, those named in pathParams going in the path
+     * and the others in the query
+     * @param options.pathParams The names of the path parameters
+     * @param options.body The JSON body of the request
+     * @returns The body of the response, parsed when it's JSON, text or binary otherwise
+     * @throws WalkspanError when the api answers with an error
+     */
+    async request(method, path, { params = {}, pathParams = [], body } = {}) {
+        const query = new URLSearchParams();
+        Object.keys(params)
+            .filter(name => !pathParams.includes(name) && params[name] !== undefined && params[name] !== null)
+            .forEach(name => query.append(name, String(params[name])));
+        const url = this.baseUrl +
+            path.replace(/\{(\w+)\}/g, (match, name) => encodeURIComponent(String(params[name]))) +
+            (query.toString() ? `?${query}` : '');
+
+        const headers = {};
+        if (this.apiKey) {
+            headers[API_KEY_HEADER] = this.apiKey;
+        }
+        if (body !== undefined) {
+            headers['Content-Type'] = 'application/json';
+        }
+        const response = await this.fetch(url, {
+            method,
+            headers,
+            body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+
+        const contentType = response.headers.get('Content-Type') || '';
+        const responseBody = response.status === 204 ? undefined
+            : /json/.test(contentType) ? await response.json()
+            : /^text\//.test(contentType) ? await response.text()
+            : await response.arrayBuffer();
+        if (!response.ok) {
+            throw new WalkspanError(response.status, responseBody);
+        }
+        return responseBody;
+    }
+
+    /**
+     * List the versions of the sidewalk dataset
+     * GET /datasets
+     *
+     * @returns The body of the response
+     * @throws WalkspanError when the api answers with an error
+     */
+    getDatasets(params = {}) {
+        return this.request('GET', '/datasets', { params });
+    }
+
+    /**
+     * Get lifestyle essentials from GPS coordinates
+     * GET /essentials/gps
+     *
+     * @param params.displayWidget (optional) If you would like the data instead represented as an html widget
+     * @param params.widgetAssets (optional) Where a widget loads Leaflet, Bootstrap and jQuery from when displayWidget is true. Every asset is pinned and carries its SRI hash, and the widget only runs the scripts and styles carrying the nonce of its Content-Security-Policy. cdn loads them from jsDelivr, hosted from /widget/assets of the API and inline embeds them in the widget.
+     * @param params.format (optional) If you would like the data as a GeoJSON FeatureCollection, with the lifestyle essentials as Point features and the warnings as a member of the collection
+     * @param params.category (optional) A comma separated list of the categories or subcategories of lifestyle essentials to get, such as `food,park`. Every category is returned when it's left out.
+     * @param params.named (optional) If you would like to leave out the lifestyle essentials without a name
+     * @param params.sort (optional) If you would like the lifestyle essentials sorted from the nearest to the farthest
+     * @param params.latitude The latitude you would like to get the lifestyle essentials around
+     * @param params.longitude The longitude you would like to get the lifestyle essentials around
+     * @param params.range The range you would like to get the lifestyle essentials around in miles
+     * @returns The body of the response
+     * @throws WalkspanError when the api answers with an error
+     */
+    getEssentialsGps(params = {}) {
+        return this.request('GET', '/essentials/gps', { params });
+    }
+
+    /**
+     * Get lifestyle essentials from a street address
+     * GET /essentials/address
+     *
+     * @param params.displayWidget (optional) If you would like the data instead represented as an html widget
+     * @param params.widgetAssets (optional) Where a widget loads Leaflet, Bootstrap and jQuery from when displayWidget is true. Every asset is pinned and carries its SRI hash, and the widget only runs the scripts and styles carrying the nonce of its Content-Security-Policy. cdn loads them from jsDelivr, hosted from /widget/assets of the API and inline embeds them in the widget.
+     * @param params.format (optional) If you would like the data as a GeoJSON FeatureCollection, with the lifestyle essentials as Point features and the warnings as a member of the collection
+     * @param params.category (optional) A comma separated list of the categories or subcategories of lifestyle essentials to get, such as `food,park`. Every category is returned when it's left out.
+     * @param params.named (optional) If you would like to leave out the lifestyle essentials without a name
+     * @param params.sort (optional) If you would like the lifestyle essentials sorted from the nearest to the farthest
+     * @param params.q The street address you would like to get the lifestyle essentials for
+     * @param params.range The range you would like to get the lifestyle essentials around in miles
+     * @returns The body of the response
+     * @throws WalkspanError when the api answers with an error
+     */
+    getEssentialsAddress(params = {}) {
+        return this.request('GET', '/essentials/address', { params });
+    }
+
+    /**
+     * Get lifestyle essentials from any kind of location
+     * GET /essentials/location
+     *
+     * @param params.displayWidget (optional) If you would like the data instead represented as an html widget
+     * @param params.widgetAssets (optional) Where a widget loads Leaflet, Bootstrap and jQuery from when displayWidget is true. Every asset is pinned and carries its SRI hash, and the widget only runs the scripts and styles carrying the nonce of its Content-Security-Policy. cdn loads them from jsDelivr, hosted from /widget/assets of the API and inline embeds them in the widget.
+     * @param params.format (optional) If you would like the data as a GeoJSON FeatureCollection, with the lifestyle essentials as Point features and the warnings as a member of the collection
+     * @param params.category (optional) A comma separated list of the categories or subcategories of lifestyle essentials to get, such as `food,park`. Every category is returned when it's left out.
+     * @param params.named (optional) If you would like to leave out the lifestyle essentials without a name
+     * @param params.sort (optional) If you would like the lifestyle essentials sorted from the nearest to the farthest
+     * @param params.latitude (optional) The latitude of the location, along with longitude
+     * @param params.longitude (optional) The longitude of the location, along with latitude
+     * @param params.q (optional) The street address of the location
+     * @param params.placeId (optional) The OpenStreetMap id of a place, N, W or R for a node, way or relation followed by its id, such as the ids found on https://www.openstreetmap.org
+     * @param params.bbl (optional) The 10 digit borough, block and lot number of a New York City tax lot
+     * @param params.bin (optional) The 7 digit building identification number of a New York City building
+     * @param params.words (optional) A three word address locating a 3 meter square, with or without its leading ///
+     * @param params.range The range you would like to get the lifestyle essentials around in miles
+     * @returns The body of the response
+     * @throws WalkspanError when the api answers with an error
+     */
+    getEssentialsLocation(params = {}) {
+        return this.request('GET', '/essentials/location', { params });
+    }
+
+    /**
+     * Report the health of the api
+     * GET /health
+     *
+     * @returns The body of the response
+     * @throws WalkspanError when the api answers with an error
+     */
+    getHealth(params = {}) {
+        return this.request('GET', '/health', { params });
+    }
+
+    /**
+     * Get score from GPS coordinates
+     * GET /score/gps
+     *
+     * @param params.range (optional) The range in miles you would like to get the score for, 0.35 miles when it's left out
+     * @param params.mode (optional) Whether to score the closest sidewalk or aggregate every sidewalk within the range
+     * @param params.weights (optional) How each category is weighted in the walkspan index. Either the name of a profile or a comma separated list of category:weight pairs such as `safety:3,comfort:2`, categories left out of the list keep a weight of 1. The default profile weighs every category equally, the families profile favors safety and comfort and the commuters profile favors access and amenities.
+     * @param params.format (optional) If you would like the data as a GeoJSON FeatureCollection, with the scored sidewalks as LineString features and the scores as members of the collection
+     * @param params.dataVersion (optional) The version of the sidewalk dataset to score with, to see how the scores of a location changed between releases. Every version is listed by /datasets, the current version is used when it's left out.
+     * @param params.displayWidget (optional) If you would like the data instead represented as an html widget
+     * @param params.widgetAssets (optional) Where a widget loads Leaflet, Bootstrap and jQuery from when displayWidget is true. Every asset is pinned and carries its SRI hash, and the widget only runs the scripts and styles carrying the nonce of its Content-Security-Policy. cdn loads them from jsDelivr, hosted from /widget/assets of the API and inline embeds them in the widget.
+     * @param params.latitude The latitude you would like to get the score for
+     * @param params.longitude The longitude you would like to get the score for
+     * @returns The body of the response
+     * @throws WalkspanError when the api answers with an error
+     */
+    getScoreGps(params = {}) {
+        return this.request('GET', '/score/gps', { params });
+    }
+
+    /**
+     * Get score from a street address
+     * GET /score/address
+     *
+     * @param params.range (optional) The range in miles you would like to get the score for, 0.35 miles when it's left out
+     * @param params.mode (optional) Whether to score the closest sidewalk or aggregate every sidewalk within the range
+     * @param params.weights (optional) How each category is weighted in the walkspan index. Either the name of a profile or a comma separated list of category:weight pairs such as `safety:3,comfort:2`, categories left out of the list keep a weight of 1. The default profile weighs every category equally, the families profile favors safety and comfort and the commuters profile favors access and amenities.
+     * @param params.format (optional) If you would like the data as a GeoJSON FeatureCollection, with the scored sidewalks as LineString features and the scores as members of the collection
+     * @param params.dataVersion (optional) The version of the sidewalk dataset to score with, to see how the scores of a location changed between releases. Every version is listed by /datasets, the current version is used when it's left out.
+     * @param params.displayWidget (optional) If you would like the data instead represented as an html widget
+     * @param params.widgetAssets (optional) Where a widget loads Leaflet, Bootstrap and jQuery from when displayWidget is true. Every asset is pinned and carries its SRI hash, and the widget only runs the scripts and styles carrying the nonce of its Content-Security-Policy. cdn loads them from jsDelivr, hosted from /widget/assets of the API and inline embeds them in the widget.
+     * @param params.q The street address you would like to get the score for
+     * @returns The body of the response
+     * @throws WalkspanError when the api answers with an error
+     */
+    getScoreAddress(params = {}) {
+        return this.request('GET', '/score/address', { params });
+    }
+
+    /**
+     * Get score from any kind of location
+     * GET /score/location
+     *
+     * @param params.range (optional) The range in miles you would like to get the score for, 0.35 miles when it's left out
+     * @param params.mode (optional) Whether to score the closest sidewalk or aggregate every sidewalk within the range
+     * @param params.weights (optional) How each category is weighted in the walkspan index. Either the name of a profile or a comma separated list of category:weight pairs such as `safety:3,comfort:2`, categories left out of the list keep a weight of 1. The default profile weighs every category equally, the families profile favors safety and comfort and the commuters profile favors access and amenities.
+     * @param params.format (optional) If you would like the data as a GeoJSON FeatureCollection, with the scored sidewalks as LineString features and the scores as members of the collection
+     * @param params.dataVersion (optional) The version of the sidewalk dataset to score with, to see how the scores of a location changed between releases. Every version is listed by /datasets, the current version is used when it's left out.
+     * @param params.displayWidget (optional) If you would like the data instead represented as an html widget
+     * @param params.widgetAssets (optional) Where a widget loads Leaflet, Bootstrap and jQuery from when displayWidget is true. Every asset is pinned and carries its SRI hash, and the widget only runs the scripts and styles carrying the nonce of its Content-Security-Policy. cdn loads them from jsDelivr, hosted from /widget/assets of the API and inline embeds them in the widget.
+     * @param params.latitude (optional) The latitude of the location, along with longitude
+     * @param params.longitude (optional) The longitude of the location, along with latitude
+     * @param params.q (optional) The street address of the location
+     * @param params.placeId (optional) The OpenStreetMap id of a place, N, W or R for a node, way or relation followed by its id, such as the ids found on https://www.openstreetmap.org
+     * @param params.bbl (optional) The 10 digit borough, block and lot number of a New York City tax lot
+     * @param params.bin (optional) The 7 digit building identification number of a New York City building
+     * @param params.words (optional) A three word address locating a 3 meter square, with or without its leading ///
+     * @returns The body of the response
+     * @throws WalkspanError when the api answers with an error
+     */
+    getScoreLocation(params = {}) {
+        return this.request('GET', '/score/location', { params });
+    }
+
+    /**
+     * Get the scores of the walking routes between two locations
+     * GET /score/route
+     *
+     * @param params.origin (optional) The street address to walk from
+     * @param params.originLatitude (optional) The latitude to walk from, along with originLongitude
+     * @param params.originLongitude (optional) The longitude to walk from, along with originLatitude
+     * @param params.originPlaceId (optional) The OpenStreetMap id of the place to walk from, such as W42127044
+     * @param params.originBbl (optional) The 10 digit borough, block and lot number of the New York City tax lot to walk from
+     * @param params.originBin (optional) The 7 digit building identification number of the New York City building to walk from
+     * @param params.originWords (optional) The three word address to walk from, with or without its leading ///
+     * @param params.destination (optional) The street address to walk to
+     * @param params.destinationLatitude (optional) The latitude to walk to, along with destinationLongitude
+     * @param params.destinationLongitude (optional) The longitude to walk to, along with destinationLatitude
+     * @param params.destinationPlaceId (optional) The OpenStreetMap id of the place to walk to, such as W42127044
+     * @param params.destinationBbl (optional) The 10 digit borough, block and lot number of the New York City tax lot to walk to
+     * @param params.destinationBin (optional) The 7 digit building identification number of the New York City building to walk to
+     * @param params.destinationWords (optional) The three word address to walk to, with or without its leading ///
+     * @param params.weights (optional) How each category is weighted in the walkspan index of each route. Either the name of a profile or a comma separated list of category:weight pairs such as `safety:3,comfort:2`.
+     * @param params.format (optional) If you would like the routes as a GeoJSON FeatureCollection, with every segment of each route as a LineString feature named after its route
+     * @returns The body of the response
+     * @throws WalkspanError when the api answers with an error
+     */
+    getScoreRoute(params = {}) {
+        return this.request('GET', '/score/route', { params });
+    }
+
+    /**
+     * Get scores for a batch of GPS coordinates and street addresses
+     * POST /score/batch
+     *
+     * @param body The request body
+     * @returns The body of the response
+     * @throws WalkspanError when the api answers with an error
+     */
+    postScoreBatch(body) {
+        return this.request('POST', '/score/batch', { body });
+    }
+
+    /**
+     * Get a vector tile of the sidewalk scores
+     * GET /tiles/{z}/{x}/{y}.mvt
+     *
+     * @param params.z The zoom level of the tile, from 10 to 18 by default
+     * @param params.x The column of the tile, from 0 to 2^z - 1
+     * @param params.y The row of the tile, from 0 to 2^z - 1 starting from the north
+     * @returns The body of the response
+     * @throws WalkspanError when the api answers with an error
+     */
+    getSidewalkTile(params = {}) {
+        return this.request('GET', '/tiles/{z}/{x}/{y}.mvt', { params, pathParams: ['z', 'x', 'y'] });
+    }
+
+    /**
+     * Get the walksheds of GPS coordinates
+     * GET /walkshed/gps
+     *
+     * @param params.minutes (optional) A comma separated list of up to 4 walking times from 1 to 30 minutes
+     * @param params.weights (optional) How each category is weighted in the walkspan index of each walkshed. Either the name of a profile or a comma separated list of category:weight pairs such as `safety:3,comfort:2`.
+     * @param params.category (optional) A comma separated list of the categories or subcategories of lifestyle essentials to get, such as `food,park`. Every category is returned when it's left out.
+     * @param params.latitude The latitude you would like to get the walksheds of
+     * @param params.longitude The longitude you would like to get the walksheds of
+     * @returns The body of the response
+     * @throws WalkspanError when the api answers with an error
+     */
+    getWalkshedGps(params = {}) {
+        return this.request('GET', '/walkshed/gps', { params });
+    }
+
+    /**
+     * Get the walksheds of a street address
+     * GET /walkshed/address
+     *
+     * @param params.minutes (optional) A comma separated list of up to 4 walking times from 1 to 30 minutes
+     * @param params.weights (optional) How each category is weighted in the walkspan index of each walkshed. Either the name of a profile or a comma separated list of category:weight pairs such as `safety:3,comfort:2`.
+     * @param params.category (optional) A comma separated list of the categories or subcategories of lifestyle essentials to get, such as `food,park`. Every category is returned when it's left out.
+     * @param params.q The street address you would like to get the walksheds of
+     * @returns The body of the response
+     * @throws WalkspanError when the api answers with an error
+     */
+    getWalkshedAddress(params = {}) {
+        return this.request('GET', '/walkshed/address', { params });
+    }
+
+    /**
+     * Get the walksheds of any kind of location
+     * GET /walkshed/location
+     *
+     * @param params.minutes (optional) A comma separated list of up to 4 walking times from 1 to 30 minutes
+     * @param params.weights (optional) How each category is weighted in the walkspan index of each walkshed. Either the name of a profile or a comma separated list of category:weight pairs such as `safety:3,comfort:2`.
+     * @param params.category (optional) A comma separated list of the categories or subcategories of lifestyle essentials to get, such as `food,park`. Every category is returned when it's left out.
+     * @param params.latitude (optional) The latitude of the location, along with longitude
+     * @param params.longitude (optional) The longitude of the location, along with latitude
+     * @param params.q (optional) The street address of the location
+     * @param params.placeId (optional) The OpenStreetMap id of a place, N, W or R for a node, way or relation followed by its id, such as the ids found on https://www.openstreetmap.org
+     * @param params.bbl (optional) The 10 digit borough, block and lot number of a New York City tax lot
+     * @param params.bin (optional) The 7 digit building identification number of a New York City building
+     * @param params.words (optional) A three word address locating a 3 meter square, with or without its leading ///
+     * @returns The body of the response
+     * @throws WalkspanError when the api answers with an error
+     */
+    getWalkshedLocation(params = {}) {
+        return this.request('GET', '/walkshed/location', { params });
+    }
+}
+
+module.exports = { WalkspanClient, WalkspanError };
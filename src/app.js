@@ -8,16 +8,56 @@
 const express = require("express");
 const serverless = require("serverless-http");
 
+const { TILE_CONTENT_TYPE } = require('./lib/tileHelper');
+const { WIDGET_ASSETS_PATH } = require('./lib/widgetAssets');
+const { requireApiKey } = require('./middleware/apiKey');
+const { reportDataVersion } = require('./middleware/dataVersion');
+const { assignRequestId, handleErrors } = require('./middleware/errors');
+const { validateRequest, validateResponse } = require('./middleware/openapi');
+const { serveWidgetAssets } = require('./middleware/widgetAssets');
+
+/**
+ * The paths of the api, as opposed to its documentation
+ */
+const API_PATHS = ['/score', '/essentials', '/walkshed', '/tiles', '/datasets', '/health'];
+
 const app = express();
 
+// Gives every request an id to match error reports with the logs
+app.use(assignRequestId);
+
 app.get('/', (req, res) => {
     // Redirects all requests to https://api.walkspan.com/ to https://api.walkspan.com/docs
     return res.redirect(301, '/docs');
 });
 
+// Checks every api response against the OpenAPI spec, once its dataset version is reported
+app.use(API_PATHS, validateResponse);
+
+// Requires an API key within its rate limit and daily quota for every api request
+app.use(API_PATHS, requireApiKey);
+
+// Reports the version of the sidewalk dataset behind every api response
+app.use(API_PATHS, reportDataVersion);
+
+// Refuses api requests the OpenAPI spec doesn't allow
+app.use(API_PATHS, express.json({ limit: '1mb' }), validateRequest);
+
 // Includes endpoints from the files in the route directory
 app.use('/docs', require('./route/swagger'));
+app.use(WIDGET_ASSETS_PATH, serveWidgetAssets);
 app.use('/score', require('./route/score'));
 app.use('/essentials', require('./route/essentials'));
+app.use('/walkshed', require('./route/walkshed'));
+app.use('/tiles', require('./route/tiles'));
+app.use('/datasets', require('./route/datasets'));
+app.use('/health', require('./route/health'));
+
+// Answers every error with the Error schema
+app.use(handleErrors);
+
+// The express app, served on its own by the contract tests
+module.exports.app = app;
 
-module.exports.handler = serverless(app);
+// Vector tiles and the icons of the widgets are binary so they're base64 encoded for API Gateway
+module.exports.handler = serverless(app, { binary: [TILE_CONTENT_TYPE, 'image/png'] });
@@ -0,0 +1,94 @@
+/**
+ * @file api-keys.js
+ *
+ * Command that manages the API keys of the local key store
+ * create prints a new key, the only time it's shown. revoke refuses every further request made with a key.
+ * list shows every key with its limits and the requests it made today, usage the requests a key made per day and endpoint
+ * Run with `npm run keys -- create <name> [--rate-limit <requests per second>] [--burst <requests>] [--daily-quota <requests>]`,
+ * `npm run keys -- revoke <id>`, `npm run keys -- list` or `npm run keys -- usage <id> [--days <days>]`
+ */
+const config = require('../config');
+const {
+    createApiKey,
+    getApiKey,
+    getApiKeyUsage,
+    getUsageDay,
+    listApiKeys,
+    openApiKeyStore,
+    revokeApiKey
+} = require('../model/apiKeys');
+
+const usage = [
+    'Usage: npm run keys -- create <name> [--rate-limit <requests per second>] [--burst <requests>] [--daily-quota <requests>]',
+    '       npm run keys -- revoke <id>',
+    '       npm run keys -- list',
+    '       npm run keys -- usage <id> [--days <days>]'
+].join('\n');
+
+/**
+ * Parses the options following the arguments of a command
+ *
+ * @param options The list of option names and values
+ * @param names The name of every option allowed, mapped to the property it's parsed into
+ * @returns The options by property, undefined if an option isn't allowed or isn't a positive number
+ */
+const parseOptions = (options, names) => {
+    const parsed = {};
+    for (let i = 0; i < options.length; i += 2) {
+        const value = Number(options[i + 1]);
+        if (!names[options[i]] || !(value > 0)) {
+            return undefined;
+        }
+        parsed[names[options[i]]] = value;
+    }
+    return parsed;
+};
+
+const [command, argument, ...options] = process.argv.slice(2);
+const db = openApiKeyStore(config.apiKeys.store);
+
+if (command === 'create' && argument) {
+    const limits = parseOptions(options, { '--rate-limit': 'rateLimit', '--burst': 'burst', '--daily-quota': 'dailyQuota' });
+    if (!limits) {
+        console.error(usage);
+        process.exit(1);
+    }
+    const apiKey = createApiKey(db, argument, limits);
+    console.log(`Created API key ${apiKey.id} for ${apiKey.name}, it won't be shown again:\n${apiKey.key}`);
+} else if (command === 'revoke' && argument && !options.length) {
+    if (!getApiKey(db, Number(argument))) {
+        console.error(`There's no API key ${argument}`);
+        process.exit(1);
+    }
+    console.log(revokeApiKey(db, Number(argument)) ? `Revoked API key ${argument}` : `API key ${argument} was already revoked`);
+} else if (command === 'list' && !argument) {
+    console.table(listApiKeys(db).map(apiKey => ({
+        id: apiKey.id,
+        name: apiKey.name,
+        key: `${apiKey.key_prefix}...`,
+        rate_limit: apiKey.rate_limit === null ? config.apiKeys.rateLimit : apiKey.rate_limit,
+        burst: apiKey.burst === null ? config.apiKeys.burst : apiKey.burst,
+        daily_quota: apiKey.daily_quota === null ? config.apiKeys.dailyQuota : apiKey.daily_quota,
+        requests_today: apiKey.request_count,
+        created_at: apiKey.created_at,
+        revoked_at: apiKey.revoked_at || ''
+    })));
+} else if (command === 'usage' && argument) {
+    const { days = 7 } = parseOptions(options, { '--days': 'days' }) || { days: NaN };
+    if (!Number.isInteger(days)) {
+        console.error(usage);
+        process.exit(1);
+    }
+    const apiKey = getApiKey(db, Number(argument));
+    if (!apiKey) {
+        console.error(`There's no API key ${argument}`);
+        process.exit(1);
+    }
+    const since = getUsageDay(new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000));
+    console.log(`Requests made with API key ${apiKey.id} for ${apiKey.name} since ${since}`);
+    console.table(getApiKeyUsage(db, apiKey.id, since));
+} else {
+    console.error(usage);
+    process.exit(1);
+}
+db.close();
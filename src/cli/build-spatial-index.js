@@ -0,0 +1,23 @@
+/**
+ * @file build-spatial-index.js
+ *
+ * Command that builds the R-tree spatial index of every registered sidewalk table
+ * Run with `npm run db:index` whenever a database file is replaced
+ */
+const Database = require("better-sqlite3");
+const { existsSync } = require("fs");
+
+const dataSources = require('../model/data-sources');
+const { buildSpatialIndex, getSpatialIndexName } = require('../model/spatialIndex');
+
+dataSources.forEach(source => {
+    if (!existsSync(source.file)) {
+        console.log(`Skipping ${source.name}: ${source.file} does not exist`);
+        return;
+    }
+
+    const db = new Database(source.file);
+    const indexedCount = buildSpatialIndex(db, source);
+    db.close();
+    console.log(`Indexed ${indexedCount} sidewalks of ${source.table} into ${getSpatialIndexName(source)}`);
+});
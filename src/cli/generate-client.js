@@ -0,0 +1,29 @@
+/**
+ * @file generate-client.js
+ *
+ * Command that generates the JavaScript client package in client/ from the OpenAPI spec of the api
+ * Run with `npm run client:generate` whenever the documentation of the routes or the templates change,
+ * the contract tests fail while the committed client doesn't match the spec
+ */
+const { mkdirSync, writeFileSync } = require("fs");
+const { join } = require("path");
+
+const { generateClient } = require('../lib/clientGenerator');
+const { getOpenApiSpec } = require('../lib/openapi');
+
+/**
+ * The directory of the client package
+ */
+const CLIENT_DIRECTORY = join(__dirname, '../../client');
+
+try {
+    const files = generateClient(getOpenApiSpec());
+    mkdirSync(CLIENT_DIRECTORY, { recursive: true });
+    Object.keys(files).forEach(file => {
+        writeFileSync(join(CLIENT_DIRECTORY, file), files[file]);
+        console.log(`Wrote client/${file}`);
+    });
+} catch (error) {
+    console.error(`Unable to generate the client: ${error.message || error}`);
+    process.exit(1);
+}
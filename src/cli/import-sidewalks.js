@@ -0,0 +1,106 @@
+/**
+ * @file import-sidewalks.js
+ *
+ * Command that imports the sidewalk segments of a CSV or GeoJSON file into the table of a registered data source
+ * Every segment is validated first, the rejected ones are left out and listed in a report written next to the file.
+ * The import is released as a new version of the dataset, the current one being archived first as with db:release
+ * Run with `npm run db:import -- <segments.csv|segments.geojson> <data source> [--rename <column>=<field>]... [--version <version>] [--report <report.json>] [--dry-run]`
+ */
+const Database = require("better-sqlite3");
+const { writeFileSync } = require("fs");
+const { basename } = require("path");
+
+const { readSidewalkRows, summarizeImport, validateSidewalkRows } = require('../lib/sidewalkImport');
+const dataSources = require('../model/data-sources');
+const { archiveCurrentDataset, getDataset, writeDatasetManifest, VERSION_PATTERN } = require('../model/datasets');
+const { buildSidewalkTable } = require('../model/sidewalkTable');
+
+/**
+ * The number of rejected rows printed, the report lists every one of them
+ */
+const PRINTED_REJECTIONS = 10;
+
+const usage = 'Usage: npm run db:import -- <segments.csv|segments.geojson> <data source> [--rename <column>=<field>]... [--version <version>] [--report <report.json>] [--dry-run]';
+const [input, sourceName, ...options] = process.argv.slice(2);
+const rename = {};
+let reportFile = input && `${input}.report.json`;
+let dryRun = false;
+let version;
+for (let i = 0; i < options.length; i++) {
+    if (options[i] === '--dry-run') {
+        dryRun = true;
+    } else if (options[i] === '--version' && VERSION_PATTERN.test(options[i + 1] || '')) {
+        version = options[++i];
+    } else if (options[i] === '--report' && options[i + 1]) {
+        reportFile = options[++i];
+    } else if (options[i] === '--rename' && /^[^=]+=[^=]+$/.test(options[i + 1] || '')) {
+        const [column, field] = options[++i].split('=');
+        rename[column] = field;
+    } else {
+        console.error(usage);
+        process.exit(1);
+    }
+}
+
+const source = dataSources.find(dataSource => dataSource.name === sourceName);
+if (!input || !sourceName) {
+    console.error(usage);
+    process.exit(1);
+} else if (!source) {
+    console.error(`Unknown data source ${sourceName}, register it in src/model/data-sources.js first. Registered data sources: ${dataSources.map(dataSource => dataSource.name).join(', ')}`);
+    process.exit(1);
+}
+
+// Imports without a version id are named after the data source and the time of the import, such as bronx-20210704T120000Z
+version = version || `${source.name}-${new Date().toISOString().replace(/[-:]|\.\d+/g, '')}`;
+if (!dryRun && getDataset(version)) {
+    console.error(`Version ${version} already exists, every import needs a new version id`);
+    process.exit(1);
+}
+
+try {
+    const rows = readSidewalkRows(input, rename);
+    const validation = validateSidewalkRows(rows);
+    const report = Object.assign({
+        input: basename(input),
+        data_source: source.name,
+        file: source.file,
+        table: source.table,
+        imported_at: new Date().toISOString(),
+        dry_run: dryRun,
+        version: dryRun ? null : version
+    }, summarizeImport(rows.length, validation));
+
+    if (validation.sidewalks.length && !dryRun) {
+        const archive = archiveCurrentDataset();
+        if (archive) {
+            console.log(`Archived the current version into ${archive}`);
+        }
+        const db = new Database(source.file);
+        try {
+            buildSidewalkTable(db, source, validation.sidewalks);
+        } finally {
+            db.close();
+        }
+        writeDatasetManifest(version, { [source.name]: basename(input) });
+    }
+    writeFileSync(reportFile, `${JSON.stringify(report, null, 4)}\n`);
+
+    validation.rejected.slice(0, PRINTED_REJECTIONS).forEach(({ row, errors }) => {
+        console.log(`Rejected row ${row}: ${errors.join(', ')}`);
+    });
+    if (validation.outsideCoverageCount) {
+        console.log(`${validation.outsideCoverageCount} segments are outside of every covered area, add their city or borough to src/data/coverage.geojson`);
+    }
+    console.log(`${dryRun ? 'Validated' : 'Imported'} ${validation.sidewalks.length} of ${rows.length} segments of ${input} into ${source.table} of ${source.file}, ${validation.rejected.length} rejected. Report written to ${reportFile}`);
+    if (validation.sidewalks.length && !dryRun) {
+        console.log(`Released version ${version}`);
+    }
+    if (!validation.sidewalks.length) {
+        console.error(`Every segment was rejected, ${source.table} was left untouched`);
+        process.exit(1);
+    }
+} catch (error) {
+    console.error(`Unable to import ${input}: ${error.message || error}`);
+    process.exit(1);
+}
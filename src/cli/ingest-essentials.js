@@ -0,0 +1,38 @@
+/**
+ * @file ingest-essentials.js
+ *
+ * Command that builds the offline index of lifestyle essentials from an OpenStreetMaps extract
+ * Run with `npm run essentials:ingest -- <extract.osm.pbf|extract.geojson> [index.sqlite]`
+ * whenever the extract or the lifestyle essentials categories change
+ */
+const Database = require("better-sqlite3");
+const { basename } = require("path");
+
+const config = require('../config');
+const { ESSENTIALS_CATEGORIES_VERSION } = require('../lib/essentialsHelper');
+const { readGeoJsonEssentials, readPbfEssentials } = require('../lib/osmExtract');
+const { buildEssentialsIndex } = require('../model/essentialsIndex');
+
+const [extract, indexFile = config.essentials.index] = process.argv.slice(2);
+
+if (!extract) {
+    console.error('Usage: npm run essentials:ingest -- <extract.osm.pbf|extract.geojson> [index.sqlite]');
+    process.exit(1);
+}
+
+const readEssentials = extract.endsWith('.pbf') ? readPbfEssentials : readGeoJsonEssentials;
+
+readEssentials(extract).then(({ essentials, bounds }) => {
+    const db = new Database(indexFile);
+    const indexedCount = buildEssentialsIndex(db, essentials, {
+        extract: basename(extract),
+        bounds,
+        categories_version: ESSENTIALS_CATEGORIES_VERSION,
+        ingested_at: new Date().toISOString()
+    });
+    db.close();
+    console.log(`Indexed ${indexedCount} lifestyle essentials of ${extract} into ${indexFile}`);
+}).catch(error => {
+    console.error(`Unable to ingest ${extract}: ${error.message || error}`);
+    process.exit(1);
+});
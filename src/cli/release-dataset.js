@@ -0,0 +1,67 @@
+/**
+ * @file release-dataset.js
+ *
+ * Command that releases a new version of the sidewalk dataset
+ * With --from, the current version is archived so it can still be queried and the new database files are copied
+ * over it and indexed. Without it, the database files already in place are released as they are.
+ * The manifest is then written with the new version id
+ * Run with `npm run db:release -- <version> [--from <directory>] [--source <data source>=<description>]...`
+ */
+const Database = require("better-sqlite3");
+const { copyFileSync, existsSync } = require("fs");
+const { basename, join } = require("path");
+
+const dataSources = require('../model/data-sources');
+const { archiveCurrentDataset, getDataset, writeDatasetManifest, VERSION_PATTERN } = require('../model/datasets');
+const { buildSpatialIndex } = require('../model/spatialIndex');
+
+const usage = 'Usage: npm run db:release -- <version> [--from <directory>] [--source <data source>=<description>]...';
+const [version, ...options] = process.argv.slice(2);
+let from;
+const sources = {};
+for (let i = 0; i < options.length; i += 2) {
+    if (options[i] === '--from' && options[i + 1]) {
+        from = options[i + 1];
+    } else if (options[i] === '--source' && /^[^=]+=./.test(options[i + 1] || '')) {
+        const [name, ...description] = options[i + 1].split('=');
+        sources[name] = description.join('=');
+    } else {
+        console.error(usage);
+        process.exit(1);
+    }
+}
+
+if (!version || !VERSION_PATTERN.test(version)) {
+    console.error(usage);
+    process.exit(1);
+} else if (getDataset(version)) {
+    console.error(`Version ${version} already exists, every release needs a new version id`);
+    process.exit(1);
+}
+
+try {
+    if (from) {
+        const archive = archiveCurrentDataset();
+        console.log(archive ? `Archived the current version into ${archive}` : 'Not archiving the current files, they have no manifest naming their version');
+
+        new Set(dataSources.map(source => source.file))
+            .forEach(file => {
+                if (existsSync(join(from, basename(file)))) {
+                    copyFileSync(join(from, basename(file)), file);
+                    console.log(`Replaced ${file}`);
+                }
+            });
+        dataSources.filter(source => existsSync(source.file)).forEach(source => {
+            const db = new Database(source.file);
+            const indexedCount = buildSpatialIndex(db, source);
+            db.close();
+            console.log(`Indexed ${indexedCount} sidewalks of ${source.table}`);
+        });
+    }
+
+    const manifest = writeDatasetManifest(version, sources);
+    console.log(`Released version ${manifest.version} with ${Object.keys(manifest.tables).join(', ')}`);
+} catch (error) {
+    console.error(`Unable to release version ${version}: ${error.message || error}`);
+    process.exit(1);
+}
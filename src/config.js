@@ -0,0 +1,136 @@
+/**
+ * @file config.js
+ *
+ * The configuration of this program
+ * Every setting can be overridden with the environment variable named next to it
+ */
+module.exports = {
+    geocoder: {
+        // GEOCODER_PROVIDER: the geocoder in src/lib/geocoders used, either 'nominatim' or 'local'
+        provider: process.env.GEOCODER_PROVIDER || 'nominatim',
+        // NOMINATIM_URL: the base url of a self-hosted Nominatim, the public service is used when empty
+        nominatimUrl: process.env.NOMINATIM_URL || undefined,
+        // GEOCODER_FIXTURES: the file of addresses and coordinates the local geocoder answers from
+        fixtures: process.env.GEOCODER_FIXTURES || './src/data/geocoder-fixtures.json',
+        // GEOCODER_MAX_CANDIDATES: the number of candidates an address is matched against
+        maxCandidates: Number(process.env.GEOCODER_MAX_CANDIDATES || 5),
+        // GEOCODER_AMBIGUITY_MARGIN: how much more confident than every other location the best match of an address
+        // has to be, addresses matching several locations more closely are answered with a list of candidates
+        ambiguityMargin: Number(process.env.GEOCODER_AMBIGUITY_MARGIN || 0.1),
+        cache: {
+            // GEOCODER_CACHE_TTL: the number of seconds a geocoding result is cached
+            ttl: Number(process.env.GEOCODER_CACHE_TTL || 7 * 24 * 60 * 60),
+            // GEOCODER_CACHE_NEGATIVE_TTL: the number of seconds an address or location that wasn't found is cached
+            negativeTtl: Number(process.env.GEOCODER_CACHE_NEGATIVE_TTL || 60 * 60),
+            // GEOCODER_CACHE_MAX_ENTRIES: the number of results cached per operation before the oldest are evicted
+            maxEntries: Number(process.env.GEOCODER_CACHE_MAX_ENTRIES || 10000),
+            // GEOCODER_CACHE_COORDINATE_PRECISION: the number of decimals coordinates are rounded to, 4 is about 10 meters
+            coordinatePrecision: Number(process.env.GEOCODER_CACHE_COORDINATE_PRECISION || 4)
+        }
+    },
+    locator: {
+        // PARCEL_LOCATOR: the locator in src/lib/locators BBL and BIN parcel identifiers are located with,
+        // either 'nycOpenData' or 'local'
+        parcel: process.env.PARCEL_LOCATOR || 'nycOpenData',
+        // WORDS_LOCATOR: the locator in src/lib/locators three word addresses are located with, either 'what3words' or 'local'
+        words: process.env.WORDS_LOCATOR || 'what3words',
+        // NYC_OPEN_DATA_URL: the base url of the NYC Open Data datasets parcels are looked up in
+        nycOpenDataUrl: process.env.NYC_OPEN_DATA_URL || 'https://data.cityofnewyork.us/resource',
+        // NYC_OPEN_DATA_APP_TOKEN: the Socrata app token sent to NYC Open Data, requests are throttled harder without one
+        nycOpenDataAppToken: process.env.NYC_OPEN_DATA_APP_TOKEN || undefined,
+        // WHAT3WORDS_URL: the base url of the what3words API
+        what3wordsUrl: process.env.WHAT3WORDS_URL || 'https://api.what3words.com/v3',
+        // WHAT3WORDS_API_KEY: the key of the what3words API, three word addresses can't be located without it
+        what3wordsApiKey: process.env.WHAT3WORDS_API_KEY || undefined,
+        // LOCATOR_FIXTURES: the file of parcels and three word addresses the local locator answers from
+        fixtures: process.env.LOCATOR_FIXTURES || './src/data/locator-fixtures.json',
+        // LOCATOR_TIMEOUT: the number of seconds a request to a locator may take
+        timeout: Number(process.env.LOCATOR_TIMEOUT || 10)
+    },
+    essentials: {
+        // ESSENTIALS_CATEGORIES: the file of lifestyle essentials categories and the OpenStreetMaps tags they're made of
+        categories: process.env.ESSENTIALS_CATEGORIES || './src/data/essentials-categories.json',
+        // ESSENTIALS_INDEX: the offline index of lifestyle essentials built by `npm run essentials:ingest`,
+        // overpass is used when it doesn't exist
+        index: process.env.ESSENTIALS_INDEX || './database/essentials.sqlite',
+        // ESSENTIALS_SEARCH_AREA: 'radius' to look for lifestyle essentials within a circle around a location,
+        // 'bbox' within the bounding box of that circle
+        searchArea: process.env.ESSENTIALS_SEARCH_AREA || 'radius',
+        // ESSENTIALS_LIMIT: the number of lifestyle essentials returned per category without a limit of its own
+        limit: Number(process.env.ESSENTIALS_LIMIT || 50)
+    },
+    overpass: {
+        // OVERPASS_MIRRORS: the comma separated Overpass interpreter endpoints, tried in turn when a query fails
+        mirrors: (process.env.OVERPASS_MIRRORS || [
+            'https://overpass-api.de/api/interpreter',
+            'https://overpass.kumi.systems/api/interpreter',
+            'https://maps.mail.ru/osm/tools/overpass/api/interpreter'
+        ].join(',')).split(',').map(mirror => mirror.trim()),
+        // OVERPASS_TIMEOUT: the number of seconds a query may take per category without a timeout of its own
+        timeout: Number(process.env.OVERPASS_TIMEOUT || 10),
+        // OVERPASS_RETRIES: the number of times a query that timed out or failed on the server is retried
+        retries: Number(process.env.OVERPASS_RETRIES || 2),
+        // OVERPASS_RETRY_DELAY: the number of milliseconds before the first retry, doubled before every other one
+        retryDelay: Number(process.env.OVERPASS_RETRY_DELAY || 500),
+        // OVERPASS_DEADLINE: the number of seconds a query may take for a category, every attempt and retry included.
+        // Kept under the 29 second integration timeout of API Gateway so the categories that failed still end in a warning
+        deadline: Number(process.env.OVERPASS_DEADLINE || 20)
+    },
+    route: {
+        // ROUTE_MAX_DISTANCE: the straight-line distance in miles past which walking routes aren't searched
+        maxDistance: Number(process.env.ROUTE_MAX_DISTANCE || 3),
+        // ROUTE_SEARCH_MARGIN: how many miles past the origin and destination the sidewalk network is searched
+        searchMargin: Number(process.env.ROUTE_SEARCH_MARGIN || 0.25),
+        // ROUTE_CROSSING_DISTANCE: the number of meters between the ends of two sidewalks that can be walked across
+        crossingDistance: Number(process.env.ROUTE_CROSSING_DISTANCE || 30),
+        // ROUTE_PLEASANT_DETOUR: the share of extra distance the most pleasant route may take over the shortest one
+        pleasantDetour: Number(process.env.ROUTE_PLEASANT_DETOUR || 0.5)
+    },
+    datasets: {
+        // DATASET_MANIFEST: the file describing the version, build date and sources of the current sidewalk dataset
+        manifest: process.env.DATASET_MANIFEST || './database/dataset.json',
+        // DATASET_ARCHIVE: the directory previous versions of the sidewalk dataset are archived in, one directory per version
+        archive: process.env.DATASET_ARCHIVE || './database/versions'
+    },
+    tiles: {
+        // TILES_MIN_ZOOM: the lowest zoom level vector tiles are served at, lower zoom levels cover too many sidewalks
+        minZoom: Number(process.env.TILES_MIN_ZOOM || 10),
+        // TILES_MAX_ZOOM: the highest zoom level vector tiles are served at, the only one sidewalks aren't simplified at
+        maxZoom: Number(process.env.TILES_MAX_ZOOM || 18),
+        // TILES_TOLERANCE: how far in tile pixels simplified sidewalks may stray, sidewalks shorter than that are left out
+        tolerance: Number(process.env.TILES_TOLERANCE || 3),
+        // TILES_MAX_AGE: the number of seconds clients and CDNs may cache a vector tile
+        maxAge: Number(process.env.TILES_MAX_AGE || 24 * 60 * 60)
+    },
+    apiKeys: {
+        // API_KEYS_ENABLED: 'false' to serve every request without an API key, such as behind a gateway checking them already.
+        // Off by default on Lambda, where API Gateway checks the keys of its usage plans and the store couldn't be written.
+        // serverless-offline sets AWS_LAMBDA_FUNCTION_NAME too, along with IS_OFFLINE, and keys are checked under it
+        enabled: process.env.API_KEYS_ENABLED
+            ? process.env.API_KEYS_ENABLED !== 'false'
+            : !process.env.AWS_LAMBDA_FUNCTION_NAME || Boolean(process.env.IS_OFFLINE),
+        // API_KEYS_STORE: the key store managed with `npm run keys`, created when it doesn't exist
+        store: process.env.API_KEYS_STORE || './database/api-keys.sqlite',
+        // API_KEYS_RATE_LIMIT: the number of requests per second a key without a rate limit of its own may make
+        rateLimit: Number(process.env.API_KEYS_RATE_LIMIT || 20),
+        // API_KEYS_BURST: the number of requests a key without a burst of its own may make at once
+        burst: Number(process.env.API_KEYS_BURST || 100),
+        // API_KEYS_DAILY_QUOTA: the number of requests per UTC day a key without a daily quota of its own may make
+        dailyQuota: Number(process.env.API_KEYS_DAILY_QUOTA || 1000)
+    },
+    widget: {
+        // WIDGET_ASSET_URL: the url of the api the hosted widget assets are loaded from, the url each widget was requested at by default
+        assetUrl: process.env.WIDGET_ASSET_URL || '',
+        // WIDGET_TILE_URL: the map tiles drawn under the widgets, empty to draw the widgets without a map such as offline
+        tileUrl: process.env.WIDGET_TILE_URL !== undefined
+            ? process.env.WIDGET_TILE_URL
+            : 'https://api.mapbox.com/styles/v1/mapbox/streets-v11/tiles/{z}/{x}/{y}?access_token=pk.eyJ1IjoibWFwYm94IiwiYSI6ImNpejY4NXVycTA2emYycXBndHRqcmZ3N3gifQ.rJcFIG214AriISLbB6B5aw'
+    },
+    openapi: {
+        // OPENAPI_VALIDATE_REQUESTS: 'false' to let requests the OpenAPI spec doesn't allow through to the endpoints
+        validateRequests: process.env.OPENAPI_VALIDATE_REQUESTS !== 'false',
+        // OPENAPI_VALIDATE_RESPONSES: what to do with responses that don't match the OpenAPI spec, 'off', 'warn' to log them
+        // or 'error' to answer them with an INTERNAL_ERROR instead
+        validateResponses: process.env.OPENAPI_VALIDATE_RESPONSES || 'warn'
+    }
+};
@@ -0,0 +1,114 @@
+/**
+ * @file apiError.js
+ *
+ * The errors the api responds with
+ * Every error has a stable code clients can rely on along with a message for people, the parameter it came from
+ * and where that parameter was sent. The HTTP status of the response follows from the code
+ */
+
+/**
+ * The HTTP status of every error code
+ * INVALID_PARAM: a parameter is missing or invalid
+ * AMBIGUOUS_ADDRESS: an address matches several locations about as well, the candidates to pick from are listed
+ * UNAUTHORIZED: the API key is missing, unknown or revoked
+ * GEOCODE_NOT_FOUND: no location matches an address
+ * NO_SIDEWALK_DATA: there's no sidewalk with walkspan scores close enough to the location
+ * OUT_OF_COVERAGE: the location is outside of every area covered by walkspan
+ * RATE_LIMITED: the API key made too many requests, either at once or today
+ * INTERNAL_ERROR: something unexpected went wrong
+ * UPSTREAM_UNAVAILABLE: a service the response depends on, such as the geocoder or overpass, failed
+ */
+const ERROR_STATUSES = {
+    INVALID_PARAM: 400,
+    AMBIGUOUS_ADDRESS: 300,
+    UNAUTHORIZED: 401,
+    GEOCODE_NOT_FOUND: 404,
+    NO_SIDEWALK_DATA: 404,
+    OUT_OF_COVERAGE: 422,
+    RATE_LIMITED: 429,
+    INTERNAL_ERROR: 500,
+    UPSTREAM_UNAVAILABLE: 503
+};
+module.exports.ERROR_STATUSES = ERROR_STATUSES;
+
+/**
+ * The error codes, every key of ERROR_STATUSES
+ */
+module.exports.ERROR_CODES = Object.keys(ERROR_STATUSES);
+
+/**
+ * An error to respond with, holding one or more errors of the Error schema sharing the same code
+ */
+class ApiError extends Error {
+    /**
+     * @param code One of ERROR_CODES
+     * @param message What went wrong
+     * @param param The parameter or parameters the error came from, if any
+     * @param location Where the parameter was sent, such as query or body
+     * @param members The other members of the response body, such as the candidates of an ambiguous address
+     */
+    constructor(code, message, param, location, members = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.code = code;
+        this.status = ERROR_STATUSES[code];
+        this.errors = [{ code, message, param, location }];
+        this.members = members;
+    }
+
+    /**
+     * Builds the error of a failed express-validator validation
+     *
+     * @param result The express-validator result of the validation
+     * @param location Where the parameters were sent, that of each parameter when undefined
+     * @returns An INVALID_PARAM error for every invalid parameter
+     */
+    static fromValidationResult(result, location) {
+        return ApiError.fromInvalidParams(result.array().map(error => ({
+            code: 'INVALID_PARAM',
+            message: error.msg,
+            param: error.param,
+            location: location || error.location
+        })));
+    }
+
+    /**
+     * Builds the error of invalid parameters found by another validation, such as that of the OpenAPI spec
+     *
+     * @param errors The INVALID_PARAM errors of the Error schema, at least one
+     * @returns An INVALID_PARAM error holding every one of them
+     */
+    static fromInvalidParams(errors) {
+        const apiError = new ApiError('INVALID_PARAM', errors[0].message, errors[0].param, errors[0].location);
+        apiError.errors = errors;
+        return apiError;
+    }
+}
+module.exports.ApiError = ApiError;
+
+/**
+ * Gets the error to respond with for anything thrown while answering a request
+ * Errors raised by express itself, such as a body that isn't valid JSON, are invalid parameters and every other
+ * error is an internal error whose message isn't disclosed
+ *
+ * @param error What was thrown
+ * @returns The ApiError
+ */
+module.exports.toApiError = (error) => {
+    if (error instanceof ApiError) {
+        return error;
+    } else if (error && error.expose && error.status >= 400 && error.status < 500) {
+        const apiError = new ApiError('INVALID_PARAM', error.message, undefined, 'body');
+        apiError.status = error.status;
+        return apiError;
+    }
+    return new ApiError('INTERNAL_ERROR', 'Something went wrong, please try again later');
+};
+
+/**
+ * Builds the body of an error response
+ *
+ * @param apiError The ApiError
+ * @returns The errors of the Error schema along with the other members of the response
+ */
+module.exports.toErrorBody = (apiError) => Object.assign({ errors: apiError.errors }, apiError.members);
@@ -0,0 +1,397 @@
+/**
+ * @file clientGenerator.js
+ *
+ * Generates the JavaScript client of the api from its OpenAPI spec
+ * The client is a package with one method per operation, named after its operationId, along with TypeScript
+ * declarations of its parameters and responses, so front ends can't drift from the api either
+ */
+
+/**
+ * The names of the global types a schema can't be declared as, declared with a Model suffix instead
+ */
+const RESERVED_TYPE_NAMES = ['Array', 'Boolean', 'Date', 'Error', 'Function', 'Map', 'Number', 'Object', 'Promise', 'String'];
+
+/**
+ * The HTTP methods of the operations of the spec
+ */
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch'];
+
+/**
+ * The note heading every generated file
+ */
+const GENERATED_NOTE = 'Generated from the OpenAPI spec of the api by `npm run client:generate`, don\'t edit it by hand';
+
+/**
+ * Gets the name a schema of the spec is declared as
+ *
+ * @param name The name of the schema in components/schemas
+ * @returns The name of its TypeScript type
+ */
+const toTypeName = (name) => RESERVED_TYPE_NAMES.includes(name) ? `${name}Model` : name;
+
+/**
+ * Writes a property name of a TypeScript type, quoting the ones that aren't identifiers
+ *
+ * @param name The property name
+ * @returns The property name as it's declared
+ */
+const toPropertyName = (name) => /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+
+/**
+ * Indents every line of a block of code after the first one
+ *
+ * @param code The code
+ * @param depth The number of levels to indent by
+ * @returns The indented code
+ */
+const indent = (code, depth) => code.replace(/\n(?=.)/g, `\n${'    '.repeat(depth)}`);
+
+/**
+ * Writes a description as the lines of a doc comment
+ *
+ * @param description The description, which may hold several lines
+ * @param prefix What each line starts with, such as " * "
+ * @returns The lines, without a trailing line break
+ */
+const toCommentLines = (description, prefix) => description.trim().split('\n')
+    .map(line => `${prefix}${line.trim()}`.replace(/\s+$/, '')).join('\n');
+
+/**
+ * Writes the TypeScript type of a schema of the spec
+ *
+ * @param schema The schema
+ * @returns The type
+ */
+const toType = (schema) => {
+    if (!schema) {
+        return 'unknown';
+    }
+    let type;
+    if (schema.$ref) {
+        type = toTypeName(schema.$ref.split('/').pop());
+    } else if (schema.enum) {
+        type = schema.enum.map(value => JSON.stringify(value)).join(' | ');
+    } else if (schema.oneOf || schema.anyOf) {
+        type = (schema.oneOf || schema.anyOf).map(toType).join(' | ');
+    } else if (schema.allOf) {
+        type = schema.allOf.map(toType).join(' & ');
+    } else if (schema.type === 'array') {
+        const itemType = toType(schema.items);
+        type = /[|&]/.test(itemType) ? `Array<${itemType}>` : `${itemType}[]`;
+    } else if (schema.type === 'integer' || schema.type === 'number') {
+        type = 'number';
+    } else if (schema.type === 'string' && schema.format === 'binary') {
+        type = 'ArrayBuffer';
+    } else if (schema.type === 'string' || schema.type === 'boolean') {
+        type = schema.type;
+    } else if (schema.properties || schema.additionalProperties) {
+        type = toObjectType(schema);
+    } else {
+        type = 'unknown';
+    }
+    return schema.nullable ? `${type} | null` : type;
+};
+
+/**
+ * Writes the TypeScript type of an object schema
+ *
+ * @param schema The object schema
+ * @returns The type, such as { name: string; count?: number }
+ */
+const toObjectType = (schema) => {
+    const required = schema.required || [];
+    const members = Object.keys(schema.properties || {}).map(name => {
+        const property = schema.properties[name];
+        const comment = property.description ? `/** ${property.description.trim().replace(/\s*\n\s*/g, ' ')} */\n` : '';
+        return `${comment}${toPropertyName(name)}${required.includes(name) ? '' : '?'}: ${toType(property)};`;
+    });
+    if (schema.additionalProperties) {
+        members.push(`[key: string]: ${schema.additionalProperties === true ? 'unknown' : toType(schema.additionalProperties)};`);
+    }
+    return members.length ? `{\n    ${indent(members.join('\n'), 1)}\n}` : '{}';
+};
+
+/**
+ * Lists the operations of the spec along with everything the client needs to call them
+ *
+ * @param spec The OpenAPI spec
+ * @returns The operations, in the order the spec lists them
+ */
+const listClientOperations = (spec) => [].concat(...Object.keys(spec.paths).map(path => HTTP_METHODS
+    .filter(method => spec.paths[path][method])
+    .map(method => {
+        const operation = spec.paths[path][method];
+        const parameters = (operation.parameters || []).map(parameter => parameter.$ref
+            ? parameter.$ref.replace(/^#\//, '').split('/').reduce((parent, key) => parent[key], spec)
+            : parameter);
+        const requestBody = operation.requestBody && operation.requestBody.content &&
+            operation.requestBody.content['application/json'];
+        const successes = Object.keys(operation.responses || {}).filter(status => /^2/.test(status));
+        return {
+            path,
+            method: method.toUpperCase(),
+            name: operation.operationId,
+            summary: operation.summary || `${method.toUpperCase()} ${path}`,
+            parameters,
+            pathParams: parameters.filter(parameter => parameter.in === 'path').map(parameter => parameter.name),
+            bodySchema: requestBody && requestBody.schema,
+            responseType: Array.from(new Set([].concat(...successes.map(status => {
+                const content = operation.responses[status].content;
+                return content
+                    ? Object.keys(content).map(mediaType => /json$/.test(mediaType) ? toType(content[mediaType].schema)
+                        : /^text\//.test(mediaType) ? 'string' : 'ArrayBuffer')
+                    : ['undefined'];
+            })))).join(' | ') || 'unknown'
+        };
+    })));
+
+/**
+ * Gets the name of the TypeScript type of the parameters of an operation
+ *
+ * @param operation An operation listed by listClientOperations
+ * @returns The type name, such as GetScoreGpsParams
+ */
+const toParamsTypeName = (operation) => `${operation.name.charAt(0).toUpperCase()}${operation.name.slice(1)}Params`;
+
+/**
+ * Writes the method of the client calling an operation
+ *
+ * @param operation An operation listed by listClientOperations
+ * @returns The method, indented for the body of the client class
+ */
+const toClientMethod = (operation) => {
+    const paramLines = operation.bodySchema
+        ? ['@param body The request body']
+        : operation.parameters.map(parameter => `@param params.${parameter.name} ${parameter.required ? '' : '(optional) '}` +
+            `${(parameter.description || '').trim().replace(/\s*\n\s*/g, ' ')}`);
+    const argument = operation.bodySchema ? 'body' : 'params = {}';
+    const options = operation.bodySchema
+        ? '{ body }'
+        : `{ params${operation.pathParams.length ? `, pathParams: [${operation.pathParams.map(name => `'${name}'`).join(', ')}]` : ''} }`;
+    return [
+        '/**',
+        ` * ${operation.summary}`,
+        ` * ${operation.method} ${operation.path}`,
+        ' *',
+        ...paramLines.map(line => ` * ${line}`.replace(/\s+$/, '')),
+        ' * @returns The body of the response',
+        ' * @throws WalkspanError when the api answers with an error',
+        ' */',
+        `${operation.name}(${argument}) {`,
+        `    return this.request('${operation.method}', '${operation.path}', ${options});`,
+        '}'
+    ].join('\n');
+};
+
+/**
+ * Writes the CommonJS module of the client
+ *
+ * @param spec The OpenAPI spec
+ * @param operations The operations listed by listClientOperations
+ * @returns The source of index.js
+ */
+const generateModule = (spec, operations) => {
+    const [server] = spec.servers || [];
+    const apiKeyScheme = Object.values((spec.components || {}).securitySchemes || {})
+        .find(scheme => scheme.type === 'apiKey' && scheme.in === 'header');
+    return `/**
+ * @file index.js
+ *
+ * JavaScript client of the ${spec.info.title} ${spec.info.version}
+ * ${GENERATED_NOTE}
+ */
+
+/**
+ * The url the api is requested at unless another one is given
+ */
+const DEFAULT_BASE_URL = '${server ? server.url : ''}';
+
+/**
+ * The header holding the API key
+ */
+const API_KEY_HEADER = '${apiKeyScheme ? apiKeyScheme.name : 'X-API-Key'}';
+
+/**
+ * An error the api answered with, holding every error of its body
+ */
+class WalkspanError extends Error {
+    /**
+     * @param status The HTTP status of the response
+     * @param body The body of the response, holding its errors and request id when it's JSON
+     */
+    constructor(status, body) {
+        const errors = body && Array.isArray(body.errors) ? body.errors : [];
+        super(errors.length ? errors[0].message : \`The api answered with a \${status}\`);
+        this.name = 'WalkspanError';
+        this.status = status;
+        this.code = errors.length ? errors[0].code : undefined;
+        this.errors = errors;
+        this.requestId = body ? body.requestId : undefined;
+        this.body = body;
+    }
+}
+
+/**
+ * Calls the operations of the api, each with a method named after its operationId
+ */
+class WalkspanClient {
+    /**
+     * @param options.apiKey The API key to send with every request
+     * @param options.baseUrl The url of the api
+     * @param options.fetch The fetch function to request with, the global one by default
+     */
+    constructor({ apiKey, baseUrl = DEFAULT_BASE_URL, fetch = globalThis.fetch } = {}) {
+        if (typeof fetch !== 'function') {
+            throw new Error('A fetch function is needed, pass one as the fetch option');
+        }
+        this.apiKey = apiKey;
+        this.baseUrl = baseUrl.replace(/\\/$/, '');
+        this.fetch = fetch;
+    }
+
+    /**
+     * Requests an operation of the api
+     *
+     * @param method The HTTP method of the operation
+     * @param path The path of the operation, such as /tiles/{z}/{x}/{y}.mvt
+     * @param options.params The parameters of the operation, those named in pathParams going in the path
+     * and the others in the query
+     * @param options.pathParams The names of the path parameters
+     * @param options.body The JSON body of the request
+     * @returns The body of the response, parsed when it's JSON, text or binary otherwise
+     * @throws WalkspanError when the api answers with an error
+     */
+    async request(method, path, { params = {}, pathParams = [], body } = {}) {
+        const query = new URLSearchParams();
+        Object.keys(params)
+            .filter(name => !pathParams.includes(name) && params[name] !== undefined && params[name] !== null)
+            .forEach(name => query.append(name, String(params[name])));
+        const url = this.baseUrl +
+            path.replace(/\\{(\\w+)\\}/g, (match, name) => encodeURIComponent(String(params[name]))) +
+            (query.toString() ? \`?\${query}\` : '');
+
+        const headers = {};
+        if (this.apiKey) {
+            headers[API_KEY_HEADER] = this.apiKey;
+        }
+        if (body !== undefined) {
+            headers['Content-Type'] = 'application/json';
+        }
+        const response = await this.fetch(url, {
+            method,
+            headers,
+            body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+
+        const contentType = response.headers.get('Content-Type') || '';
+        const responseBody = response.status === 204 ? undefined
+            : /json/.test(contentType) ? await response.json()
+            : /^text\\//.test(contentType) ? await response.text()
+            : await response.arrayBuffer();
+        if (!response.ok) {
+            throw new WalkspanError(response.status, responseBody);
+        }
+        return responseBody;
+    }
+
+    ${indent(operations.map(toClientMethod).join('\n\n'), 1)}
+}
+
+module.exports = { WalkspanClient, WalkspanError };
+`;
+};
+
+/**
+ * Writes the TypeScript declarations of the client
+ *
+ * @param spec The OpenAPI spec
+ * @param operations The operations listed by listClientOperations
+ * @returns The source of index.d.ts
+ */
+const generateDeclarations = (spec, operations) => {
+    const schemas = (spec.components || {}).schemas || {};
+    const schemaTypes = Object.keys(schemas).map(name => {
+        const schema = schemas[name];
+        const comment = schema.description ? `/**\n${toCommentLines(schema.description, ' * ')}\n */\n` : '';
+        const type = toType(schema);
+        return type.startsWith('{') && !schema.nullable
+            ? `${comment}export interface ${toTypeName(name)} ${type}`
+            : `${comment}export type ${toTypeName(name)} = ${type};`;
+    });
+    const paramsTypes = operations.filter(operation => !operation.bodySchema).map(operation => {
+        const members = operation.parameters.map(parameter => {
+            const comment = parameter.description
+                ? `/** ${parameter.description.trim().replace(/\s*\n\s*/g, ' ')} */\n`
+                : '';
+            return `${comment}${toPropertyName(parameter.name)}${parameter.required ? '' : '?'}: ${toType(parameter.schema)};`;
+        });
+        return `export interface ${toParamsTypeName(operation)} ${members.length ? `{\n    ${indent(members.join('\n'), 1)}\n}` : '{}'}`;
+    });
+    const methods = operations.map(operation => {
+        const argument = operation.bodySchema
+            ? `body: ${toType(operation.bodySchema)}`
+            : `params${operation.parameters.some(parameter => parameter.required) ? '' : '?'}: ${toParamsTypeName(operation)}`;
+        return `/** ${operation.summary} */\n${operation.name}(${argument}): Promise<${operation.responseType}>;`;
+    });
+
+    return `/**
+ * TypeScript declarations of the JavaScript client of the ${spec.info.title} ${spec.info.version}
+ * ${GENERATED_NOTE}
+ */
+
+${schemaTypes.join('\n\n')}
+
+${paramsTypes.join('\n\n')}
+
+export interface WalkspanClientOptions {
+    /** The API key to send with every request */
+    apiKey?: string;
+    /** The url of the api */
+    baseUrl?: string;
+    /** The fetch function to request with, the global one by default */
+    fetch?: (url: string, init?: object) => Promise<any>;
+}
+
+export declare class WalkspanError extends Error {
+    status: number;
+    code?: string;
+    errors: ${schemas.Error ? `${toTypeName('Error')}[]` : 'object[]'};
+    requestId?: string;
+    body: unknown;
+}
+
+export declare class WalkspanClient {
+    constructor(options?: WalkspanClientOptions);
+
+    ${indent(methods.join('\n\n'), 1)}
+}
+`;
+};
+
+/**
+ * Generates the files of the client package from the OpenAPI spec
+ *
+ * @param spec The OpenAPI spec
+ * @returns The contents of package.json, index.js and index.d.ts by file name
+ * @throws Error when an operation doesn't have an operationId to name its method after
+ */
+module.exports.generateClient = (spec) => {
+    const operations = listClientOperations(spec);
+    const unnamed = operations.filter(operation => !operation.name);
+    if (unnamed.length) {
+        throw new Error(`Every operation needs an operationId, ${unnamed.map(operation => `${operation.method} ${operation.path}`).join(', ')} doesn't have one`);
+    }
+
+    return {
+        'package.json': `${JSON.stringify({
+            name: '@walkspan/client',
+            version: spec.info.version,
+            description: `JavaScript client of the ${spec.info.title}`,
+            main: 'index.js',
+            types: 'index.d.ts',
+            license: 'ISC'
+        }, null, 2)}\n`,
+        'index.js': generateModule(spec, operations),
+        'index.d.ts': generateDeclarations(spec, operations)
+    };
+};
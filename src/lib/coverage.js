@@ -0,0 +1,153 @@
+/**
+ * @file coverage.js
+ *
+ * Helper functions for checking if a location is within one of the areas covered by walkspan
+ * The covered areas are the GeoJSON polygons in src/data/coverage.geojson, each named
+ * after the city or borough it outlines
+ */
+const { readFileSync } = require('fs');
+const distanceToLineSegment = require("distance-to-line-segment");
+
+const { ApiError } = require('./apiError');
+
+/**
+ * The approximate number of miles in a degree of latitude
+ */
+const MILES_PER_DEGREE = 69.0;
+
+const coverageAreas = JSON.parse(readFileSync('./src/data/coverage.geojson', 'utf8')).features;
+
+/**
+ * Gets the list of polygons of a GeoJSON geometry
+ *
+ * @param geometry A GeoJSON Polygon or MultiPolygon
+ * @returns A list of polygons, each a list of linear rings
+ */
+const getPolygons = (geometry) => {
+    return geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+};
+
+/**
+ * Checks if a point is within a linear ring using ray casting
+ *
+ * @param longitude The longitude of the point
+ * @param latitude The latitude of the point
+ * @param ring A closed list of [longitude, latitude] positions
+ * @returns True if the point is inside of the ring
+ */
+const isInRing = (longitude, latitude, ring) => {
+    let isInside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > latitude) !== (yj > latitude) &&
+            longitude < (xj - xi) * (latitude - yi) / (yj - yi) + xi) {
+            isInside = !isInside;
+        }
+    }
+    return isInside;
+};
+
+/**
+ * Checks if a point is within a GeoJSON Polygon or MultiPolygon, taking holes into account
+ *
+ * @param latitude The latitude of the point
+ * @param longitude The longitude of the point
+ * @param geometry A GeoJSON Polygon or MultiPolygon
+ * @returns True if the point is inside of the geometry
+ */
+const isInPolygon = (latitude, longitude, geometry) => {
+    const lat = Number(latitude);
+    const lng = Number(longitude);
+    return getPolygons(geometry).some(([outerRing, ...holes]) => {
+        return isInRing(lng, lat, outerRing) && !holes.some(hole => isInRing(lng, lat, hole));
+    });
+};
+module.exports.isInPolygon = isInPolygon;
+
+/**
+ * Gets the distance in miles from a point to the edge of a GeoJSON Polygon or MultiPolygon
+ * Distances are approximated by projecting the coordinates onto a plane around the point
+ *
+ * @param latitude The latitude of the point
+ * @param longitude The longitude of the point
+ * @param geometry A GeoJSON Polygon or MultiPolygon
+ * @returns The distance in miles to the closest edge
+ */
+const getDistanceToPolygon = (latitude, longitude, geometry) => {
+    const lat = Number(latitude);
+    const lng = Number(longitude);
+    const longitudeScale = Math.cos(lat * Math.PI / 180);
+    const project = ([x, y]) => [(x - lng) * longitudeScale * MILES_PER_DEGREE, (y - lat) * MILES_PER_DEGREE];
+
+    let distance = Infinity;
+    getPolygons(geometry).forEach(polygon => polygon.forEach(ring => {
+        for (let i = 1; i < ring.length; i++) {
+            const [x1, y1] = project(ring[i - 1]);
+            const [x2, y2] = project(ring[i]);
+            distance = Math.min(distance, distanceToLineSegment(x1, y1, x2, y2, 0, 0));
+        }
+    }));
+    return distance;
+};
+
+/**
+ * Gets the covered area containing a pair of GPS coordinates
+ *
+ * @param latitude The latitude of the point
+ * @param longitude The longitude of the point
+ * @returns The name and city of the covered area, undefined if the point isn't covered
+ */
+module.exports.findCoverageArea = (latitude, longitude) => {
+    const area = coverageAreas.find(feature => isInPolygon(latitude, longitude, feature.geometry));
+    return area && Object.assign({}, area.properties);
+};
+
+/**
+ * Gets the covered area closest to a pair of GPS coordinates
+ *
+ * @param latitude The latitude of the point
+ * @param longitude The longitude of the point
+ * @returns The name and city of the closest covered area along with its distance in miles
+ */
+module.exports.getNearestCoverageArea = (latitude, longitude) => {
+    return coverageAreas
+        .map(feature => Object.assign({}, feature.properties, {
+            distance: getDistanceToPolygon(latitude, longitude, feature.geometry)
+        }))
+        .reduce((nearest, area) => area.distance < nearest.distance ? area : nearest);
+};
+
+/**
+ * Builds the error returned when a pair of GPS coordinates is outside of every covered area
+ *
+ * @param latitude The latitude of the point
+ * @param longitude The longitude of the point
+ * @param param The parameter or parameters the coordinates came from
+ * @param location The location of the parameters
+ * @returns An OUT_OF_COVERAGE ApiError naming the nearest covered area
+ */
+const getOutOfCoverageError = (latitude, longitude, param, location) => {
+    const { name, city, distance } = module.exports.getNearestCoverageArea(latitude, longitude);
+    return new ApiError(
+        'OUT_OF_COVERAGE',
+        `Must be within an area covered by walkspan, the nearest is ${name}, ${city} about ${distance.toFixed(1)} miles away`,
+        param,
+        location);
+};
+module.exports.getOutOfCoverageError = getOutOfCoverageError;
+
+/**
+ * Checks if a pair of GPS coordinates is within one of the covered areas
+ *
+ * @param latitude The latitude of the point
+ * @param longitude The longitude of the point
+ * @param param The parameter or parameters the coordinates came from
+ * @param location The location of the parameters
+ * @throws ApiError OUT_OF_COVERAGE naming the nearest covered area when the point is outside of every covered area
+ */
+module.exports.assertInCoverage = (latitude, longitude, param, location) => {
+    if (!module.exports.findCoverageArea(latitude, longitude)) {
+        throw getOutOfCoverageError(latitude, longitude, param, location);
+    }
+};
@@ -2,12 +2,225 @@
  * @file essentialsHelper.js
  *
  * Helper functions for retrieving lifestyle essentials
+ * The categories of lifestyle essentials are defined in the file configured in src/config.js
  */
 
-const { queryOverpassForTags } = require('./overpass')
+const { createHash } = require('crypto');
+const { readFileSync } = require('fs');
+
+const config = require('../config');
+const { openEssentialsIndex, prepareEssentialsIndex } = require('../model/essentialsIndex');
+const { ApiError } = require('./apiError');
+const { getBoundingBoxFromCoordinatesAndRange } = require('./geocoder');
+const { matchesTagFilter, queryOverpassForTags } = require('./overpass')
+
+/**
+ * Reads the lifestyle essentials categories, each with a category_general label, a list of OpenStreetMaps tag filters,
+ * an optional subcategory, an optional limit on the number of lifestyle essentials and an optional Overpass timeout
+ *
+ * @param file The path of the JSON file defining the categories
+ * @returns The list of categories
+ * @throws Error when a category is missing its label or tags, or has an invalid limit or timeout
+ */
+const readEssentialsCategories = (file) => {
+    const { categories } = JSON.parse(readFileSync(file, 'utf8'));
+    categories.forEach((category, index) => {
+        if (!category.category_general || !Array.isArray(category.tags) || !category.tags.length) {
+            throw new Error(`Lifestyle essentials category ${index} of ${file} must have a category_general and a list of tags`);
+        }
+        if (category.limit !== undefined && !(Number.isInteger(category.limit) && category.limit > 0)) {
+            throw new Error(`Lifestyle essentials category ${index} of ${file} must have a positive integer limit`);
+        }
+        if (category.timeout !== undefined && !(typeof category.timeout === 'number' && category.timeout > 0)) {
+            throw new Error(`Lifestyle essentials category ${index} of ${file} must have a positive timeout`);
+        }
+    });
+    return categories;
+};
+
+const essentialsCategories = readEssentialsCategories(config.essentials.categories);
+module.exports.essentialsCategories = essentialsCategories;
 
 /**
- * Get's a set of lifestyle essentials using the Open StreetMaps Overpass API
+ * A fingerprint of the labels and tags of the categories, an offline index built with other categories is out of date
+ */
+const ESSENTIALS_CATEGORIES_VERSION = createHash('sha256')
+    .update(JSON.stringify(essentialsCategories.map(({ category_general, subcategory, tags }) => [category_general, subcategory, tags])))
+    .digest('hex');
+module.exports.ESSENTIALS_CATEGORIES_VERSION = ESSENTIALS_CATEGORIES_VERSION;
+
+/**
+ * Gets the categories an OpenStreetMaps element belongs to, which are those with at least one tag filter it matches
+ *
+ * @param tags The tags of the element
+ * @returns The position in the category configuration, category_general and category_exact of every matching category
+ */
+module.exports.getMatchingCategories = (tags) => {
+    return essentialsCategories
+        .map((category, position) => ({
+            position,
+            category_general: category.category_general,
+            category_exact: category.subcategory,
+            isMatch: category.tags.some(tag => matchesTagFilter(tags, tag))
+        }))
+        .filter(({ isMatch }) => isMatch)
+        .map(({ isMatch, ...category }) => category);
+};
+
+let essentialsIndex;
+
+/**
+ * Loads the offline index of lifestyle essentials, which is then served from instead of overpass for
+ * the coordinates it covers. An index built with other categories than the current ones is ignored
+ *
+ * @param file The path of the index database, defaults to essentials.index of src/config.js
+ * @returns True if the index was loaded
+ */
+const loadEssentialsIndex = (file = config.essentials.index) => {
+    if (essentialsIndex) {
+        essentialsIndex.db.close();
+        essentialsIndex = undefined;
+    }
+
+    const db = openEssentialsIndex(file);
+    if (!db) {
+        return false;
+    }
+    const index = prepareEssentialsIndex(db);
+    if (index.metadata.categories_version !== ESSENTIALS_CATEGORIES_VERSION) {
+        console.warn(`Ignoring the lifestyle essentials index ${file}, the categories changed since it was built. Run npm run essentials:ingest again`);
+        db.close();
+        return false;
+    }
+    essentialsIndex = Object.assign({ db }, index);
+    return true;
+};
+module.exports.loadEssentialsIndex = loadEssentialsIndex;
+
+loadEssentialsIndex();
+
+/**
+ * The names lifestyle essentials can be filtered by, every category_general and subcategory
+ */
+const ESSENTIALS_CATEGORY_NAMES = [...new Set(essentialsCategories
+    .reduce((names, category) => names.concat(category.category_general, category.subcategory || []), []))];
+module.exports.ESSENTIALS_CATEGORY_NAMES = ESSENTIALS_CATEGORY_NAMES;
+
+/**
+ * The ways lifestyle essentials can be sorted
+ */
+module.exports.ESSENTIALS_SORTS = ['distance'];
+
+/**
+ * The average walking speed in miles per hour used to estimate walking times
+ */
+const WALKING_SPEED = 3;
+module.exports.WALKING_SPEED = WALKING_SPEED;
+
+/**
+ * The number of meters in a mile
+ */
+module.exports.METERS_PER_MILE = 1609.344;
+
+/**
+ * The radius of the earth in miles
+ */
+const EARTH_RADIUS = 3958.8;
+
+/**
+ * Gets the straight-line distance between two pairs of GPS coordinates using the haversine formula
+ *
+ * @param latitude1 The latitude of the first point
+ * @param longitude1 The longitude of the first point
+ * @param latitude2 The latitude of the second point
+ * @param longitude2 The longitude of the second point
+ * @returns The distance in miles
+ */
+const getDistanceInMiles = (latitude1, longitude1, latitude2, longitude2) => {
+    const toRadians = degrees => Number(degrees) * Math.PI / 180;
+    const deltaLatitude = toRadians(latitude2) - toRadians(latitude1);
+    const deltaLongitude = toRadians(longitude2) - toRadians(longitude1);
+    const a = Math.sin(deltaLatitude / 2) ** 2 +
+        Math.cos(toRadians(latitude1)) * Math.cos(toRadians(latitude2)) * Math.sin(deltaLongitude / 2) ** 2;
+    return 2 * EARTH_RADIUS * Math.asin(Math.sqrt(a));
+};
+module.exports.getDistanceInMiles = getDistanceInMiles;
+
+/**
+ * Parses a comma separated list of lifestyle essentials categories
+ *
+ * @param categories A comma separated list of category_general or subcategory names
+ * @returns The list of names, undefined when no categories were given
+ */
+module.exports.parseEssentialsCategories = (categories) => {
+    if (categories === undefined || categories === null || categories === '') {
+        return undefined;
+    }
+    return String(categories).split(',').map(category => category.trim());
+};
+
+/**
+ * Gets lifestyle essentials from the offline index, applying the same search area and limits as overpass
+ * though keeping the nearest lifestyle essentials of a category when it has more than its limit
+ *
+ * @param categories The categories to get
+ * @param latitude The latitude of the center point
+ * @param longitude The longitude of the center point
+ * @param range The range in miles to look within
+ * @returns The lifestyle essentials of every category
+ */
+const findIndexedEssentials = (categories, latitude, longitude, range) => {
+    const indexedEssentials = essentialsIndex.findInBoundingBox(getBoundingBoxFromCoordinatesAndRange(latitude, longitude, range))
+        .map(essential => Object.assign(essential, {
+            distance: getDistanceInMiles(latitude, longitude, essential.latitude, essential.longitude)
+        }))
+        .filter(({ distance }) => config.essentials.searchArea !== 'radius' || distance <= range);
+
+    return categories.map(category => {
+        const position = essentialsCategories.indexOf(category);
+        return indexedEssentials
+            .filter(essential => essential.position === position)
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, category.limit || config.essentials.limit)
+            .map(({ id, name, latitude, longitude }) => ({
+                id,
+                name,
+                latitude,
+                longitude,
+                category_general: category.category_general,
+                category_exact: category.subcategory
+            }));
+    });
+};
+
+/**
+ * Checks if the offline index is loaded and covers a pair of GPS coordinates
+ *
+ * @param latitude The latitude of the point
+ * @param longitude The longitude of the point
+ * @returns True if the lifestyle essentials around the point can be served from the index
+ */
+const isCoveredByEssentialsIndex = (latitude, longitude) => {
+    if (!essentialsIndex) {
+        return false;
+    }
+    const { top, bottom, left, right } = essentialsIndex.metadata.bounds;
+    return latitude <= top && latitude >= bottom && longitude >= left && longitude <= right;
+};
+
+/**
+ * Gets the categories lifestyle essentials are requested for
+ *
+ * @param categories The category_general or subcategory names to keep, every category when undefined
+ * @returns The matching categories, in the order they are configured
+ */
+const getRequestedCategories = (categories) => categories ? essentialsCategories.filter(category =>
+    categories.includes(category.category_general) || categories.includes(category.subcategory)) : essentialsCategories;
+module.exports.getRequestedCategories = getRequestedCategories;
+
+/**
+ * Get's a set of lifestyle essentials from the offline index built with `npm run essentials:ingest` when it covers
+ * the coordinates, otherwise using the Open StreetMaps Overpass API
  * https://www.openstreetmap.org/
  * https://overpass-turbo.eu/
  * https://wiki.openstreetmap.org/wiki/Overpass_API
@@ -15,82 +228,78 @@ const { queryOverpassForTags } = require('./overpass')
  * @param latitude The latitude you would like to retrieve the lifestyle essentials for
  * @param longitude The longitude you would like to retrieve the lifestyle essentials for
  * @param range The range you would like to retrieve the lifestyle essentials for
- * @returns A set of lifestyle essentials
- */
-module.exports.getLifestyleEssentials = (latitude, longitude, range) => {
-
-    // Gets from overpass all lifestyle essentials with the tag 'amenity=restaurant'
-    const resturants = queryOverpassForTags('amenity=restaurant', latitude, longitude, range)
-      .then(response => { return response.features }).then(features => {
-        return features.map(feature => {
-          const properties = feature.properties;
-          const coordinates = feature.geometry.coordinates;
-          return {
-            "name": properties.tags.name,
-             "latitude": coordinates[1],
-             "longitude": coordinates[0],
-             "category_general": "food"
-          };
-        });
-      });
-
-    // Gets from overpass all lifestyle essentials with the tag 'public_transport'
-    const publicTransit = queryOverpassForTags('public_transport', latitude, longitude, range)
-        .then(response => { return response.features })
-        .then(features => {
-            return features.map(feature => {
-                const properties = feature.properties;
-                const coordinates = feature.geometry.coordinates;
-                return {
-                    "name": properties.tags.name,
-                    "latitude": coordinates[1],
-                    "longitude": coordinates[0],
-                    "category_general": "public transit"
-                };
-            });
-        });
+ * @param options.categories The category_general or subcategory names to keep, every category when undefined
+ * @param options.named True to drop the lifestyle essentials without a name
+ * @param options.sort 'distance' to sort the lifestyle essentials from the nearest to the farthest
+ * @returns The set of lifestyle essentials along with their distance and walking time from the coordinates,
+ * and a warning for every category overpass failed to get, whose lifestyle essentials are left out
+ * @throws ApiError UPSTREAM_UNAVAILABLE when overpass failed to get every requested category
+ */
+module.exports.getLifestyleEssentials = (latitude, longitude, range, { categories, named = false, sort } = {}) => {
 
-    // Gets from overpass all lifestyle essentials with the tag 'tourism'
-    const interest = queryOverpassForTags('tourism', latitude, longitude, range)
-        .then(response => { return response.features })
-        .then(features => {
-            return features.map(feature => {
-                const properties = feature.properties;
-                const coordinates = feature.geometry.coordinates;
-                return {
-                    "name": properties.tags.name,
-                    "latitude": coordinates[1],
-                    "longitude": coordinates[0],
-                    "category_general": "interest"
-                };
-            });
+    const requestedCategories = getRequestedCategories(categories);
+
+    // Gets the lifestyle essentials of every requested category from the offline index when it covers the coordinates
+    // and otherwise from overpass, a category overpass fails to get is left out with a warning
+    const warnings = [];
+    const categorizedEssentials = isCoveredByEssentialsIndex(latitude, longitude) ?
+        findIndexedEssentials(requestedCategories, latitude, longitude, range) :
+        requestedCategories.map((category, index) => {
+            const { limit, timeout } = category;
+            return queryOverpassForTags(category.tags, latitude, longitude, range, { limit, timeout })
+                .then(response => { return response.features })
+                .then(features => {
+                    return features.map(feature => {
+                        const properties = feature.properties;
+                        const coordinates = feature.geometry.coordinates;
+                        return {
+                            "id": feature.id,
+                            "name": properties.tags.name,
+                            "latitude": coordinates[1],
+                            "longitude": coordinates[0],
+                            "category_general": category.category_general,
+                            "category_exact": category.subcategory
+                        };
+                    });
+                })
+                .catch(error => {
+                    warnings[index] = {
+                        "category_general": category.category_general,
+                        "category_exact": category.subcategory,
+                        "message": error.message
+                    };
+                    return [];
+                });
         });
 
-    // Get's from overpass all lifestyle essentials with the tag 'leisure'
-    const comfort = queryOverpassForTags('leisure', latitude, longitude, range)
-        .then(response => { return response.features })
-        .then(features => {
-            return features.map(feature => {
-                const properties = feature.properties;
-                const coordinates = feature.geometry.coordinates;
-                return {
-                    "name": properties.tags.name,
-                    "latitude": coordinates[1],
-                    "longitude": coordinates[0],
-                    "category_general": "comfort"
-                };
+    // Combines all the retrieved lifestyle essentials into a single set, an element matching several categories
+    // is only kept in the first one
+    return Promise.all(categorizedEssentials).then(fetchedEssentials => {
+        if (requestedCategories.length && warnings.filter(warning => warning).length === requestedCategories.length) {
+            throw new ApiError('UPSTREAM_UNAVAILABLE', `Failed to get the lifestyle essentials: ${warnings[0].message}`);
+        }
+
+        const seenIds = new Set();
+        const lifestyleEssentials = fetchedEssentials
+            .reduce((prev, next) => {
+                return prev.concat(next);
+            }, [])
+            .filter(({ id }) => !seenIds.has(id) && seenIds.add(id))
+            .filter(({ name }) => !named || name)
+            .map(({ id, ...lifestyleEssential }) => {
+                const distance = getDistanceInMiles(latitude, longitude, lifestyleEssential.latitude, lifestyleEssential.longitude);
+                return Object.assign(lifestyleEssential, {
+                    "distance": Math.round(distance * 1000) / 1000,
+                    "walking_time": Math.ceil(distance / WALKING_SPEED * 60)
+                });
             });
-        });
 
-    // Combines all the retrieved lifestyle essentials into a single set
-    return Promise.all([
-      resturants,
-      publicTransit,
-      interest,
-      comfort
-    ]).then(fetchedEssentials => {
-      return fetchedEssentials.reduce((prev, next) => {
-        return prev.concat(next);
-      })
+        if (sort === 'distance') {
+            lifestyleEssentials.sort((a, b) => a.distance - b.distance);
+        }
+        return {
+            "essentials": lifestyleEssentials,
+            "warnings": warnings.filter(warning => warning)
+        };
     });
 };
@@ -0,0 +1,52 @@
+/**
+ * @file fetchJson.js
+ *
+ * Gets JSON from the HTTP APIs that don't come with a client library of their own, such as the locators'
+ */
+
+const http = require('http');
+const https = require('https');
+
+/**
+ * Gets the JSON body of a GET request
+ *
+ * @param url The url requested
+ * @param options.params The query parameters added to the url, undefined ones are left out
+ * @param options.headers The headers of the request
+ * @param options.timeout The number of seconds the request may take
+ * @returns The parsed body of the response
+ * @throws Error with the status and parsed body of the response when it isn't a 2xx, or when the request
+ * failed, timed out or its body isn't JSON
+ */
+module.exports.fetchJson = (url, { params = {}, headers = {}, timeout = 10 } = {}) => {
+    const requestUrl = new URL(url);
+    Object.keys(params)
+        .filter(name => params[name] !== undefined)
+        .forEach(name => requestUrl.searchParams.set(name, params[name]));
+    const client = requestUrl.protocol === 'http:' ? http : https;
+
+    return new Promise((resolve, reject) => {
+        const request = client.get(requestUrl, { headers: Object.assign({ Accept: 'application/json' }, headers) }, (response) => {
+            let body = '';
+            response.setEncoding('utf8');
+            response.on('data', chunk => body += chunk);
+            response.on('end', () => {
+                let json;
+                try {
+                    json = JSON.parse(body);
+                } catch (error) {
+                    json = undefined;
+                }
+                if (response.statusCode < 200 || response.statusCode >= 300 || json === undefined) {
+                    const error = new Error(`${requestUrl.origin}${requestUrl.pathname} answered with a ${response.statusCode}`);
+                    error.status = response.statusCode;
+                    error.body = json;
+                    return reject(error);
+                }
+                resolve(json);
+            });
+        });
+        request.setTimeout(timeout * 1000, () => request.destroy(new Error(`${requestUrl.origin} timed out after ${timeout} seconds`)));
+        request.on('error', reject);
+    });
+};
@@ -2,56 +2,266 @@
  * @file geocoder.js
  *
  * Helper functions for geocoding operations
+ * Geocoding requests are answered by the provider in src/lib/geocoders chosen in src/config.js
  */
 
-const nominatim = require("nominatim-geocoder");
 const { parseAddress } = require("addresser");
-const underscore = require("underscore");
 
-const geocoder = new nominatim();
+const config = require("../config");
+const { ApiError } = require("./apiError");
+const { createTtlCache } = require("./ttlCache");
 
 /**
- * Get the current city containing the specified gps coordinates using the Open Street Maps Nominatim API
- * https://www.openstreetmap.org/
- * https://nominatim.org/
- * https://nominatim.org/release-docs/develop/api/Overview/
+ * How far in degrees a candidate has to be from the best match to be a different location, roughly 100 meters
+ */
+const DISTINCT_LOCATION_DISTANCE = 0.001;
+
+/**
+ * The available geocoder providers, each creating a geocoder from the geocoder configuration
+ */
+const providers = {
+	nominatim: ({ nominatimUrl }) => require("./geocoders/nominatim")({ baseUrl: nominatimUrl }),
+	local: ({ fixtures }) => require("./geocoders/local")({ fixtures })
+};
+
+let geocoder;
+
+/**
+ * Gets the geocoder of the configured provider, creating it on first use
+ *
+ * @returns The geocoder
+ * @throws Error when the configured provider doesn't exist
+ */
+const getGeocoder = () => {
+	if (!geocoder) {
+		const createGeocoder = providers[config.geocoder.provider];
+		if (!createGeocoder) {
+			throw new Error(`Unknown geocoder provider ${config.geocoder.provider}, must be one of ${Object.keys(providers).join(', ')}`);
+		}
+		geocoder = createGeocoder(config.geocoder);
+	}
+	return geocoder;
+};
+
+/**
+ * Caches reverse geocoding results by rounded coordinates, a city that wasn't found is a not found result
+ */
+const cityCache = createTtlCache(Object.assign({}, config.geocoder.cache, {
+	isNotFound: city => !city
+}));
+
+/**
+ * Caches forward geocoding results by normalized address, missing coordinates are a not found result
+ */
+const coordinatesCache = createTtlCache(Object.assign({}, config.geocoder.cache, {
+	isNotFound: coordinates => !coordinates || !coordinates.latitude || !coordinates.longitude
+}));
+
+/**
+ * Caches place lookups by place id, a place that wasn't found is a not found result
+ */
+const placeCache = createTtlCache(Object.assign({}, config.geocoder.cache, {
+	isNotFound: place => !place
+}));
+
+/**
+ * Normalizes an address so the same address written differently shares a cache entry
+ *
+ * @param address A street address as a string
+ * @returns The normalized address
+ */
+const normalizeAddress = (address) => String(address).trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Get the current city containing the specified gps coordinates
  *
  * @param latitude the latitude of the current city
  * @param longitude the longitude of the current city
  * @returns The name of the current city if it exists
  */
 module.exports.getCityFromGpsCoordinates = async (latitude, longitude) => {
-	return await geocoder.reverse({
-		lat: latitude,
-		lon: longitude
-	}).then(reverse => underscore.get(reverse, ['address', 'city']));
+	const precision = config.geocoder.cache.coordinatePrecision;
+	const key = `${Number(latitude).toFixed(precision)},${Number(longitude).toFixed(precision)}`;
+	return await cityCache.get(key, () => getGeocoder().getCityFromGpsCoordinates(latitude, longitude));
 };
 
 /**
- * Get a pair of GPS coordinates for an address using the Open Street Maps Nominatim API
- * https://www.openstreetmap.org/
- * https://nominatim.org/
- * https://nominatim.org/release-docs/develop/api/Overview/
+ * Parses an address into its components
  *
  * @param address A street address as a string
- * @returns A pair of GPS coordinates if they exist
+ * @returns The components of the address
+ * @throws A message when the address can't be parsed
+ */
+const parseAddressComponents = (address) => {
+	const { addressLine1, streetNumber, streetName, streetSuffix, placeName, stateAbbreviation, zipCode } = parseAddress(address);
+	return {
+		address_line_1: addressLine1,
+		street_number: streetNumber,
+		street_name: streetName,
+		street_suffix: streetSuffix,
+		city: placeName,
+		state: stateAbbreviation,
+		zip_code: zipCode
+	};
+};
+
+/**
+ * Checks if the best match of an address is ambiguous, which is when another candidate at a different location
+ * matches the address about as well as it does
+ *
+ * @param candidates The candidates for an address, best match first
+ * @returns True if the best match is ambiguous
+ */
+const isAmbiguousMatch = (candidates) => {
+	const [match, ...alternatives] = candidates;
+	return alternatives.some(candidate =>
+		match.confidence - candidate.confidence < config.geocoder.ambiguityMargin &&
+		(Math.abs(candidate.latitude - match.latitude) > DISTINCT_LOCATION_DISTANCE ||
+			Math.abs(candidate.longitude - match.longitude) > DISTINCT_LOCATION_DISTANCE));
+};
+
+/**
+ * Get a pair of GPS coordinates for an address along with what the address was matched to
+ * The coordinates, display address, match type and confidence are those of the best match,
+ * they're all undefined when nothing matched the address
+ *
+ * @param address A street address as a string
+ * @returns The coordinates of the best match, the components the address was parsed into
+ * and up to geocoder.maxCandidates candidates ordered from the best to the worst match
+ * @throws A message when the address can't be parsed
  */
 module.exports.getGPSCoordinatesFromAddress = async (address) => {
-	const { addressLine1, zipCode } = parseAddress(address)
-	return await geocoder.search({
-		street: addressLine1,
-		postalcode: zipCode,
-		limit: 1
-	}).then(result => {
-		const latitude =  underscore.get(result, [0, 'lat']);
-		const longitude =  underscore.get(result, [0, 'lon']);
+	return await coordinatesCache.get(normalizeAddress(address), async () => {
+		const components = parseAddressComponents(address);
+		const { maxCandidates } = config.geocoder;
+		const candidates = (await getGeocoder().searchAddress(address, { components, limit: maxCandidates }))
+			.slice(0, maxCandidates);
+		const { latitude, longitude, display_address, match_type, confidence } = candidates[0] || {};
 		return {
+			query: address,
 			latitude,
-			longitude
+			longitude,
+			display_address,
+			match_type,
+			confidence,
+			components,
+			candidates,
+			ambiguous: candidates.length > 0 && isAmbiguousMatch(candidates)
 		};
 	});
 };
 
+/**
+ * Gets what an address was matched to, for responses to echo back
+ *
+ * @param geocodedAddress The result of getGPSCoordinatesFromAddress
+ * @returns The query, display address, match type, confidence and components of the match
+ */
+module.exports.getMatchedAddress = ({ query, display_address, match_type, confidence, components }) => {
+	return {
+		query,
+		display_address,
+		match_type,
+		confidence,
+		components
+	};
+};
+
+/**
+ * Geocodes an address sent to an endpoint, failing with the error to respond with when it can't be located
+ *
+ * @param address A street address as a string
+ * @param param The parameter the address came from
+ * @param location The location of the parameter
+ * @returns The result of getGPSCoordinatesFromAddress
+ * @throws ApiError GEOCODE_NOT_FOUND when the address can't be parsed or nothing matches it, UPSTREAM_UNAVAILABLE
+ * when the geocoder failed, AMBIGUOUS_ADDRESS along with the candidates to pick from when it matches several
+ * locations about as well
+ */
+module.exports.geocodeAddress = async (address, param, location) => {
+	let geocodedAddress;
+	try {
+		geocodedAddress = await module.exports.getGPSCoordinatesFromAddress(address);
+	} catch (error) {
+		// The address parser throws its messages as strings, every other error comes from the geocoder
+		if (typeof error === 'string') {
+			throw new ApiError('GEOCODE_NOT_FOUND', `Unable to geocode address: ${error}`, param, location);
+		}
+		throw new ApiError('UPSTREAM_UNAVAILABLE', `The geocoder is unavailable: ${error.message || error}`, param, location);
+	}
+
+	const { query, latitude, longitude, ambiguous, candidates } = geocodedAddress;
+	if (!latitude || !longitude) {
+		throw new ApiError('GEOCODE_NOT_FOUND', `No location matches the address ${query}`, param, location);
+	} else if (ambiguous) {
+		throw new ApiError(
+			'AMBIGUOUS_ADDRESS',
+			`The address ${query} matches several locations, retry with the display address of one of the candidates`,
+			param,
+			location,
+			// Providers such as Nominatim give coordinates as strings, the candidates are answered as documented
+			{ candidates: candidates.map(candidate => Object.assign({}, candidate, {
+				latitude: Number(candidate.latitude),
+				longitude: Number(candidate.longitude)
+			})) });
+	}
+	return geocodedAddress;
+};
+
+/**
+ * Get the GPS coordinates of a place from its id
+ *
+ * @param placeId The id of the place with the geocoder, such as an OpenStreetMap id with Nominatim
+ * @returns The coordinates and display address of the place, undefined if there's no such place
+ */
+module.exports.lookupPlace = async (placeId) => {
+	return await placeCache.get(String(placeId).toUpperCase(), () => getGeocoder().lookupPlace(placeId));
+};
+
+/**
+ * Locates a place id sent to an endpoint, failing with the error to respond with when it can't be located
+ *
+ * @param placeId The id of the place
+ * @param param The parameter the place id came from
+ * @param location The location of the parameter
+ * @returns The result of lookupPlace
+ * @throws ApiError GEOCODE_NOT_FOUND when there's no such place, UPSTREAM_UNAVAILABLE when the geocoder failed
+ */
+module.exports.locatePlace = async (placeId, param, location) => {
+	let place;
+	try {
+		place = await module.exports.lookupPlace(placeId);
+	} catch (error) {
+		throw new ApiError('UPSTREAM_UNAVAILABLE', `The geocoder is unavailable: ${error.message || error}`, param, location);
+	}
+	if (!place || !place.latitude || !place.longitude) {
+		throw new ApiError('GEOCODE_NOT_FOUND', `No location matches the place ${placeId}`, param, location);
+	}
+	return place;
+};
+
+/**
+ * Gets the hit and miss counters of the geocoding caches
+ *
+ * @returns The counters of the reverse geocoding, forward geocoding and place lookup caches
+ */
+module.exports.getGeocoderCacheStats = () => {
+	return {
+		city: cityCache.getStats(),
+		coordinates: coordinatesCache.getStats(),
+		place: placeCache.getStats()
+	};
+};
+
+/**
+ * Empties the geocoding caches and resets their counters
+ */
+module.exports.clearGeocoderCache = () => {
+	cityCache.clear();
+	coordinatesCache.clear();
+	placeCache.clear();
+};
+
 /**
  * Get's the coordinates of a bounding box for a pair of GPS coordinates
  *
@@ -0,0 +1,79 @@
+/**
+ * @file local.js
+ *
+ * A geocoder answering from a fixture file instead of a live service
+ * Used by the tests and for local development so neither depends on the network
+ */
+
+const { readFileSync } = require('fs');
+
+/**
+ * How far in degrees coordinates can be from a fixture and still match it, roughly 100 meters
+ */
+const REVERSE_TOLERANCE = 0.001;
+
+/**
+ * Normalizes an address so fixtures match regardless of case and whitespace
+ *
+ * @param address A street address as a string
+ * @returns The normalized address
+ */
+const normalizeAddress = (address) => String(address).trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Creates a geocoder answering from a fixture file
+ *
+ * @param options.fixtures The path of a JSON file with an "addresses" object mapping addresses to their candidates,
+ * a "reverse" list of coordinates along with their city and a "places" object mapping place ids to their location.
+ * An address maps to either a single candidate or a list of them, a candidate's display address, match type
+ * and confidence default to the address, 'house_number' and 1
+ * @returns The geocoder
+ */
+module.exports = ({ fixtures }) => {
+    const { addresses = {}, reverse = [], places = {} } = JSON.parse(readFileSync(fixtures, 'utf8'));
+    const normalizedAddresses = {};
+    Object.keys(addresses).forEach(address => {
+        normalizedAddresses[normalizeAddress(address)] = [].concat(addresses[address]).map(candidate => Object.assign({
+            display_address: address,
+            match_type: 'house_number',
+            confidence: 1
+        }, candidate));
+    });
+
+    return {
+        /**
+         * Get the city of the fixture at the specified gps coordinates
+         *
+         * @param latitude the latitude of the current city
+         * @param longitude the longitude of the current city
+         * @returns The name of the current city if a fixture exists for it
+         */
+        getCityFromGpsCoordinates: async (latitude, longitude) => {
+            const match = reverse.find(fixture =>
+                Math.abs(fixture.latitude - latitude) <= REVERSE_TOLERANCE &&
+                Math.abs(fixture.longitude - longitude) <= REVERSE_TOLERANCE);
+            return match && match.city;
+        },
+
+        /**
+         * Gets the candidates of the fixture for an address
+         *
+         * @param address A street address as a string
+         * @param options.limit The maximum number of candidates
+         * @returns The candidates of the fixture, best match first, none if there isn't a fixture for the address
+         */
+        searchAddress: async (address, { limit }) => {
+            return (normalizedAddresses[normalizeAddress(address)] || []).slice(0, limit);
+        },
+
+        /**
+         * Gets the fixture of a place
+         *
+         * @param placeId The id of the place
+         * @returns The coordinates and display address of the place, undefined if there isn't a fixture for it
+         */
+        lookupPlace: async (placeId) => {
+            return places[String(placeId).toUpperCase()];
+        }
+    };
+};
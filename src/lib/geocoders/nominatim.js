@@ -0,0 +1,151 @@
+/**
+ * @file nominatim.js
+ *
+ * A geocoder using the Open Street Maps Nominatim API
+ * https://www.openstreetmap.org/
+ * https://nominatim.org/
+ * https://nominatim.org/release-docs/develop/api/Overview/
+ */
+
+const nominatim = require("nominatim-geocoder");
+const underscore = require("underscore");
+
+/**
+ * Gets how a Nominatim search result matched an address
+ *
+ * @param result A Nominatim search result with its address details
+ * @returns 'house_number' when it's a building or address, 'street' when it's a whole street,
+ * 'postcode' when it's a postcode area and 'place' for anything else
+ */
+const getMatchType = (result) => {
+    if (underscore.get(result, ['address', 'house_number'])) {
+        return 'house_number';
+    } else if (result.class === 'highway') {
+        return 'street';
+    } else if (result.type === 'postcode') {
+        return 'postcode';
+    }
+    return 'place';
+};
+
+/**
+ * Gets the share of the parsed components of an address that a Nominatim search result agrees with
+ *
+ * @param result A Nominatim search result with its address details
+ * @param components The components the address was parsed into
+ * @returns A confidence between 0 and 1
+ */
+const getConfidence = (result, components) => {
+    const address = result.address || {};
+    const checks = [];
+    if (components.street_number) {
+        checks.push(address.house_number === components.street_number);
+    }
+    if (components.street_name) {
+        checks.push(String(address.road || '').toLowerCase().includes(components.street_name.toLowerCase()));
+    }
+    if (components.zip_code) {
+        checks.push(address.postcode === components.zip_code);
+    }
+    return checks.length ? checks.filter(check => check).length / checks.length : 0;
+};
+
+/**
+ * Gets a display address for a Nominatim search result that can itself be geocoded again
+ *
+ * @param result A Nominatim search result with its address details
+ * @returns The street, city, state and postcode of the result, or its display name when it has no street
+ */
+const getDisplayAddress = (result) => {
+    const address = result.address || {};
+    if (!address.road) {
+        return result.display_name;
+    }
+    const street = [address.house_number, address.road].filter(part => part).join(' ');
+    const city = address.city || address.town || address.village || address.suburb;
+    return [street, city, [address.state, address.postcode].filter(part => part).join(' ')]
+        .filter(part => part)
+        .join(', ');
+};
+
+/**
+ * Gets the OpenStreetMap id of a place in the form Nominatim lookups take
+ *
+ * @param placeId The id of a place, N, W or R for a node, way or relation followed by its id such as W42127044
+ * @returns The id of the place with its type in upper case
+ */
+const getOsmId = (placeId) => String(placeId).charAt(0).toUpperCase() + String(placeId).slice(1);
+
+/**
+ * Creates a geocoder querying Nominatim
+ *
+ * @param options.baseUrl The base url of a self-hosted Nominatim, the public service is used when undefined
+ * @returns The geocoder
+ */
+module.exports = ({ baseUrl } = {}) => {
+    const geocoder = new nominatim({ customUrl: baseUrl });
+
+    return {
+        /**
+         * Get the current city containing the specified gps coordinates
+         *
+         * @param latitude the latitude of the current city
+         * @param longitude the longitude of the current city
+         * @returns The name of the current city if it exists
+         */
+        getCityFromGpsCoordinates: async (latitude, longitude) => {
+            return await geocoder.reverse({
+                lat: latitude,
+                lon: longitude
+            }).then(reverse => underscore.get(reverse, ['address', 'city']));
+        },
+
+        /**
+         * Searches for the locations matching an address
+         *
+         * @param address A street address as a string
+         * @param options.components The components the address was parsed into
+         * @param options.limit The maximum number of candidates
+         * @returns The candidates matching the address, best match first
+         */
+        searchAddress: async (address, { components, limit }) => {
+            return await geocoder.search({
+                street: components.address_line_1,
+                postalcode: components.zip_code,
+                addressdetails: 1,
+                limit
+            }).then(results => {
+                // Nominatim orders results by importance, the most confident ones are moved first keeping that order
+                return underscore.sortBy((results || []).map(result => ({
+                    latitude: result.lat,
+                    longitude: result.lon,
+                    display_address: getDisplayAddress(result),
+                    match_type: getMatchType(result),
+                    confidence: getConfidence(result, components)
+                })), candidate => -candidate.confidence);
+            });
+        },
+
+        /**
+         * Looks up a place by its OpenStreetMap id
+         * https://nominatim.org/release-docs/develop/api/Lookup/
+         *
+         * @param placeId The OpenStreetMap id of the place, such as W42127044
+         * @returns The coordinates and display address of the place, undefined if there's no such place
+         */
+        lookupPlace: async (placeId) => {
+            const url = geocoder.buildUrl(geocoder.options, '/lookup');
+            return await geocoder.query(url, {
+                osm_ids: getOsmId(placeId),
+                addressdetails: 1
+            }).then(results => {
+                const [result] = results || [];
+                return result && {
+                    latitude: result.lat,
+                    longitude: result.lon,
+                    display_address: getDisplayAddress(result)
+                };
+            });
+        }
+    };
+};
@@ -0,0 +1,129 @@
+/**
+ * @file geojsonHelper.js
+ *
+ * Helper functions for representing walkspan's responses as GeoJSON, for GIS tools and map libraries
+ * such as Mapbox and Leaflet to consume directly
+ * https://datatracker.ietf.org/doc/html/rfc7946
+ */
+
+const { SCORE_CATEGORIES } = require('./scoreHelper');
+
+/**
+ * The formats the score and lifestyle essentials endpoints can respond with
+ * json: the flat JSON response
+ * geojson: a GeoJSON FeatureCollection
+ */
+module.exports.RESPONSE_FORMATS = ['json', 'geojson'];
+
+/**
+ * The media type of GeoJSON responses
+ */
+module.exports.GEOJSON_CONTENT_TYPE = 'application/geo+json';
+
+/**
+ * Builds a GeoJSON FeatureCollection
+ *
+ * @param features The list of features
+ * @param members The other members of the collection, such as the aggregated scores of its features
+ * @returns The FeatureCollection
+ */
+const toFeatureCollection = (features, members = {}) => Object.assign({
+    type: 'FeatureCollection',
+    features
+}, members);
+module.exports.toFeatureCollection = toFeatureCollection;
+
+/**
+ * Builds the LineString feature of a sidewalk
+ *
+ * @param sidewalk A normalized sidewalk
+ * @returns The feature with the data source, id and scores of the sidewalk as its properties
+ */
+const sidewalkToFeature = (sidewalk) => {
+    const properties = {
+        source: sidewalk.source,
+        sidewalk_id: sidewalk.sidewalk_id
+    };
+    SCORE_CATEGORIES.forEach(category => {
+        properties[category] = sidewalk[category];
+    });
+
+    return {
+        type: 'Feature',
+        geometry: {
+            type: 'LineString',
+            coordinates: [
+                [sidewalk.sidewalk_starting_longitude, sidewalk.sidewalk_starting_latitude],
+                [sidewalk.sidewalk_ending_longitude, sidewalk.sidewalk_ending_latitude]
+            ]
+        },
+        properties
+    };
+};
+module.exports.sidewalkToFeature = sidewalkToFeature;
+
+/**
+ * Builds the FeatureCollection of a walkspan score
+ *
+ * @param score The score as returned by getScore
+ * @param sidewalks The sidewalks the score was computed from
+ * @returns A LineString feature for every sidewalk along with every member of the score
+ */
+module.exports.scoreToFeatureCollection = (score, sidewalks) => {
+    return toFeatureCollection(sidewalks.map(sidewalkToFeature), score);
+};
+
+/**
+ * Builds the Point feature of a lifestyle essential
+ *
+ * @param essential A lifestyle essential as returned by getLifestyleEssentials
+ * @returns The feature with everything but the location of the lifestyle essential as its properties
+ */
+const essentialToFeature = ({ latitude, longitude, ...properties }) => ({
+    type: 'Feature',
+    geometry: {
+        type: 'Point',
+        coordinates: [longitude, latitude]
+    },
+    properties
+});
+module.exports.essentialToFeature = essentialToFeature;
+
+/**
+ * Builds the FeatureCollection of a set of lifestyle essentials
+ *
+ * @param lifestyleEssentials The lifestyle essentials and warnings as returned by getLifestyleEssentials
+ * @returns A Point feature for every lifestyle essential along with the warnings
+ */
+module.exports.essentialsToFeatureCollection = ({ essentials, warnings }) => {
+    return toFeatureCollection(essentials.map(essentialToFeature), { warnings });
+};
+
+/**
+ * Builds the FeatureCollection of a scored pair of walking routes
+ *
+ * @param routeScore The origin, destination and routes as returned by the route score endpoint
+ * @returns A LineString feature for every segment of every route, each named after its route,
+ * along with the origin, the destination and the summary of each route
+ */
+module.exports.routesToFeatureCollection = ({ origin, destination, ...routes }) => {
+    const features = [];
+    const summaries = {};
+    Object.entries(routes).forEach(([name, { segments, ...summary }]) => {
+        summaries[name] = summary;
+        segments.forEach(({ starting_latitude, starting_longitude, ending_latitude, ending_longitude, ...properties }) => {
+            features.push({
+                type: 'Feature',
+                geometry: {
+                    type: 'LineString',
+                    coordinates: [
+                        [starting_longitude, starting_latitude],
+                        [ending_longitude, ending_latitude]
+                    ]
+                },
+                properties: Object.assign({ route: name }, properties)
+            });
+        });
+    });
+    return toFeatureCollection(features, { origin, destination, routes: summaries });
+};
@@ -9,6 +9,31 @@ const { compile } = require('handlebars');
 
 const { getBoundingBoxFromCoordinatesAndRange } = require('./geocoder');
 
+/**
+ * The sidewalk scores drawn as polylines in the score widget
+ */
+const SCORE_FIELDS = [
+    'natural_beauty_score',
+    'manmade_beauty_score',
+    'comfort_score',
+    'interest_score',
+    'safety_score',
+    'access_score',
+    'amenities_score'
+];
+
+/**
+ * The scripts and styles of the score widget, see src/lib/widgetAssets.js
+ */
+const SCORE_WIDGET_ASSETS = ['leaflet.css', 'bootstrap.css', 'jquery.js', 'bootstrap.js', 'leaflet.js'];
+module.exports.SCORE_WIDGET_ASSETS = SCORE_WIDGET_ASSETS;
+
+/**
+ * The scripts and styles of the lifestyle essentials widget, which draws its markers on a canvas
+ */
+const ESSENTIALS_WIDGET_ASSETS = SCORE_WIDGET_ASSETS.concat(['rbush.js', 'leaflet-markers-canvas.js']);
+module.exports.ESSENTIALS_WIDGET_ASSETS = ESSENTIALS_WIDGET_ASSETS;
+
 /**
  * Generates the Lifestyle Essentials widget
  *
@@ -16,9 +41,10 @@ const { getBoundingBoxFromCoordinatesAndRange } = require('./geocoder');
  * @param longitude the longitude for the center point of the lifestyle essentials map
  * @param range the coordinate range displayed in the lifestyle essentials map
  * @param essentialsList the list of pre-generated lifestyle essentials
+ * @param widget the assets, nonce and Content-Security-Policy of the widget from createWidgetContext
  * @returns The HTML source code for the lifestyle essentials widget
  */
-module.exports.generateEssentialsWidget = (latitude, longitude, range, essentialsList) => {
+module.exports.generateEssentialsWidget = (latitude, longitude, range, essentialsList, widget) => {
 
     const {topLat, bottomLat, leftLng, rightLng} = getBoundingBoxFromCoordinatesAndRange(latitude, longitude, range);
 
@@ -32,7 +58,8 @@ module.exports.generateEssentialsWidget = (latitude, longitude, range, essential
         leftLng,
         rightLng,
         categories,
-        essentialsList
+        essentialsList,
+        widget
     }).split('``').join("''").split(`.bindPopup('\\')`).join('')
 };
 
@@ -43,13 +70,16 @@ module.exports.generateEssentialsWidget = (latitude, longitude, range, essential
  * @param longitude the longitude for the center point of the score map
  * @param closestSidewalk the closest sidewalk
  * @param sidewalksInRadius the list of sidewalks within the radius
+ * @param range the range in miles displayed in the score map
+ * @param widget the assets, nonce and Content-Security-Policy of the widget from createWidgetContext
  * @returns The HTML source code for the score widget
  */
 module.exports.generateScoreWidget = (latitude,
                                       longitude,
                                       closestSidewalk,
                                       sidewalksInRadius,
-                                      range) => {
+                                      range,
+                                      widget) => {
 
     const {topLat, bottomLat, leftLng, rightLng} = getBoundingBoxFromCoordinatesAndRange(latitude, longitude, range);
 
@@ -64,6 +94,16 @@ module.exports.generateScoreWidget = (latitude,
         latitude,
         longitude,
         closestSidewalk,
-        sidewalksInRadius
+        widget,
+        // Scores a data source doesn't provide are drawn fully transparent instead of breaking the widget's script
+        sidewalksInRadius: sidewalksInRadius.map(sidewalk => {
+            const drawableSidewalk = Object.assign({}, sidewalk);
+            SCORE_FIELDS.forEach(field => {
+                if (drawableSidewalk[field] === null) {
+                    drawableSidewalk[field] = 0;
+                }
+            });
+            return drawableSidewalk;
+        })
     });
 };
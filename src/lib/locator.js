@@ -0,0 +1,121 @@
+/**
+ * @file locator.js
+ *
+ * Locates the identifiers of a location that aren't street addresses or place ids: BBL and BIN parcel identifiers
+ * and three word addresses. Each kind of identifier is located by the provider in src/lib/locators chosen for it
+ * in src/config.js
+ */
+
+const config = require('../config');
+const { ApiError } = require('./apiError');
+const { createTtlCache } = require('./ttlCache');
+
+/**
+ * The available locator providers, each creating a locator from the locator configuration
+ */
+const providers = {
+    nycOpenData: ({ nycOpenDataUrl, nycOpenDataAppToken, timeout }) =>
+        require('./locators/nycOpenData')({ baseUrl: nycOpenDataUrl, appToken: nycOpenDataAppToken, timeout }),
+    what3words: ({ what3wordsUrl, what3wordsApiKey, timeout }) =>
+        require('./locators/what3words')({ baseUrl: what3wordsUrl, apiKey: what3wordsApiKey, timeout }),
+    local: ({ fixtures }) => require('./locators/local')({ fixtures })
+};
+
+/**
+ * The setting of src/config.js naming the provider of each kind of identifier
+ */
+const PROVIDER_SETTINGS = {
+    bbl: 'parcel',
+    bin: 'parcel',
+    words: 'words'
+};
+
+/**
+ * The kinds of identifiers that can be located
+ */
+module.exports.LOCATOR_KINDS = Object.keys(PROVIDER_SETTINGS);
+
+const locators = {};
+
+/**
+ * Gets the locator of the provider configured for a kind of identifier, creating it on first use
+ *
+ * @param kind One of LOCATOR_KINDS
+ * @returns The locator
+ * @throws Error when the configured provider doesn't exist or can't locate that kind of identifier
+ */
+const getLocator = (kind) => {
+    const provider = config.locator[PROVIDER_SETTINGS[kind]];
+    if (!locators[provider]) {
+        const createLocator = providers[provider];
+        if (!createLocator) {
+            throw new Error(`Unknown locator provider ${provider}, must be one of ${Object.keys(providers).join(', ')}`);
+        }
+        locators[provider] = createLocator(config.locator);
+    }
+    if (!locators[provider].kinds.includes(kind)) {
+        throw new Error(`The ${provider} locator can't locate a ${kind}`);
+    }
+    return locators[provider];
+};
+
+/**
+ * Caches located identifiers by kind and identifier, an identifier that wasn't found is a not found result
+ */
+const locationCache = createTtlCache(Object.assign({}, config.geocoder.cache, {
+    isNotFound: location => !location
+}));
+
+/**
+ * Normalizes an identifier so the same identifier written differently shares a cache entry
+ *
+ * @param kind One of LOCATOR_KINDS
+ * @param identifier The identifier
+ * @returns The identifier, three word addresses in lower case without their leading ///
+ */
+const normalizeIdentifier = (kind, identifier) => {
+    const normalized = String(identifier).trim();
+    return kind === 'words' ? normalized.replace(/^\/+/, '').toLowerCase() : normalized;
+};
+
+/**
+ * Gets the GPS coordinates of an identifier
+ *
+ * @param kind One of LOCATOR_KINDS
+ * @param identifier The BBL, BIN or three word address
+ * @returns The coordinates and display address of the identifier, undefined if nothing matches it
+ */
+module.exports.findLocation = async (kind, identifier) => {
+    const normalized = normalizeIdentifier(kind, identifier);
+    return await locationCache.get(`${kind}:${normalized}`, () => getLocator(kind).locate(kind, normalized));
+};
+
+/**
+ * Locates an identifier sent to an endpoint, failing with the error to respond with when it can't be located
+ *
+ * @param kind One of LOCATOR_KINDS
+ * @param identifier The BBL, BIN or three word address
+ * @param param The parameter the identifier came from
+ * @param location The location of the parameter
+ * @returns The result of findLocation
+ * @throws ApiError GEOCODE_NOT_FOUND when nothing matches the identifier, UPSTREAM_UNAVAILABLE when the locator failed
+ */
+module.exports.locate = async (kind, identifier, param, location) => {
+    let located;
+    try {
+        located = await module.exports.findLocation(kind, identifier);
+    } catch (error) {
+        throw new ApiError('UPSTREAM_UNAVAILABLE', `The ${kind} locator is unavailable: ${error.message || error}`, param, location);
+    }
+    if (!located || !located.latitude || !located.longitude) {
+        throw new ApiError('GEOCODE_NOT_FOUND', `No location matches the ${kind} ${identifier}`, param, location);
+    }
+    return located;
+};
+
+/**
+ * Empties the cache of located identifiers and resets its counters
+ */
+module.exports.clearLocatorCache = () => {
+    locationCache.clear();
+};
@@ -0,0 +1,37 @@
+/**
+ * @file local.js
+ *
+ * A locator answering from a fixture file instead of a live service
+ * Used by the tests and for local development so neither depends on the network
+ */
+
+const { readFileSync } = require('fs');
+
+/**
+ * Creates a locator answering from a fixture file
+ *
+ * @param options.fixtures The path of a JSON file with a "bbl", a "bin" and a "words" object, each mapping
+ * identifiers of that kind to their coordinates and display address
+ * @returns The locator
+ */
+module.exports = ({ fixtures }) => {
+    const locations = JSON.parse(readFileSync(fixtures, 'utf8'));
+
+    return {
+        /**
+         * The kinds of identifiers this locator locates
+         */
+        kinds: ['bbl', 'bin', 'words'],
+
+        /**
+         * Gets the fixture of an identifier
+         *
+         * @param kind Either bbl, bin or words
+         * @param identifier The identifier
+         * @returns The coordinates and display address of the fixture, undefined if there isn't a fixture for it
+         */
+        locate: async (kind, identifier) => {
+            return (locations[kind] || {})[identifier];
+        }
+    };
+};
@@ -0,0 +1,127 @@
+/**
+ * @file nycOpenData.js
+ *
+ * A locator for New York City parcels using the NYC Open Data datasets
+ * https://opendata.cityofnewyork.us/
+ * BBLs are looked up in MapPLUTO https://data.cityofnewyork.us/d/64uk-42ks
+ * and BINs in the building footprints https://data.cityofnewyork.us/d/qb5r-6dgf
+ */
+
+const { fetchJson } = require('../fetchJson');
+
+/**
+ * The id of the MapPLUTO dataset, one row per tax lot
+ */
+const PLUTO_DATASET = '64uk-42ks';
+
+/**
+ * The id of the building footprints dataset, one row per building
+ */
+const BUILDINGS_DATASET = 'qb5r-6dgf';
+
+/**
+ * The names of the boroughs by their MapPLUTO code
+ */
+const BOROUGHS = {
+    MN: 'Manhattan',
+    BX: 'Bronx',
+    BK: 'Brooklyn',
+    QN: 'Queens',
+    SI: 'Staten Island'
+};
+
+/**
+ * Gets the center of a building footprint, the mean of the corners of its outline
+ *
+ * @param geometry A GeoJSON Polygon or MultiPolygon
+ * @returns The latitude and longitude of the center, undefined if the footprint has no outline
+ */
+const getFootprintCenter = (geometry) => {
+    const polygon = geometry && (geometry.type === 'MultiPolygon' ? geometry.coordinates[0] : geometry.coordinates);
+    // The last corner of a ring closes it and is the same as the first one
+    const corners = polygon && polygon[0] ? polygon[0].slice(0, -1) : [];
+    if (!corners.length) {
+        return undefined;
+    }
+    return {
+        latitude: corners.reduce((sum, [, latitude]) => sum + latitude, 0) / corners.length,
+        longitude: corners.reduce((sum, [longitude]) => sum + longitude, 0) / corners.length
+    };
+};
+
+/**
+ * Gets the display address of a tax lot
+ *
+ * @param lot A MapPLUTO row
+ * @returns The address, borough and zip code of the lot, undefined if it has no address
+ */
+const getDisplayAddress = (lot) => {
+    if (!lot || !lot.address) {
+        return undefined;
+    }
+    return [lot.address, BOROUGHS[lot.borough], ['NY', lot.zipcode].filter(part => part).join(' ')]
+        .filter(part => part)
+        .join(', ');
+};
+
+/**
+ * Creates a locator querying NYC Open Data
+ *
+ * @param options.baseUrl The base url of the datasets
+ * @param options.appToken The Socrata app token sent along with every request, if any
+ * @param options.timeout The number of seconds a request may take
+ * @returns The locator
+ */
+module.exports = ({ baseUrl, appToken, timeout }) => {
+    const headers = appToken ? { 'X-App-Token': appToken } : {};
+
+    /**
+     * Gets the first row of a dataset matching a query
+     *
+     * @param dataset The id of the dataset
+     * @param params The columns and values the row has to match
+     * @returns The row, undefined if none matches
+     */
+    const findRow = async (dataset, params) => {
+        const rows = await fetchJson(`${baseUrl}/${dataset}.json`, {
+            params: Object.assign({ $limit: 1 }, params),
+            headers,
+            timeout
+        });
+        return rows[0];
+    };
+
+    return {
+        /**
+         * The kinds of identifiers this locator locates
+         */
+        kinds: ['bbl', 'bin'],
+
+        /**
+         * Locates a tax lot from its BBL or a building from its BIN
+         *
+         * @param kind Either bbl or bin
+         * @param identifier The 10 digit BBL or the 7 digit BIN
+         * @returns The coordinates and display address of the parcel, undefined if there's no such parcel
+         */
+        locate: async (kind, identifier) => {
+            if (kind === 'bbl') {
+                const lot = await findRow(PLUTO_DATASET, { bbl: identifier });
+                return lot && lot.latitude && lot.longitude ? {
+                    latitude: lot.latitude,
+                    longitude: lot.longitude,
+                    display_address: getDisplayAddress(lot)
+                } : undefined;
+            }
+
+            const building = await findRow(BUILDINGS_DATASET, { bin: identifier });
+            const center = building && getFootprintCenter(building.the_geom);
+            if (!center) {
+                return undefined;
+            }
+            // Footprints don't have an address of their own, the lot the building stands on has one
+            const lot = building.base_bbl && await findRow(PLUTO_DATASET, { bbl: building.base_bbl });
+            return Object.assign(center, { display_address: getDisplayAddress(lot) });
+        }
+    };
+};
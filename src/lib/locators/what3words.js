@@ -0,0 +1,59 @@
+/**
+ * @file what3words.js
+ *
+ * A locator for three word addresses using the what3words API
+ * https://developer.what3words.com/public-api/docs
+ */
+
+const { fetchJson } = require('../fetchJson');
+
+/**
+ * Creates a locator querying what3words
+ *
+ * @param options.baseUrl The base url of the what3words API
+ * @param options.apiKey The key of the what3words API
+ * @param options.timeout The number of seconds a request may take
+ * @returns The locator
+ */
+module.exports = ({ baseUrl, apiKey, timeout }) => {
+    return {
+        /**
+         * The kinds of identifiers this locator locates
+         */
+        kinds: ['words'],
+
+        /**
+         * Locates the 3 meter square of a three word address
+         *
+         * @param kind Always words
+         * @param identifier The three word address, such as filled.count.soap
+         * @returns The coordinates of the center of the square along with the three word address,
+         * undefined if there's no such address
+         * @throws Error when the API key isn't set or the API failed
+         */
+        locate: async (kind, identifier) => {
+            if (!apiKey) {
+                throw new Error('WHAT3WORDS_API_KEY isn\'t set');
+            }
+
+            let result;
+            try {
+                result = await fetchJson(`${baseUrl}/convert-to-coordinates`, {
+                    params: { words: identifier, key: apiKey },
+                    timeout
+                });
+            } catch (error) {
+                // Words that aren't a three word address are answered with a BadWords error
+                if (error.status === 400 && error.body && error.body.error && error.body.error.code === 'BadWords') {
+                    return undefined;
+                }
+                throw error;
+            }
+            return result.coordinates ? {
+                latitude: result.coordinates.lat,
+                longitude: result.coordinates.lng,
+                display_address: `///${result.words}`
+            } : undefined;
+        }
+    };
+};
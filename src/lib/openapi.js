@@ -0,0 +1,428 @@
+/**
+ * @file openapi.js
+ *
+ * The OpenAPI spec of the api, generated from the @openapi comments of the routes and the templates
+ * of openapi-templates, and the validation of requests and responses against it
+ * The spec is the contract of the api: requests are checked against the parameters and request body of their operation,
+ * and responses against the schema documented for their status and content type
+ */
+
+const Ajv = require('ajv');
+const swaggerJsdoc = require('swagger-jsdoc');
+
+// Library that reads through comments and auto generates api docs
+const openapiSpecification = swaggerJsdoc({
+    definition: {
+        openapi: '3.0.0',
+        info: {
+            title: 'Walkspan API',
+            version: '2.0.0',
+            description: `
+# Getting Started
+In order to access our APIs, you will need an API Key. This key is generated when you register for our service and should be kept secret for all interactions with our resources.
+
+# Widget
+All of our api's can also be queried to return a widget instead of a JSON response.
+To request a widget, just append \`&displayWidget=true\` to the end of the endpoint.
+
+To embed the requested widget to your webpage, include the code returned by the endpoint inside of an iframe html tag.
+
+Example:
+\`\`\`
+    <iframe>
+     {HTML CODE RETURNED FROM ENDPOINT}
+    </iframe>
+\`\`\`
+
+Widgets come with a Content-Security-Policy, in their \`Content-Security-Policy\` header and a meta tag, that only runs the scripts and styles carrying its nonce.
+Leaflet, Bootstrap and jQuery are pinned and loaded with their SRI hashes from jsDelivr by default. Append \`&widgetAssets=hosted\` to load them from \`/widget/assets\` of this API instead,
+or \`&widgetAssets=inline\` to embed them in the widget so it makes no other requests than those of the map tiles.
+
+# Locations
+The score, lifestyle essentials and walkshed APIs each have a \`/location\` endpoint taking a location as exactly one of \`latitude\` and \`longitude\`, a street address \`q\`, an OpenStreetMap \`placeId\`,
+a New York City \`bbl\` or \`bin\` parcel identifier or a three word address \`words\`. The display address the location was matched to, when it has one,
+is echoed URI encoded in the \`X-Matched-Address\` header.
+
+# Dataset versions
+Every JSON response has a \`dataVersion\` field, and every response an \`X-Data-Version\` header, naming the version of the sidewalk dataset that produced it.
+The score endpoints can be queried with a previous version by appending \`&dataVersion={VERSION}\`, every version is listed by \`/datasets\`.
+
+# Rate limits
+Every API key may make a number of requests per second, with short bursts allowed, and a number of requests per day starting over at midnight UTC.
+Requests past either limit are answered with a \`429\` and a \`Retry-After\` header holding the number of seconds to wait,
+and every response has \`X-Quota-Limit\` and \`X-Quota-Remaining\` headers with the daily quota of the key and the requests it has left today.
+
+# Errors
+Every error is answered with a list of errors, each with a stable \`code\` setting the HTTP status of the response, a \`message\`,
+and the \`param\` and \`location\` it came from, along with the \`requestId\` of the request to mention when reporting it.
+See [the error model](#tag/error_model) for every code.
+
+# JavaScript client
+The \`@walkspan/client\` package is generated from this document, with a method named after the \`operationId\` of every operation
+and TypeScript declarations of every schema. Requests and responses are checked against this document, so they can be relied on as documented.
+
+# Changelog
+## 2.0.0
+- The lifestyle essentials endpoints answer with an object instead of a bare list: its \`essentials\` are the list returned until now,
+and its \`warnings\` list the categories left out because they couldn't be fetched, each with its \`category_general\`, \`category_exact\` and a \`message\`.
+Clients reading the list should read \`essentials\` of the response instead.
+
+# Authentication
+
+Walkspan offers one form of authentication:
+  - API Key
+            `,
+            'x-logo': {
+                url: 'https://images.squarespace-cdn.com/content/5c9181caebfc7f1f4596f4bf/1553817211803-YQU03EYT42PP0SUGI6XR/WALKSPAN+new+logo_1500.png?format=1500w&content-type=image%2Fpng',
+                altText: 'Walkspan Logo'
+            }
+        },
+        servers: [
+            {
+                url: 'https://api.walkspan.com',
+                description: 'Default server'
+            }
+        ],
+        externalDocs: {
+            description: 'Find out more about Walkspan!',
+            url: 'https://www.walkspan.com'
+        },
+        tags: [
+            {
+                name: 'essentials_api',
+                'x-displayName': 'The Lifestyle Essentials API',
+                description: 'Ways to get Walkspan\'s score model for a specified location.'
+            },
+            {
+                name: 'score_api',
+                'x-displayName': 'The Score API',
+                description: 'Ways to get Walkspan\'s score model for a specified location.'
+            },
+            {
+                name: 'walkshed_api',
+                'x-displayName': 'The Walkshed API',
+                description: 'Ways to get the areas reachable on foot from a specified location within a number of minutes.'
+            },
+            {
+                name: 'datasets_api',
+                'x-displayName': 'The Datasets API',
+                description: 'Ways to get the versions of Walkspan\'s sidewalk dataset that can be queried.'
+            },
+            {
+                name: 'health_api',
+                'x-displayName': 'The Health API',
+                description: 'Ways to check that the api is up and how well its geocoding caches are doing.'
+            },
+            {
+                name: 'tiles_api',
+                'x-displayName': 'The Tiles API',
+                description: 'Ways to get Walkspan\'s sidewalk scores as vector tiles for city-wide map layers.'
+            },
+            {
+                name: 'score_model',
+                'x-displayName': 'The Score Model',
+                description: `<SchemaDefinition schemaRef="#/components/schemas/ScoreModel" />`
+            },
+            {
+                name: 'error_model',
+                'x-displayName': 'The Error Model',
+                description: `<SchemaDefinition schemaRef="#/components/schemas/ErrorResponse" />`
+            }
+        ]
+    },
+    apis: [
+        './src/route/*.js',
+        './openapi-templates/*.yaml'
+    ]
+});
+
+/**
+ * Gets the OpenAPI spec of the api
+ *
+ * @returns The spec, as served at /docs/openapi.json
+ */
+module.exports.getOpenApiSpec = () => openapiSpecification;
+
+/**
+ * The HTTP methods of the operations of the spec
+ */
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch'];
+
+/**
+ * The name the spec is registered under with the schema validators, its $refs are resolved against it
+ */
+const SPEC_ID = 'openapi.json';
+
+/**
+ * Creates a schema validator knowing every schema of the spec
+ *
+ * @param options.coerceTypes Whether to convert values to the type of their schema, such as the strings of a query
+ * @returns The Ajv instance
+ */
+const createValidator = ({ coerceTypes }) => {
+    const ajv = new Ajv({
+        allErrors: true,
+        coerceTypes,
+        jsonPointers: true,
+        logger: false,
+        nullable: true,
+        unknownFormats: 'ignore',
+        validateSchema: false,
+        verbose: true
+    });
+    ajv.addSchema(openapiSpecification, SPEC_ID);
+    return ajv;
+};
+
+// Parameters are sent as strings so they're converted before being checked, responses are checked as they are
+const requestValidator = createValidator({ coerceTypes: true });
+const responseValidator = createValidator({ coerceTypes: false });
+
+/**
+ * Gets the object a local $ref of the spec points to
+ *
+ * @param object An object of the spec, such as a parameter, which may be a $ref
+ * @returns The object itself, or the object it refers to
+ */
+const resolveRef = (object) => {
+    if (!object || !object.$ref) {
+        return object;
+    }
+    return object.$ref.replace(/^#\//, '').split('/').reduce((parent, key) => parent[key], openapiSpecification);
+};
+
+/**
+ * Points the local $refs of a schema to the spec registered with the schema validators
+ *
+ * @param schema A schema of the spec
+ * @returns A copy of the schema that can be compiled on its own
+ */
+const toCompilableSchema = (schema) => JSON.parse(JSON.stringify(schema), (key, value) =>
+    key === '$ref' && value.startsWith('#/') ? SPEC_ID + value : value);
+
+/**
+ * Escapes the characters of a string that have a meaning in a regular expression
+ *
+ * @param text The string
+ * @returns The escaped string
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^$()|[\]\\]/g, '\\$&');
+
+/**
+ * Every operation of the spec along with the pattern matching the paths it's requested at
+ */
+const operations = [].concat(...Object.keys(openapiSpecification.paths).map(path => {
+    // Path templates such as /tiles/{z}/{x}/{y}.mvt alternate between literal parts and the names of path parameters
+    const parts = path.split(/\{(\w+)\}/);
+    const pattern = new RegExp(`^${parts.map((part, i) => i % 2 ? '([^/]+)' : escapeRegExp(part)).join('')}/?$`);
+    const paramNames = parts.filter((part, i) => i % 2);
+    return Object.keys(openapiSpecification.paths[path])
+        .filter(method => HTTP_METHODS.includes(method))
+        .map(method => ({ path, method, pattern, paramNames, operation: openapiSpecification.paths[path][method] }));
+}));
+
+/**
+ * The validators compiled so far, by operation, status and content type
+ */
+const compiledValidators = new Map();
+
+/**
+ * Compiles a validator once and keeps it for the next requests
+ *
+ * @param key What the validator checks, such as the query of an operation
+ * @param ajv The schema validator to compile with
+ * @param schema The schema to compile
+ * @returns The validating function
+ */
+const getCompiledValidator = (key, ajv, schema) => {
+    if (!compiledValidators.has(key)) {
+        compiledValidators.set(key, ajv.compile(toCompilableSchema(schema)));
+    }
+    return compiledValidators.get(key);
+};
+
+/**
+ * Gets the operation of the spec a request is made to
+ *
+ * @param method The HTTP method of the request
+ * @param path The path of the request, without its query string
+ * @returns The path template, method and operation of the spec along with the path parameters of the request,
+ * undefined if the spec doesn't document it
+ */
+module.exports.findOperation = (method, path) => {
+    for (const { pattern, paramNames, ...match } of operations) {
+        const values = match.method === method.toLowerCase() && pattern.exec(path);
+        if (values) {
+            const params = {};
+            paramNames.forEach((name, i) => params[name] = decodeURIComponent(values[i + 1]));
+            return Object.assign(match, { params });
+        }
+    }
+    return undefined;
+};
+
+/**
+ * Lists every operation of the spec
+ *
+ * @returns The path template, method and operation of every operation
+ */
+module.exports.listOperations = () => operations.map(({ path, method, operation }) => ({ path, method, operation }));
+
+/**
+ * Gets the parameters of an operation
+ *
+ * @param operation An operation of the spec
+ * @returns Its parameters, with the $refs resolved
+ */
+const getParameters = (operation) => (operation.parameters || []).map(resolveRef);
+module.exports.getParameters = getParameters;
+
+/**
+ * Joins the parts of the path of a value into the name of a parameter
+ *
+ * @param parts The JSON pointer parts of the path, such as ['items', '0', 'latitude']
+ * @returns The name of the parameter, such as items[0].latitude
+ */
+const toParamName = (parts) => parts
+    .reduce((name, part) => /^\d+$/.test(part) ? `${name}[${part}]` : name ? `${name}.${part}` : part, '');
+
+/**
+ * Lists values for an error message, such as "a, b or c"
+ *
+ * @param values The values
+ * @returns The values in a sentence
+ */
+const listValues = (values) => values.length > 1
+    ? `${values.slice(0, -1).join(', ')} or ${values[values.length - 1]}`
+    : String(values[0]);
+
+/**
+ * Describes what a failed schema keyword requires
+ *
+ * @param error An Ajv error
+ * @returns The message of the error, such as "Must be between -90 and 90"
+ */
+const getErrorMessage = ({ keyword, params, parentSchema, message }) => {
+    const { minimum, maximum, minItems, maxItems } = parentSchema;
+    switch (keyword) {
+        case 'required':
+            return `Must supply ${params.missingProperty}`;
+        case 'type':
+            return `Must be ${/^[aeiou]/.test(params.type) ? 'an' : 'a'} ${params.type}`;
+        case 'enum':
+            return `Must be ${listValues(params.allowedValues)}`;
+        case 'minimum':
+        case 'maximum':
+            return minimum !== undefined && maximum !== undefined
+                ? `Must be between ${minimum} and ${maximum}`
+                : `Must be ${keyword === 'minimum' ? `at least ${minimum}` : `at most ${maximum}`}`;
+        case 'minItems':
+        case 'maxItems':
+            return `Must have ${minItems !== undefined && maxItems !== undefined
+                ? `between ${minItems} and ${maxItems}`
+                : keyword === 'minItems' ? `at least ${minItems}` : `at most ${maxItems}`} items`;
+        default:
+            return `Must ${message.replace(/^should /, '')}`;
+    }
+};
+
+/**
+ * Converts the errors of a validation into errors of the Error schema, keeping one error per parameter
+ *
+ * @param errors The Ajv errors
+ * @param location Where the values were sent, such as query or body
+ * @param prefix The name of the parameter holding the values, if any
+ * @returns The errors of the Error schema
+ */
+const toInvalidParams = (errors, location, prefix) => {
+    const invalidParams = new Map();
+    errors.forEach(error => {
+        const parts = error.dataPath.split('/').filter(part => part)
+            .concat(error.keyword === 'required' ? [error.params.missingProperty] : []);
+        const param = toParamName(prefix ? [prefix].concat(parts) : parts) || undefined;
+        if (!invalidParams.has(param)) {
+            invalidParams.set(param, { code: 'INVALID_PARAM', message: getErrorMessage(error), param, location });
+        }
+    });
+    return Array.from(invalidParams.values());
+};
+
+/**
+ * Checks a request against the parameters and request body of its operation
+ *
+ * @param match The operation of the request, as found by findOperation
+ * @param request.query The query parameters of the request
+ * @param request.body The parsed body of the request, if any
+ * @returns The errors of the Error schema, one per invalid parameter, none if the request is valid
+ */
+module.exports.validateRequest = (match, { query = {}, body }) => {
+    const { path, method, operation, params } = match;
+    const parameters = getParameters(operation);
+    const values = { query, path: params };
+
+    const errors = [].concat(...['path', 'query'].map(location => {
+        const locationParameters = parameters.filter(parameter => parameter.in === location);
+        if (!locationParameters.length) {
+            return [];
+        }
+        const properties = {};
+        locationParameters.forEach(parameter => properties[parameter.name] = parameter.schema || {});
+        const validate = getCompiledValidator(`${method} ${path} ${location}`, requestValidator, {
+            type: 'object',
+            properties,
+            required: locationParameters.filter(parameter => parameter.required).map(parameter => parameter.name)
+        });
+        // The values are copied since they're converted to the types of their schemas as they're checked
+        return validate(Object.assign({}, values[location])) ? [] : toInvalidParams(validate.errors, location);
+    }));
+
+    const requestBody = resolveRef(operation.requestBody);
+    const bodySchema = requestBody && requestBody.content && requestBody.content['application/json'] &&
+        requestBody.content['application/json'].schema;
+    if (bodySchema) {
+        if (body === undefined || (typeof body === 'object' && !Array.isArray(body) && !Object.keys(body).length && requestBody.required)) {
+            errors.push({ code: 'INVALID_PARAM', message: 'Must supply a JSON request body', param: undefined, location: 'body' });
+        } else {
+            const validate = getCompiledValidator(`${method} ${path} body`, responseValidator, bodySchema);
+            if (!validate(body)) {
+                errors.push(...toInvalidParams(validate.errors, 'body'));
+            }
+        }
+    }
+    return errors;
+};
+
+/**
+ * Checks a response against the schema its operation documents for its status and content type
+ *
+ * @param match The operation of the request, as found by findOperation
+ * @param status The status code of the response
+ * @param contentType The content type of the response, application/json when undefined
+ * @param body The body of the response as it's sent
+ * @returns A description of every mismatch, none if the response matches the spec
+ */
+module.exports.validateResponse = (match, status, contentType, body) => {
+    const { path, method, operation } = match;
+    const responses = operation.responses || {};
+    const statusKey = [String(status), `${String(status).charAt(0)}XX`, 'default'].find(key => responses[key]);
+    if (!statusKey) {
+        return [`${status} isn't a documented status of ${method.toUpperCase()} ${path}`];
+    }
+
+    const mediaType = (contentType || 'application/json').split(';')[0].trim();
+    const content = resolveRef(responses[statusKey]).content || {};
+    if (!content[mediaType]) {
+        return Object.keys(content).length
+            ? [`${mediaType} isn't a documented content type of the ${statusKey} responses of ${method.toUpperCase()} ${path}`]
+            : [];
+    }
+    if (!content[mediaType].schema) {
+        return [];
+    }
+
+    const validate = getCompiledValidator(`${method} ${path} ${statusKey} ${mediaType}`, responseValidator, content[mediaType].schema);
+    // Bodies are checked as they're serialized, which leaves out undefined members
+    return validate(JSON.parse(JSON.stringify(body)))
+        ? []
+        : validate.errors.map(error => `${error.dataPath || 'the body'} ${error.message}`);
+};
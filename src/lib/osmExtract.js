@@ -0,0 +1,250 @@
+/**
+ * @file osmExtract.js
+ *
+ * Helper functions for reading the lifestyle essentials out of an OpenStreetMaps extract
+ * Extracts are either OpenStreetMaps PBF files, such as those from https://download.geofabrik.de/,
+ * or GeoJSON files such as those exported by osmium or osmtogeojson
+ * https://wiki.openstreetmap.org/wiki/PBF_Format
+ */
+
+const { createReadStream, readFileSync } = require('fs');
+const parseOSM = require('osm-pbf-parser');
+
+const { getMatchingCategories } = require('./essentialsHelper');
+
+/**
+ * Creates an empty bounding box
+ *
+ * @returns A bounding box that any position extends
+ */
+const createBounds = () => ({ top: -Infinity, bottom: Infinity, left: Infinity, right: -Infinity });
+
+/**
+ * Extends a bounding box so it contains a position
+ *
+ * @param bounds The bounding box, modified in place
+ * @param position A [longitude, latitude] position
+ * @returns The bounding box
+ */
+const extendBounds = (bounds, [longitude, latitude]) => {
+    bounds.top = Math.max(bounds.top, latitude);
+    bounds.bottom = Math.min(bounds.bottom, latitude);
+    bounds.left = Math.min(bounds.left, longitude);
+    bounds.right = Math.max(bounds.right, longitude);
+    return bounds;
+};
+
+/**
+ * Gets the center of the bounding box of a list of positions, which is how Overpass locates ways and relations
+ *
+ * @param positions A list of [longitude, latitude] positions
+ * @returns The latitude and longitude of the center, undefined when there are no positions
+ */
+const getCenter = (positions) => {
+    if (!positions.length) {
+        return undefined;
+    }
+    const bounds = positions.reduce(extendBounds, createBounds());
+    return {
+        latitude: (bounds.top + bounds.bottom) / 2,
+        longitude: (bounds.left + bounds.right) / 2
+    };
+};
+
+/**
+ * Gets every position of a GeoJSON geometry
+ *
+ * @param geometry A GeoJSON geometry
+ * @returns The list of [longitude, latitude] positions
+ */
+const getGeometryPositions = (geometry) => {
+    if (!geometry) {
+        return [];
+    } else if (geometry.type === 'GeometryCollection') {
+        return geometry.geometries.reduce((positions, part) => positions.concat(getGeometryPositions(part)), []);
+    }
+    const flatten = coordinates => typeof coordinates[0] === 'number' ?
+        [coordinates] :
+        coordinates.reduce((positions, part) => positions.concat(flatten(part)), []);
+    return flatten(geometry.coordinates);
+};
+
+/**
+ * Gets the OpenStreetMaps id of a GeoJSON feature
+ * Supports the ids of osmtogeojson ('way/1'), of osmium's unique ids ('w1', with areas as 'a2')
+ * and of @type and @id properties
+ *
+ * @param feature A GeoJSON feature
+ * @param index The position of the feature in its file, used when it has no id
+ * @returns The id as type/number
+ */
+const getFeatureOsmId = (feature, index) => {
+    const properties = feature.properties || {};
+    if (properties['@type'] && properties['@id']) {
+        return `${properties['@type']}/${properties['@id']}`;
+    }
+
+    const id = String(feature.id !== undefined ? feature.id : properties.id);
+    const types = { n: 'node', w: 'way', r: 'relation' };
+    let match;
+    if (/^(node|way|relation)\/\d+$/.test(id)) {
+        return id;
+    } else if ((match = /^([nwr])(\d+)$/.exec(id))) {
+        return `${types[match[1]]}/${match[2]}`;
+    } else if ((match = /^a(\d+)$/.exec(id))) {
+        // osmium numbers the area of way n as 2n and the area of relation n as 2n + 1
+        const areaId = Number(match[1]);
+        return areaId % 2 === 0 ? `way/${areaId / 2}` : `relation/${(areaId - 1) / 2}`;
+    }
+    return `feature/${index}`;
+};
+
+/**
+ * Builds the lifestyle essential of an OpenStreetMaps element if it belongs to at least one category
+ *
+ * @param osmId The id of the element as type/number
+ * @param tags The tags of the element
+ * @param center The latitude and longitude of the element
+ * @returns The lifestyle essential, undefined if the element doesn't belong to any category or has no location
+ */
+const toEssential = (osmId, tags, center) => {
+    const categories = getMatchingCategories(tags);
+    if (!categories.length || !center) {
+        return undefined;
+    }
+    return {
+        osm_id: osmId,
+        name: tags.name,
+        latitude: center.latitude,
+        longitude: center.longitude,
+        tags,
+        categories
+    };
+};
+
+/**
+ * Reads the lifestyle essentials of a GeoJSON extract
+ * Tags are read from the tags property of a feature when it has one, as osmtogeojson does,
+ * and otherwise from its other properties
+ *
+ * @param file The path of the GeoJSON file
+ * @returns The lifestyle essentials of the extract along with the bounding box of every feature in it
+ */
+module.exports.readGeoJsonEssentials = async (file) => {
+    const { features = [] } = JSON.parse(readFileSync(file, 'utf8'));
+    const bounds = createBounds();
+    const seenIds = new Set();
+    const essentials = features
+        .map((feature, index) => {
+            const properties = feature.properties || {};
+            const tags = properties.tags || Object.assign({}, properties);
+            Object.keys(tags)
+                .filter(key => key.startsWith('@') || key === 'id')
+                .forEach(key => delete tags[key]);
+            const positions = getGeometryPositions(feature.geometry);
+            positions.forEach(position => extendBounds(bounds, position));
+            return toEssential(getFeatureOsmId(feature, index), tags, getCenter(positions));
+        })
+        // osmium exports closed ways both as a line and as an area, only the first of them is kept
+        .filter(essential => essential && !seenIds.has(essential.osm_id) && seenIds.add(essential.osm_id));
+    return { essentials, bounds };
+};
+
+/**
+ * Reads every element of a PBF extract
+ *
+ * @param file The path of the PBF file
+ * @param onElement The function called with every node, way and relation
+ * @returns A promise resolved once the whole file has been read
+ */
+const readPbfElements = (file, onElement) => {
+    return new Promise((resolve, reject) => {
+        createReadStream(file)
+            .on('error', reject)
+            .pipe(parseOSM())
+            .on('data', elements => elements.forEach(onElement))
+            .on('error', reject)
+            .on('end', resolve);
+    });
+};
+
+/**
+ * Reads the lifestyle essentials of a PBF extract
+ * Ways and relations only reference their nodes, so the file is read once to find the elements belonging
+ * to a category, once more for the ways of those relations when there are any, and once more for the
+ * locations of the nodes they reference. Only those locations are kept in memory
+ *
+ * @param file The path of the PBF file
+ * @returns The lifestyle essentials of the extract along with the bounding box of every node in it
+ */
+module.exports.readPbfEssentials = async (file) => {
+    const bounds = createBounds();
+    const essentials = [];
+    const matchingWays = [];
+    const matchingRelations = [];
+    const memberWays = new Map();
+    const nodeLocations = new Map();
+
+    // Finds the nodes, ways and relations belonging to a category
+    await readPbfElements(file, element => {
+        if (element.type === 'node') {
+            extendBounds(bounds, [element.lon, element.lat]);
+        }
+        if (!Object.keys(element.tags).length || !getMatchingCategories(element.tags).length) {
+            return;
+        }
+        if (element.type === 'node') {
+            essentials.push(toEssential(`node/${element.id}`, element.tags, { latitude: element.lat, longitude: element.lon }));
+        } else if (element.type === 'way') {
+            matchingWays.push(element);
+            element.refs.forEach(ref => nodeLocations.set(ref, undefined));
+        } else if (element.type === 'relation') {
+            matchingRelations.push(element);
+            element.members.forEach(member => {
+                if (member.type === 'way') {
+                    memberWays.set(member.id, []);
+                } else if (member.type === 'node') {
+                    nodeLocations.set(member.id, undefined);
+                }
+            });
+        }
+    });
+
+    // Finds the nodes of the ways of the relations belonging to a category
+    if (memberWays.size) {
+        await readPbfElements(file, element => {
+            if (element.type === 'way' && memberWays.has(element.id)) {
+                memberWays.set(element.id, element.refs);
+                element.refs.forEach(ref => nodeLocations.set(ref, undefined));
+            }
+        });
+    }
+
+    // Locates the nodes of the ways and relations
+    if (nodeLocations.size) {
+        await readPbfElements(file, element => {
+            if (element.type === 'node' && nodeLocations.has(element.id)) {
+                nodeLocations.set(element.id, [element.lon, element.lat]);
+            }
+        });
+    }
+
+    const locate = refs => refs.map(ref => nodeLocations.get(ref)).filter(location => location);
+    matchingWays.forEach(way => {
+        essentials.push(toEssential(`way/${way.id}`, way.tags, getCenter(locate(way.refs))));
+    });
+    matchingRelations.forEach(relation => {
+        const refs = relation.members.reduce((memberRefs, member) => {
+            if (member.type === 'way') {
+                return memberRefs.concat(memberWays.get(member.id));
+            }
+            return member.type === 'node' ? memberRefs.concat(member.id) : memberRefs;
+        }, []);
+        essentials.push(toEssential(`relation/${relation.id}`, relation.tags, getCenter(locate(refs))));
+    });
+
+    return {
+        essentials: essentials.filter(essential => essential),
+        bounds
+    };
+};
@@ -7,27 +7,213 @@
  * https://wiki.openstreetmap.org/wiki/Overpass_API
  */
 
-const util = require('util')
-
-const queryOverpass = util.promisify(require('query-overpass'));
+const queryOverpass = require('query-overpass');
+const config = require('../config');
 const { getBoundingBoxFromCoordinatesAndRange } = require('./geocoder');
 
 /**
- * Queries overpass Turbo for a specified tag within a coordinate range
+ * The shapes of the area queried around a point, a circle with the range as its radius or the bounding box of that circle
+ */
+const OVERPASS_SEARCH_AREAS = ['radius', 'bbox'];
+module.exports.OVERPASS_SEARCH_AREAS = OVERPASS_SEARCH_AREAS;
+
+/**
+ * The OpenStreetMaps element types queried, areas such as parks are usually mapped as ways or relations
+ */
+const ELEMENT_TYPES = ['node', 'way', 'relation'];
+
+/**
+ * Formats an OpenStreetMaps tag filter for an Overpass query
+ *
+ * @param tag A key such as 'leisure', a key and value such as 'amenity=restaurant',
+ * or a filter already in Overpass syntax such as '["name"~"deli",i]'
+ * @returns The filter in Overpass syntax
+ */
+const formatTagFilter = (tag) => {
+    if (tag.startsWith('[')) {
+        return tag;
+    }
+    const quote = text => `"${text.trim().replace(/"/g, '\\"')}"`;
+    const separatorIndex = tag.indexOf('=');
+    return separatorIndex === -1 ?
+        `[${quote(tag)}]` :
+        `[${quote(tag.slice(0, separatorIndex))}=${quote(tag.slice(separatorIndex + 1))}]`;
+};
+
+/**
+ * Parses an OpenStreetMaps tag filter so it can be checked against the tags of an element
+ *
+ * @param tag A key such as 'leisure', a key and value such as 'amenity=restaurant', or a filter in Overpass syntax
+ * with a key and an optional =, != or ~ condition such as '["name"~"deli",i]'
+ * @returns The key, operator, value and case insensitivity of the filter
+ * @throws Error when the filter is in an Overpass syntax that can't be checked locally
+ */
+const parseTagFilter = (tag) => {
+    if (!tag.startsWith('[')) {
+        const separatorIndex = tag.indexOf('=');
+        return separatorIndex === -1 ?
+            { key: tag.trim() } :
+            { key: tag.slice(0, separatorIndex).trim(), operator: '=', value: tag.slice(separatorIndex + 1).trim() };
+    }
+
+    const match = /^\["((?:[^"\\]|\\.)+)"(?:(=|!=|~)"((?:[^"\\]|\\.)*)"(,i)?)?\]$/.exec(tag);
+    if (!match) {
+        throw new Error(`Unsupported tag filter ${tag}, must be a key, a key=value pair or ["key"], ["key"="value"], ["key"!="value"] or ["key"~"value"]`);
+    }
+    const unescape = text => text && text.replace(/\\(.)/g, '$1');
+    return {
+        key: unescape(match[1]),
+        operator: match[2],
+        value: unescape(match[3]),
+        caseInsensitive: !!match[4]
+    };
+};
+
+/**
+ * Checks if the tags of an OpenStreetMaps element match a tag filter the way Overpass would
+ *
+ * @param tags The tags of the element
+ * @param tag The tag filter, see parseTagFilter
+ * @returns True if the element matches the filter
+ * @throws Error when the filter is in an Overpass syntax that can't be checked locally
+ */
+module.exports.matchesTagFilter = (tags, tag) => {
+    const { key, operator, value, caseInsensitive } = parseTagFilter(tag);
+    const tagValue = tags[key];
+    if (operator === '=') {
+        return tagValue === value;
+    } else if (operator === '!=') {
+        return tagValue !== value;
+    } else if (operator === '~') {
+        return tagValue !== undefined && new RegExp(value, caseInsensitive ? 'i' : '').test(tagValue);
+    }
+    return tagValue !== undefined;
+};
+
+/**
+ * Formats the area around a point for an Overpass query
+ *
+ * @param latitude The latitude of the center point
+ * @param longitude The longitude of the center point
+ * @param range The range in miles
+ * @param searchArea Either 'radius' or 'bbox'
+ * @returns The area filter in Overpass syntax
+ * @throws Error when the search area is unknown
+ */
+const formatAreaFilter = (latitude, longitude, range, searchArea) => {
+    if (searchArea === 'radius') {
+        return `(around:${Number(range) * 1609.344},${latitude},${longitude})`;
+    } else if (searchArea === 'bbox') {
+        const { topLat, bottomLat, leftLng, rightLng } = getBoundingBoxFromCoordinatesAndRange(latitude, longitude, range);
+        return `(${bottomLat},${leftLng},${topLat},${rightLng})`;
+    }
+    throw new Error(`Unknown Overpass search area ${searchArea}, must be one of ${OVERPASS_SEARCH_AREAS.join(', ')}`);
+};
+
+/**
+ * Builds an Overpass query for the nodes, ways and relations matching any of a set of tags around a point
+ * Ways and relations are returned as their center so every element is a single point
+ *
+ * @param tags The OpenStreetMaps tag filter or list of tag filters to query for, such as 'amenity=restaurant' or 'leisure'
+ * @param latitude The latitude of the center point
+ * @param longitude The longitude of the center point
+ * @param range The range in miles to query within
+ * @param options.searchArea Either 'radius' or 'bbox', defaults to essentials.searchArea of src/config.js
+ * @param options.limit The maximum number of elements, defaults to essentials.limit of src/config.js
+ * @param options.timeout The number of seconds Overpass may spend on the query, defaults to overpass.timeout of src/config.js
+ * @returns The Overpass query
+ */
+const buildOverpassQuery = (tags, latitude, longitude, range, options = {}) => {
+    const {
+        searchArea = config.essentials.searchArea,
+        limit = config.essentials.limit,
+        timeout = config.overpass.timeout
+    } = options;
+    const areaFilter = formatAreaFilter(latitude, longitude, range, searchArea);
+    const statements = [].concat(tags).map(tag => ELEMENT_TYPES
+        .map(elementType => `${elementType}${formatTagFilter(tag)}${areaFilter};`)
+        .join(''));
+    return `[out:json][timeout:${Math.ceil(timeout)}];(${statements.join('')});out center ${limit};`;
+};
+module.exports.buildOverpassQuery = buildOverpassQuery;
+
+/**
+ * Runs a query against a single Overpass endpoint, aborting it when it takes too long
+ *
+ * @param query The Overpass query
+ * @param overpassUrl The url of the Overpass interpreter endpoint
+ * @param timeout The number of seconds to wait for a response
+ * @returns The elements of the response as GeoJSON
+ * @throws The error of the request, with a statusCode when Overpass responded
+ */
+const runOverpassQuery = (query, overpassUrl, timeout) => {
+    return new Promise((resolve, reject) => {
+        const request = queryOverpass(query, (error, geojson) => {
+            clearTimeout(timer);
+            return error ? reject(error) : resolve(geojson);
+        }, { overpassUrl });
+        const timer = setTimeout(() => {
+            request.abort();
+            reject({ message: `${overpassUrl} timed out after ${Math.round(timeout * 10) / 10} seconds` });
+        }, timeout * 1000);
+    });
+};
+
+/**
+ * Checks if a failed Overpass query is worth retrying, which is when it timed out, couldn't connect,
+ * was rate limited or the server failed
+ *
+ * @param error The error of the request
+ * @returns True if the query should be retried
+ */
+const isRetryable = (error) => !error.statusCode || error.statusCode === 429 || error.statusCode >= 500;
+
+/**
+ * Runs a query against the Overpass mirrors of src/config.js, moving on to the next mirror and waiting
+ * twice as long before every retry
+ * Every attempt and retry has to fit within overpass.deadline, the last attempt being cut short to what's left of it
+ * and no retry being made once its delay would pass it
  *
- * @param tag The OpenStreetMaps tag to query for
+ * @param query The Overpass query
+ * @param timeout The number of seconds to wait for each attempt
+ * @returns The elements of the response as GeoJSON
+ * @throws An Error with the message of the last attempt once every retry failed or the deadline passed
+ */
+const queryOverpassMirrors = async (query, timeout) => {
+    const { mirrors, retries, retryDelay, deadline } = config.overpass;
+    const deadlineTime = Date.now() + deadline * 1000;
+    for (let attempt = 0; ; attempt++) {
+        const mirror = mirrors[attempt % mirrors.length];
+        try {
+            return await runOverpassQuery(query, mirror, Math.min(timeout, (deadlineTime - Date.now()) / 1000));
+        } catch (error) {
+            if (attempt >= retries || !isRetryable(error)) {
+                throw new Error(`Overpass query failed after ${attempt + 1} attempts: ${error.message || error}`);
+            }
+            const delay = retryDelay * 2 ** attempt;
+            if (Date.now() + delay >= deadlineTime) {
+                throw new Error(`Overpass query failed after ${attempt + 1} attempts within its ${deadline} second deadline: ${error.message || error}`);
+            }
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+};
+
+/**
+ * Queries overpass Turbo for elements matching any of a set of tags within a coordinate range
+ *
+ * @param tags The OpenStreetMaps tag filter or list of tag filters to query for, such as 'amenity=restaurant' or 'leisure'
  * @param latitude The latitude of the center point
  * @param longitude The longitude of the center point
- * @param range The range to query within
- * @returns A set of elements tagged within the range
- */
-module.exports.queryOverpassForTags = async (tag, latitude, longitude, range) => {
-    const { topLat, bottomLat, leftLng, rightLng } = getBoundingBoxFromCoordinatesAndRange(latitude, longitude, range);
-    const query = `
-      node
-        [${tag}]
-        (${bottomLat}, ${leftLng}, ${topLat}, ${rightLng});
-      out
-    `.split(' ').join('').split('\n').join('') + ' 20;'
-    return queryOverpass(query);
+ * @param range The range in miles to query within
+ * @param options.searchArea Either 'radius' or 'bbox', defaults to essentials.searchArea of src/config.js
+ * @param options.limit The maximum number of elements, defaults to essentials.limit of src/config.js
+ * @param options.timeout The number of seconds to wait for each attempt, defaults to overpass.timeout of src/config.js
+ * @returns A set of elements tagged within the range, ways and relations located at their center
+ * @throws Error when every attempt failed
+ */
+module.exports.queryOverpassForTags = async (tags, latitude, longitude, range, options = {}) => {
+    const { timeout = config.overpass.timeout } = options;
+    const query = buildOverpassQuery(tags, latitude, longitude, range, Object.assign({}, options, { timeout }));
+    return queryOverpassMirrors(query, timeout);
 };
@@ -0,0 +1,275 @@
+/**
+ * @file pedestrianGraph.js
+ *
+ * Helper functions for walking the sidewalk network
+ * Every sidewalk is an edge between its two endpoints, sidewalks sharing an endpoint are connected.
+ * The sidewalks on either side of a street rarely share endpoints, so endpoints close to each other
+ * are also connected by crossings
+ * https://en.wikipedia.org/wiki/Dijkstra%27s_algorithm
+ */
+
+const { getDistanceInMiles } = require('./essentialsHelper');
+
+/**
+ * The number of decimals endpoints are rounded to before being matched, about 10 centimeters.
+ * The endpoints of adjoining sidewalks agree to that precision
+ */
+const NODE_PRECISION = 6;
+
+/**
+ * Gets the key of the node at a pair of GPS coordinates
+ *
+ * @param latitude The latitude of the node
+ * @param longitude The longitude of the node
+ * @returns The key of the node
+ */
+const getNodeKey = (latitude, longitude) => `${Number(latitude).toFixed(NODE_PRECISION)},${Number(longitude).toFixed(NODE_PRECISION)}`;
+
+/**
+ * The size in degrees of the grid cells nodes are bucketed in when looking for crossings, about 55 meters of latitude
+ */
+const CROSSING_CELL_SIZE = 0.0005;
+
+/**
+ * The number of miles in a degree of latitude
+ */
+const MILES_PER_DEGREE = 69.05;
+
+/**
+ * Connects every pair of nodes closer than a crossing distance that aren't connected yet
+ *
+ * @param nodes The nodes of the graph, modified in place
+ * @param crossingDistance The longest crossing in miles
+ */
+const addCrossings = (nodes, crossingDistance) => {
+    const getCell = node => [Math.floor(node.latitude / CROSSING_CELL_SIZE), Math.floor(node.longitude / CROSSING_CELL_SIZE)];
+    const cells = new Map();
+    nodes.forEach(node => {
+        const key = getCell(node).join(',');
+        if (!cells.has(key)) {
+            cells.set(key, []);
+        }
+        cells.get(key).push(node);
+    });
+
+    // Degrees of longitude shrink away from the equator so more columns of cells are searched than rows
+    const rows = Math.ceil(crossingDistance / MILES_PER_DEGREE / CROSSING_CELL_SIZE);
+    nodes.forEach(node => {
+        const [row, column] = getCell(node);
+        const columns = Math.ceil(rows / Math.cos(node.latitude * Math.PI / 180));
+        for (let rowOffset = -rows; rowOffset <= rows; rowOffset++) {
+            for (let columnOffset = -columns; columnOffset <= columns; columnOffset++) {
+                (cells.get(`${row + rowOffset},${column + columnOffset}`) || []).forEach(other => {
+                    if (other.key <= node.key || node.edges.some(edge => edge.node === other)) {
+                        return;
+                    }
+                    const length = getDistanceInMiles(node.latitude, node.longitude, other.latitude, other.longitude);
+                    if (length <= crossingDistance) {
+                        node.edges.push({ node: other, crossing: true, length });
+                        other.edges.push({ node, crossing: true, length });
+                    }
+                });
+            }
+        }
+    });
+};
+
+/**
+ * Builds the pedestrian graph of a set of sidewalks
+ *
+ * @param sidewalks A list of normalized sidewalks
+ * @param crossingDistance The longest crossing in miles between the endpoints of two sidewalks, 0 for no crossings
+ * @returns The graph as a map from node keys to nodes, each with its latitude, longitude and a list of edges
+ * holding the node they lead to, the sidewalk they follow and whether they follow it backwards or else that they
+ * are a crossing, along with their length in miles
+ */
+module.exports.buildPedestrianGraph = (sidewalks, crossingDistance = 0) => {
+    const nodes = new Map();
+    const getNode = (latitude, longitude) => {
+        const key = getNodeKey(latitude, longitude);
+        if (!nodes.has(key)) {
+            nodes.set(key, { key, latitude, longitude, edges: [] });
+        }
+        return nodes.get(key);
+    };
+
+    sidewalks.forEach(sidewalk => {
+        const start = getNode(sidewalk.sidewalk_starting_latitude, sidewalk.sidewalk_starting_longitude);
+        const end = getNode(sidewalk.sidewalk_ending_latitude, sidewalk.sidewalk_ending_longitude);
+        if (start === end) {
+            return;
+        }
+        const length = getDistanceInMiles(start.latitude, start.longitude, end.latitude, end.longitude);
+        start.edges.push({ node: end, sidewalk, reversed: false, length });
+        end.edges.push({ node: start, sidewalk, reversed: true, length });
+    });
+    if (crossingDistance > 0) {
+        addCrossings(nodes, crossingDistance);
+    }
+    return nodes;
+};
+
+/**
+ * Finds the node closest to a pair of GPS coordinates
+ *
+ * @param nodes The pedestrian graph or a set of its nodes
+ * @param latitude The latitude of the point
+ * @param longitude The longitude of the point
+ * @returns The closest node along with its distance in miles, undefined if there are no nodes
+ */
+module.exports.findNearestNode = (nodes, latitude, longitude) => {
+    let nearest;
+    nodes.forEach(node => {
+        const distance = getDistanceInMiles(latitude, longitude, node.latitude, node.longitude);
+        if (!nearest || distance < nearest.distance) {
+            nearest = { node, distance };
+        }
+    });
+    return nearest;
+};
+
+/**
+ * A binary min-heap of nodes ordered by their cost
+ *
+ * @returns The heap
+ */
+const createHeap = () => {
+    const items = [];
+    const swap = (i, j) => {
+        [items[i], items[j]] = [items[j], items[i]];
+    };
+
+    return {
+        /**
+         * Gets the number of nodes in the heap
+         *
+         * @returns The number of nodes
+         */
+        size: () => items.length,
+
+        /**
+         * Adds a node to the heap
+         *
+         * @param cost The cost of reaching the node
+         * @param node The node
+         */
+        push: (cost, node) => {
+            items.push({ cost, node });
+            for (let i = items.length - 1; i > 0 && items[i].cost < items[(i - 1) >> 1].cost; i = (i - 1) >> 1) {
+                swap(i, (i - 1) >> 1);
+            }
+        },
+
+        /**
+         * Removes the node with the lowest cost from the heap
+         *
+         * @returns The cost and the node
+         */
+        pop: () => {
+            const top = items[0];
+            const last = items.pop();
+            if (items.length) {
+                items[0] = last;
+                for (let i = 0; ;) {
+                    const left = 2 * i + 1;
+                    const right = left + 1;
+                    let smallest = i;
+                    if (left < items.length && items[left].cost < items[smallest].cost) {
+                        smallest = left;
+                    }
+                    if (right < items.length && items[right].cost < items[smallest].cost) {
+                        smallest = right;
+                    }
+                    if (smallest === i) {
+                        break;
+                    }
+                    swap(i, smallest);
+                    i = smallest;
+                }
+            }
+            return top;
+        }
+    };
+};
+
+/**
+ * Searches a graph from a node with Dijkstra's algorithm
+ *
+ * @param origin The node to search from
+ * @param getCost Gets the cost of walking an edge, its length by default
+ * @param options.destination The node to stop at once it's reached
+ * @param options.maxCost The cost past which nodes are left out of the search
+ * @returns A map from every node reached to its cost and the edge it was reached by
+ */
+const searchGraph = (origin, getCost = edge => edge.length, { destination, maxCost = Infinity } = {}) => {
+    const reached = new Map([[origin, { cost: 0, edge: undefined, previous: undefined }]]);
+    const settled = new Set();
+    const heap = createHeap();
+    heap.push(0, origin);
+
+    while (heap.size()) {
+        const { cost, node } = heap.pop();
+        if (settled.has(node)) {
+            continue;
+        }
+        settled.add(node);
+        if (node === destination) {
+            break;
+        }
+
+        node.edges.forEach(edge => {
+            const edgeCost = cost + getCost(edge);
+            const best = reached.get(edge.node);
+            if (edgeCost <= maxCost && (!best || edgeCost < best.cost)) {
+                reached.set(edge.node, { cost: edgeCost, edge, previous: node });
+                heap.push(edgeCost, edge.node);
+            }
+        });
+    }
+    return reached;
+};
+module.exports.searchGraph = searchGraph;
+
+/**
+ * Finds the path of least cost between two nodes of a graph
+ *
+ * @param origin The node to start from
+ * @param destination The node to get to
+ * @param getCost Gets the cost of walking an edge, its length by default
+ * @returns The list of edges from the origin to the destination, undefined if they aren't connected
+ */
+module.exports.findShortestPath = (origin, destination, getCost) => {
+    const reached = searchGraph(origin, getCost, { destination });
+    if (!reached.has(destination)) {
+        return undefined;
+    }
+
+    const path = [];
+    for (let node = destination; node !== origin; node = reached.get(node).previous) {
+        path.unshift(reached.get(node).edge);
+    }
+    return path;
+};
+
+/**
+ * Finds the largest set of nodes of a graph that are all connected to each other
+ * Sidewalks cut off from the rest of the network, such as those inside a park, form smaller sets
+ *
+ * @param graph The pedestrian graph
+ * @returns The set of nodes of the largest connected component
+ */
+module.exports.findLargestComponent = (graph) => {
+    const visited = new Set();
+    let largest = new Set();
+    graph.forEach(node => {
+        if (visited.has(node)) {
+            return;
+        }
+        const component = new Set(searchGraph(node).keys());
+        component.forEach(member => visited.add(member));
+        if (component.size > largest.size) {
+            largest = component;
+        }
+    });
+    return largest;
+};
@@ -0,0 +1,173 @@
+/**
+ * @file routeHelper.js
+ *
+ * Helper functions for scoring walking routes over the sidewalk network
+ */
+
+const config = require('../config');
+const { getSidewalksInBoundingBox } = require('../model/db');
+const { ApiError } = require('./apiError');
+const { getDistanceInMiles, METERS_PER_MILE, WALKING_SPEED } = require('./essentialsHelper');
+const { getBoundingBoxFromCoordinatesAndRange } = require('./geocoder');
+const { buildPedestrianGraph, findLargestComponent, findNearestNode, findShortestPath } = require('./pedestrianGraph');
+const { aggregateSidewalkScores, computeWalkspanIndex, MAX_CATEGORY_SCORE, SCORE_CATEGORIES } = require('./scoreHelper');
+
+/**
+ * The categories the most pleasant route favors
+ */
+const PLEASANT_CATEGORIES = [
+    'natural_beauty_score',
+    'manmade_beauty_score',
+    'comfort_score',
+    'safety_score'
+];
+
+/**
+ * Gets how pleasant a sidewalk is, the mean of its PLEASANT_CATEGORIES scores
+ * Sidewalks without any of those scores count as average so they are neither favored nor avoided
+ *
+ * @param sidewalk A normalized sidewalk
+ * @returns The pleasantness of the sidewalk from 0 to 3
+ */
+const getPleasantness = (sidewalk) => {
+    const scores = PLEASANT_CATEGORIES
+        .map(category => sidewalk[category])
+        .filter(score => score !== null && score !== undefined);
+    return scores.length ? scores.reduce((total, score) => total + score, 0) / scores.length : MAX_CATEGORY_SCORE / 2;
+};
+
+/**
+ * Gets the cost of walking an edge on the most pleasant route, its length stretched by up to
+ * ROUTE_PLEASANT_DETOUR the less pleasant its sidewalk is, crossings counting as average.
+ * The most pleasant route is therefore never more than that share longer than the shortest one
+ *
+ * @param edge An edge of the pedestrian graph
+ * @returns The cost of the edge
+ */
+const getPleasantCost = (edge) => {
+    const pleasantness = edge.crossing ? MAX_CATEGORY_SCORE / 2 : getPleasantness(edge.sidewalk);
+    const unpleasantness = 1 - pleasantness / MAX_CATEGORY_SCORE;
+    return edge.length * (1 + config.route.pleasantDetour * unpleasantness);
+};
+
+/**
+ * Describes a path through the pedestrian graph
+ *
+ * @param origin The node the path starts at
+ * @param path The list of edges from the origin to the destination
+ * @param weights The parsed weights the walkspan index is computed with
+ * @returns The length, walking time and mean scores of the path weighted by the length of its sidewalks,
+ * along with every sidewalk and crossing it follows in walking order
+ */
+const describePath = (origin, path, weights) => {
+    const length = path.reduce((total, edge) => total + edge.length, 0);
+    const aggregate = aggregateSidewalkScores(path
+        .filter(edge => !edge.crossing)
+        .map(edge => Object.assign({}, edge.sidewalk, { shape_length: edge.length })));
+    const meanScores = {};
+    SCORE_CATEGORIES.forEach(category => {
+        meanScores[category] = aggregate[category].mean;
+    });
+
+    return Object.assign(
+        {
+            length: Math.round(length * 1000) / 1000,
+            walking_time: Math.ceil(length / WALKING_SPEED * 60),
+            segment_count: aggregate.segment_count,
+            crossing_count: path.length - aggregate.segment_count
+        },
+        meanScores,
+        {
+            walkspan_index: computeWalkspanIndex(meanScores, weights),
+            segments: path.map(({ node, sidewalk, reversed, crossing, length: segmentLength }, index) => {
+                if (crossing) {
+                    // Crossings have no scores of their own, they run from the node the previous edge led to
+                    const from = index > 0 ? path[index - 1].node : origin;
+                    return {
+                        type: 'crossing',
+                        starting_latitude: from.latitude,
+                        starting_longitude: from.longitude,
+                        ending_latitude: node.latitude,
+                        ending_longitude: node.longitude,
+                        length: Math.round(segmentLength * 1000) / 1000
+                    };
+                }
+                const segment = {
+                    type: 'sidewalk',
+                    source: sidewalk.source,
+                    sidewalk_id: sidewalk.sidewalk_id,
+                    starting_latitude: reversed ? sidewalk.sidewalk_ending_latitude : sidewalk.sidewalk_starting_latitude,
+                    starting_longitude: reversed ? sidewalk.sidewalk_ending_longitude : sidewalk.sidewalk_starting_longitude,
+                    ending_latitude: reversed ? sidewalk.sidewalk_starting_latitude : sidewalk.sidewalk_ending_latitude,
+                    ending_longitude: reversed ? sidewalk.sidewalk_starting_longitude : sidewalk.sidewalk_ending_longitude,
+                    length: Math.round(segmentLength * 1000) / 1000
+                };
+                SCORE_CATEGORIES.forEach(category => {
+                    segment[category] = sidewalk[category];
+                });
+                return segment;
+            })
+        });
+};
+
+/**
+ * Gets the bounding box of the sidewalks searched for a route, the box around the origin and destination
+ * widened by ROUTE_SEARCH_MARGIN on every side
+ *
+ * @param origin The latitude and longitude of the origin
+ * @param destination The latitude and longitude of the destination
+ * @returns The topLat, bottomLat, leftLng and rightLng of the box
+ */
+const getRouteBoundingBox = (origin, destination) => {
+    const originBox = getBoundingBoxFromCoordinatesAndRange(origin.latitude, origin.longitude, config.route.searchMargin);
+    const destinationBox = getBoundingBoxFromCoordinatesAndRange(destination.latitude, destination.longitude, config.route.searchMargin);
+    return {
+        topLat: Math.max(originBox.topLat, destinationBox.topLat),
+        bottomLat: Math.min(originBox.bottomLat, destinationBox.bottomLat),
+        leftLng: Math.min(originBox.leftLng, destinationBox.leftLng),
+        rightLng: Math.max(originBox.rightLng, destinationBox.rightLng)
+    };
+};
+
+/**
+ * Scores the walking routes between two pairs of GPS coordinates
+ * Both routes start and end at the sidewalk endpoints closest to the origin and destination among those
+ * connected to the bulk of the sidewalk network, and may cross streets between sidewalk endpoints up to ROUTE_CROSSING_DISTANCE apart
+ *
+ * @param origin The latitude and longitude to walk from
+ * @param destination The latitude and longitude to walk to
+ * @param options.weights The parsed weights the walkspan index is computed with
+ * @returns The shortest route and the most pleasant one, which trades some distance for higher
+ * beauty, comfort and safety scores
+ * @throws ApiError INVALID_PARAM when the points are too far apart, NO_SIDEWALK_DATA when they aren't connected by sidewalks
+ */
+module.exports.getRouteScore = (origin, destination, { weights }) => {
+    const straightDistance = getDistanceInMiles(origin.latitude, origin.longitude, destination.latitude, destination.longitude);
+    if (straightDistance > config.route.maxDistance) {
+        throw new ApiError(
+            'INVALID_PARAM',
+            `The origin and destination are ${Math.round(straightDistance * 10) / 10} miles apart, routes are limited to ${config.route.maxDistance} miles`,
+            ['origin', 'destination'],
+            'query');
+    }
+
+    const sidewalks = getSidewalksInBoundingBox(getRouteBoundingBox(origin, destination));
+    const graph = buildPedestrianGraph(sidewalks, config.route.crossingDistance / METERS_PER_MILE);
+    const network = findLargestComponent(graph);
+    const originNode = findNearestNode(network, origin.latitude, origin.longitude);
+    const destinationNode = findNearestNode(network, destination.latitude, destination.longitude);
+    const shortestPath = originNode && findShortestPath(originNode.node, destinationNode.node);
+    if (!shortestPath) {
+        throw new ApiError(
+            'NO_SIDEWALK_DATA',
+            'No walking route over sidewalks with walkspan scores connects the origin and destination',
+            ['origin', 'destination'],
+            'query');
+    }
+    const pleasantPath = findShortestPath(originNode.node, destinationNode.node, getPleasantCost);
+
+    return {
+        shortest: describePath(originNode.node, shortestPath, weights),
+        most_pleasant: describePath(originNode.node, pleasantPath, weights)
+    };
+};
@@ -0,0 +1,36 @@
+/**
+ * @file score-weight-profiles.js
+ *
+ * Named weightings of the score categories used to compute the walkspan index
+ * The default profile weighs every category equally, the others re-rank the categories
+ * for a type of customer
+ */
+module.exports = {
+    default: {
+        natural_beauty_score: 1,
+        manmade_beauty_score: 1,
+        comfort_score: 1,
+        interest_score: 1,
+        safety_score: 1,
+        access_score: 1,
+        amenities_score: 1
+    },
+    families: {
+        natural_beauty_score: 1.5,
+        manmade_beauty_score: 0.5,
+        comfort_score: 2,
+        interest_score: 0.5,
+        safety_score: 3,
+        access_score: 1,
+        amenities_score: 1.5
+    },
+    commuters: {
+        natural_beauty_score: 0.5,
+        manmade_beauty_score: 0.5,
+        comfort_score: 1,
+        interest_score: 0.5,
+        safety_score: 1.5,
+        access_score: 3,
+        amenities_score: 2
+    }
+};
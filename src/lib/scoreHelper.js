@@ -0,0 +1,325 @@
+/**
+ * @file scoreHelper.js
+ *
+ * Helper functions for building walkspan score responses
+ */
+
+const { getClosestSidewalk, getSidewalksInRadius } = require('../model/db');
+const { ApiError, toApiError, toErrorBody } = require('./apiError');
+const { assertInCoverage } = require('./coverage');
+const { geocodeAddress, getMatchedAddress } = require('./geocoder');
+const scoreWeightProfiles = require('./score-weight-profiles');
+
+/**
+ * The seven categories every sidewalk is scored on from 0 to 3
+ */
+const SCORE_CATEGORIES = [
+    'natural_beauty_score',
+    'manmade_beauty_score',
+    'comfort_score',
+    'interest_score',
+    'safety_score',
+    'access_score',
+    'amenities_score'
+];
+module.exports.SCORE_CATEGORIES = SCORE_CATEGORIES;
+
+/**
+ * The highest score a sidewalk can get in a category
+ */
+const MAX_CATEGORY_SCORE = 3;
+module.exports.MAX_CATEGORY_SCORE = MAX_CATEGORY_SCORE;
+
+/**
+ * The number of decimals mean scores are rounded to
+ */
+const SCORE_DECIMALS = 2;
+
+/**
+ * Rounds a mean score, keeping it within the range of a category's scores
+ * Length-weighted means of sidewalks that all have the same score can otherwise come out as 3.0000000000000004
+ *
+ * @param mean The mean score
+ * @returns The rounded score between 0 and 3, null if there's no mean
+ */
+const roundMeanScore = (mean) => {
+    if (mean === null || mean === undefined) {
+        return null;
+    }
+    const factor = Math.pow(10, SCORE_DECIMALS);
+    return Math.min(MAX_CATEGORY_SCORE, Math.max(0, Math.round(mean * factor) / factor));
+};
+module.exports.roundMeanScore = roundMeanScore;
+
+/**
+ * The ways a score can be requested
+ * closest: the scores of the single sidewalk closest to the point
+ * area: the scores of every sidewalk within range aggregated by length
+ */
+module.exports.SCORE_MODES = ['closest', 'area'];
+
+/**
+ * Aggregates the scores of a set of sidewalks
+ * Each category gets its mean weighted by the length of each sidewalk rounded to SCORE_DECIMALS, the number of sidewalks
+ * having each score and the number of sidewalks that had a score for it at all
+ *
+ * @param sidewalks A list of normalized sidewalks
+ * @returns The aggregated scores of every category along with the total number of sidewalks
+ */
+const aggregateSidewalkScores = (sidewalks) => {
+    const aggregate = {
+        segment_count: sidewalks.length
+    };
+
+    SCORE_CATEGORIES.forEach(category => {
+        const distribution = { 0: 0, 1: 0, 2: 0, 3: 0 };
+        let weightedTotal = 0;
+        let totalLength = 0;
+        let segmentCount = 0;
+
+        sidewalks.forEach(sidewalk => {
+            const score = sidewalk[category];
+            if (score === null || score === undefined) {
+                return;
+            }
+            distribution[score] = (distribution[score] || 0) + 1;
+            weightedTotal += score * sidewalk.shape_length;
+            totalLength += sidewalk.shape_length;
+            segmentCount++;
+        });
+
+        aggregate[category] = {
+            mean: totalLength > 0 ? roundMeanScore(weightedTotal / totalLength) : null,
+            distribution,
+            segment_count: segmentCount
+        };
+    });
+
+    return aggregate;
+};
+module.exports.aggregateSidewalkScores = aggregateSidewalkScores;
+
+/**
+ * Parses the weights query parameter into a weight for every score category
+ * The parameter is either the name of a profile in score-weight-profiles.js or a comma separated
+ * list of category:weight pairs such as 'safety:3,comfort:2', categories left out keep their default weight
+ *
+ * @param weights The weights query parameter, the default profile is used when it's empty
+ * @returns The name of the profile used, 'custom' for a list of pairs, along with the weights
+ * @throws Error when the parameter names an unknown profile or category or has an invalid weight
+ */
+const parseScoreWeights = (weights) => {
+    if (!weights) {
+        return { profile: 'default', weights: Object.assign({}, scoreWeightProfiles.default) };
+    }
+    if (!weights.includes(':')) {
+        if (!Object.prototype.hasOwnProperty.call(scoreWeightProfiles, weights)) {
+            throw new Error(`Must be one of the profiles ${Object.keys(scoreWeightProfiles).join(', ')} or a list of category:weight pairs`);
+        }
+        return { profile: weights, weights: Object.assign({}, scoreWeightProfiles[weights]) };
+    }
+
+    const parsedWeights = Object.assign({}, scoreWeightProfiles.default);
+    weights.split(',').forEach(pair => {
+        const [name, value] = pair.split(':').map(part => part.trim());
+        const category = name.endsWith('_score') ? name : `${name}_score`;
+        const weight = Number(value);
+        if (!SCORE_CATEGORIES.includes(category)) {
+            throw new Error(`Unknown category ${name}, must be one of ${SCORE_CATEGORIES.join(', ')}`);
+        }
+        if (value === '' || !Number.isFinite(weight) || weight < 0) {
+            throw new Error(`The weight of ${name} must be a number greater than or equal to 0`);
+        }
+        parsedWeights[category] = weight;
+    });
+    if (SCORE_CATEGORIES.every(category => parsedWeights[category] === 0)) {
+        throw new Error('At least one category must have a weight greater than 0');
+    }
+    return { profile: 'custom', weights: parsedWeights };
+};
+module.exports.parseScoreWeights = parseScoreWeights;
+
+/**
+ * Computes the walkspan index, a 0-100 composite of the category scores
+ * Every category contributes its share of the total weight scaled by how close its score is to 3,
+ * categories without a score are left out and their weight is shared by the others
+ *
+ * @param scores The 0-3 score of every category, null when the category has no data
+ * @param profile The name of the weighting profile
+ * @param weights The weight of every category
+ * @returns The index along with the contribution of every category to it
+ */
+const computeWalkspanIndex = (scores, { profile, weights }) => {
+    const scoredCategories = SCORE_CATEGORIES.filter(category => scores[category] !== null && scores[category] !== undefined);
+    const totalWeight = scoredCategories.reduce((total, category) => total + weights[category], 0);
+
+    const breakdown = {};
+    let index = 0;
+    SCORE_CATEGORIES.forEach(category => {
+        const score = scoredCategories.includes(category) ? scores[category] : null;
+        const share = score !== null && totalWeight > 0 ? weights[category] / totalWeight : 0;
+        const contribution = share * 100 * (score || 0) / MAX_CATEGORY_SCORE;
+        index += contribution;
+        breakdown[category] = {
+            score,
+            weight: weights[category],
+            max_contribution: Math.round(share * 1000) / 10,
+            contribution: Math.round(contribution * 10) / 10
+        };
+    });
+
+    return {
+        score: totalWeight > 0 ? Math.round(index * 10) / 10 : null,
+        profile,
+        breakdown
+    };
+};
+module.exports.computeWalkspanIndex = computeWalkspanIndex;
+
+/**
+ * Gets the walkspan score for a pair of GPS coordinates
+ *
+ * @param latitude The latitude to get the score for
+ * @param longitude The longitude to get the score for
+ * @param options.range The range in miles area scores are aggregated over
+ * @param options.mode One of SCORE_MODES
+ * @param options.weights The parsed weights the walkspan index is computed with
+ * @param options.dataVersion The version of the dataset to score with, the current version when undefined
+ * @returns The score as returned by the score api
+ * @throws ApiError NO_SIDEWALK_DATA when there's no sidewalk to score in closest mode
+ */
+const getScore = (latitude, longitude, { range, mode, weights, dataVersion }) => {
+    if (mode === 'area') {
+        const aggregate = aggregateSidewalkScores(getSidewalksInRadius(latitude, longitude, range, dataVersion));
+        const meanScores = {};
+        SCORE_CATEGORIES.forEach(category => {
+            meanScores[category] = aggregate[category].mean;
+        });
+
+        return Object.assign(
+            { mode, range: Number(range) },
+            aggregate,
+            {
+                walkspan_index: computeWalkspanIndex(meanScores, weights),
+                latitude,
+                longitude
+            });
+    }
+
+    const closestSidewalk = getClosestSidewalk(latitude, longitude, dataVersion);
+    if (!closestSidewalk) {
+        throw new ApiError('NO_SIDEWALK_DATA', 'No sidewalk with walkspan scores is close enough to the location');
+    }
+    const {
+        natural_beauty_score,
+        manmade_beauty_score,
+        comfort_score,
+        interest_score,
+        safety_score,
+        access_score,
+        amenities_score
+    } = closestSidewalk;
+
+    return {
+        natural_beauty_score,
+        manmade_beauty_score,
+        comfort_score,
+        interest_score,
+        safety_score,
+        access_score,
+        amenities_score,
+        walkspan_index: computeWalkspanIndex({
+            natural_beauty_score,
+            manmade_beauty_score,
+            comfort_score,
+            interest_score,
+            safety_score,
+            access_score,
+            amenities_score
+        }, weights),
+        latitude,
+        longitude
+    };
+};
+module.exports.getScore = getScore;
+
+/**
+ * Gets the sidewalks a walkspan score is computed from
+ *
+ * @param latitude The latitude the score is for
+ * @param longitude The longitude the score is for
+ * @param options.range The range in miles area scores are aggregated over
+ * @param options.mode One of SCORE_MODES
+ * @param options.dataVersion The version of the dataset the score is for, the current version when undefined
+ * @returns The closest sidewalk, or every sidewalk within range in area mode
+ */
+module.exports.getScoredSidewalks = (latitude, longitude, { range, mode, dataVersion }) => {
+    if (mode === 'area') {
+        return getSidewalksInRadius(latitude, longitude, range, dataVersion);
+    }
+    const closestSidewalk = getClosestSidewalk(latitude, longitude, dataVersion);
+    return closestSidewalk ? [closestSidewalk] : [];
+};
+
+/**
+ * The most locations a single batch can score
+ */
+module.exports.MAX_BATCH_SIZE = 250;
+
+/**
+ * Gets a value from a cache, computing and storing it first if it isn't in there yet
+ *
+ * @param cache The map the value is stored in
+ * @param key The key of the value
+ * @param compute The function computing the value
+ * @returns The cached value
+ */
+const getOrCompute = (cache, key, compute) => {
+    if (!cache.has(key)) {
+        cache.set(key, compute());
+    }
+    return cache.get(key);
+};
+
+/**
+ * Scores a batch of locations
+ * Items resolving to the same address or coordinates share a single geocoding request
+ * and database lookup
+ *
+ * @param items The list of {latitude, longitude} or {address} items to score, already validated
+ * @param options The range, mode, parsed weights and dataset version every item is scored with
+ * @returns A result or a list of errors for every item in the order they were given, address items also get
+ * what their address was matched to or the candidates to pick from when it was ambiguous
+ */
+module.exports.scoreBatch = (items, options) => {
+    const geocodedAddresses = new Map();
+    const scores = new Map();
+
+    return Promise.all(items.map(async item => {
+        let { latitude, longitude } = item;
+        let matchedAddress;
+
+        try {
+            // Validates the address of the item and gets its associated GPS coordinates
+            if (item.address !== undefined) {
+                const normalizedAddress = item.address.trim().replace(/\s+/g, ' ').toLowerCase();
+                const geocodedAddress = await getOrCompute(geocodedAddresses, normalizedAddress,
+                    () => geocodeAddress(item.address, 'address', 'body'));
+                ({ latitude, longitude } = geocodedAddress);
+                matchedAddress = getMatchedAddress(geocodedAddress);
+            }
+
+            // Checks if the item is within one of Walkspan's covered areas
+            assertInCoverage(latitude, longitude, item.address !== undefined ? 'address' : ['latitude', 'longitude'], 'body');
+
+            const coordinatesKey = `${Number(latitude)},${Number(longitude)}`;
+            return {
+                matched_address: matchedAddress,
+                result: getOrCompute(scores, coordinatesKey, () => getScore(latitude, longitude, options))
+            };
+        } catch (error) {
+            // An item failing doesn't fail the batch, it gets the errors it would have gotten on its own
+            return toErrorBody(toApiError(error));
+        }
+    }));
+};
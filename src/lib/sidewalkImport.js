@@ -0,0 +1,303 @@
+/**
+ * @file sidewalkImport.js
+ *
+ * Helper functions for importing sidewalk segments into a sidewalk table
+ * Segments are read from CSV files with a column per field of the normalized sidewalk model, or from GeoJSON files,
+ * such as those exported from a Shapefile with ogr2ogr, with a LineString per segment and its scores as properties.
+ * Every segment is validated before anything is imported and the rejected ones are reported with their errors
+ */
+
+const parseCsv = require('csv-parse/lib/sync');
+const { readFileSync } = require('fs');
+
+const { findCoverageArea } = require('./coverage');
+const { getDistanceInMiles } = require('./essentialsHelper');
+const { SCORE_CATEGORIES } = require('./scoreHelper');
+
+/**
+ * The lowest and highest score a sidewalk can get in a category
+ */
+const MIN_SCORE = 0;
+const MAX_SCORE = 3;
+
+/**
+ * The length in miles past which a segment is assumed to be misplaced rather than a single stretch of sidewalk
+ */
+const MAX_SEGMENT_LENGTH = 1;
+
+/**
+ * The fields holding the ends of a segment
+ */
+const COORDINATE_FIELDS = [
+    'sidewalk_starting_latitude',
+    'sidewalk_starting_longitude',
+    'sidewalk_ending_latitude',
+    'sidewalk_ending_longitude'
+];
+
+/**
+ * The coordinate reference systems GeoJSON positions are accepted in, longitude and latitude in WGS84
+ */
+const WGS84_NAMES = ['urn:ogc:def:crs:OGC:1.3:CRS84', 'urn:ogc:def:crs:EPSG::4326', 'EPSG:4326'];
+
+/**
+ * The fields of the normalized sidewalk model, any other column or property is kept as an extra column of the segment
+ */
+const MODEL_FIELDS = ['sidewalk_id', ...SCORE_CATEGORIES, 'shape_length', ...COORDINATE_FIELDS];
+
+/**
+ * Gets the values of a row keyed by the fields of the normalized sidewalk model
+ * Keys are matched without regard to case, since Shapefile exports often capitalize them
+ *
+ * @param values The values of the row keyed by their column or property name
+ * @param rename The field each column or property named differently from the model maps to
+ * @returns The values keyed by field
+ */
+const renameFields = (values, rename) => {
+    const renamed = {};
+    Object.keys(values).forEach(key => {
+        renamed[(rename[key] || key).toLowerCase()] = values[key];
+    });
+    return renamed;
+};
+
+/**
+ * Reads the rows of a CSV file with a header line
+ *
+ * @param file The path of the CSV file
+ * @param rename The field each column named differently from the model maps to
+ * @returns The list of rows with their line number and values keyed by field
+ */
+const readCsvRows = (file, rename) => {
+    return parseCsv(readFileSync(file, 'utf8'), { columns: true, skip_empty_lines: true, trim: true, bom: true })
+        .map((values, index) => ({ row: index + 2, values: renameFields(values, rename), errors: [] }));
+};
+
+/**
+ * Gets the positions of the line of a feature
+ *
+ * @param geometry A GeoJSON geometry
+ * @returns The list of [longitude, latitude] positions, the parts of a MultiLineString one after the other
+ * @throws Error when the geometry isn't a line
+ */
+const getLinePositions = (geometry) => {
+    if (!geometry) {
+        throw new Error('The feature has no geometry');
+    } else if (geometry.type === 'LineString') {
+        return geometry.coordinates;
+    } else if (geometry.type === 'MultiLineString') {
+        return geometry.coordinates.reduce((positions, part) => positions.concat(part), []);
+    }
+    throw new Error(`The geometry must be a LineString or MultiLineString, got a ${geometry.type}`);
+};
+
+/**
+ * Reads the rows of a GeoJSON file, one per feature
+ * The first and last positions of the line are the ends of the segment, and its length in degrees
+ * is used when the feature has no shape_length
+ *
+ * @param file The path of the GeoJSON file
+ * @param rename The field each property named differently from the model maps to
+ * @returns The list of rows with their feature number and values keyed by field
+ * @throws Error when the file isn't a FeatureCollection in WGS84
+ */
+const readGeoJsonRows = (file, rename) => {
+    const collection = JSON.parse(readFileSync(file, 'utf8'));
+    if (collection.type !== 'FeatureCollection' || !Array.isArray(collection.features)) {
+        throw new Error('The GeoJSON file must hold a FeatureCollection');
+    }
+    const crsName = collection.crs && collection.crs.properties && collection.crs.properties.name;
+    if (crsName && !WGS84_NAMES.includes(crsName)) {
+        throw new Error(`The GeoJSON file uses the ${crsName} coordinate reference system, reproject it to WGS84 first such as with ogr2ogr -t_srs EPSG:4326`);
+    }
+
+    return collection.features.map((feature, index) => {
+        const row = { row: index + 1, values: renameFields(feature.properties || {}, rename), errors: [] };
+        let positions;
+        try {
+            positions = getLinePositions(feature.geometry);
+        } catch (error) {
+            row.errors.push(error.message);
+            return row;
+        }
+        if (positions.length < 2) {
+            row.errors.push('The line must have at least 2 positions');
+            return row;
+        }
+
+        const [start, end] = [positions[0], positions[positions.length - 1]];
+        Object.assign(row.values, {
+            sidewalk_starting_longitude: start[0],
+            sidewalk_starting_latitude: start[1],
+            sidewalk_ending_longitude: end[0],
+            sidewalk_ending_latitude: end[1]
+        });
+        if (row.values.shape_length === undefined) {
+            row.values.shape_length = positions.slice(1).reduce((length, position, i) =>
+                length + Math.hypot(position[0] - positions[i][0], position[1] - positions[i][1]), 0);
+        }
+        return row;
+    });
+};
+
+/**
+ * Reads the sidewalk segments of a CSV or GeoJSON file
+ *
+ * @param file The path of the file, read as GeoJSON when it ends with .json or .geojson
+ * @param rename The field each column or property named differently from the model maps to
+ * @returns The list of rows with their line or feature number, their values keyed by field and the errors found reading them
+ * @throws Error when the file can't be read as a whole
+ */
+module.exports.readSidewalkRows = (file, rename = {}) => {
+    return /\.(geo)?json$/i.test(file) ? readGeoJsonRows(file, rename) : readCsvRows(file, rename);
+};
+
+/**
+ * Checks if a value was left empty
+ *
+ * @param value A value read from a row
+ * @returns True if the value is missing or empty
+ */
+const isEmpty = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * Validates the values of a row and converts them to a segment of the normalized sidewalk model
+ *
+ * Columns that aren't fields of the model, such as the totals of the Bronx table, are kept as they are in extra_columns
+ *
+ * @param values The values of the row keyed by field
+ * @returns The segment, with its sidewalk_id undefined when the row has none, along with the list of errors found
+ */
+const validateSidewalk = (values) => {
+    const errors = [];
+    const sidewalk = {};
+
+    sidewalk.sidewalk_id = isEmpty(values.sidewalk_id) ? undefined : Number(values.sidewalk_id);
+    if (sidewalk.sidewalk_id !== undefined && !Number.isInteger(sidewalk.sidewalk_id)) {
+        errors.push(`sidewalk_id must be a whole number, got ${values.sidewalk_id}`);
+    }
+
+    SCORE_CATEGORIES.forEach(category => {
+        sidewalk[category] = isEmpty(values[category]) ? null : Number(values[category]);
+        if (sidewalk[category] !== null &&
+            !(Number.isInteger(sidewalk[category]) && sidewalk[category] >= MIN_SCORE && sidewalk[category] <= MAX_SCORE)) {
+            errors.push(`${category} must be a whole number from ${MIN_SCORE} to ${MAX_SCORE}, got ${values[category]}`);
+        }
+    });
+
+    COORDINATE_FIELDS.forEach(field => {
+        sidewalk[field] = isEmpty(values[field]) ? NaN : Number(values[field]);
+        const limit = field.endsWith('latitude') ? 90 : 180;
+        if (!Number.isFinite(sidewalk[field]) || Math.abs(sidewalk[field]) > limit) {
+            errors.push(`${field} must be a number from -${limit} to ${limit}, got ${isEmpty(values[field]) ? 'nothing' : values[field]}`);
+        }
+    });
+
+    sidewalk.shape_length = isEmpty(values.shape_length) ? null : Number(values.shape_length);
+    if (sidewalk.shape_length !== null && !(sidewalk.shape_length >= 0)) {
+        errors.push(`shape_length must be a positive number, got ${values.shape_length}`);
+    }
+
+    if (!errors.some(error => COORDINATE_FIELDS.some(field => error.startsWith(field)))) {
+        const length = getDistanceInMiles(
+            sidewalk.sidewalk_starting_latitude,
+            sidewalk.sidewalk_starting_longitude,
+            sidewalk.sidewalk_ending_latitude,
+            sidewalk.sidewalk_ending_longitude);
+        if (length === 0) {
+            errors.push('The segment starts and ends at the same point');
+        } else if (length > MAX_SEGMENT_LENGTH) {
+            errors.push(`The segment is ${Math.round(length * 10) / 10} miles long, segments are limited to ${MAX_SEGMENT_LENGTH} mile`);
+        }
+    }
+
+    sidewalk.extra_columns = {};
+    Object.keys(values).filter(key => !MODEL_FIELDS.includes(key)).forEach(key => {
+        sidewalk.extra_columns[key] = isEmpty(values[key]) ? null : values[key];
+    });
+    return { sidewalk, errors };
+};
+
+/**
+ * Validates the rows read from a file
+ * Rows without a sidewalk_id are numbered after the highest one given, rows repeating a sidewalk_id are rejected
+ *
+ * @param rows The rows as returned by readSidewalkRows
+ * @returns The valid segments in the normalized sidewalk model, the rejected rows with their errors,
+ * and the number of valid segments outside of every covered area
+ */
+module.exports.validateSidewalkRows = (rows) => {
+    const sidewalks = [];
+    const rejected = [];
+    const seenIds = new Set();
+    let outsideCoverageCount = 0;
+
+    rows.forEach(({ row, values, errors: readErrors }) => {
+        const { sidewalk, errors } = validateSidewalk(values);
+        // Lines that couldn't be read have no coordinates, only the errors reading them are reported for those
+        const rowErrors = readErrors.concat(readErrors.length ?
+            errors.filter(error => !COORDINATE_FIELDS.some(field => error.startsWith(field))) :
+            errors);
+        if (!rowErrors.length && sidewalk.sidewalk_id !== undefined) {
+            if (seenIds.has(sidewalk.sidewalk_id)) {
+                rowErrors.push(`sidewalk_id ${sidewalk.sidewalk_id} is repeated`);
+            }
+            seenIds.add(sidewalk.sidewalk_id);
+        }
+        if (rowErrors.length) {
+            rejected.push({ row, errors: rowErrors });
+            return;
+        }
+
+        if (!findCoverageArea(sidewalk.sidewalk_starting_latitude, sidewalk.sidewalk_starting_longitude) &&
+            !findCoverageArea(sidewalk.sidewalk_ending_latitude, sidewalk.sidewalk_ending_longitude)) {
+            outsideCoverageCount++;
+        }
+        sidewalks.push(sidewalk);
+    });
+
+    let nextId = Array.from(seenIds).reduce((highest, id) => Math.max(highest, id), 0) + 1;
+    sidewalks
+        .filter(sidewalk => sidewalk.sidewalk_id === undefined)
+        .forEach(sidewalk => {
+            sidewalk.sidewalk_id = nextId++;
+        });
+    return { sidewalks, rejected, outsideCoverageCount };
+};
+
+/**
+ * Summarizes an import
+ *
+ * @param rowCount The number of rows read
+ * @param validation The result of validateSidewalkRows
+ * @returns The number of rows read, imported and rejected, the number of segments outside of every covered area,
+ * the bounding box of the segments imported, the count, null count and mean of each score category,
+ * and every rejected row with its errors
+ */
+module.exports.summarizeImport = (rowCount, { sidewalks, rejected, outsideCoverageCount }) => {
+    const scores = {};
+    SCORE_CATEGORIES.forEach(category => {
+        const values = sidewalks.map(sidewalk => sidewalk[category]).filter(score => score !== null);
+        scores[category] = {
+            count: values.length,
+            null_count: sidewalks.length - values.length,
+            mean: values.length ? Math.round(values.reduce((total, score) => total + score, 0) / values.length * 100) / 100 : null
+        };
+    });
+
+    const bounds = sidewalks.reduce((box, sidewalk) => ({
+        top: Math.max(box.top, sidewalk.sidewalk_starting_latitude, sidewalk.sidewalk_ending_latitude),
+        bottom: Math.min(box.bottom, sidewalk.sidewalk_starting_latitude, sidewalk.sidewalk_ending_latitude),
+        left: Math.min(box.left, sidewalk.sidewalk_starting_longitude, sidewalk.sidewalk_ending_longitude),
+        right: Math.max(box.right, sidewalk.sidewalk_starting_longitude, sidewalk.sidewalk_ending_longitude)
+    }), { top: -Infinity, bottom: Infinity, left: Infinity, right: -Infinity });
+    return {
+        row_count: rowCount,
+        imported_count: sidewalks.length,
+        rejected_count: rejected.length,
+        outside_coverage_count: outsideCoverageCount,
+        bounds: sidewalks.length ? bounds : null,
+        scores,
+        rejected
+    };
+};
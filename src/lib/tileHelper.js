@@ -0,0 +1,109 @@
+/**
+ * @file tileHelper.js
+ *
+ * Helper functions for serving the sidewalk scores as Mapbox Vector Tiles, so they can be shown as a map layer
+ * Tiles are addressed by zoom level, column and row as in web maps, and sidewalks are simplified more the further out
+ * a tile is zoomed
+ * https://github.com/mapbox/vector-tile-spec
+ * https://github.com/mapbox/geojson-vt
+ */
+
+const geojsonvt = require('geojson-vt');
+const vtpbf = require('vt-pbf');
+
+const config = require('../config');
+const { getSidewalksInBoundingBox } = require('../model/db');
+const { sidewalkToFeature } = require('./geojsonHelper');
+
+/**
+ * The name of the layer holding the sidewalks in every tile
+ */
+const TILE_LAYER = 'sidewalks';
+module.exports.TILE_LAYER = TILE_LAYER;
+
+/**
+ * The media type of vector tiles
+ */
+module.exports.TILE_CONTENT_TYPE = 'application/vnd.mapbox-vector-tile';
+
+/**
+ * The number of units across a tile its geometries are encoded in
+ */
+const TILE_EXTENT = 4096;
+
+/**
+ * The number of units past the edges of a tile sidewalks are kept for, so lines don't show seams between tiles
+ */
+const TILE_BUFFER = 64;
+
+/**
+ * Gets the longitude of the left edge of a tile column
+ *
+ * @param x The column of the tile
+ * @param tileCount The number of tiles across the zoom level
+ * @returns The longitude
+ */
+const getTileLongitude = (x, tileCount) => x / tileCount * 360 - 180;
+
+/**
+ * Gets the latitude of the top edge of a tile row in the web mercator projection
+ *
+ * @param y The row of the tile
+ * @param tileCount The number of tiles across the zoom level
+ * @returns The latitude
+ */
+const getTileLatitude = (y, tileCount) => Math.atan(Math.sinh(Math.PI * (1 - 2 * y / tileCount))) * 180 / Math.PI;
+
+/**
+ * Gets the bounding box of a tile
+ *
+ * @param z The zoom level of the tile
+ * @param x The column of the tile
+ * @param y The row of the tile
+ * @param buffer The share of the tile's size the box is widened by on every side
+ * @returns The topLat, bottomLat, leftLng and rightLng of the box
+ */
+const getTileBoundingBox = (z, x, y, buffer = 0) => {
+    const tileCount = 2 ** z;
+    return {
+        topLat: getTileLatitude(y - buffer, tileCount),
+        bottomLat: getTileLatitude(y + 1 + buffer, tileCount),
+        leftLng: getTileLongitude(x - buffer, tileCount),
+        rightLng: getTileLongitude(x + 1 + buffer, tileCount)
+    };
+};
+module.exports.getTileBoundingBox = getTileBoundingBox;
+
+/**
+ * Builds the vector tile of the sidewalks within a tile
+ * Every sidewalk is a line with its data source, id and seven category scores as its properties,
+ * null scores being left out
+ *
+ * @param z The zoom level of the tile, from TILES_MIN_ZOOM to TILES_MAX_ZOOM
+ * @param x The column of the tile
+ * @param y The row of the tile
+ * @returns The encoded tile, undefined when there are no sidewalks within it
+ */
+module.exports.getSidewalkTile = (z, x, y) => {
+    const sidewalks = getSidewalksInBoundingBox(getTileBoundingBox(z, x, y, TILE_BUFFER / TILE_EXTENT));
+    if (!sidewalks.length) {
+        return undefined;
+    }
+
+    // Only the tiles on the way down to the requested one are split, sidewalks are simplified below TILES_MAX_ZOOM
+    const tileIndex = geojsonvt({
+        type: 'FeatureCollection',
+        features: sidewalks.map(sidewalkToFeature)
+    }, {
+        maxZoom: config.tiles.maxZoom,
+        indexMaxZoom: 0,
+        tolerance: config.tiles.tolerance,
+        extent: TILE_EXTENT,
+        buffer: TILE_BUFFER
+    });
+    const tile = tileIndex.getTile(z, x, y);
+    if (!tile || !tile.features.length) {
+        return undefined;
+    }
+    return Buffer.from(vtpbf.fromGeojsonVt({ [TILE_LAYER]: tile }, { version: 2, extent: TILE_EXTENT }));
+};
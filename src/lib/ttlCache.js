@@ -0,0 +1,100 @@
+/**
+ * @file ttlCache.js
+ *
+ * An in-memory cache whose entries expire after a time to live
+ * "Not found" results are cached separately with their own time to live
+ */
+
+/**
+ * Creates a cache
+ *
+ * @param options.ttl The number of seconds a found result is kept
+ * @param options.negativeTtl The number of seconds a not found result is kept
+ * @param options.maxEntries The number of entries past which the oldest entries are evicted
+ * @param options.isNotFound Checks if a result is a not found result
+ * @param options.now Gets the current time in milliseconds, only overridden by tests
+ * @returns The cache
+ */
+module.exports.createTtlCache = ({ ttl, negativeTtl, maxEntries, isNotFound, now = Date.now }) => {
+    const entries = new Map();
+    const pending = new Map();
+    const stats = {
+        hits: 0,
+        negative_hits: 0,
+        misses: 0
+    };
+
+    /**
+     * Stores a result, evicting the oldest entry when the cache is full
+     *
+     * @param key The key of the result
+     * @param value The result
+     */
+    const store = (key, value) => {
+        const notFound = isNotFound(value);
+        const secondsToLive = notFound ? negativeTtl : ttl;
+        if (secondsToLive <= 0) {
+            return;
+        }
+
+        entries.delete(key);
+        entries.set(key, {
+            value,
+            notFound,
+            expiresAt: now() + secondsToLive * 1000
+        });
+        if (entries.size > maxEntries) {
+            entries.delete(entries.keys().next().value);
+        }
+    };
+
+    return {
+        /**
+         * Gets a cached result, computing it when it isn't cached or has expired
+         * Concurrent calls for the same key share a single computation and failures are never cached
+         *
+         * @param key The key of the result
+         * @param compute An async function computing the result
+         * @returns The result
+         */
+        get: async (key, compute) => {
+            const entry = entries.get(key);
+            if (entry && entry.expiresAt > now()) {
+                stats[entry.notFound ? 'negative_hits' : 'hits']++;
+                return entry.value;
+            }
+            entries.delete(key);
+
+            if (pending.has(key)) {
+                stats.hits++;
+                return pending.get(key);
+            }
+
+            stats.misses++;
+            const computation = Promise.resolve().then(compute).then(value => {
+                store(key, value);
+                return value;
+            }).finally(() => pending.delete(key));
+            pending.set(key, computation);
+            return computation;
+        },
+
+        /**
+         * Gets the hit and miss counters of the cache along with its number of entries
+         *
+         * @returns The counters of the cache
+         */
+        getStats: () => Object.assign({ size: entries.size }, stats),
+
+        /**
+         * Removes every entry of the cache and resets its counters
+         */
+        clear: () => {
+            entries.clear();
+            pending.clear();
+            Object.keys(stats).forEach(stat => {
+                stats[stat] = 0;
+            });
+        }
+    };
+};
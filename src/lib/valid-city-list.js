@@ -1,8 +0,0 @@
-/**
- * @file valid-city-list.js
- *
- * An allowlist of what cities are currently supported by walkspan
- */
-module.exports = [
-    'New York'
-]
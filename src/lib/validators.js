@@ -0,0 +1,146 @@
+/**
+ * @file validators.js
+ *
+ * The express-validator chains shared by the api endpoints
+ * https://express-validator.github.io/docs/
+ */
+const { param, query, validationResult } = require("express-validator");
+
+const config = require('../config');
+const { getDataset, listDatasets } = require('../model/datasets');
+
+const { ESSENTIALS_CATEGORY_NAMES, ESSENTIALS_SORTS, parseEssentialsCategories } = require('./essentialsHelper');
+const { RESPONSE_FORMATS } = require('./geojsonHelper');
+const { parseScoreWeights, SCORE_MODES } = require('./scoreHelper');
+const { parseWalkshedMinutes } = require('./walkshedHelper');
+const { WIDGET_ASSET_MODES } = require('./widgetAssets');
+
+/**
+ * Validates a latitude between -90 and 90
+ *
+ * @param field The name of the parameter holding the latitude
+ */
+module.exports.latitudeValidator = (field = 'latitude') =>
+    query(field, 'Must be between -90 and 90').isFloat({min:-90,max:90});
+
+/**
+ * Validates a longitude between -180 and 180
+ *
+ * @param field The name of the parameter holding the longitude
+ */
+module.exports.longitudeValidator = (field = 'longitude') =>
+    query(field, 'Must be between -180 and 180').isFloat({min:-180,max:180});
+
+/**
+ * Validates a street address
+ *
+ * @param field The name of the parameter holding the address
+ */
+module.exports.addressValidator = (field = 'q') =>
+    query(field, 'Must supply a valid address string').isString();
+
+/**
+ * Validates the optional displayWidget flag
+ */
+module.exports.displayWidgetValidator = () =>
+    query('displayWidget', "Must be true, false or null").optional({ nullable: true }).isBoolean();
+
+/**
+ * Validates the optional mode widgets load their assets in
+ */
+module.exports.widgetAssetsValidator = () =>
+    query('widgetAssets', 'Must be cdn, hosted, inline or null').optional({ nullable: true })
+        .isIn(WIDGET_ASSET_MODES);
+
+/**
+ * Validates the optional range in miles
+ */
+module.exports.rangeValidator = () =>
+    query('range', 'Must be 0.25, 0.5 or 1 miles').optional({ nullable: true }).isIn([0.25, 0.5, 1]);
+
+/**
+ * Validates the optional score mode
+ */
+module.exports.modeValidator = () =>
+    query('mode', `Must be ${SCORE_MODES.join(' or ')}`).optional({ nullable: true }).isIn(SCORE_MODES);
+
+/**
+ * Validates the optional walkspan index weights
+ */
+module.exports.weightsValidator = () =>
+    query('weights').optional({ nullable: true }).custom(weights => parseScoreWeights(weights) && true);
+
+/**
+ * Validates the optional response format
+ */
+module.exports.formatValidator = () =>
+    query('format', `Must be ${RESPONSE_FORMATS.join(' or ')}`).optional({ nullable: true }).isIn(RESPONSE_FORMATS);
+
+/**
+ * Validates the optional comma separated list of lifestyle essentials categories
+ */
+module.exports.essentialsCategoryValidator = () =>
+    query('category', `Must be a comma separated list of ${ESSENTIALS_CATEGORY_NAMES.join(', ')}`)
+        .optional({ nullable: true })
+        .custom(categories => parseEssentialsCategories(categories)
+            .every(category => ESSENTIALS_CATEGORY_NAMES.includes(category)));
+
+/**
+ * Validates the optional flag dropping unnamed lifestyle essentials
+ */
+module.exports.namedValidator = () =>
+    query('named', "Must be true, false or null").optional({ nullable: true }).isBoolean();
+
+/**
+ * Validates the optional lifestyle essentials sort
+ */
+module.exports.essentialsSortValidator = () =>
+    query('sort', `Must be ${ESSENTIALS_SORTS.join(' or ')}`).optional({ nullable: true }).isIn(ESSENTIALS_SORTS);
+
+/**
+ * Validates the optional comma separated list of walkshed walking times
+ */
+module.exports.walkshedMinutesValidator = () =>
+    query('minutes').optional({ nullable: true }).custom(minutes => parseWalkshedMinutes(minutes) && true);
+
+/**
+ * Validates the optional version of the sidewalk dataset to query, which must be the current or an archived version
+ */
+module.exports.dataVersionValidator = () =>
+    query('dataVersion').optional({ nullable: true }).custom(dataVersion => {
+        if (!getDataset(String(dataVersion))) {
+            throw new Error(`Must be one of ${listDatasets().map(dataset => dataset.version).join(', ')}`);
+        }
+        return true;
+    });
+
+/**
+ * Validates the zoom level of a vector tile path
+ */
+module.exports.tileZoomValidator = () =>
+    param('z', `Must be a whole number from ${config.tiles.minZoom} to ${config.tiles.maxZoom}`)
+        .isInt({ min: config.tiles.minZoom, max: config.tiles.maxZoom });
+
+/**
+ * Validates the column or row of a vector tile path, which must be within the tiles of its zoom level
+ *
+ * @param field The name of the parameter holding the column or row
+ */
+module.exports.tileCoordinateValidator = (field) =>
+    param(field, 'Must be a whole number from 0 to 2^z - 1')
+        .isInt({ min: 0 })
+        .custom((value, { req }) => Number(value) < 2 ** Number(req.params.z));
+
+/**
+ * Runs validator chains against a set of parameters that didn't come from a query string,
+ * such as a single item of a request body
+ *
+ * @param validators The validator chains to run
+ * @param params The parameters to validate
+ * @returns The express-validator result of the validation
+ */
+module.exports.validateParams = async (validators, params) => {
+    const paramsRequest = { query: Object.assign({}, params) };
+    await Promise.all(validators.map(validator => validator.run(paramsRequest)));
+    return validationResult(paramsRequest);
+};
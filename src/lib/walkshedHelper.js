@@ -0,0 +1,228 @@
+/**
+ * @file walkshedHelper.js
+ *
+ * Helper functions for building walksheds, the areas reachable on foot within a number of minutes
+ * The sidewalk network is searched from the closest sidewalk and the places reached within each walking time
+ * are outlined with a concave hull
+ * https://github.com/mapbox/concaveman
+ */
+
+const concaveman = require('concaveman');
+
+const config = require('../config');
+const { getClosestSidewalk, getSidewalksInRadius } = require('../model/db');
+const { ApiError, toApiError } = require('./apiError');
+const { isInPolygon } = require('./coverage');
+const {
+    getDistanceInMiles,
+    getLifestyleEssentials,
+    getRequestedCategories,
+    METERS_PER_MILE,
+    WALKING_SPEED
+} = require('./essentialsHelper');
+const { buildPedestrianGraph, findNearestNode, searchGraph } = require('./pedestrianGraph');
+const { aggregateSidewalkScores, computeWalkspanIndex, SCORE_CATEGORIES } = require('./scoreHelper');
+
+/**
+ * The walking times in minutes walksheds are built for when none are requested
+ */
+const DEFAULT_WALKSHED_MINUTES = [5, 10, 15];
+module.exports.DEFAULT_WALKSHED_MINUTES = DEFAULT_WALKSHED_MINUTES;
+
+/**
+ * The longest walking time in minutes a walkshed can be built for
+ */
+const MAX_WALKSHED_MINUTES = 30;
+module.exports.MAX_WALKSHED_MINUTES = MAX_WALKSHED_MINUTES;
+
+/**
+ * The most walking times a single request can build walksheds for
+ */
+const MAX_WALKSHEDS = 4;
+module.exports.MAX_WALKSHEDS = MAX_WALKSHEDS;
+
+/**
+ * How closely the outline of a walkshed follows the places reached, lower values give more detailed outlines
+ */
+const OUTLINE_CONCAVITY = 2;
+
+/**
+ * The length in degrees below which the edges of an outline aren't refined any further, about 30 meters
+ */
+const OUTLINE_LENGTH_THRESHOLD = 0.0003;
+
+/**
+ * Parses a comma separated list of walking times
+ *
+ * @param minutes A comma separated list of minutes such as '5,10,15', the default walking times when it's empty
+ * @returns The sorted list of distinct walking times
+ * @throws Error when a walking time isn't a whole number of minutes from 1 to MAX_WALKSHED_MINUTES
+ * or there are more than MAX_WALKSHEDS of them
+ */
+module.exports.parseWalkshedMinutes = (minutes) => {
+    if (minutes === undefined || minutes === null || minutes === '') {
+        return DEFAULT_WALKSHED_MINUTES;
+    }
+    const parsedMinutes = String(minutes).split(',').map(value => value.trim());
+    parsedMinutes.forEach(value => {
+        const number = Number(value);
+        if (!/^\d+$/.test(value) || number < 1 || number > MAX_WALKSHED_MINUTES) {
+            throw new Error(`Must be a comma separated list of whole numbers of minutes from 1 to ${MAX_WALKSHED_MINUTES}`);
+        }
+    });
+    const distinctMinutes = Array.from(new Set(parsedMinutes.map(Number))).sort((a, b) => a - b);
+    if (distinctMinutes.length > MAX_WALKSHEDS) {
+        throw new Error(`Must have at most ${MAX_WALKSHEDS} walking times`);
+    }
+    return distinctMinutes;
+};
+
+/**
+ * Gets the places reached within a walking distance, every node reached along with the point
+ * as far along each edge leaving the walkshed as the remaining distance allows
+ *
+ * @param reached The nodes reached by the network search along with their distance
+ * @param distance The walking distance in miles
+ * @returns The list of [longitude, latitude] positions reached
+ */
+const getReachedPositions = (reached, distance) => {
+    const positions = [];
+    reached.forEach(({ cost }, node) => {
+        if (cost > distance) {
+            return;
+        }
+        positions.push([node.longitude, node.latitude]);
+        node.edges.forEach(edge => {
+            const next = reached.get(edge.node);
+            if (next && next.cost <= distance) {
+                return;
+            }
+            const share = Math.min(1, (distance - cost) / edge.length);
+            positions.push([
+                node.longitude + (edge.node.longitude - node.longitude) * share,
+                node.latitude + (edge.node.latitude - node.latitude) * share
+            ]);
+        });
+    });
+    return positions;
+};
+
+/**
+ * Gets the sidewalks walked end to end within a walking distance
+ *
+ * @param reached The nodes reached by the network search along with their distance
+ * @param distance The walking distance in miles
+ * @returns The list of distinct sidewalks with both of their endpoints reached
+ */
+const getReachedSidewalks = (reached, distance) => {
+    const sidewalks = new Set();
+    reached.forEach(({ cost }, node) => {
+        if (cost > distance) {
+            return;
+        }
+        node.edges.forEach(edge => {
+            const next = reached.get(edge.node);
+            if (edge.sidewalk && next && next.cost <= distance) {
+                sidewalks.add(edge.sidewalk);
+            }
+        });
+    });
+    return Array.from(sidewalks);
+};
+
+/**
+ * Builds the walksheds around a pair of GPS coordinates
+ * The network search starts from both ends of the closest sidewalk, which are reached in a straight line,
+ * and may cross streets between sidewalk endpoints up to ROUTE_CROSSING_DISTANCE apart
+ *
+ * @param latitude The latitude to build the walksheds around
+ * @param longitude The longitude to build the walksheds around
+ * @param options.minutes The sorted list of walking times to build a walkshed for
+ * @param options.weights The parsed weights the walkspan index of each walkshed is computed with
+ * @param options.categories The lifestyle essentials categories to keep, every category when undefined
+ * @returns A GeoJSON FeatureCollection with a Polygon feature for every walking time, its properties holding the
+ * mean scores of the sidewalks and the lifestyle essentials within it, along with the warnings of lifestyle
+ * essentials categories that could not be fetched
+ * @throws ApiError NO_SIDEWALK_DATA when there's no sidewalk within walking distance
+ */
+module.exports.getWalksheds = async (latitude, longitude, { minutes, weights, categories }) => {
+    const maxDistance = Math.max(...minutes) / 60 * WALKING_SPEED;
+    const closestSidewalk = getClosestSidewalk(latitude, longitude);
+    const closestEnds = closestSidewalk ? [
+        [closestSidewalk.sidewalk_starting_latitude, closestSidewalk.sidewalk_starting_longitude],
+        [closestSidewalk.sidewalk_ending_latitude, closestSidewalk.sidewalk_ending_longitude]
+    ].map(([endLatitude, endLongitude]) => ({
+        latitude: endLatitude,
+        longitude: endLongitude,
+        distance: getDistanceInMiles(latitude, longitude, endLatitude, endLongitude)
+    })) : [];
+    if (!closestEnds.some(end => end.distance <= maxDistance)) {
+        throw new ApiError('NO_SIDEWALK_DATA', 'No sidewalk with walkspan scores is within walking distance of the location');
+    }
+
+    // Searches every sidewalk within the longest walking distance
+    const graph = buildPedestrianGraph(
+        getSidewalksInRadius(latitude, longitude, maxDistance),
+        config.route.crossingDistance / METERS_PER_MILE);
+    const start = {
+        latitude: Number(latitude),
+        longitude: Number(longitude),
+        edges: closestEnds.map(end => ({
+            node: findNearestNode(graph, end.latitude, end.longitude).node,
+            length: end.distance
+        }))
+    };
+    const reached = searchGraph(start, undefined, { maxCost: maxDistance });
+
+    // The walksheds only depend on the sidewalks, so they're still built when no lifestyle essentials could be fetched,
+    // with a warning for every category instead
+    let essentials = [];
+    let warnings;
+    try {
+        ({ essentials, warnings } = await getLifestyleEssentials(latitude, longitude, maxDistance, { categories }));
+    } catch (error) {
+        const apiError = toApiError(error);
+        if (apiError !== error) {
+            console.error(`Unable to get the lifestyle essentials of the walksheds: ${error.message || error}`);
+        }
+        warnings = getRequestedCategories(categories).map(category => ({
+            category_general: category.category_general,
+            category_exact: category.subcategory,
+            message: apiError.message
+        }));
+    }
+
+    return {
+        type: 'FeatureCollection',
+        features: minutes.map(walkingTime => {
+            const distance = walkingTime / 60 * WALKING_SPEED;
+            const outline = concaveman(getReachedPositions(reached, distance), OUTLINE_CONCAVITY, OUTLINE_LENGTH_THRESHOLD);
+            const geometry = { type: 'Polygon', coordinates: [outline] };
+
+            const aggregate = aggregateSidewalkScores(getReachedSidewalks(reached, distance));
+            const meanScores = {};
+            SCORE_CATEGORIES.forEach(category => {
+                meanScores[category] = aggregate[category].mean;
+            });
+
+            return {
+                type: 'Feature',
+                geometry,
+                properties: Object.assign(
+                    {
+                        minutes: walkingTime,
+                        distance: Math.round(distance * 1000) / 1000,
+                        segment_count: aggregate.segment_count
+                    },
+                    meanScores,
+                    {
+                        walkspan_index: computeWalkspanIndex(meanScores, weights),
+                        essentials: essentials.filter(essential => isInPolygon(essential.latitude, essential.longitude, geometry))
+                    })
+            };
+        }),
+        latitude: Number(latitude),
+        longitude: Number(longitude),
+        warnings
+    };
+};
@@ -0,0 +1,183 @@
+/**
+ * @file widgetAssets.js
+ *
+ * The static assets of walkspan's widgets: Leaflet, Bootstrap, jQuery, the marker canvas and the marker icons
+ * Every asset is pinned to the exact version of its package in package.json, so its SRI hash is computed from the
+ * installed copy and holds for the CDN copy as well. Widgets load their assets in one of WIDGET_ASSET_MODES and only run
+ * the scripts and styles carrying the nonce of their Content-Security-Policy
+ */
+const { randomBytes, createHash } = require("crypto");
+const { readFileSync } = require('fs');
+const { extname } = require('path');
+
+const config = require('../config');
+
+/**
+ * How widgets load their assets
+ * cdn: from jsDelivr, the default
+ * hosted: from the pinned copies served by the api at /widget/assets
+ * inline: embedded in the widget, so it makes no other request than the map tiles
+ */
+const WIDGET_ASSET_MODES = ['cdn', 'hosted', 'inline'];
+module.exports.WIDGET_ASSET_MODES = WIDGET_ASSET_MODES;
+
+/**
+ * The path the api serves the pinned copies of the assets at
+ */
+const WIDGET_ASSETS_PATH = '/widget/assets';
+module.exports.WIDGET_ASSETS_PATH = WIDGET_ASSETS_PATH;
+
+/**
+ * The url every asset is loaded from in cdn mode, followed by its package, version and file
+ */
+const CDN_URL = 'https://cdn.jsdelivr.net/npm';
+
+/**
+ * The content type of every kind of asset
+ */
+const CONTENT_TYPES = {
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.png': 'image/png'
+};
+
+/**
+ * The files of the packages the widgets load, scripts in the order they have to run in
+ */
+const ASSET_FILES = [
+    { name: 'leaflet.css', packageName: 'leaflet', file: 'dist/leaflet.css' },
+    { name: 'bootstrap.css', packageName: 'bootstrap', file: 'dist/css/bootstrap.min.css' },
+    { name: 'jquery.js', packageName: 'jquery', file: 'dist/jquery.min.js' },
+    { name: 'bootstrap.js', packageName: 'bootstrap', file: 'dist/js/bootstrap.bundle.min.js' },
+    { name: 'leaflet.js', packageName: 'leaflet', file: 'dist/leaflet.js' },
+    { name: 'rbush.js', packageName: 'rbush', file: 'rbush.min.js' },
+    { name: 'leaflet-markers-canvas.js', packageName: 'leaflet-markers-canvas', file: 'dist/leaflet-markers-canvas.min.js' },
+    // The images leaflet.css refers to, found next to it when it's hosted
+    { name: 'marker-icon.png', packageName: 'leaflet', file: 'dist/images/marker-icon.png' },
+    { name: 'marker-icon-2x.png', packageName: 'leaflet', file: 'dist/images/marker-icon-2x.png' },
+    { name: 'marker-shadow.png', packageName: 'leaflet', file: 'dist/images/marker-shadow.png' },
+    { name: 'layers.png', packageName: 'leaflet', file: 'dist/images/layers.png' },
+    { name: 'layers-2x.png', packageName: 'leaflet', file: 'dist/images/layers-2x.png' }
+];
+
+/**
+ * Loads an asset from its installed package
+ *
+ * @param asset One of ASSET_FILES
+ * @returns The asset with its content, content type, SRI hash and the path it's served at
+ */
+const loadAsset = ({ name, packageName, file }) => {
+    const { version } = require(`${packageName}/package.json`);
+    const content = readFileSync(require.resolve(`${packageName}/${file}`));
+    return {
+        name,
+        path: `${packageName}@${version}/${file}`,
+        content,
+        contentType: CONTENT_TYPES[extname(file)],
+        integrity: `sha384-${createHash('sha384').update(content).digest('base64')}`
+    };
+};
+
+let assets;
+
+/**
+ * Gets every asset, loading them on first use
+ *
+ * @returns The loaded assets by name
+ */
+const getAssets = () => {
+    if (!assets) {
+        assets = {};
+        ASSET_FILES.forEach(asset => assets[asset.name] = loadAsset(asset));
+    }
+    return assets;
+};
+
+/**
+ * Gets the asset served at a path
+ *
+ * @param path The path of the asset below WIDGET_ASSETS_PATH, such as leaflet@1.7.1/dist/leaflet.js
+ * @returns The asset with its content and content type, undefined if there's no such asset
+ */
+module.exports.getWidgetAsset = (path) => Object.values(getAssets()).find(asset => asset.path === path);
+
+/**
+ * Gets the path of an asset below WIDGET_ASSETS_PATH
+ *
+ * @param name The name of the asset, such as marker-icon.png
+ * @returns The path, such as leaflet@1.7.1/dist/images/marker-icon.png
+ */
+module.exports.getWidgetAssetPath = (name) => getAssets()[name].path;
+
+/**
+ * Gets the url an asset is loaded from
+ *
+ * @param asset The loaded asset
+ * @param mode One of WIDGET_ASSET_MODES
+ * @param assetUrl The url of the api
+ * @returns The url, a data url for images in inline mode
+ */
+const getAssetUrl = (asset, mode, assetUrl) => {
+    if (mode === 'inline') {
+        return `data:${asset.contentType};base64,${asset.content.toString('base64')}`;
+    }
+    return mode === 'hosted' ? `${assetUrl}${WIDGET_ASSETS_PATH}/${asset.path}` : `${CDN_URL}/${asset.path}`;
+};
+
+/**
+ * Gets the origin of a url
+ *
+ * @param url The url, which may hold {z}, {x} and {y} placeholders such as a tile url
+ * @returns The origin of the url
+ */
+const getOrigin = (url) => new URL(url.replace(/\{\w+\}/g, '0')).origin;
+
+/**
+ * Prepares the rendering of a widget: where its assets are loaded from, its nonce and its Content-Security-Policy
+ *
+ * @param names The names of the scripts and styles of the widget
+ * @param mode One of WIDGET_ASSET_MODES
+ * @param requestOrigin The origin the api was requested at, hosted assets are loaded from it
+ * unless widget.assetUrl of src/config.js is set
+ * @returns The nonce, the styles and scripts, each with either its url and SRI hash or its content when it's inlined,
+ * the urls of the marker icons, the url of the map tiles and the Content-Security-Policy allowing only those
+ */
+module.exports.createWidgetContext = (names, mode, requestOrigin) => {
+    const assetUrl = (config.widget.assetUrl || requestOrigin).replace(/\/$/, '');
+    const { tileUrl } = config.widget;
+    const nonce = randomBytes(16).toString('base64');
+    const loaded = getAssets();
+    const toElement = (asset) => mode === 'inline'
+        ? {
+            content: asset.content.toString('utf8')
+                // An inlined asset mustn't close the element it's embedded in
+                .replace(/<\/(script|style)/gi, '<\\/$1')
+                // and the images leaflet.css refers to have no url to be relative to
+                .replace(/url\(images\/([\w-]+\.png)\)/g, (match, name) => `url(${getAssetUrl(loaded[name], mode)})`)
+        }
+        : { href: getAssetUrl(asset, mode, assetUrl), integrity: asset.integrity };
+
+    const widgetAssets = names.map(name => loaded[name]);
+    const assetSources = mode === 'inline' ? [] : [mode === 'hosted' ? getOrigin(assetUrl) : getOrigin(CDN_URL)];
+    const imageSources = ['data:'].concat(assetSources, tileUrl ? [getOrigin(tileUrl)] : []);
+
+    return {
+        nonce,
+        styles: widgetAssets.filter(asset => asset.name.endsWith('.css')).map(toElement),
+        scripts: widgetAssets.filter(asset => asset.name.endsWith('.js')).map(toElement),
+        icons: {
+            iconUrl: getAssetUrl(loaded['marker-icon.png'], mode, assetUrl),
+            iconRetinaUrl: getAssetUrl(loaded['marker-icon-2x.png'], mode, assetUrl),
+            shadowUrl: getAssetUrl(loaded['marker-shadow.png'], mode, assetUrl)
+        },
+        tileUrl,
+        contentSecurityPolicy: [
+            "default-src 'none'",
+            `script-src ${[`'nonce-${nonce}'`].concat(assetSources).join(' ')}`,
+            `style-src ${[`'nonce-${nonce}'`].concat(assetSources).join(' ')}`,
+            `img-src ${imageSources.join(' ')}`,
+            "base-uri 'none'",
+            "form-action 'none'"
+        ].join('; ')
+    };
+};
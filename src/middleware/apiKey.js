@@ -0,0 +1,149 @@
+/**
+ * @file apiKey.js
+ *
+ * Middleware requiring an API key from the local key store in the X-API-Key header of every request
+ * Each key is held to a rate limit, allowing short bursts, and to a daily quota, and every request it makes
+ * is recorded against the endpoint it was made to
+ */
+
+const config = require('../config');
+const { ApiError } = require('../lib/apiError');
+const { findApiKey, getDailyUsage, openApiKeyStore, recordApiKeyUsage } = require('../model/apiKeys');
+
+/**
+ * The header holding the API key of a request
+ */
+const API_KEY_HEADER = 'X-API-Key';
+module.exports.API_KEY_HEADER = API_KEY_HEADER;
+
+/**
+ * The paths served without an API key, such as the assets loaded by the widgets
+ */
+const PUBLIC_PATHS = ['/essentials/marker-icon.png'];
+
+let keyStore;
+
+/**
+ * The requests each key may still make at once, by key id, refilled at its rate limit
+ */
+const buckets = new Map();
+
+/**
+ * Opens the key store requests are checked against
+ *
+ * @param file The path of the key store, defaults to apiKeys.store of src/config.js
+ * @returns The connection to the key store
+ */
+const loadApiKeyStore = (file = config.apiKeys.store) => {
+    if (keyStore) {
+        keyStore.close();
+    }
+    keyStore = openApiKeyStore(file);
+    buckets.clear();
+    return keyStore;
+};
+module.exports.loadApiKeyStore = loadApiKeyStore;
+
+/**
+ * Takes a request out of the bucket of a key
+ *
+ * @param apiKey The record of the key
+ * @param now The current time in milliseconds
+ * @returns The number of seconds until the key may make another request, 0 if it may make this one
+ */
+const takeFromBucket = (apiKey, now = Date.now()) => {
+    const rateLimit = apiKey.rate_limit === null ? config.apiKeys.rateLimit : apiKey.rate_limit;
+    const burst = apiKey.burst === null ? config.apiKeys.burst : apiKey.burst;
+    const bucket = buckets.get(apiKey.id) || { tokens: burst, updatedAt: now };
+    bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updatedAt) / 1000 * rateLimit);
+    bucket.updatedAt = now;
+    buckets.set(apiKey.id, bucket);
+
+    if (bucket.tokens < 1) {
+        return Math.ceil((1 - bucket.tokens) / rateLimit);
+    }
+    bucket.tokens -= 1;
+    return 0;
+};
+
+/**
+ * Gets the number of seconds until the next UTC day, when daily quotas start over
+ *
+ * @param now The current time in milliseconds
+ * @returns The number of seconds
+ */
+const getSecondsUntilTomorrow = (now = Date.now()) => {
+    const tomorrow = new Date(now);
+    tomorrow.setUTCHours(24, 0, 0, 0);
+    return Math.ceil((tomorrow.getTime() - now) / 1000);
+};
+
+/**
+ * Builds the error of a request refused because of its API key
+ *
+ * @param code One of the ApiError codes
+ * @param message Why the request was refused
+ * @returns The ApiError
+ */
+const getApiKeyError = (code, message) => new ApiError(code, message, API_KEY_HEADER, 'headers');
+
+/**
+ * Refuses requests without a valid API key or past the rate limit or daily quota of their key,
+ * and records the endpoint and status of every other one once it's answered
+ *
+ * @param request The express request
+ * @param response The express response
+ * @param next The next middleware
+ */
+module.exports.requireApiKey = (request, response, next) => {
+    if (!config.apiKeys.enabled || PUBLIC_PATHS.includes(request.baseUrl + request.path)) {
+        return next();
+    }
+
+    const key = request.get(API_KEY_HEADER);
+    if (!key) {
+        return next(getApiKeyError('UNAUTHORIZED', `Must supply an API key in the ${API_KEY_HEADER} header`));
+    }
+
+    let apiKey;
+    let usedCount;
+    try {
+        apiKey = findApiKey(keyStore || loadApiKeyStore(), key);
+        usedCount = apiKey && getDailyUsage(keyStore, apiKey.id);
+    } catch (error) {
+        console.error(`Unable to read the API key store: ${error.message || error}`);
+        return next(getApiKeyError('UPSTREAM_UNAVAILABLE', 'API keys can\'t be checked at the moment, please try again later'));
+    }
+    if (!apiKey) {
+        return next(getApiKeyError('UNAUTHORIZED', 'Invalid API key'));
+    } else if (apiKey.revoked_at) {
+        return next(getApiKeyError('UNAUTHORIZED', 'This API key has been revoked'));
+    }
+
+    const dailyQuota = apiKey.daily_quota === null ? config.apiKeys.dailyQuota : apiKey.daily_quota;
+    response.set('X-Quota-Limit', dailyQuota);
+    response.set('X-Quota-Remaining', Math.max(0, dailyQuota - usedCount));
+    if (usedCount >= dailyQuota) {
+        response.set('Retry-After', getSecondsUntilTomorrow());
+        return next(getApiKeyError('RATE_LIMITED', `This API key has used its daily quota of ${dailyQuota} requests`));
+    }
+
+    const retryAfter = takeFromBucket(apiKey);
+    if (retryAfter) {
+        response.set('Retry-After', retryAfter);
+        return next(getApiKeyError('RATE_LIMITED', 'Too many requests with this API key, please slow down'));
+    }
+    response.set('X-Quota-Remaining', dailyQuota - usedCount - 1);
+
+    // Endpoints are recorded by their route, such as /tiles/:z/:x/:y.mvt, so usage isn't split per parameter value
+    const baseUrl = request.baseUrl;
+    response.on('finish', () => {
+        const endpoint = (baseUrl + (request.route ? request.route.path : '')).replace(/(.)\/$/, '$1');
+        try {
+            recordApiKeyUsage(keyStore, apiKey.id, endpoint, response.statusCode);
+        } catch (error) {
+            console.error(`Unable to record the usage of API key ${apiKey.id}: ${error.message || error}`);
+        }
+    });
+    next();
+};
@@ -0,0 +1,39 @@
+/**
+ * @file dataVersion.js
+ *
+ * Middleware reporting which version of the sidewalk dataset produced a response
+ * Every JSON object sent gets a dataVersion field, and every response an X-Data-Version header
+ */
+
+const { getCurrentDataVersion } = require('../model/datasets');
+
+/**
+ * The header holding the dataset version of a response, the only place it's reported for responses that aren't JSON
+ */
+const DATA_VERSION_HEADER = 'X-Data-Version';
+module.exports.DATA_VERSION_HEADER = DATA_VERSION_HEADER;
+
+/**
+ * Reports the current dataset version unless the endpoint sets response.locals.dataVersion to the version it queried
+ *
+ * @param request The express request
+ * @param response The express response
+ * @param next The next middleware
+ */
+module.exports.reportDataVersion = (request, response, next) => {
+    const dataVersion = getCurrentDataVersion();
+    response.locals.dataVersion = dataVersion;
+    if (dataVersion !== undefined) {
+        response.set(DATA_VERSION_HEADER, dataVersion);
+    }
+
+    const json = response.json.bind(response);
+    response.json = (body) => {
+        if (response.locals.dataVersion === undefined || !body || typeof body !== 'object' || Array.isArray(body)) {
+            return json(body);
+        }
+        response.set(DATA_VERSION_HEADER, response.locals.dataVersion);
+        return json(Object.assign({}, body, { dataVersion: response.locals.dataVersion }));
+    };
+    next();
+};
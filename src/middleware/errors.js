@@ -0,0 +1,69 @@
+/**
+ * @file errors.js
+ *
+ * Middleware giving every request an id and answering every error with the Error schema
+ * The id is echoed in the X-Request-Id header of every response and in the body of error responses,
+ * so a report from a client can be matched with the logs
+ */
+
+const { randomBytes } = require("crypto");
+
+const { toApiError, toErrorBody } = require('../lib/apiError');
+
+/**
+ * The header holding the id of a request
+ */
+const REQUEST_ID_HEADER = 'X-Request-Id';
+module.exports.REQUEST_ID_HEADER = REQUEST_ID_HEADER;
+
+/**
+ * The request ids passed on from a proxy or client that are kept rather than replaced
+ */
+const REQUEST_ID_PATTERN = /^[\w-]{1,128}$/;
+
+/**
+ * Gives the request the id sent in its X-Request-Id header, or a new one, as response.locals.requestId
+ *
+ * @param request The express request
+ * @param response The express response
+ * @param next The next middleware
+ */
+module.exports.assignRequestId = (request, response, next) => {
+    const sentId = request.get(REQUEST_ID_HEADER);
+    const requestId = sentId && REQUEST_ID_PATTERN.test(sentId) ? sentId : randomBytes(16).toString('hex');
+    response.locals.requestId = requestId;
+    response.set(REQUEST_ID_HEADER, requestId);
+    next();
+};
+
+/**
+ * Wraps an async endpoint so what it throws is answered by the error middleware
+ * instead of leaving the request without a response
+ *
+ * @param handler The async express handler
+ * @returns The express handler, returning the promise of the endpoint once its error is passed on
+ */
+module.exports.catchErrors = (handler) => (request, response, next) => {
+    return Promise.resolve(handler(request, response, next)).catch(next);
+};
+
+/**
+ * Answers an error with its status and the Error schema, logging the unexpected ones along with the request id
+ *
+ * @param error What was thrown or passed to next
+ * @param request The express request
+ * @param response The express response
+ * @param next The next middleware
+ */
+module.exports.handleErrors = (error, request, response, next) => {
+    const apiError = toApiError(error);
+    if (apiError.status >= 500) {
+        console.error(`Request ${response.locals.requestId} to ${request.originalUrl} failed:`, error);
+    }
+    if (response.headersSent) {
+        return next(error);
+    }
+    return response.status(apiError.status).json(Object.assign(toErrorBody(apiError), {
+        requestId: response.locals.requestId
+    }));
+};
@@ -0,0 +1,65 @@
+/**
+ * @file openapi.js
+ *
+ * Middleware holding requests and responses to the OpenAPI spec served at /docs/openapi.json
+ * Requests the spec doesn't allow are refused before reaching an endpoint, and responses that don't match
+ * the spec are logged or refused, so the documentation can't drift from what the api does
+ */
+
+const config = require('../config');
+const { ApiError } = require('../lib/apiError');
+const { findOperation, validateRequest, validateResponse } = require('../lib/openapi');
+const { handleErrors } = require('./errors');
+
+/**
+ * Checks the parameters and body of a request against its operation in the spec
+ * Requests to paths the spec doesn't document are passed on as they are
+ *
+ * @param request The express request
+ * @param response The express response
+ * @param next The next middleware
+ * @throws ApiError INVALID_PARAM for every parameter the spec doesn't allow, passed to next
+ */
+module.exports.validateRequest = (request, response, next) => {
+    const match = config.openapi.validateRequests && findOperation(request.method, request.baseUrl + request.path);
+    if (!match) {
+        return next();
+    }
+    const errors = validateRequest(match, request);
+    return next(errors.length ? ApiError.fromInvalidParams(errors) : undefined);
+};
+
+/**
+ * Checks every JSON response against the schema its operation documents for its status
+ * Depending on openapi.validateResponses of src/config.js, a mismatch is either logged along with the request id
+ * or answered with an INTERNAL_ERROR instead of the response
+ *
+ * @param request The express request
+ * @param response The express response
+ * @param next The next middleware
+ */
+module.exports.validateResponse = (request, response, next) => {
+    const mode = config.openapi.validateResponses;
+    const match = mode !== 'off' && findOperation(request.method, request.baseUrl + request.path);
+    if (!match) {
+        return next();
+    }
+
+    const json = response.json.bind(response);
+    response.json = (body) => {
+        const mismatches = validateResponse(match, response.statusCode, response.get('Content-Type'), body);
+        if (!mismatches.length) {
+            return json(body);
+        }
+        const description = `${request.method} ${request.originalUrl} answered ${response.statusCode} ` +
+            `with a body that doesn't match the spec: ${mismatches.join(', ')}`;
+        if (mode !== 'error') {
+            console.warn(`Request ${response.locals.requestId}: ${description}`);
+            return json(body);
+        }
+        // The error is answered without checking it again so a mismatching error body can't loop
+        response.json = json;
+        return handleErrors(new Error(description), request, response, next);
+    };
+    return next();
+};
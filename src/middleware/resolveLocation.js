@@ -0,0 +1,173 @@
+/**
+ * @file resolveLocation.js
+ *
+ * Middleware turning the location an endpoint was queried for into GPS coordinates within Walkspan's coverage
+ * A location is sent as exactly one of its inputs: latitude and longitude, a street address, a place id,
+ * a BBL or BIN parcel identifier or a three word address. Endpoints using the resolver read the location it resolved
+ * from request.location, so they get every input along with the geocoding and coverage checks for free.
+ * Endpoints taking several locations, such as the origin and destination of a route, resolve each from its own
+ * group of parameters named with a prefix
+ */
+
+const { query, validationResult } = require("express-validator");
+
+const { ApiError } = require('../lib/apiError');
+const { assertInCoverage } = require('../lib/coverage');
+const { geocodeAddress, getMatchedAddress, locatePlace } = require('../lib/geocoder');
+const { locate } = require('../lib/locator');
+const { addressValidator, latitudeValidator, longitudeValidator } = require('../lib/validators');
+const { catchErrors } = require('./errors');
+
+/**
+ * The inputs a location can be sent as, each with the query parameters it's made of,
+ * the validators of those parameters and how its coordinates are found.
+ * Validators and resolvers are given the function naming the query parameters of the location
+ */
+const LOCATION_INPUTS = {
+    gps: {
+        params: ['latitude', 'longitude'],
+        validators: (name) => [latitudeValidator(name('latitude')).optional(), longitudeValidator(name('longitude')).optional()],
+        resolve: async ({ latitude, longitude }) => ({ latitude, longitude })
+    },
+    address: {
+        params: ['q'],
+        validators: (name) => [addressValidator(name('q')).optional()],
+        resolve: async ({ q }, name) => {
+            // Asks which location was meant when the address matches several of them about as well
+            const geocodedAddress = await geocodeAddress(q, name('q'), 'query');
+            return Object.assign({}, geocodedAddress, { matched_address: getMatchedAddress(geocodedAddress) });
+        }
+    },
+    place: {
+        params: ['placeId'],
+        validators: (name) => [
+            query(name('placeId'), 'Must be an OpenStreetMap id such as W42127044').optional().matches(/^[NWR]\d+$/i)
+        ],
+        resolve: ({ placeId }, name) => locatePlace(placeId, name('placeId'), 'query')
+    },
+    bbl: {
+        params: ['bbl'],
+        validators: (name) => [
+            query(name('bbl'), 'Must be a 10 digit borough, block and lot number such as 1006300032').optional().matches(/^[1-5]\d{9}$/)
+        ],
+        resolve: ({ bbl }, name) => locate('bbl', bbl, name('bbl'), 'query')
+    },
+    bin: {
+        params: ['bin'],
+        validators: (name) => [
+            query(name('bin'), 'Must be a 7 digit building identification number such as 1010724').optional().matches(/^[1-5]\d{6}$/)
+        ],
+        resolve: ({ bin }, name) => locate('bin', bin, name('bin'), 'query')
+    },
+    words: {
+        params: ['words'],
+        validators: (name) => [
+            query(name('words'), 'Must be a three word address such as filled.count.soap').optional()
+                .matches(/^(\/\/\/)?\p{L}+\.\p{L}+\.\p{L}+$/u)
+        ],
+        resolve: ({ words }, name) => locate('words', words, name('words'), 'query')
+    }
+};
+
+/**
+ * The names of the inputs a location can be sent as
+ */
+module.exports.LOCATION_INPUT_NAMES = Object.keys(LOCATION_INPUTS);
+
+/**
+ * Creates the function naming the query parameters of a location
+ * With a prefix, the street address is named after the prefix itself and every other parameter
+ * is appended to it, such as origin and originLatitude
+ *
+ * @param prefix The prefix of the parameters, none for the location of an endpoint taking a single one
+ * @returns The function giving the query parameter of each parameter of LOCATION_INPUTS
+ */
+const createParamNamer = (prefix) => (param) => {
+    if (!prefix) {
+        return param;
+    }
+    return param === 'q' ? prefix : `${prefix}${param.charAt(0).toUpperCase()}${param.slice(1)}`;
+};
+
+/**
+ * Describes the inputs a location can be sent as for error messages
+ *
+ * @param inputs The names of the inputs
+ * @param name The function naming the query parameters of the location
+ * @returns The parameters of every input, such as "latitude and longitude, q or placeId"
+ */
+const describeInputs = (inputs, name) => {
+    const descriptions = inputs.map(input => LOCATION_INPUTS[input].params.map(name).join(' and '));
+    return descriptions.length > 1
+        ? `${descriptions.slice(0, -1).join(', ')} or ${descriptions[descriptions.length - 1]}`
+        : descriptions[0];
+};
+
+/**
+ * Creates the middleware resolving the location of a request
+ * The middleware validates the request, finds the coordinates of the input it was sent, checks they're within
+ * one of Walkspan's covered areas and echoes the display address of the location in the X-Matched-Address header
+ * when it has one. The location is then set as request.location, with the name of the input as its source:
+ * { source, latitude, longitude, display_address, matched_address }, matched_address only being set for addresses.
+ * A location sent with prefixed parameters is set as request.<prefix>Location instead, such as request.originLocation,
+ * and isn't echoed since the endpoint has several of them
+ *
+ * @param inputs The names of the inputs the location may be sent as, every one of them by default
+ * @param prefix The prefix of the query parameters of the location, such as origin for origin, originLatitude
+ * and originPlaceId, none by default
+ * @returns The validators of the inputs followed by the middleware, to be listed after the other validators of the endpoint
+ * @throws ApiError INVALID_PARAM when any parameter is invalid or the request doesn't have exactly one input,
+ * the errors of geocodeAddress, locatePlace and locate when the input can't be located
+ * and OUT_OF_COVERAGE when the location is outside of every covered area
+ */
+module.exports.resolveLocation = (inputs = module.exports.LOCATION_INPUT_NAMES, prefix) => [].concat(
+    ...inputs.map(input => LOCATION_INPUTS[input].validators(createParamNamer(prefix))),
+    catchErrors(async (request, response, next) => {
+        // Validates API input, along with every parameter validated before
+        const errors = validationResult(request);
+        if (!errors.isEmpty()) {
+            throw ApiError.fromValidationResult(errors);
+        }
+
+        // Finds the one input the location was sent as
+        const name = createParamNamer(prefix);
+        const getParams = (input) => LOCATION_INPUTS[input].params.map(name);
+        const sentInputs = inputs.filter(input => getParams(input).some(param => request.query[param] !== undefined));
+        if (sentInputs.length !== 1) {
+            const choice = sentInputs.length > 1 ? 'only one of ' : inputs.length > 1 ? 'one of ' : '';
+            throw new ApiError(
+                'INVALID_PARAM',
+                `Must supply ${choice}${describeInputs(inputs, name)}`,
+                [].concat(...(sentInputs.length ? sentInputs : inputs).map(getParams)),
+                'query');
+        }
+        const [source] = sentInputs;
+        const { params, resolve } = LOCATION_INPUTS[source];
+        const missingParams = getParams(source).filter(param => request.query[param] === undefined);
+        if (missingParams.length) {
+            throw new ApiError('INVALID_PARAM', `Must supply ${describeInputs([source], name)}`, missingParams, 'query');
+        }
+
+        // Gets the coordinates of the input and checks if they're within one of Walkspan's covered areas
+        const values = {};
+        params.forEach(param => {
+            values[param] = request.query[name(param)];
+        });
+        const { latitude, longitude, display_address, matched_address } = await resolve(values, name);
+        assertInCoverage(latitude, longitude, params.length > 1 ? getParams(source) : name(params[0]), 'query');
+
+        // Echoes what the location was matched to
+        if (display_address && !prefix) {
+            response.set('X-Matched-Address', encodeURIComponent(display_address));
+        }
+
+        request[prefix ? `${prefix}Location` : 'location'] = {
+            source,
+            latitude: Number(latitude),
+            longitude: Number(longitude),
+            display_address,
+            matched_address
+        };
+        next();
+    })
+);
@@ -0,0 +1,51 @@
+/**
+ * @file widgetAssets.js
+ *
+ * Middleware serving the pinned copies of the widgets' assets, which widgets load in hosted mode
+ * The assets are served without an API key to any origin, since the pages embedding a widget request them
+ * and their SRI hashes are only checked for responses allowing cross origin requests
+ */
+
+const { getWidgetAsset, getWidgetAssetPath } = require('../lib/widgetAssets');
+
+/**
+ * How long browsers and CDNs keep an asset, which never changes since its path holds the version of its package
+ */
+const ASSET_CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+/**
+ * Responds with an asset
+ *
+ * @param response The express response
+ * @param asset The asset with its content and content type
+ * @returns The express response
+ */
+const sendAsset = (response, asset) => response.status(200).set({
+    'Content-Type': asset.contentType,
+    'Cache-Control': ASSET_CACHE_CONTROL,
+    'Access-Control-Allow-Origin': '*',
+    'Cross-Origin-Resource-Policy': 'cross-origin'
+}).send(asset.content);
+
+/**
+ * Serves the asset at the path of the request, such as leaflet@1.7.1/dist/leaflet.js
+ * Paths that aren't those of an asset are passed on, ending up as a 404
+ *
+ * @param request The express request
+ * @param response The express response
+ * @param next The next middleware
+ * @returns The express response
+ */
+module.exports.serveWidgetAssets = (request, response, next) => {
+    const asset = ['GET', 'HEAD'].includes(request.method) && getWidgetAsset(request.path.replace(/^\//, ''));
+    return asset ? sendAsset(response, asset) : next();
+};
+
+/**
+ * Serves one asset, such as the marker icon of the widgets at a path of its own
+ *
+ * @param name The name of the asset, such as marker-icon.png
+ * @returns The express handler
+ */
+module.exports.sendWidgetAsset = (name) => (request, response) =>
+    sendAsset(response, getWidgetAsset(getWidgetAssetPath(name)));
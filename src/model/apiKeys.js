@@ -0,0 +1,207 @@
+/**
+ * @file apiKeys.js
+ *
+ * The local store of API keys and of their usage
+ * The store is a SQLite database holding every key along with its own rate limit and daily quota, if any,
+ * and the number of requests made with it per day and endpoint. Keys are only stored as their SHA-256 hash,
+ * along with a prefix so they can be recognized when listed
+ */
+
+const Database = require("better-sqlite3");
+const { createHash, randomBytes } = require("crypto");
+
+/**
+ * What every API key starts with
+ */
+const API_KEY_PREFIX = 'wsk_';
+
+/**
+ * The number of characters of a key stored in the clear to recognize it by
+ */
+const DISPLAYED_KEY_LENGTH = 12;
+
+/**
+ * Hashes an API key
+ *
+ * @param key The API key
+ * @returns The hex SHA-256 hash of the key
+ */
+const hashApiKey = (key) => createHash('sha256').update(key).digest('hex');
+
+/**
+ * Gets the day a date falls on
+ *
+ * @param date A date, now by default
+ * @returns The UTC day of the date as YYYY-MM-DD, the period daily quotas are counted over
+ */
+const getUsageDay = (date = new Date()) => date.toISOString().slice(0, 10);
+module.exports.getUsageDay = getUsageDay;
+
+/**
+ * Opens the key store, creating its tables when they don't exist yet
+ *
+ * @param file The path of the key store, created if it doesn't exist
+ * @returns The connection to the key store
+ */
+module.exports.openApiKeyStore = (file) => {
+    const db = new Database(file);
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS Api_keys (
+            id INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            key_hash TEXT NOT NULL UNIQUE,
+            key_prefix TEXT NOT NULL,
+            rate_limit REAL,
+            burst INTEGER,
+            daily_quota INTEGER,
+            created_at TEXT NOT NULL,
+            revoked_at TEXT
+        );
+        CREATE TABLE IF NOT EXISTS Api_usage (
+            key_id INTEGER NOT NULL REFERENCES Api_keys(id),
+            day TEXT NOT NULL,
+            endpoint TEXT NOT NULL,
+            request_count INTEGER NOT NULL DEFAULT 0,
+            error_count INTEGER NOT NULL DEFAULT 0,
+            PRIMARY KEY (key_id, day, endpoint)
+        );
+    `);
+    return db;
+};
+
+/**
+ * Creates an API key
+ *
+ * @param db The connection to the key store
+ * @param name Who or what the key is for
+ * @param limits.rateLimit The number of requests per second the key may make, the default rate limit when undefined
+ * @param limits.burst The number of requests the key may make at once, the default burst when undefined
+ * @param limits.dailyQuota The number of requests the key may make per day, the default daily quota when undefined
+ * @returns The key along with its record, the only time the key itself is available
+ */
+module.exports.createApiKey = (db, name, { rateLimit, burst, dailyQuota } = {}) => {
+    const key = API_KEY_PREFIX + randomBytes(24).toString('hex');
+    const record = {
+        name,
+        key_hash: hashApiKey(key),
+        key_prefix: key.slice(0, DISPLAYED_KEY_LENGTH),
+        rate_limit: rateLimit === undefined ? null : rateLimit,
+        burst: burst === undefined ? null : burst,
+        daily_quota: dailyQuota === undefined ? null : dailyQuota,
+        created_at: new Date().toISOString()
+    };
+    const { lastInsertRowid } = db.prepare(`
+        INSERT INTO Api_keys (name, key_hash, key_prefix, rate_limit, burst, daily_quota, created_at)
+        VALUES (:name, :key_hash, :key_prefix, :rate_limit, :burst, :daily_quota, :created_at);
+    `).run(record);
+    const { key_hash, ...apiKey } = record;
+    return Object.assign({ id: Number(lastInsertRowid), key }, apiKey, { revoked_at: null });
+};
+
+/**
+ * Finds the record of an API key
+ *
+ * @param db The connection to the key store
+ * @param key The API key sent with a request
+ * @returns The record of the key, revoked or not, undefined if there's no such key
+ */
+module.exports.findApiKey = (db, key) => {
+    return db.prepare(`
+        SELECT id, name, key_prefix, rate_limit, burst, daily_quota, created_at, revoked_at
+        FROM Api_keys WHERE key_hash = ?;
+    `).get(hashApiKey(key));
+};
+
+/**
+ * Gets the record of an API key from its id
+ *
+ * @param db The connection to the key store
+ * @param id The id of the key
+ * @returns The record of the key, undefined if there's no such key
+ */
+module.exports.getApiKey = (db, id) => {
+    return db.prepare(`
+        SELECT id, name, key_prefix, rate_limit, burst, daily_quota, created_at, revoked_at
+        FROM Api_keys WHERE id = ?;
+    `).get(id);
+};
+
+/**
+ * Revokes an API key, every request made with it is then refused
+ *
+ * @param db The connection to the key store
+ * @param id The id of the key
+ * @returns True if the key was revoked, false if there's no such key or it was already revoked
+ */
+module.exports.revokeApiKey = (db, id) => {
+    return db.prepare(`
+        UPDATE Api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL;
+    `).run(new Date().toISOString(), id).changes > 0;
+};
+
+/**
+ * Lists every API key along with its usage on a day
+ *
+ * @param db The connection to the key store
+ * @param day The day to count requests on, today by default
+ * @returns The record of every key by id along with the number of requests it made that day
+ */
+module.exports.listApiKeys = (db, day = getUsageDay()) => {
+    return db.prepare(`
+        SELECT k.id, k.name, k.key_prefix, k.rate_limit, k.burst, k.daily_quota, k.created_at, k.revoked_at,
+            COALESCE(SUM(u.request_count), 0) AS request_count
+        FROM Api_keys k
+        LEFT JOIN Api_usage u ON u.key_id = k.id AND u.day = ?
+        GROUP BY k.id
+        ORDER BY k.id;
+    `).all(day);
+};
+
+/**
+ * Records a request made with an API key
+ *
+ * @param db The connection to the key store
+ * @param keyId The id of the key
+ * @param endpoint The path of the endpoint requested, such as /score/gps
+ * @param status The status code of the response
+ * @param date When the request was made, now by default
+ */
+module.exports.recordApiKeyUsage = (db, keyId, endpoint, status, date = new Date()) => {
+    db.prepare(`
+        INSERT INTO Api_usage (key_id, day, endpoint, request_count, error_count)
+        VALUES (:keyId, :day, :endpoint, 1, :errorCount)
+        ON CONFLICT (key_id, day, endpoint) DO UPDATE SET
+            request_count = request_count + 1,
+            error_count = error_count + excluded.error_count;
+    `).run({ keyId, day: getUsageDay(date), endpoint, errorCount: status >= 400 ? 1 : 0 });
+};
+
+/**
+ * Counts the requests made with an API key on a day
+ *
+ * @param db The connection to the key store
+ * @param keyId The id of the key
+ * @param day The day to count requests on, today by default
+ * @returns The number of requests made with the key on every endpoint that day
+ */
+module.exports.getDailyUsage = (db, keyId, day = getUsageDay()) => {
+    return db.prepare(`
+        SELECT COALESCE(SUM(request_count), 0) AS request_count FROM Api_usage WHERE key_id = ? AND day = ?;
+    `).get(keyId, day).request_count;
+};
+
+/**
+ * Gets the usage of an API key per day and endpoint
+ *
+ * @param db The connection to the key store
+ * @param keyId The id of the key
+ * @param since The first day to get the usage of
+ * @returns The number of requests and of error responses per day and endpoint, the latest day first
+ */
+module.exports.getApiKeyUsage = (db, keyId, since) => {
+    return db.prepare(`
+        SELECT day, endpoint, request_count, error_count FROM Api_usage
+        WHERE key_id = ? AND day >= ?
+        ORDER BY day DESC, endpoint;
+    `).all(keyId, since);
+};
@@ -0,0 +1,49 @@
+/**
+ * @file data-sources.js
+ *
+ * The registry of sidewalk tables walkspan serves scores from
+ * Each entry maps the columns of its table onto the normalized sidewalk model,
+ * a column mapped to null means the table has no data for that field
+ */
+module.exports = [
+    {
+        name: 'walkspan',
+        file: './database/walkspan.sqlite',
+        table: 'Walkspan',
+        columns: {
+            sidewalk_id: 'rowid',
+            natural_beauty_score: 'natural_beauty_score',
+            manmade_beauty_score: 'manmade_beauty_score',
+            comfort_score: 'comfort_score',
+            interest_score: 'interest_score',
+            safety_score: 'safety_score',
+            access_score: 'access_score',
+            amenities_score: 'amenities_score',
+            shape_length: null,
+            sidewalk_starting_longitude: 'sidewalk_starting_longitude',
+            sidewalk_ending_longitude: 'sidewalk_ending_longitude',
+            sidewalk_starting_latitude: 'sidewalk_starting_latitude',
+            sidewalk_ending_latitude: 'sidewalk_ending_latitude'
+        }
+    },
+    {
+        name: 'bronx',
+        file: './database/walkability.sqlite',
+        table: 'Bronx_Walkability',
+        columns: {
+            sidewalk_id: 'id',
+            natural_beauty_score: 'beauty_n',
+            manmade_beauty_score: 'beauty_m',
+            comfort_score: null,
+            interest_score: 'interest',
+            safety_score: null,
+            access_score: 'access',
+            amenities_score: 'amenities',
+            shape_length: 'shape_length',
+            sidewalk_starting_longitude: 'start_long',
+            sidewalk_ending_longitude: 'end_long',
+            sidewalk_starting_latitude: 'start_lat',
+            sidewalk_ending_latitude: 'end_lat'
+        }
+    }
+];
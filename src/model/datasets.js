@@ -0,0 +1,168 @@
+/**
+ * @file datasets.js
+ *
+ * The versions of the sidewalk dataset
+ * The current version is made of the registered database files along with a manifest describing them.
+ * Previous versions are archived as a copy of those files and of their manifest in a directory named after the version
+ */
+
+const { copyFileSync, existsSync, mkdirSync, readdirSync, readFileSync, statSync, writeFileSync } = require("fs");
+const { basename, join } = require("path");
+
+const config = require('../config');
+const dataSources = require('./data-sources');
+
+/**
+ * The name of the manifest file within an archived version
+ */
+const MANIFEST_FILE = 'dataset.json';
+module.exports.MANIFEST_FILE = MANIFEST_FILE;
+
+/**
+ * The characters a version id is made of, it names the directory the version is archived in
+ */
+module.exports.VERSION_PATTERN = /^[\w.-]+$/;
+
+/**
+ * The version of a dataset that has no manifest
+ */
+const UNVERSIONED = 'unversioned';
+
+/**
+ * Gets the path of the database file of a data source within a version
+ *
+ * @param source A data source from the registry
+ * @param directory The directory of an archived version, undefined for the current version
+ * @returns The path of the database file
+ */
+const getDatasetFile = (source, directory) => directory ? join(directory, basename(source.file)) : source.file;
+module.exports.getDatasetFile = getDatasetFile;
+
+/**
+ * Reads the metadata of a version of the dataset
+ * Datasets without a manifest are reported as unversioned, built when their newest database file was last modified
+ *
+ * @param manifestFile The path of the manifest
+ * @param directory The directory of an archived version, undefined for the current version
+ * @returns The version id, the build date and the table and source of every data source the version has a file for,
+ * undefined if it has none
+ */
+const readDatasetMetadata = (manifestFile, directory) => {
+    const presentSources = dataSources.filter(source => existsSync(getDatasetFile(source, directory)));
+    if (!presentSources.length) {
+        return undefined;
+    }
+
+    const manifest = existsSync(manifestFile) ? JSON.parse(readFileSync(manifestFile, 'utf8')) : {
+        version: UNVERSIONED,
+        built_at: new Date(Math.max(...presentSources.map(source => statSync(getDatasetFile(source, directory)).mtimeMs))).toISOString()
+    };
+    const tables = {};
+    presentSources.forEach(source => {
+        const table = (manifest.tables || {})[source.name] || {};
+        tables[source.name] = {
+            table: source.table,
+            source: table.source || null
+        };
+    });
+    return {
+        version: String(manifest.version),
+        built_at: manifest.built_at || null,
+        tables
+    };
+};
+module.exports.readDatasetMetadata = readDatasetMetadata;
+
+/**
+ * Every known version of the dataset, the current one first and then the archived ones from newest to oldest
+ */
+let datasets = [];
+
+/**
+ * Reads the metadata of the current version and of every archived version
+ * Called when this module is loaded, and again whenever the dataset files are replaced
+ */
+const loadDatasets = () => {
+    const current = readDatasetMetadata(config.datasets.manifest);
+    const archived = existsSync(config.datasets.archive) ? readdirSync(config.datasets.archive)
+        .map(name => join(config.datasets.archive, name))
+        .filter(directory => statSync(directory).isDirectory())
+        .map(directory => Object.assign({ directory }, readDatasetMetadata(join(directory, MANIFEST_FILE), directory)))
+        .filter(dataset => dataset.version && (!current || dataset.version !== current.version))
+        .sort((a, b) => String(b.built_at).localeCompare(String(a.built_at))) : [];
+
+    datasets = (current ? [Object.assign({ current: true }, current)] : []).concat(archived);
+};
+module.exports.loadDatasets = loadDatasets;
+
+loadDatasets();
+
+/**
+ * Gets the version id of the current dataset
+ *
+ * @returns The version id, undefined when none of the registered database files are present
+ */
+module.exports.getCurrentDataVersion = () => datasets.length && datasets[0].current ? datasets[0].version : undefined;
+
+/**
+ * Gets a version of the dataset
+ *
+ * @param version The version id
+ * @returns The metadata of the version along with whether it's the current one or else the directory it's archived in,
+ * undefined if there's no such version
+ */
+module.exports.getDataset = (version) => datasets.find(dataset => dataset.version === version);
+
+/**
+ * Lists the versions of the dataset
+ *
+ * @returns The version id, build date and tables of every version, the current one first and then from newest to oldest
+ */
+module.exports.listDatasets = () => datasets.map(({ version, built_at, tables }) => ({ version, built_at, tables }));
+
+/**
+ * Archives the current version of the dataset, copying its database files and its manifest into a directory named after it
+ *
+ * @returns The directory the version was archived in, undefined when the current dataset has no manifest naming it
+ * @throws Error when the version is already archived
+ */
+module.exports.archiveCurrentDataset = () => {
+    const current = readDatasetMetadata(config.datasets.manifest);
+    if (!current || current.version === UNVERSIONED) {
+        return undefined;
+    }
+    const directory = join(config.datasets.archive, current.version);
+    if (existsSync(directory)) {
+        throw new Error(`Version ${current.version} is already archived in ${directory}`);
+    }
+
+    mkdirSync(directory, { recursive: true });
+    new Set(dataSources.map(source => source.file).filter(file => existsSync(file)))
+        .forEach(file => copyFileSync(file, join(directory, basename(file))));
+    copyFileSync(config.datasets.manifest, join(directory, MANIFEST_FILE));
+    return directory;
+};
+
+/**
+ * Writes the manifest of the current version of the dataset
+ *
+ * @param version The version id
+ * @param sources Where the data of each table came from by data source name, tables left out keep the source
+ * of the previous version
+ * @returns The manifest written
+ */
+module.exports.writeDatasetManifest = (version, sources = {}) => {
+    const previous = readDatasetMetadata(config.datasets.manifest);
+    const tables = {};
+    dataSources.filter(source => existsSync(source.file)).forEach(source => {
+        const previousTable = previous && previous.tables[source.name];
+        tables[source.name] = {
+            table: source.table,
+            source: sources[source.name] || (previousTable ? previousTable.source : null)
+        };
+    });
+
+    const manifest = { version, built_at: new Date().toISOString(), tables };
+    writeFileSync(config.datasets.manifest, `${JSON.stringify(manifest, null, 4)}\n`);
+    return manifest;
+};
@@ -4,165 +4,262 @@
  * Helper functions to interface with the database
  */
 
-const db = require("better-sqlite3")('./database/walkspan.sqlite', {readonly: true});
-const db2 = require("sqlite3")('./database/walkability.sqlite', {readonly:true});
+const Database = require("better-sqlite3");
+const { existsSync } = require("fs");
 const distanceToLineSegment = require("distance-to-line-segment");
-const { sortBy } = require("underscore");
 
+const dataSources = require('./data-sources');
+const { getDataset, getDatasetFile } = require('./datasets');
+const { getSpatialIndexName, hasSpatialIndex } = require('./spatialIndex');
 const { getBoundingBoxFromCoordinatesAndRange } = require('../lib/geocoder');
 
 /**
- * Gets the closest sidewalk to a pair of GPS coordinates
+ * The fields of the normalized sidewalk model every data source is mapped onto
+ */
+const SIDEWALK_FIELDS = [
+    'sidewalk_id',
+    'natural_beauty_score',
+    'manmade_beauty_score',
+    'comfort_score',
+    'interest_score',
+    'safety_score',
+    'access_score',
+    'amenities_score',
+    'shape_length',
+    'sidewalk_starting_longitude',
+    'sidewalk_ending_longitude',
+    'sidewalk_starting_latitude',
+    'sidewalk_ending_latitude'
+];
+module.exports.SIDEWALK_FIELDS = SIDEWALK_FIELDS;
+
+/**
+ * The half-width in degrees of the first window searched for the closest sidewalk, roughly 50 meters
+ */
+const INITIAL_SEARCH_DELTA = 0.0005;
+
+/**
+ * The half-width in degrees past which we stop widening the closest sidewalk search
+ */
+const MAX_SEARCH_DELTA = 1;
+
+/**
+ * Builds the SELECT clause that renames a table's columns to the normalized sidewalk fields
  *
- * @param latitude The latitude of the point
- * @param longitude The longitude of the point
- * @returns The database entry for the closest sidewalk
+ * @param columns The column mapping of a data source
+ * @returns The list of SELECT expressions for the data source
  */
-module.exports.getClosestSidewalk = (latitude, longitude) => {
-    /**
-     * Try to approximate the 8 closest sidewalks to the latitude and longitude
-     * We can't retrieve 1 here because it's difficult to query for the closest
-     * as the GPS coordinates may be within the middle of a sidewalk with the edge
-     * of an intersection right next to that point
-     */
-    const sidewalkCandidates = db.prepare(`
-        SELECT
-            natural_beauty_score,
-            manmade_beauty_score,
-            comfort_score,
-            interest_score,
-            safety_score,
-            access_score,
-            amenities_score,
-            sidewalk_starting_longitude,
-            sidewalk_ending_longitude,
-            sidewalk_starting_latitude,
-            sidewalk_ending_latitude 
-        FROM Walkspan
-        ORDER BY MIN(
-            ABS(sidewalk_starting_latitude - :latitude) + ABS(sidewalk_starting_longitude - :longitude),
-            ABS(sidewalk_ending_latitude - :latitude) + ABS(sidewalk_ending_longitude - :longitude)
-        ) ASC LIMIT 8;
-    `).all({
-        latitude: latitude,
-        longitude: longitude
-    });
+const buildSelectClause = (columns) => {
+    return SIDEWALK_FIELDS
+        .map(field => columns[field] ? `sidewalk.${columns[field]} AS ${field}` : `NULL AS ${field}`)
+        .join(',\n            ');
+};
+
+/**
+ * Prepares the bounding box statement for a data source
+ * When the data source has been indexed the R-tree is used, otherwise the table is scanned
+ *
+ * @param source A data source from the registry
+ * @param db The connection to the data source's database file
+ * @returns The data source along with its prepared statement
+ */
+const prepareDataSource = (source, db) => {
+    const { table, columns } = source;
+    const startLat = `sidewalk.${columns.sidewalk_starting_latitude}`;
+    const startLng = `sidewalk.${columns.sidewalk_starting_longitude}`;
+    const endLat = `sidewalk.${columns.sidewalk_ending_latitude}`;
+    const endLng = `sidewalk.${columns.sidewalk_ending_longitude}`;
 
-    const sidewalkCandidates2 = db2.prepare(`
+    // All sidewalks whose bounding box intersects the queried bounding box
+    const inBoundingBox = hasSpatialIndex(db, source) ? db.prepare(`
         SELECT
-            total1,
-            total2,
-            beauty_n,
-            beauty_m,
-            access,
-            interest,
-            amenities,
-            shape_length,
-            start_long,
-            end_long,
-            start_lat,
-            end_lat
-        FROM Bronx_Walkability
-        ORDER BY MIN(
-            ABS(start_lat - :latitude) + ABS(start_long - :longitude),
-            ABS(end_lat - :latitude) + ABS(end_long - :longitude)
-        ) ASC LIMIT 8;
-    `).all({
-        latitude: latitude,
-        longitude: longitude
+            ${buildSelectClause(columns)}
+        FROM ${getSpatialIndexName(source)} AS bounds
+        JOIN ${table} AS sidewalk ON sidewalk.${columns.sidewalk_id} = bounds.id
+        WHERE
+            bounds.max_latitude >= :bottomLat AND bounds.min_latitude <= :topLat AND
+            bounds.max_longitude >= :leftLng AND bounds.min_longitude <= :rightLng;
+    `) : db.prepare(`
+        SELECT
+            ${buildSelectClause(columns)}
+        FROM ${table} AS sidewalk
+        WHERE
+            MAX(${startLat}, ${endLat}) >= :bottomLat AND MIN(${startLat}, ${endLat}) <= :topLat AND
+            MAX(${startLng}, ${endLng}) >= :leftLng AND MIN(${startLng}, ${endLng}) <= :rightLng;
+    `);
+
+    return Object.assign({}, source, {
+        statements: {
+            inBoundingBox
+        }
     });
+};
+module.exports.prepareDataSource = prepareDataSource;
+
+/**
+ * Opens every registered data source whose database file ships with this deployment
+ * Sources sharing a database file share a single connection
+ *
+ * @param directory The directory of an archived version of the dataset, undefined for the current version
+ * @returns The list of queryable data sources
+ */
+const openDataSources = (directory) => {
+    const connections = {};
+    return dataSources
+        .filter(source => existsSync(getDatasetFile(source, directory)))
+        .map(source => {
+            const file = getDatasetFile(source, directory);
+            if (!connections[file]) {
+                connections[file] = new Database(file, {readonly: true});
+            }
+            return prepareDataSource(source, connections[file]);
+        });
+};
+
+const sources = openDataSources();
+
+/**
+ * The data sources of the archived versions queried so far, by version id
+ */
+const archivedSources = new Map();
+
+/**
+ * Gets the data sources of a version of the dataset, opening them the first time an archived version is queried
+ *
+ * @param dataVersion The version id, the current version when undefined
+ * @returns The list of queryable data sources
+ * @throws Error when there's no such version
+ */
+const getDataSources = (dataVersion) => {
+    if (dataVersion === undefined) {
+        return sources;
+    }
+    const dataset = getDataset(dataVersion);
+    if (!dataset) {
+        throw new Error(`Unknown dataset version ${dataVersion}`);
+    } else if (dataset.current) {
+        return sources;
+    }
+    if (!archivedSources.has(dataVersion)) {
+        archivedSources.set(dataVersion, openDataSources(dataset.directory));
+    }
+    return archivedSources.get(dataVersion);
+};
+
+/**
+ * Converts a row returned by a data source into the normalized sidewalk model
+ *
+ * @param source The data source the row was retrieved from
+ * @param row The row as returned by the prepared statement
+ * @returns The normalized sidewalk
+ */
+const normalizeSidewalk = (source, row) => {
+    const sidewalk = Object.assign({ source: source.name }, row);
 
-    // Get the closest sidewalk of the returned dataset from our query
-    return sortBy(sidewalkCandidates, sidewalkCandidate => {
-        return distanceToLineSegment(
-            sidewalkCandidate.sidewalk_starting_latitude,
-            sidewalkCandidate.sidewalk_starting_longitude,
-            sidewalkCandidate.sidewalk_ending_latitude,
-            sidewalkCandidate.sidewalk_ending_longitude,
-            latitude,
-            longitude);
-    })[0];
-
-    return sortBy2(sidewalkCandidates2, sidewalkCandidate2 => {
-        return distanceToLineSegment2(
-            sidewalkCandidate2.start_lat,
-            sidewalkCandidate2.start_long,
-            sidewalkCandidate2.end_lat,
-            sidewalkCandidate2.end_long,
-            latitude,
-            longitude);
-    })[0];
+    // Tables without a stored length get the length of the straight segment in degrees
+    if (sidewalk.shape_length === null || sidewalk.shape_length === undefined) {
+        sidewalk.shape_length = Math.hypot(
+            sidewalk.sidewalk_ending_latitude - sidewalk.sidewalk_starting_latitude,
+            sidewalk.sidewalk_ending_longitude - sidewalk.sidewalk_starting_longitude);
+    }
+    return sidewalk;
 };
 
 /**
- * Get all sidewalks within a radius of gps coordinates
+ * Gets all sidewalks of a set of data sources intersecting a bounding box
+ *
+ * @param dataSourceList The prepared data sources to query
+ * @param boundingBox The topLat, bottomLat, leftLng and rightLng of the box
+ * @returns The set of all normalized sidewalks within the box
+ */
+const findSidewalksInBoundingBox = (dataSourceList, { topLat, bottomLat, leftLng, rightLng }) => {
+    return dataSourceList.reduce((sidewalks, source) => {
+        return sidewalks.concat(source.statements.inBoundingBox.all({
+            topLat,
+            bottomLat,
+            leftLng,
+            rightLng
+        }).map(row => normalizeSidewalk(source, row)));
+    }, []);
+};
+module.exports.findSidewalksInBoundingBox = findSidewalksInBoundingBox;
+
+/**
+ * Gets the closest sidewalk of a set of data sources to a pair of GPS coordinates
+ *
+ * A square window around the point is searched and widened until the closest sidewalk found inside
+ * of it is nearer than the window's half-width. Any sidewalk that close has a bounding box
+ * intersecting the window, so long segments whose endpoints are far away are never missed.
  *
+ * @param dataSourceList The prepared data sources to query
  * @param latitude The latitude of the point
  * @param longitude The longitude of the point
- * @param range The range we want all sidewalks within
- * @returns The set of all sidewalks within the query
+ * @returns The normalized sidewalk closest to the point, undefined if there's none nearby
  */
-module.exports.getSidewalksInRadius = (latitude, longitude, range) => {
+const findClosestSidewalk = (dataSourceList, latitude, longitude) => {
+    const lat = Number(latitude);
+    const lng = Number(longitude);
 
-    // Get's the bounding box for the inputs
-    const { topLat, bottomLat, leftLng, rightLng } = getBoundingBoxFromCoordinatesAndRange(latitude, longitude, range);
+    for (let delta = INITIAL_SEARCH_DELTA; delta <= MAX_SEARCH_DELTA; delta *= 4) {
+        const sidewalkCandidates = findSidewalksInBoundingBox(dataSourceList, {
+            topLat: lat + delta,
+            bottomLat: lat - delta,
+            leftLng: lng - delta,
+            rightLng: lng + delta
+        });
 
-    // Query for all sidewalks within the bounding box
-    return db.prepare(`
-        SELECT
-            natural_beauty_score,
-            manmade_beauty_score,
-            comfort_score,
-            interest_score,
-            safety_score,
-            access_score,
-            amenities_score,
-            sidewalk_starting_longitude,
-            sidewalk_ending_longitude,
-            sidewalk_starting_latitude,
-            sidewalk_ending_latitude 
-        FROM Walkspan
-        WHERE (
-            :bottomLat <= sidewalk_starting_latitude AND sidewalk_starting_latitude <= :topLat AND
-            :leftLng <= sidewalk_starting_longitude AND sidewalk_starting_longitude <= :rightLng
-        ) OR (
-            :bottomLat <= sidewalk_ending_latitude AND sidewalk_ending_latitude <= :topLat AND
-            :leftLng <= sidewalk_ending_longitude AND sidewalk_ending_longitude <= :rightLng
-        );
-    `).all({
-        topLat,
-        bottomLat,
-        leftLng,
-        rightLng
-    });
+        const closest = sidewalkCandidates.reduce((best, sidewalkCandidate) => {
+            const distance = distanceToLineSegment(
+                sidewalkCandidate.sidewalk_starting_latitude,
+                sidewalkCandidate.sidewalk_starting_longitude,
+                sidewalkCandidate.sidewalk_ending_latitude,
+                sidewalkCandidate.sidewalk_ending_longitude,
+                lat,
+                lng);
+            return !best || distance < best.distance ? { sidewalk: sidewalkCandidate, distance } : best;
+        }, undefined);
 
-    return db2.prepare(`
-        SELECT
-           total1,
-            total2,
-            beauty_n,
-            beauty_m,
-            access,
-            interest,
-            amenities,
-            shape_length,
-            start_long,
-            end_long,
-            start_lat,
-            end_lat
-        FROM Bronx_Walkability
-        WHERE (
-            :bottomLat <= start_lat AND start_lat <= :topLat AND
-            :leftLng <= start_long AND start_long <= :rightLng
-        ) OR (
-            :bottomLat <= end_lat AND end_lat <= :topLat AND
-            :leftLng <= end_long AND end_long <= :rightLng
-        );
-    `).all({
-        topLat,
-        bottomLat,
-        leftLng,
-        rightLng
-    });
+        if (closest && closest.distance <= delta) {
+            return closest.sidewalk;
+        }
+    }
+    return undefined;
+};
+module.exports.findClosestSidewalk = findClosestSidewalk;
+
+/**
+ * Gets the closest sidewalk to a pair of GPS coordinates across every data source
+ *
+ * @param latitude The latitude of the point
+ * @param longitude The longitude of the point
+ * @param dataVersion The version of the dataset to query, the current version when undefined
+ * @returns The normalized sidewalk closest to the point
+ */
+module.exports.getClosestSidewalk = (latitude, longitude, dataVersion) => {
+    return findClosestSidewalk(getDataSources(dataVersion), latitude, longitude);
+};
+
+/**
+ * Get all sidewalks within a radius of gps coordinates across every data source
+ *
+ * @param latitude The latitude of the point
+ * @param longitude The longitude of the point
+ * @param range The range we want all sidewalks within
+ * @param dataVersion The version of the dataset to query, the current version when undefined
+ * @returns The set of all normalized sidewalks within the query
+ */
+module.exports.getSidewalksInRadius = (latitude, longitude, range, dataVersion) => {
+    // Get's the bounding box for the inputs
+    return findSidewalksInBoundingBox(getDataSources(dataVersion), getBoundingBoxFromCoordinatesAndRange(latitude, longitude, range));
+};
 
-}
+/**
+ * Get all sidewalks intersecting a bounding box across every data source
+ *
+ * @param boundingBox The topLat, bottomLat, leftLng and rightLng of the box
+ * @param dataVersion The version of the dataset to query, the current version when undefined
+ * @returns The set of all normalized sidewalks within the box
+ */
+module.exports.getSidewalksInBoundingBox = (boundingBox, dataVersion) => {
+    return findSidewalksInBoundingBox(getDataSources(dataVersion), boundingBox);
+};
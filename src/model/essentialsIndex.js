@@ -0,0 +1,147 @@
+/**
+ * @file essentialsIndex.js
+ *
+ * Helper functions for the offline index of lifestyle essentials ingested from an OpenStreetMaps extract
+ * The index is a SQLite database holding every point of interest matching a lifestyle essentials category,
+ * the categories it matched and an R-tree over its location
+ * https://www.sqlite.org/rtree.html
+ */
+
+const Database = require("better-sqlite3");
+const { existsSync } = require("fs");
+
+/**
+ * Opens the index database for reading
+ *
+ * @param file The path of the index database
+ * @returns The connection to the index database, undefined if the file doesn't exist
+ */
+module.exports.openEssentialsIndex = (file) => {
+    return existsSync(file) ? new Database(file, { readonly: true, fileMustExist: true }) : undefined;
+};
+
+/**
+ * (Re)builds the index from a list of points of interest
+ * The database must be opened with write access
+ *
+ * @param db The connection to the index database
+ * @param essentials The points of interest, each with an OpenStreetMaps id, a name, a latitude, a longitude, its tags
+ * and the list of categories it matched with their position in the category configuration
+ * @param metadata Details about the index such as the extract it was built from and the bounds it covers,
+ * the bounding box of the points of interest when no bounds are given
+ * @returns The number of points of interest indexed
+ */
+module.exports.buildEssentialsIndex = (db, essentials, metadata) => {
+    return db.transaction(() => {
+        db.exec(`
+            DROP TABLE IF EXISTS Essentials_rtree;
+            DROP TABLE IF EXISTS Essentials_categories;
+            DROP TABLE IF EXISTS Essentials_metadata;
+            DROP TABLE IF EXISTS Essentials;
+            CREATE TABLE Essentials (
+                id INTEGER PRIMARY KEY,
+                osm_id TEXT NOT NULL UNIQUE,
+                name TEXT,
+                latitude REAL NOT NULL,
+                longitude REAL NOT NULL,
+                tags TEXT NOT NULL
+            );
+            CREATE TABLE Essentials_categories (
+                essential_id INTEGER NOT NULL REFERENCES Essentials(id),
+                position INTEGER NOT NULL,
+                category_general TEXT NOT NULL,
+                category_exact TEXT
+            );
+            CREATE INDEX Essentials_categories_essential_id ON Essentials_categories(essential_id);
+            CREATE TABLE Essentials_metadata (
+                key TEXT PRIMARY KEY,
+                value TEXT
+            );
+            CREATE VIRTUAL TABLE Essentials_rtree USING rtree(
+                id,
+                min_latitude, max_latitude,
+                min_longitude, max_longitude
+            );
+        `);
+
+        const insertEssential = db.prepare(`
+            INSERT INTO Essentials (osm_id, name, latitude, longitude, tags)
+            VALUES (:osm_id, :name, :latitude, :longitude, :tags);
+        `);
+        const insertCategory = db.prepare(`
+            INSERT INTO Essentials_categories (essential_id, position, category_general, category_exact)
+            VALUES (:essential_id, :position, :category_general, :category_exact);
+        `);
+        const insertLocation = db.prepare(`
+            INSERT INTO Essentials_rtree VALUES (:id, :latitude, :latitude, :longitude, :longitude);
+        `);
+
+        const bounds = { top: -90, bottom: 90, left: 180, right: -180 };
+        essentials.forEach(({ osm_id, name, latitude, longitude, tags, categories }) => {
+            const id = insertEssential.run({
+                osm_id,
+                name: name || null,
+                latitude,
+                longitude,
+                tags: JSON.stringify(tags)
+            }).lastInsertRowid;
+            insertLocation.run({ id, latitude, longitude });
+            categories.forEach(({ position, category_general, category_exact }) => {
+                insertCategory.run({ essential_id: id, position, category_general, category_exact: category_exact || null });
+            });
+
+            bounds.top = Math.max(bounds.top, latitude);
+            bounds.bottom = Math.min(bounds.bottom, latitude);
+            bounds.left = Math.min(bounds.left, longitude);
+            bounds.right = Math.max(bounds.right, longitude);
+        });
+
+        const insertMetadata = db.prepare(`INSERT INTO Essentials_metadata VALUES (:key, :value);`);
+        Object.entries(Object.assign({ bounds }, metadata)).forEach(([key, value]) => {
+            insertMetadata.run({ key, value: JSON.stringify(value) });
+        });
+        return essentials.length;
+    })();
+};
+
+/**
+ * Prepares the statements used to look up lifestyle essentials in the index
+ *
+ * @param db The connection to the index database
+ * @returns The metadata of the index along with a function finding the lifestyle essentials in a bounding box
+ */
+module.exports.prepareEssentialsIndex = (db) => {
+    const metadata = {};
+    db.prepare(`SELECT key, value FROM Essentials_metadata;`).all().forEach(({ key, value }) => {
+        metadata[key] = JSON.parse(value);
+    });
+
+    const inBoundingBox = db.prepare(`
+        SELECT
+            essential.osm_id AS id,
+            essential.name AS name,
+            essential.latitude AS latitude,
+            essential.longitude AS longitude,
+            category.position AS position,
+            category.category_general AS category_general,
+            category.category_exact AS category_exact
+        FROM Essentials_rtree AS rtree
+        JOIN Essentials AS essential ON essential.id = rtree.id
+        JOIN Essentials_categories AS category ON category.essential_id = essential.id
+        WHERE rtree.min_latitude <= :topLat AND rtree.max_latitude >= :bottomLat
+            AND rtree.min_longitude <= :rightLng AND rtree.max_longitude >= :leftLng
+        ORDER BY category.position;
+    `);
+
+    return {
+        metadata,
+
+        /**
+         * Finds the lifestyle essentials within a bounding box, once for every category they matched
+         *
+         * @param boundingBox The topLat, bottomLat, leftLng and rightLng of the box
+         * @returns The lifestyle essentials in the order of their categories in the category configuration
+         */
+        findInBoundingBox: (boundingBox) => inBoundingBox.all(boundingBox)
+    };
+};
@@ -0,0 +1,140 @@
+/**
+ * @file sidewalkTable.js
+ *
+ * Helper functions for writing the sidewalk table of a data source
+ * The table is created with the column names the data source maps the normalized sidewalk model onto,
+ * so imported tables are queried exactly like the hand-built ones
+ */
+
+const { SIDEWALK_FIELDS } = require('./db');
+const { buildSpatialIndex, getSpatialIndexName } = require('./spatialIndex');
+
+/**
+ * The SQLite type of every field of the normalized sidewalk model but the id
+ */
+const FIELD_TYPES = {
+    natural_beauty_score: 'INTEGER',
+    manmade_beauty_score: 'INTEGER',
+    comfort_score: 'INTEGER',
+    interest_score: 'INTEGER',
+    safety_score: 'INTEGER',
+    access_score: 'INTEGER',
+    amenities_score: 'INTEGER',
+    shape_length: 'REAL',
+    sidewalk_starting_longitude: 'REAL NOT NULL',
+    sidewalk_ending_longitude: 'REAL NOT NULL',
+    sidewalk_starting_latitude: 'REAL NOT NULL',
+    sidewalk_ending_latitude: 'REAL NOT NULL'
+};
+
+/**
+ * The SQLite type of the extra columns an import adds, numbers read as text are stored as numbers
+ */
+const EXTRA_COLUMN_TYPE = 'NUMERIC';
+
+/**
+ * Quotes the name of a column that isn't mapped by the data source, since it comes from the imported file
+ *
+ * @param name The name of the column
+ * @returns The quoted name
+ */
+const quoteColumn = (name) => `"${name.replace(/"/g, '""')}"`;
+
+/**
+ * Gets the columns of the sidewalk table of a data source that aren't mapped onto the normalized sidewalk model,
+ * such as the totals of the Bronx table
+ *
+ * @param db The connection to the data source's database file
+ * @param source A data source from the registry
+ * @returns The list of columns with their name and type, empty when the table doesn't exist yet
+ */
+const getUnmappedColumns = (db, source) => {
+    const mappedColumns = Object.values(source.columns).filter(column => column).map(column => column.toLowerCase());
+    return db.prepare(`PRAGMA table_info(${source.table})`).all()
+        .filter(column => !mappedColumns.includes(column.name.toLowerCase()))
+        .map(({ name, type }) => ({ name, type }));
+};
+module.exports.getUnmappedColumns = getUnmappedColumns;
+
+/**
+ * (Re)builds the sidewalk table of a data source along with its spatial index, both or neither being written
+ * The database must be opened with write access. Fields the data source maps to null aren't stored,
+ * and an id mapped to rowid is stored as the rowid of the table.
+ * Unmapped columns of the previous table keep their values for the segments that are imported again,
+ * and the extra columns of the imported segments are added to the table
+ *
+ * @param db The connection to the data source's database file
+ * @param source A data source from the registry
+ * @param sidewalks The validated segments in the normalized sidewalk model, each with a sidewalk_id
+ * and optionally extra_columns
+ * @returns The number of segments written
+ */
+module.exports.buildSidewalkTable = (db, source, sidewalks) => {
+    const { table, columns } = source;
+    const previousTable = `${table}_previous`;
+    const storedFields = SIDEWALK_FIELDS.filter(field => columns[field]);
+    const definitions = storedFields
+        .filter(field => columns[field] !== 'rowid')
+        .map(field => field === 'sidewalk_id' ?
+            `${columns[field]} INTEGER PRIMARY KEY` :
+            `${columns[field]} ${FIELD_TYPES[field]}`);
+
+    const mappedColumns = storedFields.map(field => columns[field].toLowerCase()).concat('rowid');
+    const keptColumns = getUnmappedColumns(db, source);
+    const extraColumns = keptColumns.slice();
+    sidewalks.forEach(sidewalk => Object.keys(sidewalk.extra_columns || {}).forEach(name => {
+        if (!mappedColumns.includes(name.toLowerCase()) &&
+            !extraColumns.some(column => column.name.toLowerCase() === name.toLowerCase())) {
+            extraColumns.push({ name, type: EXTRA_COLUMN_TYPE });
+        }
+    }));
+    const extraDefinitions = extraColumns.map(({ name, type }) => `${quoteColumn(name)} ${type}`.trim());
+    const insertedColumns = storedFields.map(field => columns[field]).concat(extraColumns.map(({ name }) => quoteColumn(name)));
+    const insertedValues = storedFields.map(field => `:${field}`).concat(extraColumns.map((column, i) => `:extra_${i}`));
+
+    db.transaction(() => {
+        db.exec(`
+            DROP TABLE IF EXISTS ${getSpatialIndexName(source)};
+            DROP TABLE IF EXISTS ${previousTable};
+        `);
+        db.exec(keptColumns.length ?
+            `ALTER TABLE ${table} RENAME TO ${previousTable};` :
+            `DROP TABLE IF EXISTS ${table};`);
+        db.exec(`
+            CREATE TABLE ${table} (
+                ${definitions.concat(extraDefinitions).join(',\n                ')}
+            );
+        `);
+        const insertSidewalk = db.prepare(`
+            INSERT INTO ${table} (${insertedColumns.join(', ')})
+            VALUES (${insertedValues.join(', ')});
+        `);
+        sidewalks.forEach(sidewalk => {
+            const values = {};
+            storedFields.forEach(field => {
+                values[field] = sidewalk[field];
+            });
+            extraColumns.forEach(({ name }, i) => {
+                const extraName = Object.keys(sidewalk.extra_columns || {}).find(key => key.toLowerCase() === name.toLowerCase());
+                values[`extra_${i}`] = extraName === undefined ? null : sidewalk.extra_columns[extraName];
+            });
+            insertSidewalk.run(values);
+        });
+
+        if (keptColumns.length) {
+            // Values the import leaves empty are those of the segment with the same id in the previous table
+            if (columns.sidewalk_id) {
+                keptColumns.forEach(({ name }) => db.exec(`
+                    UPDATE ${table} SET ${quoteColumn(name)} = (
+                        SELECT previous.${quoteColumn(name)} FROM ${previousTable} previous
+                        WHERE previous.${columns.sidewalk_id} = ${table}.${columns.sidewalk_id}
+                    ) WHERE ${quoteColumn(name)} IS NULL;
+                `));
+            }
+            db.exec(`DROP TABLE ${previousTable};`);
+        }
+        buildSpatialIndex(db, source);
+    })();
+
+    return sidewalks.length;
+};
@@ -0,0 +1,66 @@
+/**
+ * @file spatialIndex.js
+ *
+ * Helper functions for the R-tree spatial indexes built over the sidewalk tables
+ * https://www.sqlite.org/rtree.html
+ */
+
+/**
+ * Gets the name of the R-tree table indexing a data source
+ *
+ * @param source A data source from the registry
+ * @returns The name of the R-tree virtual table
+ */
+const getSpatialIndexName = (source) => `${source.table}_rtree`;
+module.exports.getSpatialIndexName = getSpatialIndexName;
+
+/**
+ * Checks if the database of a data source contains its spatial index
+ *
+ * @param db The connection to the data source's database file
+ * @param source A data source from the registry
+ * @returns True if the R-tree for the data source exists
+ */
+module.exports.hasSpatialIndex = (db, source) => {
+    return !!db.prepare(`
+        SELECT name FROM sqlite_master WHERE type = 'table' AND name = :name;
+    `).get({ name: getSpatialIndexName(source) });
+};
+
+/**
+ * (Re)builds the R-tree holding the bounding box of every sidewalk segment of a data source
+ * The database must be opened with write access
+ *
+ * @param db The connection to the data source's database file
+ * @param source A data source from the registry
+ * @returns The number of sidewalk segments indexed
+ */
+module.exports.buildSpatialIndex = (db, source) => {
+    const { table, columns } = source;
+    const indexName = getSpatialIndexName(source);
+    const startLat = columns.sidewalk_starting_latitude;
+    const startLng = columns.sidewalk_starting_longitude;
+    const endLat = columns.sidewalk_ending_latitude;
+    const endLng = columns.sidewalk_ending_longitude;
+
+    return db.transaction(() => {
+        db.exec(`
+            DROP TABLE IF EXISTS ${indexName};
+            CREATE VIRTUAL TABLE ${indexName} USING rtree(
+                id,
+                min_latitude, max_latitude,
+                min_longitude, max_longitude
+            );
+        `);
+        return db.prepare(`
+            INSERT INTO ${indexName}
+            SELECT
+                ${columns.sidewalk_id},
+                MIN(${startLat}, ${endLat}), MAX(${startLat}, ${endLat}),
+                MIN(${startLng}, ${endLng}), MAX(${startLng}, ${endLng})
+            FROM ${table}
+            WHERE ${startLat} IS NOT NULL AND ${startLng} IS NOT NULL AND
+                ${endLat} IS NOT NULL AND ${endLng} IS NOT NULL;
+        `).run().changes;
+    })();
+};
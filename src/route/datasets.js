@@ -0,0 +1,54 @@
+/**
+ * @file datasets.js
+ *
+ * API endpoints for the versions of the sidewalk dataset
+ * All of these endpoints are covered under '/datasets'
+ */
+const router = require("express").Router();
+
+const { getCurrentDataVersion, listDatasets } = require('../model/datasets');
+const { catchErrors } = require('../middleware/errors');
+
+/**
+ * @openapi
+ * /datasets:
+ *   get:
+ *     tags:
+ *       - datasets_api
+ *     summary: List the versions of the sidewalk dataset
+ *     description: |
+ *       Lists the current version of the sidewalk dataset and every previous version that can still be queried
+ *       with the dataVersion parameter of the score endpoints, along with when each was built and where the data
+ *       of each of its tables came from.
+ *     operationId: getDatasets
+ *     security:
+ *       - ApiKeyAuth: [read]
+ *     x-code-samples:
+ *       - lang: curl
+ *         source: |-
+ *           YOUR_API_KEY='aaaBBBBB111cccccDDDDD' \
+ *           curl -H "X-API-Key: ${YOUR_API_KEY}" \
+ *           "https://api.walkspan.com/datasets"
+ *     responses:
+ *       200:
+ *         description: Every version of the sidewalk dataset
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: "#/components/schemas/DatasetList"
+ *       default:
+ *         description: unexpected error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: "#/components/schemas/ErrorResponse"
+ */
+router.get("/",
+    catchErrors(async (request, response) => {
+        return response.status(200).json({
+            current: getCurrentDataVersion(),
+            versions: listDatasets()
+        });
+    }));
+
+module.exports = router;
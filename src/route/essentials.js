@@ -5,12 +5,61 @@
  * All of these endpoints are covered under '/essentials'
  */
 const router = require("express").Router();
-const { query, validationResult } = require("express-validator");
+const { query } = require("express-validator");
 
-const { getLifestyleEssentials } = require('../lib/essentialsHelper');
-const { getCityFromGpsCoordinates, getGPSCoordinatesFromAddress } = require('../lib/geocoder');
-const { generateEssentialsWidget } = require('../lib/handlebarsHelper');
-const validCityList = require('../lib/valid-city-list');
+const { getLifestyleEssentials, parseEssentialsCategories } = require('../lib/essentialsHelper');
+const { essentialsToFeatureCollection, GEOJSON_CONTENT_TYPE } = require('../lib/geojsonHelper');
+const { generateEssentialsWidget, ESSENTIALS_WIDGET_ASSETS } = require('../lib/handlebarsHelper');
+const {
+    essentialsCategoryValidator,
+    essentialsSortValidator,
+    formatValidator,
+    namedValidator,
+    widgetAssetsValidator
+} = require('../lib/validators');
+const { createWidgetContext } = require('../lib/widgetAssets');
+const { catchErrors } = require('../middleware/errors');
+const { sendWidgetAsset } = require('../middleware/widgetAssets');
+const { resolveLocation } = require('../middleware/resolveLocation');
+
+/**
+ * Gets the lifestyle essentials around the location resolved by resolveLocation and sends them, their widget or their GeoJSON
+ *
+ * @param request The express request, holding the resolved location
+ * @param response The express response
+ * @returns The express response
+ * @throws ApiError UPSTREAM_UNAVAILABLE when none of the categories could be fetched
+ */
+const sendEssentials = async (request, response) => {
+    // Parses query params for endpoint
+    const { latitude, longitude } = request.location;
+    const { range } = request.query;
+    const displayWidget = request.query.displayWidget === 'true';
+    const format = request.query.format || 'json';
+    const essentialsOptions = {
+        categories: parseEssentialsCategories(request.query.category),
+        named: request.query.named === 'true',
+        sort: request.query.sort
+    };
+
+    // Gets lifestyle essentials for the coordinates, failing only when none of the categories could be fetched
+    const lifestyleEssentials = await getLifestyleEssentials(latitude, longitude, range*1.5, essentialsOptions);
+
+    if (displayWidget) {
+        // If display widget was set to true, return the widget's HTML along with the policy only its assets pass
+        const widget = createWidgetContext(
+            ESSENTIALS_WIDGET_ASSETS,
+            request.query.widgetAssets || 'cdn',
+            `${request.protocol}://${request.get('host')}`);
+        return response.status(200).set('Content-Security-Policy', widget.contentSecurityPolicy).send(
+            generateEssentialsWidget(latitude, longitude, range, lifestyleEssentials.essentials, widget));
+    } else if (format === 'geojson') {
+        // Else if GeoJSON was requested, return the lifestyle essentials as a FeatureCollection
+        return response.status(200).type(GEOJSON_CONTENT_TYPE).json(essentialsToFeatureCollection(lifestyleEssentials));
+    }
+    // Else return the lifestyle essentials JSON
+    return response.status(200).json(lifestyleEssentials);
+};
 
 /**
  * @openapi
@@ -30,6 +79,40 @@ const validCityList = require('../lib/valid-city-list');
  *         schema:
  *           type: boolean
  *           default: false
+ *       - $ref: "#/components/parameters/WidgetAssets"
+ *       - name: format
+ *         in: query
+ *         description: |
+ *           If you would like the data as a GeoJSON FeatureCollection, with the lifestyle essentials as Point features
+ *           and the warnings as a member of the collection
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [json, geojson]
+ *           default: json
+ *       - name: category
+ *         in: query
+ *         description: |
+ *           A comma separated list of the categories or subcategories of lifestyle essentials to get,
+ *           such as `food,park`. Every category is returned when it's left out.
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: grocery,pharmacy
+ *       - name: named
+ *         in: query
+ *         description: If you would like to leave out the lifestyle essentials without a name
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - name: sort
+ *         in: query
+ *         description: If you would like the lifestyle essentials sorted from the nearest to the farthest
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [distance]
  *       - name: latitude
  *         in: query
  *         description: The latitude you would like to get the lifestyle essentials around
@@ -45,8 +128,8 @@ const validCityList = require('../lib/valid-city-list');
  *         required: true
  *         schema:
  *           type: number
- *           minimum: -90
- *           maximum: 90
+ *           minimum: -180
+ *           maximum: 180
  *           default: -74.0059413
  *       - name: range
  *         in: query
@@ -71,72 +154,36 @@ const validCityList = require('../lib/valid-city-list');
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: "#/components/schemas/EssentialsModel"
+ *               $ref: "#/components/schemas/EssentialsResponse"
+ *           application/geo+json:
+ *             schema:
+ *               $ref: "#/components/schemas/EssentialsCollection"
  *           text/html:
  *             schema:
  *               type: string
+ *       503:
+ *         description: Overpass failed to get every requested category of lifestyle essentials
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: "#/components/schemas/ErrorResponse"
  *       default:
  *         description: unexpected error
  *         content:
  *           application/json:
  *             schema:
- *               $ref: "#/components/schemas/Error"
+ *               $ref: "#/components/schemas/ErrorResponse"
  */
 router.get("/gps",
-    query('latitude', 'Must be between -90 and 90').isFloat({min:-90,max:90}),
-    query('longitude', 'Must be between -180 and 180').isFloat({min:-180,max:180}),
     query('range', 'Must be 0.25, 0.5 or 1 miles').isIn([0.25, 0.5, 1]),
     query('displayWidget', "Must be true, false or null").optional({ nullable: true }).isBoolean(),
-    async (request, response) => {
-        // Validates API input
-        const errors = validationResult(request);
-        if (!errors.isEmpty()) {
-            return response.status(400).json({
-                errors: errors.array(),
-            });
-        }
-
-        // Parses query params for endpoint
-        const { latitude, longitude, range, displayWidget: displayWidgetString } = request.query;
-        const displayWidget = displayWidgetString === 'true';
-
-        // Checks if the current city is within Walkspan's allowlist
-        const city = await getCityFromGpsCoordinates(latitude, longitude);
-        const isValidCity = validCityList.includes(city);
-
-        if (!isValidCity) {
-            return response.status(400).json({
-                errors: [
-                    {
-                        msg: `Must be in one of the following cities: ${validCityList.join(', ')}`,
-                        param: [
-                            'latitude',
-                            'longitude'
-                        ],
-                        location: 'query'
-                    }
-                ]
-            });
-        }
-
-        // Gets lifestyle essentials for the coordinates
-        const lifestyleEssentials = await getLifestyleEssentials(latitude, longitude, range*1.5);
-
-
-        if (displayWidget) {
-            // If display widget was set to true, return the widget's HTML
-            return response.status(200).send(generateEssentialsWidget(
-                latitude,
-                longitude,
-                range,
-                lifestyleEssentials));
-        } else {
-            // Else return the lifestyle essentials JSON
-            return response.status(200).json(lifestyleEssentials);
-        }
-    });
+    widgetAssetsValidator(),
+    essentialsCategoryValidator(),
+    namedValidator(),
+    essentialsSortValidator(),
+    formatValidator(),
+    resolveLocation(['gps']),
+    catchErrors(sendEssentials));
 
 /**
  * @openapi
@@ -156,6 +203,40 @@ router.get("/gps",
  *         schema:
  *           type: boolean
  *           default: false
+ *       - $ref: "#/components/parameters/WidgetAssets"
+ *       - name: format
+ *         in: query
+ *         description: |
+ *           If you would like the data as a GeoJSON FeatureCollection, with the lifestyle essentials as Point features
+ *           and the warnings as a member of the collection
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [json, geojson]
+ *           default: json
+ *       - name: category
+ *         in: query
+ *         description: |
+ *           A comma separated list of the categories or subcategories of lifestyle essentials to get,
+ *           such as `food,park`. Every category is returned when it's left out.
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: grocery,pharmacy
+ *       - name: named
+ *         in: query
+ *         description: If you would like to leave out the lifestyle essentials without a name
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - name: sort
+ *         in: query
+ *         description: If you would like the lifestyle essentials sorted from the nearest to the farthest
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [distance]
  *       - name: q
  *         in: query
  *         description: The street address you would like to get the lifestyle essentials for
@@ -181,103 +262,179 @@ router.get("/gps",
  *     responses:
  *       200:
  *         description: A set lifestyle essentials over a range
+ *         headers:
+ *           X-Matched-Address:
+ *             description: The URI encoded display address of the location the address was matched to
+ *             schema:
+ *               type: string
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: "#/components/schemas/EssentialsModel"
+ *               $ref: "#/components/schemas/EssentialsResponse"
+ *           application/geo+json:
+ *             schema:
+ *               $ref: "#/components/schemas/EssentialsCollection"
  *           text/html:
  *             schema:
  *               type: string
+ *       300:
+ *         description: The address matches several locations about as well, pick one of the candidates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: "#/components/schemas/AmbiguousAddress"
+ *       503:
+ *         description: Overpass failed to get every requested category of lifestyle essentials
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: "#/components/schemas/ErrorResponse"
  *       default:
  *         description: unexpected error
  *         content:
  *           application/json:
  *             schema:
- *               $ref: "#/components/schemas/Error"
+ *               $ref: "#/components/schemas/ErrorResponse"
  */
 router.get("/address",
-    query('q', 'Must supply a valid address string').isString(),
     query('range', 'Must be 0.25, 0.5, or 1 miles').isIn([0.25, 0.5, 1]),
     query('displayWidget', "Must be true, false or null").optional({ nullable: true }).isBoolean(),
-    async (request, response) => {
-        // Validates API input
-        const errors = validationResult(request);
-        if (!errors.isEmpty()) {
-            return response.status(400).json({
-                errors: errors.array(),
-            });
-        }
-
-        // Parses query params for endpoint
-        const { q: address, range, displayWidget: displayWidgetString } = request.query;
-        const displayWidget = displayWidgetString === 'true';
+    widgetAssetsValidator(),
+    essentialsCategoryValidator(),
+    namedValidator(),
+    essentialsSortValidator(),
+    formatValidator(),
+    resolveLocation(['address']),
+    catchErrors(sendEssentials));
 
-        // Validates address entered and gets associated GPS coordinates
-        let coordinates;
-        try {
-            coordinates = await getGPSCoordinatesFromAddress(address);
-        } catch (error) {
-            return response.status(400).json({
-                errors: [{
-                    msg: error,
-                    param: 'q',
-                    location: 'query'
-                }]
-            });
-        }
-        const {latitude, longitude} = coordinates;
-
-        if (!latitude || !longitude) {
-            return response.status(400).json({
-                errors: [{
-                    msg: "Invalid address supplied",
-                    param: 'q',
-                    location: 'query'
-                }]
-            });
-        }
-
-        // Checks if the current city is within Walkspan's allowlist
-        const city = await getCityFromGpsCoordinates(latitude, longitude);
-        const isValidCity = validCityList.includes(city);
-
-        if (!isValidCity) {
-            return response.status(400).json({
-                errors: [
-                    {
-                        msg: `Must be in one of the following cities: ${validCityList.join(', ')}`,
-                        param: [
-                            'latitude',
-                            'longitude'
-                        ],
-                        location: 'query'
-                    }
-                ]
-            });
-        }
-
-        // Gets lifestyle essentials for the coordinates
-        const lifestyleEssentials = await getLifestyleEssentials(latitude, longitude, range*1.5);
-
-        if (displayWidget) {
-            // If display widget was set to true, return the widget's HTML
-            return response.status(200).send(generateEssentialsWidget(
-                latitude,
-                longitude,
-                range,
-                lifestyleEssentials));
-        } else {
-            // Else return the lifestyle essentials JSON
-            return response.status(200).json(lifestyleEssentials);
-        }
-    });
+/**
+ * @openapi
+ * /essentials/location:
+ *   get:
+ *     tags:
+ *       - essentials_api
+ *     summary: Get lifestyle essentials from any kind of location
+ *     description: |
+ *       Gets the lifestyle essentials around a location sent as exactly one of GPS coordinates, a street address,
+ *       an OpenStreetMap place id, a New York City BBL or BIN or a three word address. The display address of the
+ *       location it was matched to is echoed in the X-Matched-Address header whenever it has one.
+ *     operationId: getEssentialsLocation
+ *     security:
+ *       - ApiKeyAuth: [read]
+ *     parameters:
+ *       - name: displayWidget
+ *         in: query
+ *         description: If you would like the data instead represented as an html widget
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - $ref: "#/components/parameters/WidgetAssets"
+ *       - name: format
+ *         in: query
+ *         description: |
+ *           If you would like the data as a GeoJSON FeatureCollection, with the lifestyle essentials as Point features
+ *           and the warnings as a member of the collection
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [json, geojson]
+ *           default: json
+ *       - name: category
+ *         in: query
+ *         description: |
+ *           A comma separated list of the categories or subcategories of lifestyle essentials to get,
+ *           such as `food,park`. Every category is returned when it's left out.
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: grocery,pharmacy
+ *       - name: named
+ *         in: query
+ *         description: If you would like to leave out the lifestyle essentials without a name
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - name: sort
+ *         in: query
+ *         description: If you would like the lifestyle essentials sorted from the nearest to the farthest
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [distance]
+ *       - $ref: "#/components/parameters/LocationLatitude"
+ *       - $ref: "#/components/parameters/LocationLongitude"
+ *       - $ref: "#/components/parameters/LocationAddress"
+ *       - $ref: "#/components/parameters/LocationPlaceId"
+ *       - $ref: "#/components/parameters/LocationBbl"
+ *       - $ref: "#/components/parameters/LocationBin"
+ *       - $ref: "#/components/parameters/LocationWords"
+ *       - name: range
+ *         in: query
+ *         description: The range you would like to get the lifestyle essentials around in miles
+ *         required: true
+ *         schema:
+ *           type: number
+ *           enum: [0.25, 0.5, 1]
+ *           default: 1
+ *     x-code-samples:
+ *       - lang: curl
+ *         source: |-
+ *           YOUR_API_KEY='aaaBBBBB111cccccDDDDD' \
+ *           YOUR_PLACE_ID='W42127044' \
+ *           ADDRESS_RANGE='1' \
+ *           curl -H "X-API-Key: ${YOUR_API_KEY}" \
+ *           "https://api.walkspan.com/essentials/location?placeId=${YOUR_PLACE_ID}&range=${ADDRESS_RANGE}"
+ *     responses:
+ *       200:
+ *         description: A set lifestyle essentials over a range
+ *         headers:
+ *           X-Matched-Address:
+ *             description: The URI encoded display address of the location the input was matched to
+ *             schema:
+ *               type: string
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: "#/components/schemas/EssentialsResponse"
+ *           application/geo+json:
+ *             schema:
+ *               $ref: "#/components/schemas/EssentialsCollection"
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       300:
+ *         description: The address matches several locations about as well, pick one of the candidates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: "#/components/schemas/AmbiguousAddress"
+ *       503:
+ *         description: Overpass failed to get every requested category of lifestyle essentials
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: "#/components/schemas/ErrorResponse"
+ *       default:
+ *         description: unexpected error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: "#/components/schemas/ErrorResponse"
+ */
+router.get("/location",
+    query('range', 'Must be 0.25, 0.5 or 1 miles').isIn([0.25, 0.5, 1]),
+    query('displayWidget', "Must be true, false or null").optional({ nullable: true }).isBoolean(),
+    widgetAssetsValidator(),
+    essentialsCategoryValidator(),
+    namedValidator(),
+    essentialsSortValidator(),
+    formatValidator(),
+    resolveLocation(),
+    catchErrors(sendEssentials));
 
-router.get("/marker-icon.png",
-    async (request, response) => {
-        // Get's a pin icon for the widget to properly render
-        return response.status(301).redirect('https://unpkg.com/leaflet@1.7.1/dist/images/marker-icon.png');
-});
+// Serves the pin icon of the widget from the api instead of a CDN
+router.get("/marker-icon.png", sendWidgetAsset('marker-icon.png'));
 
 module.exports = router;
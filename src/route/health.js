@@ -0,0 +1,54 @@
+/**
+ * @file health.js
+ *
+ * API endpoint reporting the health of this instance of the api
+ * All of these endpoints are covered under '/health'
+ */
+const router = require("express").Router();
+
+const { getGeocoderCacheStats } = require('../lib/geocoder');
+const { catchErrors } = require('../middleware/errors');
+
+/**
+ * @openapi
+ * /health:
+ *   get:
+ *     tags:
+ *       - health_api
+ *     summary: Report the health of the api
+ *     description: |
+ *       Reports that the api is up along with the hit and miss counters of its geocoding caches since the instance
+ *       answering the request started. Each instance keeps caches of its own, so the counters of one request
+ *       only describe the instance that answered it.
+ *     operationId: getHealth
+ *     security:
+ *       - ApiKeyAuth: [read]
+ *     x-code-samples:
+ *       - lang: curl
+ *         source: |-
+ *           YOUR_API_KEY='aaaBBBBB111cccccDDDDD' \
+ *           curl -H "X-API-Key: ${YOUR_API_KEY}" \
+ *           "https://api.walkspan.com/health"
+ *     responses:
+ *       200:
+ *         description: The api is up
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: "#/components/schemas/HealthReport"
+ *       default:
+ *         description: unexpected error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: "#/components/schemas/ErrorResponse"
+ */
+router.get("/",
+    catchErrors(async (request, response) => {
+        return response.status(200).json({
+            status: 'ok',
+            geocoder_cache: getGeocoderCacheStats()
+        });
+    }));
+
+module.exports = router;
@@ -4,13 +4,80 @@
  * API endpoints for the Walkspan score
  * All of these endpoints are covered under '/score'
  */
-const router = require("express").Router();
-const { query, validationResult } = require("express-validator");
+const express = require("express");
+const { body, validationResult } = require("express-validator");
+
+const router = express.Router();
 
 const { getClosestSidewalk, getSidewalksInRadius } = require('../model/db');
-const { getCityFromGpsCoordinates, getGPSCoordinatesFromAddress } = require('../lib/geocoder');
-const { generateScoreWidget } = require('../lib/handlebarsHelper');
-const validCityList = require('../lib/valid-city-list');
+const { ApiError, toErrorBody } = require('../lib/apiError');
+const { routesToFeatureCollection, scoreToFeatureCollection, GEOJSON_CONTENT_TYPE } = require('../lib/geojsonHelper');
+const { generateScoreWidget, SCORE_WIDGET_ASSETS } = require('../lib/handlebarsHelper');
+const { getRouteScore } = require('../lib/routeHelper');
+const { getScore, getScoredSidewalks, parseScoreWeights, scoreBatch, MAX_BATCH_SIZE } = require('../lib/scoreHelper');
+const {
+    addressValidator,
+    dataVersionValidator,
+    displayWidgetValidator,
+    formatValidator,
+    latitudeValidator,
+    longitudeValidator,
+    modeValidator,
+    rangeValidator,
+    validateParams,
+    weightsValidator,
+    widgetAssetsValidator
+} = require('../lib/validators');
+const { createWidgetContext } = require('../lib/widgetAssets');
+const { catchErrors } = require('../middleware/errors');
+const { resolveLocation } = require('../middleware/resolveLocation');
+
+/**
+ * Scores the location resolved by resolveLocation and sends the scores, their widget or their GeoJSON
+ *
+ * @param request The express request, holding the resolved location
+ * @param response The express response
+ * @returns The express response
+ * @throws ApiError NO_SIDEWALK_DATA when there's no sidewalk with walkspan scores close enough to the location
+ */
+const sendScore = async (request, response) => {
+    // Parses query params for endpoint
+    const { latitude, longitude, matched_address } = request.location;
+    const range = request.query.range || 0.35;
+    const mode = request.query.mode || 'closest';
+    const weights = parseScoreWeights(request.query.weights);
+    const displayWidget = request.query.displayWidget === 'true';
+    const format = request.query.format || 'json';
+    const dataVersion = request.query.dataVersion || response.locals.dataVersion;
+    response.locals.dataVersion = dataVersion;
+
+    if (displayWidget) {
+        // If display widget was set to true, get multiple sidewalks and generate the widget using those
+        const sidewalksInRadius = getSidewalksInRadius(latitude, longitude, range, dataVersion);
+        const closestSidewalk = getClosestSidewalk(latitude, longitude, dataVersion);
+        const widget = createWidgetContext(
+            SCORE_WIDGET_ASSETS,
+            request.query.widgetAssets || 'cdn',
+            `${request.protocol}://${request.get('host')}`);
+        return response.status(200).set('Content-Security-Policy', widget.contentSecurityPolicy).send(generateScoreWidget(
+            latitude,
+            longitude,
+            closestSidewalk,
+            sidewalksInRadius,
+            range,
+            widget
+        ));
+    }
+
+    // Else get the scores of the closest sidewalk or the aggregate of the area in range,
+    // along with what the address was matched to when the location is a street address
+    const score = Object.assign(getScore(latitude, longitude, { range, mode, weights, dataVersion }), { matched_address });
+    if (format === 'geojson') {
+        return response.status(200).type(GEOJSON_CONTENT_TYPE).json(
+            scoreToFeatureCollection(score, getScoredSidewalks(latitude, longitude, { range, mode, dataVersion })));
+    }
+    return response.status(200).json(score);
+};
 
 /**
  * @openapi
@@ -25,12 +92,49 @@ const validCityList = require('../lib/valid-city-list');
  *     parameters:
  *       - name: range
  *         in: query
- *         description: The range you would like to get the score for
+ *         description: The range in miles you would like to get the score for, 0.35 miles when it's left out
  *         required: false
  *         schema:
  *           type: number
  *           enum: [0.25, 0.5, 1]
- *           default: 1
+ *       - name: mode
+ *         in: query
+ *         description: Whether to score the closest sidewalk or aggregate every sidewalk within the range
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [closest, area]
+ *           default: closest
+ *       - name: weights
+ *         in: query
+ *         description: |
+ *           How each category is weighted in the walkspan index. Either the name of a profile or a comma separated
+ *           list of category:weight pairs such as `safety:3,comfort:2`, categories left out of the list keep a weight of 1.
+ *           The default profile weighs every category equally, the families profile favors safety and comfort
+ *           and the commuters profile favors access and amenities.
+ *         required: false
+ *         schema:
+ *           type: string
+ *           default: default
+ *           example: families
+ *       - name: format
+ *         in: query
+ *         description: |
+ *           If you would like the data as a GeoJSON FeatureCollection, with the scored sidewalks as LineString features
+ *           and the scores as members of the collection
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [json, geojson]
+ *           default: json
+ *       - name: dataVersion
+ *         in: query
+ *         description: |
+ *           The version of the sidewalk dataset to score with, to see how the scores of a location changed between
+ *           releases. Every version is listed by /datasets, the current version is used when it's left out.
+ *         required: false
+ *         schema:
+ *           type: string
  *       - name: displayWidget
  *         in: query
  *         description: If you would like the data instead represented as an html widget
@@ -38,6 +142,7 @@ const validCityList = require('../lib/valid-city-list');
  *         schema:
  *           type: boolean
  *           default: false
+ *       - $ref: "#/components/parameters/WidgetAssets"
  *       - name: latitude
  *         in: query
  *         description: The latitude you would like to get the score for
@@ -53,8 +158,8 @@ const validCityList = require('../lib/valid-city-list');
  *         required: true
  *         schema:
  *           type: number
- *           minimum: -90
- *           maximum: 90
+ *           minimum: -180
+ *           maximum: 180
  *           default: -74.0059413
  *     x-code-samples:
  *       - lang: curl
@@ -70,7 +175,12 @@ const validCityList = require('../lib/valid-city-list');
  *         content:
  *           application/json:
  *             schema:
- *               $ref: "#/components/schemas/ScoreModel"
+ *               oneOf:
+ *                 - $ref: "#/components/schemas/ScoreModel"
+ *                 - $ref: "#/components/schemas/AreaScoreModel"
+ *           application/geo+json:
+ *             schema:
+ *               $ref: "#/components/schemas/SidewalkCollection"
  *           text/html:
  *             schema:
  *               type: string
@@ -79,83 +189,18 @@ const validCityList = require('../lib/valid-city-list');
  *         content:
  *           application/json:
  *             schema:
- *               $ref: "#/components/schemas/Error"
+ *               $ref: "#/components/schemas/ErrorResponse"
  */
 router.get("/gps",
-    query('latitude', 'Must be between -90 and 90').isFloat({min:-90,max:90}),
-    query('longitude', 'Must be between -180 and 180').isFloat({min:-180,max:180}),
-    query('displayWidget', "Must be true, false or null").optional({ nullable: true }).isBoolean(),
-    query('range', 'Must be 0.25, 0.5 or 1 miles').optional({ nullable: true }).isIn([0.25, 0.5, 1]),
-    async (request, response) => {
-        // Validates API input
-        const errors = validationResult(request);
-        if (!errors.isEmpty()) {
-            return response.status(400).json({
-                errors: errors.array(),
-            });
-        }
-
-        // Parses query params for endpoint
-        const { latitude, longitude, displayWidget: displayWidgetString  } = request.query;
-        const range = request.query.range || 0.35;
-        const displayWidget = displayWidgetString === 'true';
-
-        // Checks if the current city is within Walkspan's allowlist
-        const city = await getCityFromGpsCoordinates(latitude, longitude);
-        const isValidCity = validCityList.includes(city);
-
-        if (!isValidCity) {
-            return response.status(400).json({
-                errors: [
-                    {
-                        msg: `Must be in one of the following cities: ${validCityList.join(', ')}`,
-                        param: [
-                            'latitude',
-                            'longitude'
-                        ],
-                        location: 'query'
-                    }
-                ]
-            });
-        }
-
-
-        if (displayWidget) {
-            // If display widget was set to true, get multiple sidewalks and generate the widget using those
-            const sidewalksInRadius = getSidewalksInRadius(latitude, longitude, range);
-            const closestSidewalk = getClosestSidewalk(latitude, longitude);
-            return response.status(200).send(generateScoreWidget(
-                latitude,
-                longitude,
-                closestSidewalk,
-                sidewalksInRadius,
-                range
-            ));
-        } else {
-            // Else only get the database entry for the closest sidewalk
-            const {
-                natural_beauty_score,
-                manmade_beauty_score,
-                comfort_score,
-                interest_score,
-                safety_score,
-                access_score,
-                amenities_score
-            } = getClosestSidewalk(latitude, longitude);
-
-            return response.status(200).json({
-                natural_beauty_score,
-                manmade_beauty_score,
-                comfort_score,
-                interest_score,
-                safety_score,
-                access_score,
-                amenities_score,
-                latitude,
-                longitude
-            });
-        }
-    });
+    displayWidgetValidator(),
+    widgetAssetsValidator(),
+    formatValidator(),
+    dataVersionValidator(),
+    modeValidator(),
+    weightsValidator(),
+    rangeValidator(),
+    resolveLocation(['gps']),
+    catchErrors(sendScore));
 
 /**
  * @openapi
@@ -170,12 +215,49 @@ router.get("/gps",
  *     parameters:
  *       - name: range
  *         in: query
- *         description: The range you would like to get the score for
+ *         description: The range in miles you would like to get the score for, 0.35 miles when it's left out
  *         required: false
  *         schema:
  *           type: number
  *           enum: [0.25, 0.5, 1]
- *           default: 1
+ *       - name: mode
+ *         in: query
+ *         description: Whether to score the closest sidewalk or aggregate every sidewalk within the range
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [closest, area]
+ *           default: closest
+ *       - name: weights
+ *         in: query
+ *         description: |
+ *           How each category is weighted in the walkspan index. Either the name of a profile or a comma separated
+ *           list of category:weight pairs such as `safety:3,comfort:2`, categories left out of the list keep a weight of 1.
+ *           The default profile weighs every category equally, the families profile favors safety and comfort
+ *           and the commuters profile favors access and amenities.
+ *         required: false
+ *         schema:
+ *           type: string
+ *           default: default
+ *           example: families
+ *       - name: format
+ *         in: query
+ *         description: |
+ *           If you would like the data as a GeoJSON FeatureCollection, with the scored sidewalks as LineString features
+ *           and the scores as members of the collection
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [json, geojson]
+ *           default: json
+ *       - name: dataVersion
+ *         in: query
+ *         description: |
+ *           The version of the sidewalk dataset to score with, to see how the scores of a location changed between
+ *           releases. Every version is listed by /datasets, the current version is used when it's left out.
+ *         required: false
+ *         schema:
+ *           type: string
  *       - name: displayWidget
  *         in: query
  *         description: If you would like the data instead represented as an html widget
@@ -183,6 +265,7 @@ router.get("/gps",
  *         schema:
  *           type: boolean
  *           default: false
+ *       - $ref: "#/components/parameters/WidgetAssets"
  *       - name: q
  *         in: query
  *         description: The street address you would like to get the score for
@@ -199,117 +282,452 @@ router.get("/gps",
  *     responses:
  *       200:
  *         description: A set of scores describing a sidewalk
+ *         headers:
+ *           X-Matched-Address:
+ *             description: The URI encoded display address of the location the address was matched to
+ *             schema:
+ *               type: string
  *         content:
  *           application/json:
  *             schema:
- *               $ref: "#/components/schemas/ScoreModel"
+ *               oneOf:
+ *                 - $ref: "#/components/schemas/ScoreModel"
+ *                 - $ref: "#/components/schemas/AreaScoreModel"
+ *           application/geo+json:
+ *             schema:
+ *               $ref: "#/components/schemas/SidewalkCollection"
  *           text/html:
  *             schema:
  *               type: string
+ *       300:
+ *         description: The address matches several locations about as well, pick one of the candidates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: "#/components/schemas/AmbiguousAddress"
  *       default:
  *         description: unexpected error
  *         content:
  *           application/json:
  *             schema:
- *               $ref: "#/components/schemas/Error"
+ *               $ref: "#/components/schemas/ErrorResponse"
  */
 router.get("/address",
-    query('q', 'Must supply a valid address string').isString(),
-    query('range', 'Must be 0.25, 0.5 or 1 miles').optional({ nullable: true }).isIn([0.25, 0.5, 1]),
-    query('displayWidget', "Must be true, false or null").optional({ nullable: true }).isBoolean(),
-    async (request, response) => {
-        // Validates API input
-        const errors = validationResult(request);
-        if (!errors.isEmpty()) {
-            return response.status(400).json({
-                errors: errors.array(),
-            });
-        }
+    rangeValidator(),
+    displayWidgetValidator(),
+    widgetAssetsValidator(),
+    formatValidator(),
+    dataVersionValidator(),
+    modeValidator(),
+    weightsValidator(),
+    resolveLocation(['address']),
+    catchErrors(sendScore));
 
+/**
+ * @openapi
+ * /score/location:
+ *   get:
+ *     tags:
+ *       - score_api
+ *     summary: Get score from any kind of location
+ *     description: |
+ *       Gets the scores of a location sent as exactly one of GPS coordinates, a street address, an OpenStreetMap
+ *       place id, a New York City BBL or BIN or a three word address. The display address of the location it was
+ *       matched to is echoed in the X-Matched-Address header whenever it has one.
+ *     operationId: getScoreLocation
+ *     security:
+ *       - ApiKeyAuth: [read]
+ *     parameters:
+ *       - name: range
+ *         in: query
+ *         description: The range in miles you would like to get the score for, 0.35 miles when it's left out
+ *         required: false
+ *         schema:
+ *           type: number
+ *           enum: [0.25, 0.5, 1]
+ *       - name: mode
+ *         in: query
+ *         description: Whether to score the closest sidewalk or aggregate every sidewalk within the range
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [closest, area]
+ *           default: closest
+ *       - name: weights
+ *         in: query
+ *         description: |
+ *           How each category is weighted in the walkspan index. Either the name of a profile or a comma separated
+ *           list of category:weight pairs such as `safety:3,comfort:2`, categories left out of the list keep a weight of 1.
+ *           The default profile weighs every category equally, the families profile favors safety and comfort
+ *           and the commuters profile favors access and amenities.
+ *         required: false
+ *         schema:
+ *           type: string
+ *           default: default
+ *           example: families
+ *       - name: format
+ *         in: query
+ *         description: |
+ *           If you would like the data as a GeoJSON FeatureCollection, with the scored sidewalks as LineString features
+ *           and the scores as members of the collection
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [json, geojson]
+ *           default: json
+ *       - name: dataVersion
+ *         in: query
+ *         description: |
+ *           The version of the sidewalk dataset to score with, to see how the scores of a location changed between
+ *           releases. Every version is listed by /datasets, the current version is used when it's left out.
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - name: displayWidget
+ *         in: query
+ *         description: If you would like the data instead represented as an html widget
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - $ref: "#/components/parameters/WidgetAssets"
+ *       - $ref: "#/components/parameters/LocationLatitude"
+ *       - $ref: "#/components/parameters/LocationLongitude"
+ *       - $ref: "#/components/parameters/LocationAddress"
+ *       - $ref: "#/components/parameters/LocationPlaceId"
+ *       - $ref: "#/components/parameters/LocationBbl"
+ *       - $ref: "#/components/parameters/LocationBin"
+ *       - $ref: "#/components/parameters/LocationWords"
+ *     x-code-samples:
+ *       - lang: curl
+ *         source: |-
+ *           YOUR_API_KEY='aaaBBBBB111cccccDDDDD' \
+ *           YOUR_BBL='1006300032' \
+ *           curl -H "X-API-Key: ${YOUR_API_KEY}" \
+ *           "https://api.walkspan.com/score/location?bbl=${YOUR_BBL}"
+ *     responses:
+ *       200:
+ *         description: A set of scores describing a sidewalk
+ *         headers:
+ *           X-Matched-Address:
+ *             description: The URI encoded display address of the location the input was matched to
+ *             schema:
+ *               type: string
+ *         content:
+ *           application/json:
+ *             schema:
+ *               oneOf:
+ *                 - $ref: "#/components/schemas/ScoreModel"
+ *                 - $ref: "#/components/schemas/AreaScoreModel"
+ *           application/geo+json:
+ *             schema:
+ *               $ref: "#/components/schemas/SidewalkCollection"
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       300:
+ *         description: The address matches several locations about as well, pick one of the candidates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: "#/components/schemas/AmbiguousAddress"
+ *       default:
+ *         description: unexpected error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: "#/components/schemas/ErrorResponse"
+ */
+router.get("/location",
+    rangeValidator(),
+    displayWidgetValidator(),
+    widgetAssetsValidator(),
+    formatValidator(),
+    dataVersionValidator(),
+    modeValidator(),
+    weightsValidator(),
+    resolveLocation(),
+    catchErrors(sendScore));
+/**
+ * @openapi
+ * /score/route:
+ *   get:
+ *     tags:
+ *       - score_api
+ *     summary: Get the scores of the walking routes between two locations
+ *     description: |
+ *       Finds the shortest walking route over the sidewalk network between an origin and a destination,
+ *       each sent as exactly one of the kinds of location /score/location takes with its parameters prefixed
+ *       by origin or destination, such as originLatitude and originLongitude or destinationBbl. Street addresses
+ *       are sent as origin and destination themselves. Along with it comes the most pleasant route which
+ *       trades some distance for higher beauty, comfort and safety scores. Routes start and end at the sidewalks
+ *       closest to the origin and destination and cross streets between the ends of nearby sidewalks.
+ *     operationId: getScoreRoute
+ *     security:
+ *       - ApiKeyAuth: [read]
+ *     parameters:
+ *       - name: origin
+ *         in: query
+ *         description: The street address to walk from
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - name: originLatitude
+ *         in: query
+ *         description: The latitude to walk from, along with originLongitude
+ *         required: false
+ *         schema:
+ *           type: number
+ *           minimum: -90
+ *           maximum: 90
+ *           example: 40.8048311
+ *       - name: originLongitude
+ *         in: query
+ *         description: The longitude to walk from, along with originLatitude
+ *         required: false
+ *         schema:
+ *           type: number
+ *           minimum: -180
+ *           maximum: 180
+ *           example: -73.8550686
+ *       - name: originPlaceId
+ *         in: query
+ *         description: The OpenStreetMap id of the place to walk from, such as W42127044
+ *         required: false
+ *         schema:
+ *           type: string
+ *           pattern: "^[NWRnwr][0-9]+$"
+ *       - name: originBbl
+ *         in: query
+ *         description: The 10 digit borough, block and lot number of the New York City tax lot to walk from
+ *         required: false
+ *         schema:
+ *           type: string
+ *           pattern: "^[1-5][0-9]{9}$"
+ *       - name: originBin
+ *         in: query
+ *         description: The 7 digit building identification number of the New York City building to walk from
+ *         required: false
+ *         schema:
+ *           type: string
+ *           pattern: "^[1-5][0-9]{6}$"
+ *       - name: originWords
+ *         in: query
+ *         description: The three word address to walk from, with or without its leading ///
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - name: destination
+ *         in: query
+ *         description: The street address to walk to
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - name: destinationLatitude
+ *         in: query
+ *         description: The latitude to walk to, along with destinationLongitude
+ *         required: false
+ *         schema:
+ *           type: number
+ *           minimum: -90
+ *           maximum: 90
+ *           example: 40.815
+ *       - name: destinationLongitude
+ *         in: query
+ *         description: The longitude to walk to, along with destinationLatitude
+ *         required: false
+ *         schema:
+ *           type: number
+ *           minimum: -180
+ *           maximum: 180
+ *           example: -73.865
+ *       - name: destinationPlaceId
+ *         in: query
+ *         description: The OpenStreetMap id of the place to walk to, such as W42127044
+ *         required: false
+ *         schema:
+ *           type: string
+ *           pattern: "^[NWRnwr][0-9]+$"
+ *       - name: destinationBbl
+ *         in: query
+ *         description: The 10 digit borough, block and lot number of the New York City tax lot to walk to
+ *         required: false
+ *         schema:
+ *           type: string
+ *           pattern: "^[1-5][0-9]{9}$"
+ *       - name: destinationBin
+ *         in: query
+ *         description: The 7 digit building identification number of the New York City building to walk to
+ *         required: false
+ *         schema:
+ *           type: string
+ *           pattern: "^[1-5][0-9]{6}$"
+ *       - name: destinationWords
+ *         in: query
+ *         description: The three word address to walk to, with or without its leading ///
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - name: weights
+ *         in: query
+ *         description: |
+ *           How each category is weighted in the walkspan index of each route. Either the name of a profile or a
+ *           comma separated list of category:weight pairs such as `safety:3,comfort:2`.
+ *         required: false
+ *         schema:
+ *           type: string
+ *           default: default
+ *           example: families
+ *       - name: format
+ *         in: query
+ *         description: |
+ *           If you would like the routes as a GeoJSON FeatureCollection, with every segment of each route as a
+ *           LineString feature named after its route
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [json, geojson]
+ *           default: json
+ *     x-code-samples:
+ *       - lang: curl
+ *         source: |-
+ *           YOUR_API_KEY='aaaBBBBB111cccccDDDDD' \
+ *           curl -H "X-API-Key: ${YOUR_API_KEY}" \
+ *           "https://api.walkspan.com/score/route?originLatitude=40.8048311&originLongitude=-73.8550686&destinationLatitude=40.815&destinationLongitude=-73.865"
+ *     responses:
+ *       200:
+ *         description: The shortest and the most pleasant walking routes with the scores of every segment
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: "#/components/schemas/RouteScoreModel"
+ *           application/geo+json:
+ *             schema:
+ *               $ref: "#/components/schemas/RouteCollection"
+ *       300:
+ *         description: The origin or destination address matches several locations about as well, pick one of the candidates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: "#/components/schemas/AmbiguousAddress"
+ *       default:
+ *         description: unexpected error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: "#/components/schemas/ErrorResponse"
+ */
+router.get("/route",
+    weightsValidator(),
+    formatValidator(),
+    resolveLocation(undefined, 'origin'),
+    resolveLocation(undefined, 'destination'),
+    catchErrors(async (request, response) => {
         // Parses query params for endpoint
-        const { q: address, displayWidget: displayWidgetString } = request.query;
-        const range = request.query.range || 0.35;
-        const displayWidget = displayWidgetString === 'true';
+        const weights = parseScoreWeights(request.query.weights);
+        const format = request.query.format || 'json';
 
-        // Validates address entered and gets associated GPS coordinates
-        let coordinates;
-        try {
-            coordinates = await getGPSCoordinatesFromAddress(address);
-        } catch (error) {
-            return response.status(400).json({
-                errors: [{
-                    msg: error,
-                    param: 'q',
-                    location: 'query'
-                }]
-            });
-        }
-        const {latitude, longitude} = coordinates;
+        // Takes the GPS coordinates of the origin and destination resolved by resolveLocation
+        const [origin, destination] = [request.originLocation, request.destinationLocation]
+            .map(({ latitude, longitude, matched_address }) => ({ latitude, longitude, matched_address }));
+
+        // Finds and scores the shortest and the most pleasant routes between them
+        const routeScore = Object.assign({ origin, destination }, getRouteScore(origin, destination, { weights }));
 
-        if (!latitude || !longitude) {
-            return response.status(400).json({
-                errors: [{
-                    msg: "Invalid address supplied",
-                    param: 'q',
-                    location: 'query'
-                }]
-            });
+        if (format === 'geojson') {
+            return response.status(200).type(GEOJSON_CONTENT_TYPE).json(routesToFeatureCollection(routeScore));
         }
+        return response.status(200).json(routeScore);
+    }));
 
-        // Checks if the current city is within Walkspan's allowlist
-        const city = await getCityFromGpsCoordinates(latitude, longitude);
-        const isValidCity = validCityList.includes(city);
+/**
+ * @openapi
+ * /score/batch:
+ *   post:
+ *     tags:
+ *       - score_api
+ *     summary: Get scores for a batch of GPS coordinates and street addresses
+ *     description: |
+ *       Scores up to 250 locations in a single request. Each item is validated with the same rules as
+ *       /score/gps and /score/address and gets either a result or a list of errors.
+ *       Items resolving to the same address or coordinates are only geocoded and looked up once.
+ *     operationId: postScoreBatch
+ *     security:
+ *       - ApiKeyAuth: [read]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: "#/components/schemas/ScoreBatchRequest"
+ *     x-code-samples:
+ *       - lang: curl
+ *         source: |-
+ *           YOUR_API_KEY='aaaBBBBB111cccccDDDDD' \
+ *           curl -H "X-API-Key: ${YOUR_API_KEY}" -H "Content-Type: application/json" \
+ *           -d '{"items": [{"latitude": 40.71427, "longitude": -74.00597}, {"address": "Times Square, New York, NY 10036"}]}' \
+ *           "https://api.walkspan.com/score/batch"
+ *     responses:
+ *       200:
+ *         description: A result or a list of errors for every item in the order they were given
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: "#/components/schemas/ScoreBatchResponse"
+ *       default:
+ *         description: unexpected error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: "#/components/schemas/ErrorResponse"
+ */
+router.post("/batch",
+    body('items', `Must be a list of 1 to ${MAX_BATCH_SIZE} locations`).isArray({ min: 1, max: MAX_BATCH_SIZE }),
+    catchErrors(async (request, response) => {
+        // Validates API input
+        const errors = validationResult(request);
+        if (!errors.isEmpty()) {
+            throw ApiError.fromValidationResult(errors);
+        }
 
-        if (!isValidCity) {
-            return response.status(400).json({
-                errors: [
-                    {
-                        msg: `Must be in one of the following cities: ${validCityList.join(', ')}`,
-                        param: [
-                            'latitude',
-                            'longitude'
-                        ],
-                        location: 'query'
-                    }
-                ]
-            });
+        // Validates the options applied to every item
+        const { items, range: itemRange, mode: itemMode, weights: itemWeights, dataVersion: itemDataVersion } = request.body;
+        const optionErrors = await validateParams([
+            rangeValidator(),
+            modeValidator(),
+            weightsValidator(),
+            dataVersionValidator()
+        ], { range: itemRange, mode: itemMode, weights: itemWeights, dataVersion: itemDataVersion });
+        if (!optionErrors.isEmpty()) {
+            throw ApiError.fromValidationResult(optionErrors, 'body');
         }
 
-        if (displayWidget) {
-            // If display widget was set to true, get multiple sidewalks and generate the widget using those
-            const sidewalksInRadius = getSidewalksInRadius(latitude, longitude, range);
-            const closestSidewalk = getClosestSidewalk(latitude, longitude);
-            return response.status(200).send(generateScoreWidget(
-                latitude,
-                longitude,
-                closestSidewalk,
-                sidewalksInRadius,
-                range
-            ));
-        } else {
-            // Else only get the database entry for the closest sidewalk
-            const {
-                natural_beauty_score,
-                manmade_beauty_score,
-                comfort_score,
-                interest_score,
-                safety_score,
-                access_score,
-                amenities_score
-            } = getClosestSidewalk(latitude, longitude);
+        const options = {
+            range: itemRange || 0.35,
+            mode: itemMode || 'closest',
+            weights: parseScoreWeights(itemWeights),
+            dataVersion: itemDataVersion || response.locals.dataVersion
+        };
+        response.locals.dataVersion = options.dataVersion;
 
-            return response.status(200).json({
-                natural_beauty_score,
-                manmade_beauty_score,
-                comfort_score,
-                interest_score,
-                safety_score,
-                access_score,
-                amenities_score,
-                latitude,
-                longitude
-            });
-        }
-    });
+        // Validates every item with the rules of the gps or address endpoint
+        const itemErrors = await Promise.all(items.map(item => {
+            const isAddress = item !== null && typeof item === 'object' && item.address !== undefined;
+            return validateParams(isAddress ?
+                [addressValidator('address')] :
+                [latitudeValidator(), longitudeValidator()], item);
+        }));
+        const validItems = items.filter((item, index) => itemErrors[index].isEmpty());
+        const scoredItems = await scoreBatch(validItems, options);
+
+        return response.status(200).json({
+            results: items.map((item, index) => {
+                if (!itemErrors[index].isEmpty()) {
+                    return Object.assign({ index }, toErrorBody(ApiError.fromValidationResult(itemErrors[index], 'body')));
+                }
+                return Object.assign({ index }, scoredItems[validItems.indexOf(item)]);
+            })
+        });
+    }));
 
 module.exports = router;
@@ -1,85 +1,12 @@
 /**
  * @file swagger.js
  *
- * Auto generates API documentation
+ * Serves the API documentation generated by src/lib/openapi.js
  * located at '/docs'
  */
-const swaggerJsdoc = require("swagger-jsdoc");
-
 const router = require("express").Router();
 
-// Library that reads through comments and auto generates api docs
-const openapiSpecification = swaggerJsdoc({
-    definition: {
-        openapi: '3.0.0',
-        info: {
-            title: 'Walkspan API',
-            version: '1.0.0',
-            description: `
-# Getting Started
-In order to access our APIs, you will need an API Key. This key is generated when you register for our service and should be kept secret for all interactions with our resources.
-
-# Widget
-All of our api's can also be queried to return a widget instead of a JSON response.
-To request a widget, just append \`&widget=true\` to the end of the endpoint.
-
-To embed the requested widget to your webpage, include the code returned by the endpoint inside of an iframe html tag.
-
-Example:
-\`\`\`
-    <iframe>
-     {HTML CODE RETURNED FROM ENDPOINT}
-    </iframe>
-\`\`\`
-
-# Authentication
-
-Walkspan offers one form of authentication:
-  - API Key
-            `,
-            'x-logo': {
-                url: 'https://images.squarespace-cdn.com/content/5c9181caebfc7f1f4596f4bf/1553817211803-YQU03EYT42PP0SUGI6XR/WALKSPAN+new+logo_1500.png?format=1500w&content-type=image%2Fpng',
-                altText: 'Walkspan Logo'
-            }
-        },
-        servers: [
-            {
-                url: 'https://api.walkspan.com',
-                description: 'Default server'
-            }
-        ],
-        externalDocs: {
-            description: 'Find out more about Walkspan!',
-            url: 'https://www.walkspan.com'
-        },
-        tags: [
-            {
-                name: 'essentials_api',
-                'x-displayName': 'The Lifestyle Essentials API',
-                description: 'Ways to get Walkspan\'s score model for a specified location.'
-            },
-            {
-                name: 'score_api',
-                'x-displayName': 'The Score API',
-                description: 'Ways to get Walkspan\'s score model for a specified location.'
-            },
-            {
-                name: 'score_model',
-                'x-displayName': 'The Score Model',
-                description: `<SchemaDefinition schemaRef="#/components/schemas/ScoreModel" />`
-            },
-            {
-                name: 'error_model',
-                'x-displayName': 'The Error Model',
-                description: `<SchemaDefinition schemaRef="#/components/schemas/Error" />`
-            }
-        ]
-    },
-    apis: [
-        './src/route/*.js',
-        './openapi-templates/*.yaml'
-    ]
-});
+const { getOpenApiSpec } = require('../lib/openapi');
 
 router.get('/', (req, res, next) => {
     // Generates the HTML code for the redoc documentation displayed at /docs
@@ -117,8 +44,8 @@ router.get('/', (req, res, next) => {
 });
 
 router.get('/openapi.json', (req, res) => {
-    // Returns the json containing the api docs auto generated by this file
-    return res.status(200).json(openapiSpecification);
+    // Returns the json containing the api docs auto generated from the comments of the routes
+    return res.status(200).json(getOpenApiSpec());
 });
 
 module.exports = router;
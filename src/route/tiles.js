@@ -0,0 +1,103 @@
+/**
+ * @file tiles.js
+ *
+ * API endpoints for vector tiles of the sidewalk scores, to show walkability as a map layer
+ * All of these endpoints are covered under '/tiles'
+ */
+const router = require("express").Router();
+const { validationResult } = require("express-validator");
+
+const config = require('../config');
+const { ApiError } = require('../lib/apiError');
+const { getSidewalkTile, TILE_CONTENT_TYPE } = require('../lib/tileHelper');
+const { tileCoordinateValidator, tileZoomValidator } = require('../lib/validators');
+const { catchErrors } = require('../middleware/errors');
+
+/**
+ * @openapi
+ * /tiles/{z}/{x}/{y}.mvt:
+ *   get:
+ *     tags:
+ *       - tiles_api
+ *     summary: Get a vector tile of the sidewalk scores
+ *     description: |
+ *       Gets a Mapbox Vector Tile with a `sidewalks` layer holding every sidewalk within the tile as a line, with its
+ *       data source, id and seven category scores as its properties. Scores a sidewalk doesn't have are left out.
+ *       Sidewalks are simplified at every zoom level but the highest one, and those too short to be seen are left out.
+ *       The url can be used as the tiles of a vector source in Mapbox GL or MapLibre.
+ *     operationId: getSidewalkTile
+ *     security:
+ *       - ApiKeyAuth: [read]
+ *     parameters:
+ *       - name: z
+ *         in: path
+ *         description: The zoom level of the tile, from 10 to 18 by default
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 10
+ *           maximum: 18
+ *           example: 15
+ *       - name: x
+ *         in: path
+ *         description: The column of the tile, from 0 to 2^z - 1
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           example: 9661
+ *       - name: y
+ *         in: path
+ *         description: The row of the tile, from 0 to 2^z - 1 starting from the north
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           example: 12309
+ *     x-code-samples:
+ *       - lang: curl
+ *         source: |-
+ *           YOUR_API_KEY='aaaBBBBB111cccccDDDDD' \
+ *           curl -H "X-API-Key: ${YOUR_API_KEY}" \
+ *           "https://api.walkspan.com/tiles/15/9661/12309.mvt" --output 12309.mvt
+ *     responses:
+ *       200:
+ *         description: The vector tile of the sidewalks within the tile
+ *         content:
+ *           application/vnd.mapbox-vector-tile:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       204:
+ *         description: There are no sidewalks within the tile
+ *       default:
+ *         description: unexpected error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: "#/components/schemas/ErrorResponse"
+ */
+router.get("/:z/:x/:y.mvt",
+    tileZoomValidator(),
+    tileCoordinateValidator('x'),
+    tileCoordinateValidator('y'),
+    catchErrors(async (request, response) => {
+        // Validates API input
+        const errors = validationResult(request);
+        if (!errors.isEmpty()) {
+            throw ApiError.fromValidationResult(errors);
+        }
+
+        // Parses path params for endpoint
+        const [z, x, y] = [request.params.z, request.params.x, request.params.y].map(Number);
+
+        // Empty tiles are cached as well, there's no point asking for them again
+        response.set('Cache-Control', `public, max-age=${config.tiles.maxAge}`);
+        const tile = getSidewalkTile(z, x, y);
+        if (!tile) {
+            return response.status(204).end();
+        }
+        return response.status(200).type(TILE_CONTENT_TYPE).send(tile);
+    }));
+
+module.exports = router;
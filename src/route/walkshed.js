@@ -0,0 +1,309 @@
+/**
+ * @file walkshed.js
+ *
+ * API endpoints for walksheds, the areas reachable on foot within a number of minutes
+ * All of these endpoints are covered under '/walkshed'
+ */
+const router = require("express").Router();
+
+const { parseEssentialsCategories } = require('../lib/essentialsHelper');
+const { GEOJSON_CONTENT_TYPE } = require('../lib/geojsonHelper');
+const { parseScoreWeights } = require('../lib/scoreHelper');
+const { getWalksheds, parseWalkshedMinutes } = require('../lib/walkshedHelper');
+const { essentialsCategoryValidator, walkshedMinutesValidator, weightsValidator } = require('../lib/validators');
+const { catchErrors } = require('../middleware/errors');
+const { resolveLocation } = require('../middleware/resolveLocation');
+
+/**
+ * Builds the walksheds of the location resolved by resolveLocation and sends them
+ *
+ * @param request The express request, holding the resolved location
+ * @param response The express response
+ * @returns The express response
+ * @throws ApiError NO_SIDEWALK_DATA when there's no sidewalk within walking distance of the location
+ */
+const sendWalksheds = async (request, response) => {
+    // Parses query params for endpoint
+    const { latitude, longitude, matched_address } = request.location;
+    const walksheds = await getWalksheds(latitude, longitude, {
+        minutes: parseWalkshedMinutes(request.query.minutes),
+        weights: parseScoreWeights(request.query.weights),
+        categories: parseEssentialsCategories(request.query.category)
+    });
+    return response.status(200).type(GEOJSON_CONTENT_TYPE).json(Object.assign(walksheds, { matched_address }));
+};
+
+/**
+ * @openapi
+ * /walkshed/gps:
+ *   get:
+ *     tags:
+ *       - walkshed_api
+ *     summary: Get the walksheds of GPS coordinates
+ *     description: |
+ *       Gets the areas reachable on foot within a number of minutes as GeoJSON polygons, searching the sidewalk
+ *       network from the closest sidewalk at 3 miles per hour. Each walkshed comes with the mean scores of the
+ *       sidewalks and the lifestyle essentials within it.
+ *     operationId: getWalkshedGps
+ *     security:
+ *       - ApiKeyAuth: [read]
+ *     parameters:
+ *       - name: minutes
+ *         in: query
+ *         description: A comma separated list of up to 4 walking times from 1 to 30 minutes
+ *         required: false
+ *         schema:
+ *           type: string
+ *           default: 5,10,15
+ *       - name: weights
+ *         in: query
+ *         description: |
+ *           How each category is weighted in the walkspan index of each walkshed. Either the name of a profile or a
+ *           comma separated list of category:weight pairs such as `safety:3,comfort:2`.
+ *         required: false
+ *         schema:
+ *           type: string
+ *           default: default
+ *       - name: category
+ *         in: query
+ *         description: |
+ *           A comma separated list of the categories or subcategories of lifestyle essentials to get,
+ *           such as `food,park`. Every category is returned when it's left out.
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - name: latitude
+ *         in: query
+ *         description: The latitude you would like to get the walksheds of
+ *         required: true
+ *         schema:
+ *           type: number
+ *           minimum: -90
+ *           maximum: 90
+ *           default: 40.8296426
+ *       - name: longitude
+ *         in: query
+ *         description: The longitude you would like to get the walksheds of
+ *         required: true
+ *         schema:
+ *           type: number
+ *           minimum: -180
+ *           maximum: 180
+ *           default: -73.9261745
+ *     x-code-samples:
+ *       - lang: curl
+ *         source: |-
+ *           YOUR_API_KEY='aaaBBBBB111cccccDDDDD' \
+ *           ADDRESS_LATITUDE='40.8296426' \
+ *           ADDRESS_LONGITUDE='-73.9261745' \
+ *           curl -H "X-API-Key: ${YOUR_API_KEY}" \
+ *           "https://api.walkspan.com/walkshed/gps?latitude=${ADDRESS_LATITUDE}&longitude=${ADDRESS_LONGITUDE}&minutes=5,10,15"
+ *     responses:
+ *       200:
+ *         description: A walkshed for every walking time
+ *         content:
+ *           application/geo+json:
+ *             schema:
+ *               $ref: "#/components/schemas/WalkshedCollection"
+ *       404:
+ *         description: There's no sidewalk within walking distance of the location
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: "#/components/schemas/ErrorResponse"
+ *       default:
+ *         description: unexpected error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: "#/components/schemas/ErrorResponse"
+ */
+router.get("/gps",
+    walkshedMinutesValidator(),
+    weightsValidator(),
+    essentialsCategoryValidator(),
+    resolveLocation(['gps']),
+    catchErrors(sendWalksheds));
+
+/**
+ * @openapi
+ * /walkshed/address:
+ *   get:
+ *     tags:
+ *       - walkshed_api
+ *     summary: Get the walksheds of a street address
+ *     description: |
+ *       Gets the areas reachable on foot within a number of minutes as GeoJSON polygons, searching the sidewalk
+ *       network from the closest sidewalk at 3 miles per hour. Each walkshed comes with the mean scores of the
+ *       sidewalks and the lifestyle essentials within it.
+ *     operationId: getWalkshedAddress
+ *     security:
+ *       - ApiKeyAuth: [read]
+ *     parameters:
+ *       - name: minutes
+ *         in: query
+ *         description: A comma separated list of up to 4 walking times from 1 to 30 minutes
+ *         required: false
+ *         schema:
+ *           type: string
+ *           default: 5,10,15
+ *       - name: weights
+ *         in: query
+ *         description: |
+ *           How each category is weighted in the walkspan index of each walkshed. Either the name of a profile or a
+ *           comma separated list of category:weight pairs such as `safety:3,comfort:2`.
+ *         required: false
+ *         schema:
+ *           type: string
+ *           default: default
+ *       - name: category
+ *         in: query
+ *         description: |
+ *           A comma separated list of the categories or subcategories of lifestyle essentials to get,
+ *           such as `food,park`. Every category is returned when it's left out.
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - name: q
+ *         in: query
+ *         description: The street address you would like to get the walksheds of
+ *         required: true
+ *         schema:
+ *           type: string
+ *     x-code-samples:
+ *       - lang: curl
+ *         source: |-
+ *           YOUR_API_KEY='aaaBBBBB111cccccDDDDD' \
+ *           YOUR_STREET_ADDRESS='1%20E%20161st%20St,%20Bronx,%20NY%2010451' \
+ *           curl -H "X-API-Key: ${YOUR_API_KEY}" \
+ *           "https://api.walkspan.com/walkshed/address?q=${YOUR_STREET_ADDRESS}&minutes=5,10,15"
+ *     responses:
+ *       200:
+ *         description: A walkshed for every walking time
+ *         headers:
+ *           X-Matched-Address:
+ *             description: The URI encoded display address of the location the address was matched to
+ *             schema:
+ *               type: string
+ *         content:
+ *           application/geo+json:
+ *             schema:
+ *               $ref: "#/components/schemas/WalkshedCollection"
+ *       300:
+ *         description: The address matches several locations about as well, pick one of the candidates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: "#/components/schemas/AmbiguousAddress"
+ *       404:
+ *         description: There's no sidewalk within walking distance of the location
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: "#/components/schemas/ErrorResponse"
+ *       default:
+ *         description: unexpected error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: "#/components/schemas/ErrorResponse"
+ */
+router.get("/address",
+    walkshedMinutesValidator(),
+    weightsValidator(),
+    essentialsCategoryValidator(),
+    resolveLocation(['address']),
+    catchErrors(sendWalksheds));
+
+/**
+ * @openapi
+ * /walkshed/location:
+ *   get:
+ *     tags:
+ *       - walkshed_api
+ *     summary: Get the walksheds of any kind of location
+ *     description: |
+ *       Gets the areas reachable on foot within a number of minutes from a location sent as exactly one of GPS
+ *       coordinates, a street address, an OpenStreetMap place id, a New York City BBL or BIN or a three word address.
+ *       The display address of the location it was matched to is echoed in the X-Matched-Address header whenever it has one.
+ *     operationId: getWalkshedLocation
+ *     security:
+ *       - ApiKeyAuth: [read]
+ *     parameters:
+ *       - name: minutes
+ *         in: query
+ *         description: A comma separated list of up to 4 walking times from 1 to 30 minutes
+ *         required: false
+ *         schema:
+ *           type: string
+ *           default: 5,10,15
+ *       - name: weights
+ *         in: query
+ *         description: |
+ *           How each category is weighted in the walkspan index of each walkshed. Either the name of a profile or a
+ *           comma separated list of category:weight pairs such as `safety:3,comfort:2`.
+ *         required: false
+ *         schema:
+ *           type: string
+ *           default: default
+ *       - name: category
+ *         in: query
+ *         description: |
+ *           A comma separated list of the categories or subcategories of lifestyle essentials to get,
+ *           such as `food,park`. Every category is returned when it's left out.
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - $ref: "#/components/parameters/LocationLatitude"
+ *       - $ref: "#/components/parameters/LocationLongitude"
+ *       - $ref: "#/components/parameters/LocationAddress"
+ *       - $ref: "#/components/parameters/LocationPlaceId"
+ *       - $ref: "#/components/parameters/LocationBbl"
+ *       - $ref: "#/components/parameters/LocationBin"
+ *       - $ref: "#/components/parameters/LocationWords"
+ *     x-code-samples:
+ *       - lang: curl
+ *         source: |-
+ *           YOUR_API_KEY='aaaBBBBB111cccccDDDDD' \
+ *           YOUR_THREE_WORD_ADDRESS='filled.count.soap' \
+ *           curl -H "X-API-Key: ${YOUR_API_KEY}" \
+ *           "https://api.walkspan.com/walkshed/location?words=${YOUR_THREE_WORD_ADDRESS}&minutes=5,10,15"
+ *     responses:
+ *       200:
+ *         description: A walkshed for every walking time
+ *         headers:
+ *           X-Matched-Address:
+ *             description: The URI encoded display address of the location the input was matched to
+ *             schema:
+ *               type: string
+ *         content:
+ *           application/geo+json:
+ *             schema:
+ *               $ref: "#/components/schemas/WalkshedCollection"
+ *       300:
+ *         description: The address matches several locations about as well, pick one of the candidates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: "#/components/schemas/AmbiguousAddress"
+ *       404:
+ *         description: There's no sidewalk within walking distance of the location
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: "#/components/schemas/ErrorResponse"
+ *       default:
+ *         description: unexpected error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: "#/components/schemas/ErrorResponse"
+ */
+router.get("/location",
+    walkshedMinutesValidator(),
+    weightsValidator(),
+    essentialsCategoryValidator(),
+    resolveLocation(),
+    catchErrors(sendWalksheds));
+
+module.exports = router;
@@ -0,0 +1,343 @@
+/**
+ * @file openapi.js
+ *
+ * Contract tests holding the routes, their validators, their responses and the generated client
+ * to the OpenAPI spec served at /docs/openapi.json, so any drift between them fails the tests
+ */
+
+const expect = require('chai').expect;
+const { validationResult } = require("express-validator");
+const { readFileSync } = require('fs');
+const http = require('http');
+const { join } = require('path');
+
+const config = require('../../config');
+const { generateClient } = require('../../lib/clientGenerator');
+const {
+    findOperation,
+    getOpenApiSpec,
+    getParameters,
+    listOperations,
+    validateRequest,
+    validateResponse
+} = require('../../lib/openapi');
+
+/**
+ * Loads the routers of the api
+ * They're only loaded once the tests run since the unit tests of some helpers replace what the routes depend on
+ * before loading them
+ *
+ * @returns The routers by the path they're mounted at
+ */
+const loadRouters = () => ({
+    '/score': require('../../route/score'),
+    '/essentials': require('../../route/essentials'),
+    '/walkshed': require('../../route/walkshed'),
+    '/tiles': require('../../route/tiles'),
+    '/datasets': require('../../route/datasets'),
+    '/health': require('../../route/health')
+});
+
+/**
+ * The routes serving assets of the widgets rather than api operations, which the spec doesn't document
+ */
+const UNDOCUMENTED_ROUTES = ['GET /essentials/marker-icon.png'];
+
+/**
+ * The directory of the committed client package
+ */
+const CLIENT_DIRECTORY = join(__dirname, '../../../client');
+
+/**
+ * Lists every route of the api routers
+ *
+ * @returns The method and path of every route, written as the spec writes them, along with its handlers
+ */
+const listRoutes = () => {
+    const routers = loadRouters();
+    return [].concat(...Object.keys(routers).map(mountPath => [].concat(...routers[mountPath].stack
+        .filter(layer => layer.route)
+        .map(({ route }) => Object.keys(route.methods).map(method => ({
+            method,
+            path: `${mountPath}${route.path.replace(/:(\w+)/g, '{$1}')}`.replace(/\/$/, ''),
+            handlers: route.stack.map(layer => layer.handle)
+        }))))));
+};
+
+/**
+ * Gets the express-validator chains of a route checking query or path parameters
+ *
+ * @param handlers The handlers of the route
+ * @returns The chains, each with the names of the parameters it checks and where they're sent as the spec names it
+ */
+const getValidatorChains = (handlers) => handlers
+    .filter(handler => handler.builder && typeof handler.run === 'function')
+    .map(chain => {
+        const { fields, locations } = chain.builder.build();
+        return { chain, fields, locations: locations.map(location => location === 'params' ? 'path' : location) };
+    })
+    .filter(({ locations }) => locations.some(location => ['query', 'path'].includes(location)));
+
+/**
+ * Makes up values of a parameter its schema allows and values it refuses
+ * Schemas that only say a parameter is a string don't tell which values are refused, so they get no values
+ *
+ * @param schema The schema of the parameter
+ * @returns The valid and invalid values, as they'd be sent in a query string
+ */
+const makeUpValues = (schema = {}) => {
+    if (schema.enum) {
+        return {
+            valid: schema.enum.map(String),
+            invalid: [schema.type === 'number' ? '0.3' : 'unknown']
+        };
+    } else if (schema.type === 'boolean') {
+        return { valid: ['true', 'false'], invalid: ['maybe'] };
+    } else if (schema.type === 'number' || schema.type === 'integer') {
+        const bounds = [schema.minimum, schema.maximum].filter(bound => bound !== undefined);
+        return {
+            valid: bounds.length ? bounds.map(String) : ['1'],
+            invalid: ['north']
+                .concat(schema.minimum !== undefined ? [String(schema.minimum - 1)] : [])
+                .concat(schema.maximum !== undefined ? [String(schema.maximum + 1)] : [])
+                .concat(schema.type === 'integer' ? [String((bounds[0] || 0) + 0.5)] : [])
+        };
+    } else if (schema.pattern) {
+        return { valid: schema.example !== undefined ? [String(schema.example)] : [], invalid: ['!'] };
+    }
+    return { valid: [], invalid: [] };
+};
+
+/**
+ * Requests the api as a fetch implementation would, since the client expects one
+ *
+ * @param url The url to request
+ * @param options.method The HTTP method
+ * @param options.headers The headers of the request
+ * @param options.body The body of the request
+ * @returns The response, with the members of a fetch response the client reads
+ */
+const fetchOverHttp = (url, { method = 'GET', headers = {}, body } = {}) => new Promise((resolve, reject) => {
+    const request = http.request(url, { method, headers }, response => {
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('end', () => {
+            const buffer = Buffer.concat(chunks);
+            resolve({
+                status: response.statusCode,
+                ok: response.statusCode >= 200 && response.statusCode < 300,
+                headers: { get: name => response.headers[name.toLowerCase()] },
+                json: async () => JSON.parse(buffer.toString()),
+                text: async () => buffer.toString(),
+                arrayBuffer: async () => buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length)
+            });
+        });
+    });
+    request.on('error', reject);
+    request.end(body);
+});
+
+describe('OpenAPI contract', function() {
+    this.timeout(10000);
+
+    const spec = getOpenApiSpec();
+
+    describe('Routes', () => {
+        it('Should document every route and route every documented operation', () => {
+            const routes = listRoutes().map(({ method, path }) => `${method.toUpperCase()} ${path}`)
+                .filter(route => !UNDOCUMENTED_ROUTES.includes(route));
+            const operations = listOperations().map(({ method, path }) => `${method.toUpperCase()} ${path.replace(/\/$/, '')}`);
+            expect(routes).to.have.members(operations);
+        });
+
+        it('Should name every operation so the client has a method for it', () => {
+            const operationIds = listOperations().map(({ operation }) => operation.operationId);
+            expect(operationIds.filter(operationId => !operationId)).to.be.empty;
+            expect(new Set(operationIds).size).to.equal(operationIds.length);
+        });
+
+        it('Should only mention documented parameters in the introduction', () => {
+            const documented = new Set([].concat(...listOperations().map(({ operation }) =>
+                getParameters(operation).map(parameter => parameter.name))));
+            const mentioned = (spec.info.description.match(/&(\w+)=/g) || []).map(mention => mention.slice(1, -1));
+            expect(mentioned.filter(name => !documented.has(name))).to.be.empty;
+        });
+    });
+
+    describe('Validators', () => {
+        it('Should document exactly the parameters every route validates', () => {
+            const drift = [];
+            listRoutes().forEach(({ method, path, handlers }) => {
+                const match = findOperation(method, path.replace(/\{(\w+)\}/g, '1'));
+                if (!match) {
+                    return;
+                }
+                const documented = getParameters(match.operation)
+                    .filter(parameter => ['query', 'path'].includes(parameter.in))
+                    .map(parameter => parameter.name);
+                const validated = [].concat(...getValidatorChains(handlers).map(({ fields }) => fields));
+                documented.filter(name => !validated.includes(name))
+                    .forEach(name => drift.push(`${method.toUpperCase()} ${path} documents ${name} without validating it`));
+                validated.filter(name => !documented.includes(name))
+                    .forEach(name => drift.push(`${method.toUpperCase()} ${path} validates ${name} without documenting it`));
+            });
+            expect(drift, drift.join('\n')).to.be.empty;
+        });
+
+        it('Should accept and refuse the same parameter values as the spec', async () => {
+            const drift = [];
+            for (const { method, path, handlers } of listRoutes()) {
+                const match = findOperation(method, path.replace(/\{(\w+)\}/g, '1'));
+                if (!match) {
+                    continue;
+                }
+                const parameters = getParameters(match.operation);
+                // Path parameters are given their lowest values so the others are checked against valid ones
+                const pathParams = {};
+                parameters.filter(parameter => parameter.in === 'path')
+                    .forEach(parameter => pathParams[parameter.name] = String(makeUpValues(parameter.schema).valid[0]));
+
+                for (const parameter of parameters.filter(parameter => ['query', 'path'].includes(parameter.in))) {
+                    const chains = getValidatorChains(handlers).filter(({ fields }) => fields.includes(parameter.name));
+                    const { valid, invalid } = makeUpValues(parameter.schema);
+                    for (const value of valid.concat(invalid)) {
+                        const values = parameter.in === 'path'
+                            ? { query: {}, params: Object.assign({}, pathParams, { [parameter.name]: value }) }
+                            : { query: { [parameter.name]: value }, params: pathParams };
+
+                        const specRefuses = validateRequest(Object.assign({}, match, { params: values.params }), values)
+                            .some(error => error.param === parameter.name);
+                        const request = { query: Object.assign({}, values.query), params: Object.assign({}, values.params) };
+                        for (const { chain } of chains) {
+                            await chain.run(request);
+                        }
+                        const routeRefuses = validationResult(request).array().some(error => error.param === parameter.name);
+
+                        if (specRefuses !== routeRefuses) {
+                            drift.push(`${method.toUpperCase()} ${path} ${parameter.name}=${value} is ` +
+                                `${specRefuses ? 'refused by the spec but accepted' : 'accepted by the spec but refused'} by the route`);
+                        }
+                    }
+                }
+            }
+            expect(drift, drift.join('\n')).to.be.empty;
+        });
+    });
+
+    describe('Responses', () => {
+        let server;
+        let baseUrl;
+
+        before(done => {
+            config.apiKeys.enabled = false;
+            server = require('../../app').app.listen(0, '127.0.0.1', () => {
+                baseUrl = `http://127.0.0.1:${server.address().port}`;
+                done();
+            });
+        });
+
+        after(done => {
+            config.apiKeys.enabled = true;
+            server.close(done);
+        });
+
+        /**
+         * Requests the api and checks the response against the spec
+         *
+         * @param path The path and query of the request
+         * @param options.method The HTTP method
+         * @param options.body The JSON body of the request
+         * @returns The status and parsed body of the response
+         */
+        const requestApi = async (path, { method = 'GET', body } = {}) => {
+            const response = await fetchOverHttp(`${baseUrl}${path}`, {
+                method,
+                headers: body ? { 'Content-Type': 'application/json' } : {},
+                body: body ? JSON.stringify(body) : undefined
+            });
+            const contentType = response.headers.get('Content-Type');
+            const responseBody = /json/.test(contentType) ? await response.json() : await response.text();
+
+            const match = findOperation(method, path.split('?')[0]);
+            expect(match, `${method} ${path} isn't documented`).to.exist;
+            if (response.status !== 204) {
+                expect(validateResponse(match, response.status, contentType, responseBody)).to.be.empty;
+            }
+            return { status: response.status, body: responseBody };
+        };
+
+        const gps = 'latitude=40.7353526&longitude=-74.0062303';
+        const address = encodeURIComponent('555 Hudson Street, New York, NY 10014');
+
+        it('Should answer scores as documented', async () => {
+            expect((await requestApi(`/score/gps?${gps}`)).status).to.equal(200);
+            expect((await requestApi(`/score/gps?${gps}&mode=area&range=0.25`)).status).to.equal(200);
+            // Sidewalks of the Bronx dataset whose length-weighted access mean is a float error past 3
+            const area = await requestApi('/score/gps?latitude=40.811418888&longitude=-73.856733377&mode=area&range=0.25');
+            expect(area.status).to.equal(200);
+            expect(area.body.access_score.mean).to.equal(3);
+            const route = await requestApi('/score/route?originLatitude=40.815306886&originLongitude=-73.877712968' +
+                '&destinationLatitude=40.819306886&destinationLongitude=-73.873712968');
+            expect(route.status).to.equal(200);
+            expect(route.body.most_pleasant.access_score).to.equal(3);
+            const placeRoute = await requestApi('/score/route?originPlaceId=W42127044' +
+                '&destinationLatitude=40.819306886&destinationLongitude=-73.873712968');
+            expect(placeRoute.status).to.equal(200);
+            expect(placeRoute.body.origin).to.include({ latitude: 40.8296426, longitude: -73.9261745 });
+            expect((await requestApi('/score/route?originBbl=1006300032')).body.errors[0].param).to.include('destination');
+            expect((await requestApi(`/score/gps?${gps}&format=geojson&weights=families`)).status).to.equal(200);
+            expect((await requestApi(`/score/address?q=${address}`)).status).to.equal(200);
+            expect((await requestApi('/score/location?bbl=1006300032')).status).to.equal(200);
+        });
+
+        it('Should answer batches as documented, with an error for every invalid item', async () => {
+            const { status, body } = await requestApi('/score/batch', {
+                method: 'POST',
+                body: { items: [{ latitude: 40.7353526, longitude: -74.0062303 }, { latitude: 'north' }] }
+            });
+            expect(status).to.equal(200);
+            expect(body.results[1].errors[0].code).to.equal('INVALID_PARAM');
+        });
+
+        it('Should answer datasets and tiles as documented', async () => {
+            expect((await requestApi('/datasets')).status).to.equal(200);
+            expect((await requestApi('/health')).body.geocoder_cache.coordinates).to.include.keys('hits', 'misses');
+            expect((await requestApi('/tiles/14/4824/6159.mvt')).status).to.equal(204);
+        });
+
+        it('Should answer errors as documented', async () => {
+            expect((await requestApi('/score/gps?latitude=40.7353526&longitude=200')).body.errors[0])
+                .to.include({ code: 'INVALID_PARAM', param: 'longitude', location: 'query' });
+            expect((await requestApi('/score/gps?latitude=north')).status).to.equal(400);
+            expect((await requestApi(`/essentials/gps?${gps}`)).body.errors[0]).to.include({ param: 'range' });
+            expect((await requestApi('/tiles/9/1/1.mvt')).body.errors[0]).to.include({ param: 'z', location: 'path' });
+            expect((await requestApi('/score/batch', { method: 'POST', body: { items: [] } })).status).to.equal(400);
+            expect((await requestApi('/score/address?q=100%20Broadway,%20New%20York,%20NY')).status).to.equal(300);
+            expect((await requestApi('/score/location?words=index.home.raft')).status).to.equal(422);
+        });
+
+        it('Should be callable through the committed client', async () => {
+            const { WalkspanClient, WalkspanError } = require('../../../client');
+            const client = new WalkspanClient({ baseUrl, fetch: fetchOverHttp });
+
+            const score = await client.getScoreGps({ latitude: 40.7353526, longitude: -74.0062303 });
+            expect(score.latitude).to.be.a('number');
+
+            const error = await client.getScoreGps({ latitude: 40.7353526, longitude: 200 }).catch(error => error);
+            expect(error).to.be.an.instanceof(WalkspanError);
+            expect(error).to.include({ status: 400, code: 'INVALID_PARAM' });
+            expect(error.requestId).to.be.a('string');
+
+            expect(await client.getSidewalkTile({ z: 14, x: 4824, y: 6159 })).to.be.undefined;
+        });
+    });
+
+    describe('Client', () => {
+        it('Should match the spec, run `npm run client:generate` after changing it', () => {
+            const files = generateClient(spec);
+            Object.keys(files).forEach(file => {
+                expect(readFileSync(join(CLIENT_DIRECTORY, file), 'utf8'), `client/${file} is out of date`).to.equal(files[file]);
+            });
+        });
+    });
+});
@@ -0,0 +1,61 @@
+/**
+ * @file coverage.js
+ *
+ * Unit tests for src/lib/coverage.js
+ */
+
+const expect = require('chai').expect;
+const {
+    findCoverageArea,
+    getNearestCoverageArea,
+    getOutOfCoverageError,
+    isInPolygon
+} = require('../../lib/coverage');
+
+describe('Coverage', function() {
+    describe('#findCoverageArea()', () => {
+        it('Should find the borough containing gps coordinates', () => {
+            expect(findCoverageArea(40.7353526, -74.0062303)).to.deep.equal({ name: 'Manhattan', city: 'New York' });
+            expect(findCoverageArea(40.8048311, -73.8550686)).to.deep.equal({ name: 'Bronx', city: 'New York' });
+            expect(findCoverageArea('40.730610', '-73.935242')).to.deep.equal({ name: 'Queens', city: 'New York' });
+            expect(findCoverageArea(40.6782, -73.9442)).to.deep.equal({ name: 'Brooklyn', city: 'New York' });
+            expect(findCoverageArea(40.5795, -74.1502)).to.deep.equal({ name: 'Staten Island', city: 'New York' });
+        });
+
+        it('Should get nothing for coordinates outside of every covered area', () => {
+            expect(findCoverageArea(0, 0)).to.be.undefined;
+            expect(findCoverageArea(40.7357, -74.1724)).to.be.undefined;
+        });
+    });
+
+    describe('#getNearestCoverageArea()', () => {
+        it('Should get the closest covered area and its distance in miles', () => {
+            const { name, distance } = getNearestCoverageArea(40.7357, -74.1724);
+            expect(name).to.equal('Staten Island');
+            expect(distance).to.be.within(4, 8);
+        });
+    });
+
+    describe('#getOutOfCoverageError()', () => {
+        it('Should name the nearest covered area', () => {
+            const error = getOutOfCoverageError(40.93, -73.90, 'q', 'query');
+            expect(error.status).to.equal(422);
+            expect(error.message).to.contain('Bronx, New York');
+            expect(error.errors[0]).to.include({ code: 'OUT_OF_COVERAGE', param: 'q', location: 'query' });
+        });
+    });
+
+    describe('#isInPolygon()', () => {
+        it('Should exclude the holes of a polygon', () => {
+            const donut = {
+                type: 'Polygon',
+                coordinates: [
+                    [[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]],
+                    [[4, 4], [6, 4], [6, 6], [4, 6], [4, 4]]
+                ]
+            };
+            expect(isInPolygon(2, 2, donut)).to.be.true;
+            expect(isInPolygon(5, 5, donut)).to.be.false;
+        });
+    });
+});
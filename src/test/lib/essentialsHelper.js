@@ -0,0 +1,250 @@
+/**
+ * @file essentialsHelper.js
+ *
+ * Unit tests for src/lib/essentialsHelper.js
+ */
+
+const expect = require('chai').expect;
+const Database = require('better-sqlite3');
+const { unlinkSync } = require('fs');
+const http = require('http');
+const { tmpdir } = require('os');
+const { join } = require('path');
+
+const { buildEssentialsIndex } = require('../../model/essentialsIndex');
+
+// Answers Overpass queries from a fixed set of features, failing for the tags in failingTags and querying
+// the mirrors of src/config.js for those in mirroredTags,
+// it has to be replaced before essentialsHelper is loaded and is restored right after for the other tests
+const config = require('../../config');
+const overpass = require('../../lib/overpass');
+const { queryOverpassForTags } = overpass;
+const queriedTags = [];
+const failingTags = [];
+const mirroredTags = [];
+overpass.queryOverpassForTags = async (tags, ...query) => {
+    queriedTags.push(tags);
+    if (failingTags.includes(tags.join(','))) {
+        throw new Error('Overpass query failed after 3 attempts: HTTP 504');
+    } else if (mirroredTags.includes(tags.join(','))) {
+        return queryOverpassForTags(tags, ...query);
+    }
+    const features = {
+        'leisure=park': [{ id: 'way/1', name: 'Joyce Kilmer Park', coordinates: [-73.9261745, 40.8296426] }],
+        'leisure': [
+            { id: 'way/1', name: 'Joyce Kilmer Park', coordinates: [-73.9261745, 40.8296426] },
+            { id: 'node/2', name: 'Playground', coordinates: [-73.9261745, 40.8396426] },
+            { id: 'node/3', coordinates: [-73.9261745, 40.8306426] }
+        ],
+        'amenity=pharmacy': [{ id: 'node/4', name: 'Pharmacy', coordinates: [-73.9261745, 40.8346426] }]
+    }[tags.join(',')] || [];
+    return {
+        features: features.map(({ id, name, coordinates }) => ({
+            id,
+            properties: { tags: { name } },
+            geometry: { coordinates }
+        }))
+    };
+};
+
+const {
+    essentialsCategories,
+    getDistanceInMiles,
+    getLifestyleEssentials,
+    getMatchingCategories,
+    loadEssentialsIndex,
+    parseEssentialsCategories,
+    ESSENTIALS_CATEGORIES_VERSION
+} = require('../../lib/essentialsHelper');
+overpass.queryOverpassForTags = queryOverpassForTags;
+
+/**
+ * Builds an offline index holding a single pharmacy
+ *
+ * @param file The path of the index database
+ * @param categoriesVersion The version of the categories the index is built with
+ */
+const buildPharmacyIndex = (file, categoriesVersion) => {
+    const db = new Database(file);
+    buildEssentialsIndex(db, [{
+        osm_id: 'node/10',
+        name: 'Indexed Pharmacy',
+        latitude: 40.8306426,
+        longitude: -73.9261745,
+        tags: { amenity: 'pharmacy', name: 'Indexed Pharmacy' },
+        categories: getMatchingCategories({ amenity: 'pharmacy' })
+    }], { categories_version: categoriesVersion });
+    db.close();
+};
+
+describe('EssentialsHelper', function() {
+    // Serves from overpass regardless of the index present on this machine
+    before(() => loadEssentialsIndex(join(tmpdir(), 'walkspan-missing-essentials.sqlite')));
+
+    describe('#getLifestyleEssentials()', () => {
+        it('Should query the tags of every configured category', async () => {
+            queriedTags.length = 0;
+            await getLifestyleEssentials(40.8296426, -73.9261745, 0.25);
+            expect(queriedTags).to.deep.equal(essentialsCategories.map(category => category.tags));
+        });
+
+        it('Should label lifestyle essentials with their category, distance and walking time', async () => {
+            const { essentials: lifestyleEssentials } = await getLifestyleEssentials(40.8296426, -73.9261745, 0.25);
+            expect(lifestyleEssentials).to.deep.include({
+                name: 'Pharmacy',
+                latitude: 40.8346426,
+                longitude: -73.9261745,
+                category_general: 'health',
+                category_exact: 'pharmacy',
+                distance: 0.345,
+                walking_time: 7
+            });
+        });
+
+        it('Should only query the requested categories and subcategories', async () => {
+            queriedTags.length = 0;
+            const { essentials: lifestyleEssentials } = await getLifestyleEssentials(40.8296426, -73.9261745, 0.25, {
+                categories: ['pharmacy', 'comfort']
+            });
+            expect(queriedTags).to.deep.equal([['amenity=pharmacy'], ['leisure=park'], ['leisure=fitness_centre'], ['leisure']]);
+            expect(lifestyleEssentials).to.have.lengthOf(4);
+        });
+
+        it('Should drop unnamed lifestyle essentials and sort by distance', async () => {
+            const { essentials: lifestyleEssentials } = await getLifestyleEssentials(40.8296426, -73.9261745, 0.25, {
+                named: true,
+                sort: 'distance'
+            });
+            expect(lifestyleEssentials.map(({ name }) => name)).to.deep.equal(['Joyce Kilmer Park', 'Pharmacy', 'Playground']);
+        });
+
+        it('Should keep an element matching several categories only in the first one', async () => {
+            const { essentials: lifestyleEssentials } = await getLifestyleEssentials(40.8296426, -73.9261745, 0.25);
+            const parks = lifestyleEssentials.filter(lifestyleEssential => lifestyleEssential.name === 'Joyce Kilmer Park');
+            expect(parks).to.have.lengthOf(1);
+            expect(parks[0].category_exact).to.equal('park');
+            expect(lifestyleEssentials.find(({ name }) => name === 'Playground').category_exact).to.be.undefined;
+        });
+
+        it('Should leave out the categories overpass failed to get with a warning', async () => {
+            failingTags.push('amenity=pharmacy');
+            try {
+                const { essentials, warnings } = await getLifestyleEssentials(40.8296426, -73.9261745, 0.25);
+                expect(essentials.map(({ name }) => name)).to.not.include('Pharmacy');
+                expect(essentials.map(({ name }) => name)).to.include('Playground');
+                expect(warnings).to.deep.equal([{
+                    category_general: 'health',
+                    category_exact: 'pharmacy',
+                    message: 'Overpass query failed after 3 attempts: HTTP 504'
+                }]);
+            } finally {
+                failingTags.length = 0;
+            }
+        });
+
+        it('Should end a category a mirror is too slow for in a warning by the deadline', async () => {
+            const hanging = http.createServer(() => undefined);
+            await new Promise(resolve => hanging.listen(0, '127.0.0.1', resolve));
+            const overpassConfig = Object.assign({}, config.overpass);
+            Object.assign(config.overpass, {
+                mirrors: [`http://127.0.0.1:${hanging.address().port}/api/interpreter`],
+                retryDelay: 1,
+                deadline: 0.2
+            });
+            mirroredTags.push('amenity=pharmacy');
+            try {
+                const startTime = Date.now();
+                const { essentials, warnings } = await getLifestyleEssentials(40.8296426, -73.9261745, 0.25);
+                expect(Date.now() - startTime).to.be.below(1000);
+                expect(essentials.map(({ name }) => name)).to.include('Playground');
+                expect(warnings).to.have.lengthOf(1);
+                expect(warnings[0]).to.include({ category_general: 'health', category_exact: 'pharmacy' });
+                expect(warnings[0].message).to.contain('within its 0.2 second deadline');
+            } finally {
+                mirroredTags.length = 0;
+                Object.assign(config.overpass, overpassConfig);
+                hanging.close();
+            }
+        });
+
+        it('Should fail when overpass failed to get every requested category', async () => {
+            failingTags.push('amenity=pharmacy');
+            try {
+                const error = await getLifestyleEssentials(40.8296426, -73.9261745, 0.25, { categories: ['pharmacy'] })
+                    .then(() => undefined, rejection => rejection);
+                expect(error).to.be.an('error');
+                expect(error.message).to.contain('HTTP 504');
+            } finally {
+                failingTags.length = 0;
+            }
+        });
+
+        it('Should have no warnings when every category was fetched', async () => {
+            const { warnings } = await getLifestyleEssentials(40.8296426, -73.9261745, 0.25);
+            expect(warnings).to.be.empty;
+        });
+    });
+
+    describe('#loadEssentialsIndex()', () => {
+        const indexFile = join(tmpdir(), `walkspan-essentials-${process.pid}.sqlite`);
+
+        afterEach(() => {
+            loadEssentialsIndex(join(tmpdir(), 'walkspan-missing-essentials.sqlite'));
+            unlinkSync(indexFile);
+        });
+
+        it('Should serve the coordinates covered by the index from it instead of overpass', async () => {
+            buildPharmacyIndex(indexFile, ESSENTIALS_CATEGORIES_VERSION);
+            expect(loadEssentialsIndex(indexFile)).to.be.true;
+
+            queriedTags.length = 0;
+            const { essentials: lifestyleEssentials } = await getLifestyleEssentials(40.8306426, -73.9261745, 0.25);
+            expect(queriedTags).to.be.empty;
+            expect(lifestyleEssentials).to.deep.equal([{
+                name: 'Indexed Pharmacy',
+                latitude: 40.8306426,
+                longitude: -73.9261745,
+                category_general: 'health',
+                category_exact: 'pharmacy',
+                distance: 0,
+                walking_time: 0
+            }]);
+        });
+
+        it('Should fall back to overpass outside of the index', async () => {
+            buildPharmacyIndex(indexFile, ESSENTIALS_CATEGORIES_VERSION);
+            loadEssentialsIndex(indexFile);
+
+            queriedTags.length = 0;
+            await getLifestyleEssentials(40.7353526, -74.0062303, 0.25);
+            expect(queriedTags).to.have.lengthOf(essentialsCategories.length);
+        });
+
+        it('Should ignore an index built with other categories', () => {
+            buildPharmacyIndex(indexFile, 'outdated');
+            expect(loadEssentialsIndex(indexFile)).to.be.false;
+        });
+    });
+
+    describe('#getMatchingCategories()', () => {
+        it('Should get every category whose tags match in the order they are configured', () => {
+            expect(getMatchingCategories({ leisure: 'park' }).map(({ category_exact }) => category_exact))
+                .to.deep.equal(['park', undefined]);
+            expect(getMatchingCategories({ highway: 'residential' })).to.be.empty;
+        });
+    });
+
+    describe('#getDistanceInMiles()', () => {
+        it('Should get the distance between two pairs of gps coordinates', () => {
+            expect(getDistanceInMiles(40.7353526, -74.0062303, 40.7579747, -73.9855426)).to.be.closeTo(1.9, 0.05);
+            expect(getDistanceInMiles('40.7353526', '-74.0062303', 40.7353526, -74.0062303)).to.equal(0);
+        });
+    });
+
+    describe('#parseEssentialsCategories()', () => {
+        it('Should parse a comma separated list of categories', () => {
+            expect(parseEssentialsCategories('food, park')).to.deep.equal(['food', 'park']);
+            expect(parseEssentialsCategories(undefined)).to.be.undefined;
+        });
+    });
+});
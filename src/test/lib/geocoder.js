@@ -5,7 +5,15 @@
  */
 
 const expect = require('chai').expect;
-const { getCityFromGpsCoordinates, getGPSCoordinatesFromAddress } = require('../../lib/geocoder');
+const {
+    clearGeocoderCache,
+    geocodeAddress,
+    getCityFromGpsCoordinates,
+    getGeocoderCacheStats,
+    getGPSCoordinatesFromAddress,
+    locatePlace,
+    lookupPlace
+} = require('../../lib/geocoder');
 
 describe('Geocoder', function() {
     describe('#getCityFromGpsCoordinates()', () => {
@@ -32,5 +40,105 @@ describe('Geocoder', function() {
             expect(latitude).to.be.undefined;
             expect(longitude).to.be.undefined;
         });
+
+        it('Should get what an address was matched to along with its parsed components', async () => {
+            const geocodedAddress = await getGPSCoordinatesFromAddress('1 E 161st St, Bronx, NY 10451');
+            expect(geocodedAddress.display_address).to.equal('1 E 161st St, Bronx, NY 10451');
+            expect(geocodedAddress.match_type).to.equal('house_number');
+            expect(geocodedAddress.confidence).to.equal(1);
+            expect(geocodedAddress.components).to.include({ street_number: '1', city: 'Bronx', zip_code: '10451' });
+            expect(geocodedAddress.candidates).to.have.lengthOf(1);
+            expect(geocodedAddress.ambiguous).to.be.false;
+        });
+
+        it('Should flag an address matching several locations as ambiguous', async () => {
+            const geocodedAddress = await getGPSCoordinatesFromAddress('100 Broadway, New York, NY');
+            expect(geocodedAddress.ambiguous).to.be.true;
+            expect(geocodedAddress.candidates.map(candidate => candidate.display_address)).to.deep.equal([
+                '100 Broadway, New York, New York 10005',
+                '100 Broadway, Brooklyn, New York 11249'
+            ]);
+        });
+
+        it('Should fail for an address that cannot be parsed', async () => {
+            let error;
+            await getGPSCoordinatesFromAddress('Broadway').catch(e => error = e);
+            expect(error).to.contain('State not found');
+        });
+    });
+
+    describe('#geocodeAddress()', () => {
+        it('Should get the GPS coordinates of an address that matches a single location', async () => {
+            const { latitude } = await geocodeAddress('555 Hudson Street, New York, NY 10014', 'q', 'query');
+            expect(latitude).to.equal('40.7353526');
+        });
+
+        it('Should throw a GEOCODE_NOT_FOUND error for an address that cannot be located', async () => {
+            const notFound = await geocodeAddress('Some Fake Place, New York, NY 00000', 'q', 'query').catch(error => error);
+            expect(notFound.status).to.equal(404);
+            expect(notFound.errors[0]).to.include({ code: 'GEOCODE_NOT_FOUND', param: 'q', location: 'query' });
+
+            const unparsed = await geocodeAddress('Broadway', 'q', 'query').catch(error => error);
+            expect(unparsed.code).to.equal('GEOCODE_NOT_FOUND');
+            expect(unparsed.message).to.contain('State not found');
+        });
+
+        it('Should throw an AMBIGUOUS_ADDRESS error listing the candidates of an ambiguous address', async () => {
+            const ambiguous = await geocodeAddress('100 Broadway, New York, NY', 'q', 'query').catch(error => error);
+            expect(ambiguous.status).to.equal(300);
+            expect(ambiguous.members.candidates).to.have.lengthOf(2);
+        });
+    });
+
+    describe('#lookupPlace()', () => {
+        it('Should get the GPS coordinates and display address of a place regardless of the case of its id', async () => {
+            const place = await lookupPlace('w42127044');
+            expect(place).to.deep.equal({
+                latitude: '40.8296426',
+                longitude: '-73.9261745',
+                display_address: 'Yankee Stadium, 1 E 161st St, Bronx, New York 10451'
+            });
+        });
+
+        it('Should get nothing for an unknown place', async () => {
+            expect(await lookupPlace('N1')).to.be.undefined;
+        });
+    });
+
+    describe('#locatePlace()', () => {
+        it('Should throw a GEOCODE_NOT_FOUND error for an unknown place', async () => {
+            const notFound = await locatePlace('N1', 'placeId', 'query').catch(error => error);
+            expect(notFound.status).to.equal(404);
+            expect(notFound.errors[0]).to.include({ code: 'GEOCODE_NOT_FOUND', param: 'placeId', location: 'query' });
+        });
+    });
+
+    describe('#getGeocoderCacheStats()', () => {
+        beforeEach(() => clearGeocoderCache());
+
+        it('Should cache addresses by their normalized form', async () => {
+            await getGPSCoordinatesFromAddress('555 Hudson Street, New York, NY 10014');
+            const { latitude } = await getGPSCoordinatesFromAddress('  555 hudson street,  New York, NY 10014 ');
+            expect(latitude).to.equal('40.7353526');
+            expect(getGeocoderCacheStats().coordinates).to.include({ hits: 1, misses: 1 });
+        });
+
+        it('Should cache addresses that were not found separately', async () => {
+            await getGPSCoordinatesFromAddress('Some Fake Place, New York, NY 00000');
+            await getGPSCoordinatesFromAddress('Some Fake Place, New York, NY 00000');
+            expect(getGeocoderCacheStats().coordinates).to.include({ hits: 0, negative_hits: 1, misses: 1 });
+        });
+
+        it('Should cache cities by rounded gps coordinates', async () => {
+            await getCityFromGpsCoordinates(40.730610, -73.935242);
+            await getCityFromGpsCoordinates(40.730612, -73.935239);
+            expect(getGeocoderCacheStats().city).to.include({ hits: 1, misses: 1 });
+        });
+
+        it('Should cache places by their id', async () => {
+            await lookupPlace('W42127044');
+            await lookupPlace('w42127044');
+            expect(getGeocoderCacheStats().place).to.include({ hits: 1, misses: 1 });
+        });
     });
 });
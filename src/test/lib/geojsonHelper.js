@@ -0,0 +1,92 @@
+/**
+ * @file geojsonHelper.js
+ *
+ * Unit tests for src/lib/geojsonHelper.js
+ */
+
+const expect = require('chai').expect;
+
+const {
+    essentialsToFeatureCollection,
+    routesToFeatureCollection,
+    scoreToFeatureCollection
+} = require('../../lib/geojsonHelper');
+const { getScore, getScoredSidewalks, parseScoreWeights } = require('../../lib/scoreHelper');
+
+describe('GeojsonHelper', function() {
+    const latitude = 40.8048311;
+    const longitude = -73.8550686;
+
+    describe('#scoreToFeatureCollection()', () => {
+        it('Should represent the closest sidewalk as a LineString with its scores', () => {
+            const score = getScore(latitude, longitude, { range: 0.5, mode: 'closest', weights: parseScoreWeights() });
+            const sidewalks = getScoredSidewalks(latitude, longitude, { range: 0.5, mode: 'closest' });
+            const collection = scoreToFeatureCollection(score, sidewalks);
+
+            expect(collection.type).to.equal('FeatureCollection');
+            expect(collection.features).to.have.length(1);
+            expect(collection.walkspan_index).to.equal(score.walkspan_index);
+
+            const [feature] = collection.features;
+            expect(feature.geometry.type).to.equal('LineString');
+            expect(feature.geometry.coordinates).to.deep.equal([
+                [sidewalks[0].sidewalk_starting_longitude, sidewalks[0].sidewalk_starting_latitude],
+                [sidewalks[0].sidewalk_ending_longitude, sidewalks[0].sidewalk_ending_latitude]
+            ]);
+            expect(feature.properties).to.include({
+                sidewalk_id: sidewalks[0].sidewalk_id,
+                safety_score: sidewalks[0].safety_score
+            });
+        });
+
+        it('Should have a feature for every sidewalk in range in area mode', () => {
+            const score = getScore(latitude, longitude, { range: 0.25, mode: 'area', weights: parseScoreWeights() });
+            const sidewalks = getScoredSidewalks(latitude, longitude, { range: 0.25, mode: 'area' });
+            const collection = scoreToFeatureCollection(score, sidewalks);
+
+            expect(collection.features).to.have.length(score.segment_count);
+            expect(collection.segment_count).to.equal(score.segment_count);
+        });
+    });
+
+    describe('#essentialsToFeatureCollection()', () => {
+        it('Should represent lifestyle essentials as Points', () => {
+            const collection = essentialsToFeatureCollection({
+                essentials: [{ name: 'Pharmacy', category_general: 'pharmacy', latitude: 40.8, longitude: -73.9 }],
+                warnings: [{ category_general: 'food', message: 'Overpass query failed' }]
+            });
+
+            expect(collection.features).to.deep.equal([{
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: [-73.9, 40.8] },
+                properties: { name: 'Pharmacy', category_general: 'pharmacy' }
+            }]);
+            expect(collection.warnings).to.have.length(1);
+        });
+    });
+
+    describe('#routesToFeatureCollection()', () => {
+        it('Should name every segment after its route and summarize the routes', () => {
+            const segment = {
+                type: 'crossing',
+                starting_latitude: 40.8,
+                starting_longitude: -73.9,
+                ending_latitude: 40.81,
+                ending_longitude: -73.91,
+                length: 0.01
+            };
+            const collection = routesToFeatureCollection({
+                origin: { latitude: 40.8, longitude: -73.9 },
+                destination: { latitude: 40.81, longitude: -73.91 },
+                shortest: { length: 0.01, segments: [segment] },
+                most_pleasant: { length: 0.01, segments: [segment] }
+            });
+
+            expect(collection.features).to.have.length(2);
+            expect(collection.features[1].properties).to.deep.equal({ route: 'most_pleasant', type: 'crossing', length: 0.01 });
+            expect(collection.features[1].geometry.coordinates).to.deep.equal([[-73.9, 40.8], [-73.91, 40.81]]);
+            expect(collection.routes).to.deep.equal({ shortest: { length: 0.01 }, most_pleasant: { length: 0.01 } });
+            expect(collection.origin).to.deep.equal({ latitude: 40.8, longitude: -73.9 });
+        });
+    });
+});
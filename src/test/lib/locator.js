@@ -0,0 +1,52 @@
+/**
+ * @file locator.js
+ *
+ * Unit tests for src/lib/locator.js
+ */
+
+const expect = require('chai').expect;
+
+const config = require('../../config');
+const { clearLocatorCache, findLocation, locate } = require('../../lib/locator');
+
+describe('Locator', function() {
+    beforeEach(() => clearLocatorCache());
+
+    describe('#findLocation()', () => {
+        it('Should get the GPS coordinates and display address of a BBL', async () => {
+            const { latitude, longitude, display_address } = await findLocation('bbl', '1006300032');
+            expect(latitude).to.equal('40.7353526');
+            expect(longitude).to.equal('-74.0062303');
+            expect(display_address).to.equal('555 HUDSON STREET, Manhattan, NY 10014');
+        });
+
+        it('Should find a three word address whatever its case and leading slashes', async () => {
+            const { latitude } = await findLocation('words', '///FILLED.count.soap');
+            expect(latitude).to.equal(40.7579747);
+        });
+
+        it('Should get nothing for an unknown identifier', async () => {
+            expect(await findLocation('bin', '1000000')).to.be.undefined;
+        });
+    });
+
+    describe('#locate()', () => {
+        it('Should throw a GEOCODE_NOT_FOUND error for an unknown identifier', async () => {
+            const notFound = await locate('bbl', '1000000000', 'bbl', 'query').catch(error => error);
+            expect(notFound.status).to.equal(404);
+            expect(notFound.errors[0]).to.include({ code: 'GEOCODE_NOT_FOUND', param: 'bbl', location: 'query' });
+        });
+
+        it('Should throw an UPSTREAM_UNAVAILABLE error when the locator can\'t locate that kind of identifier', async () => {
+            const { words } = config.locator;
+            config.locator.words = 'nycOpenData';
+            try {
+                const unavailable = await locate('words', 'filled.count.soap', 'words', 'query').catch(error => error);
+                expect(unavailable.status).to.equal(503);
+                expect(unavailable.message).to.contain('can\'t locate a words');
+            } finally {
+                config.locator.words = words;
+            }
+        });
+    });
+});
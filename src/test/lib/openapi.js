@@ -0,0 +1,89 @@
+/**
+ * @file openapi.js
+ *
+ * Unit tests for src/lib/openapi.js
+ */
+
+const expect = require('chai').expect;
+
+const { findOperation, validateRequest, validateResponse } = require('../../lib/openapi');
+
+describe('OpenAPI', function() {
+    describe('#findOperation()', () => {
+        it('Should find the operation of a path along with its path parameters', () => {
+            const match = findOperation('GET', '/tiles/14/4824/6159.mvt');
+            expect(match).to.include({ path: '/tiles/{z}/{x}/{y}.mvt', method: 'get' });
+            expect(match.operation.operationId).to.equal('getSidewalkTile');
+            expect(match.params).to.deep.equal({ z: '14', x: '4824', y: '6159' });
+        });
+
+        it('Should find operations with or without a trailing slash', () => {
+            expect(findOperation('GET', '/datasets/').operation.operationId).to.equal('getDatasets');
+        });
+
+        it('Should not find undocumented paths or methods', () => {
+            expect(findOperation('GET', '/essentials/marker-icon.png')).to.be.undefined;
+            expect(findOperation('DELETE', '/score/gps')).to.be.undefined;
+        });
+    });
+
+    describe('#validateRequest()', () => {
+        it('Should accept a request the spec allows, converting its query strings as it checks them', () => {
+            const query = { latitude: '40.7353526', longitude: '-74.0062303', range: '0.25', displayWidget: 'true' };
+            expect(validateRequest(findOperation('GET', '/score/gps'), { query })).to.be.empty;
+            expect(query.latitude).to.equal('40.7353526');
+        });
+
+        it('Should list one error per invalid parameter', () => {
+            const errors = validateRequest(findOperation('GET', '/score/gps'), {
+                query: { latitude: 'north', longitude: '200', mode: 'nearest' }
+            });
+            expect(errors).to.deep.include.members([
+                { code: 'INVALID_PARAM', message: 'Must be a number', param: 'latitude', location: 'query' },
+                { code: 'INVALID_PARAM', message: 'Must be between -180 and 180', param: 'longitude', location: 'query' },
+                { code: 'INVALID_PARAM', message: 'Must be closest or area', param: 'mode', location: 'query' }
+            ]);
+            expect(errors).to.have.lengthOf(3);
+        });
+
+        it('Should refuse missing required parameters and invalid path parameters', () => {
+            expect(validateRequest(findOperation('GET', '/score/address'), { query: {} })).to.deep.equal([
+                { code: 'INVALID_PARAM', message: 'Must supply q', param: 'q', location: 'query' }
+            ]);
+            expect(validateRequest(findOperation('GET', '/tiles/9/0/0.mvt'), { query: {} })).to.deep.equal([
+                { code: 'INVALID_PARAM', message: 'Must be between 10 and 18', param: 'z', location: 'path' }
+            ]);
+        });
+
+        it('Should check request bodies', () => {
+            const match = findOperation('POST', '/score/batch');
+            expect(validateRequest(match, { query: {}, body: { items: [{ latitude: 40.7, longitude: -74 }] } })).to.be.empty;
+            expect(validateRequest(match, { query: {}, body: {} })[0]).to.include({ param: undefined, location: 'body' });
+            expect(validateRequest(match, { query: {}, body: { items: [{}], mode: 'nearest' } })).to.deep.equal([
+                { code: 'INVALID_PARAM', message: 'Must be closest or area', param: 'mode', location: 'body' }
+            ]);
+        });
+    });
+
+    describe('#validateResponse()', () => {
+        const match = findOperation('GET', '/datasets');
+
+        it('Should accept a response matching the schema of its status and content type', () => {
+            const body = { current: '2021.1', versions: [], dataVersion: '2021.1' };
+            expect(validateResponse(match, 200, 'application/json; charset=utf-8', body)).to.be.empty;
+        });
+
+        it('Should describe how a response doesn\'t match its schema', () => {
+            expect(validateResponse(match, 200, undefined, { versions: 'all' })).to.not.be.empty;
+            expect(validateResponse(match, 200, 'text/csv', '')).to.deep.equal([
+                'text/csv isn\'t a documented content type of the 200 responses of GET /datasets'
+            ]);
+        });
+
+        it('Should check error responses against the documented default response', () => {
+            const body = { errors: [{ code: 'INTERNAL_ERROR', message: 'Something went wrong' }], requestId: 'test' };
+            expect(validateResponse(match, 500, undefined, body)).to.be.empty;
+            expect(validateResponse(match, 500, undefined, { message: 'Something went wrong' })).to.not.be.empty;
+        });
+    });
+});
@@ -0,0 +1,66 @@
+/**
+ * @file osmExtract.js
+ *
+ * Unit tests for src/lib/osmExtract.js
+ */
+
+const expect = require('chai').expect;
+const { writeFileSync, unlinkSync } = require('fs');
+const { tmpdir } = require('os');
+const { join } = require('path');
+
+const { readGeoJsonEssentials } = require('../../lib/osmExtract');
+
+describe('OsmExtract', function() {
+    describe('#readGeoJsonEssentials()', () => {
+        const extract = join(tmpdir(), `walkspan-extract-${process.pid}.geojson`);
+
+        before(() => writeFileSync(extract, JSON.stringify({
+            type: 'FeatureCollection',
+            features: [
+                {
+                    type: 'Feature',
+                    id: 'node/1',
+                    properties: { tags: { amenity: 'pharmacy', name: 'Pharmacy' } },
+                    geometry: { type: 'Point', coordinates: [-73.9261745, 40.8346426] }
+                },
+                {
+                    type: 'Feature',
+                    id: 'a4',
+                    properties: { leisure: 'park', name: 'Joyce Kilmer Park' },
+                    geometry: {
+                        type: 'MultiPolygon',
+                        coordinates: [[[[-73.93, 40.82], [-73.92, 40.82], [-73.92, 40.84], [-73.93, 40.84], [-73.93, 40.82]]]]
+                    }
+                },
+                {
+                    type: 'Feature',
+                    properties: { '@type': 'way', '@id': 3, highway: 'residential' },
+                    geometry: { type: 'LineString', coordinates: [[-73.93, 40.82], [-73.92, 40.83]] }
+                }
+            ]
+        })));
+
+        after(() => unlinkSync(extract));
+
+        it('Should read the features belonging to a category located at their center', async () => {
+            const { essentials } = await readGeoJsonEssentials(extract);
+            expect(essentials).to.have.lengthOf(2);
+            expect(essentials[0]).to.deep.include({
+                osm_id: 'node/1',
+                name: 'Pharmacy',
+                latitude: 40.8346426,
+                longitude: -73.9261745
+            });
+            expect(essentials[1].osm_id).to.equal('way/2');
+            expect(essentials[1].latitude).to.be.closeTo(40.83, 0.000001);
+            expect(essentials[1].longitude).to.be.closeTo(-73.925, 0.000001);
+            expect(essentials[1].categories.map(({ category_exact }) => category_exact)).to.deep.equal(['park', undefined]);
+        });
+
+        it('Should get the bounding box of every feature of the extract', async () => {
+            const { bounds } = await readGeoJsonEssentials(extract);
+            expect(bounds).to.deep.equal({ top: 40.84, bottom: 40.82, left: -73.93, right: -73.92 });
+        });
+    });
+});
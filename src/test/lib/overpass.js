@@ -0,0 +1,184 @@
+/**
+ * @file overpass.js
+ *
+ * Unit tests for src/lib/overpass.js
+ */
+
+const expect = require('chai').expect;
+const http = require('http');
+
+const config = require('../../config');
+const { buildOverpassQuery, matchesTagFilter, queryOverpassForTags } = require('../../lib/overpass');
+
+/**
+ * Starts an Overpass mirror on a random local port
+ *
+ * @param respond Answers the requests made to the mirror
+ * @returns The server along with the url of its interpreter endpoint
+ */
+const startMirror = (respond) => {
+    return new Promise(resolve => {
+        const server = http.createServer(respond).listen(0, '127.0.0.1', () => {
+            resolve({ server, url: `http://127.0.0.1:${server.address().port}/api/interpreter` });
+        });
+    });
+};
+
+/**
+ * Answers a request with a single Overpass node
+ *
+ * @param request The request made to the mirror
+ * @param response The response of the mirror
+ */
+const respondWithNode = (request, response) => {
+    response.writeHead(200, { 'content-type': 'application/json' });
+    response.end(JSON.stringify({
+        elements: [{ type: 'node', id: 1, lat: 40.8296426, lon: -73.9261745, tags: { amenity: 'school', name: 'School' } }]
+    }));
+};
+
+describe('Overpass', function() {
+    describe('#buildOverpassQuery()', () => {
+        it('Should query nodes, ways and relations within a radius', () => {
+            const query = buildOverpassQuery('amenity=school', 40.8296426, -73.9261745, 0.25, { searchArea: 'radius', limit: 10 });
+            expect(query).to.equal('[out:json][timeout:10];(' +
+                'node["amenity"="school"](around:402.336,40.8296426,-73.9261745);' +
+                'way["amenity"="school"](around:402.336,40.8296426,-73.9261745);' +
+                'relation["amenity"="school"](around:402.336,40.8296426,-73.9261745);' +
+                ');out center 10;');
+        });
+
+        it('Should query every tag within a bounding box', () => {
+            const query = buildOverpassQuery(['shop=health food', 'leisure'], 40.8296426, -73.9261745, 0.25, { searchArea: 'bbox' });
+            expect(query).to.match(/^\[out:json\]\[timeout:10\];\(node\["shop"="health food"\]\(40\.82[0-9.]+,-73\.93[0-9.]+,40\.83[0-9.]+,-73\.92[0-9.]+\);/);
+            expect(query).to.contain('relation["leisure"](');
+            expect(query).to.match(/out center 50;$/);
+        });
+
+        it('Should keep filters already in Overpass syntax', () => {
+            const query = buildOverpassQuery('["name"~"deli",i]', 40.8296426, -73.9261745, 0.25);
+            expect(query).to.contain('node["name"~"deli",i](around:');
+        });
+
+        it('Should let Overpass spend the given number of seconds on the query', () => {
+            const query = buildOverpassQuery('leisure', 40.8296426, -73.9261745, 0.25, { timeout: 25 });
+            expect(query).to.match(/^\[out:json\]\[timeout:25\];/);
+        });
+
+        it('Should reject unknown search areas', () => {
+            expect(() => buildOverpassQuery('leisure', 40.8296426, -73.9261745, 0.25, { searchArea: 'polygon' })).to.throw();
+        });
+    });
+
+    describe('#queryOverpassForTags()', () => {
+        const overpassConfig = Object.assign({}, config.overpass);
+        const servers = [];
+
+        afterEach(() => {
+            Object.assign(config.overpass, overpassConfig);
+            servers.splice(0).forEach(server => server.close());
+        });
+
+        it('Should retry a failed query on the next mirror', async () => {
+            const requests = [];
+            const failing = await startMirror((request, response) => {
+                requests.push('failing');
+                response.writeHead(503);
+                response.end();
+            });
+            const working = await startMirror((request, response) => {
+                requests.push('working');
+                respondWithNode(request, response);
+            });
+            servers.push(failing.server, working.server);
+            Object.assign(config.overpass, { mirrors: [failing.url, working.url], retries: 2, retryDelay: 1 });
+
+            const { features } = await queryOverpassForTags('amenity=school', 40.8296426, -73.9261745, 0.25);
+            expect(requests).to.deep.equal(['failing', 'working']);
+            expect(features).to.have.lengthOf(1);
+            expect(features[0].properties.tags.name).to.equal('School');
+        });
+
+        it('Should retry a query that timed out', async () => {
+            const requests = [];
+            const slow = await startMirror((request, response) => {
+                requests.push('slow');
+                setTimeout(() => respondWithNode(request, response), 500);
+            });
+            const working = await startMirror((request, response) => {
+                requests.push('working');
+                respondWithNode(request, response);
+            });
+            servers.push(slow.server, working.server);
+            Object.assign(config.overpass, { mirrors: [slow.url, working.url], retries: 1, retryDelay: 1 });
+
+            const { features } = await queryOverpassForTags('amenity=school', 40.8296426, -73.9261745, 0.25, { timeout: 0.1 });
+            expect(requests).to.deep.equal(['slow', 'working']);
+            expect(features).to.have.lengthOf(1);
+        });
+
+        it('Should fail once every retry failed', async () => {
+            let requestCount = 0;
+            const failing = await startMirror((request, response) => {
+                requestCount++;
+                response.writeHead(429);
+                response.end();
+            });
+            servers.push(failing.server);
+            Object.assign(config.overpass, { mirrors: [failing.url], retries: 2, retryDelay: 1 });
+
+            const error = await queryOverpassForTags('amenity=school', 40.8296426, -73.9261745, 0.25)
+                .then(() => undefined, rejection => rejection);
+            expect(requestCount).to.equal(3);
+            expect(error.message).to.equal('Overpass query failed after 3 attempts: Request failed: HTTP 429');
+        });
+
+        it('Should give up once the deadline of the query passed', async () => {
+            let requestCount = 0;
+            // Never answers, as an overloaded mirror would
+            const hanging = await startMirror(() => requestCount++);
+            servers.push(hanging.server);
+            Object.assign(config.overpass, { mirrors: [hanging.url], retries: 2, retryDelay: 1, deadline: 0.2 });
+
+            const startTime = Date.now();
+            const error = await queryOverpassForTags('amenity=school', 40.8296426, -73.9261745, 0.25)
+                .then(() => undefined, rejection => rejection);
+            expect(Date.now() - startTime).to.be.below(1000);
+            expect(requestCount).to.equal(1);
+            expect(error.message).to.equal(`Overpass query failed after 1 attempts within its 0.2 second deadline: ${hanging.url} timed out after 0.2 seconds`);
+        });
+
+        it('Should not retry a query Overpass rejected', async () => {
+            let requestCount = 0;
+            const rejecting = await startMirror((request, response) => {
+                requestCount++;
+                response.writeHead(400);
+                response.end();
+            });
+            servers.push(rejecting.server);
+            Object.assign(config.overpass, { mirrors: [rejecting.url], retries: 2, retryDelay: 1 });
+
+            const error = await queryOverpassForTags('amenity=school', 40.8296426, -73.9261745, 0.25)
+                .then(() => undefined, rejection => rejection);
+            expect(requestCount).to.equal(1);
+            expect(error.message).to.contain('HTTP 400');
+        });
+    });
+
+    describe('#matchesTagFilter()', () => {
+        it('Should match tags the way Overpass would', () => {
+            const tags = { amenity: 'restaurant', name: 'Corner Deli' };
+            expect(matchesTagFilter(tags, 'amenity')).to.be.true;
+            expect(matchesTagFilter(tags, 'amenity=restaurant')).to.be.true;
+            expect(matchesTagFilter(tags, 'amenity=cafe')).to.be.false;
+            expect(matchesTagFilter(tags, '["amenity"!="cafe"]')).to.be.true;
+            expect(matchesTagFilter(tags, '["name"~"deli",i]')).to.be.true;
+            expect(matchesTagFilter(tags, '["name"~"deli"]')).to.be.false;
+            expect(matchesTagFilter(tags, '["shop"]')).to.be.false;
+        });
+
+        it('Should reject filters that cannot be checked locally', () => {
+            expect(() => matchesTagFilter({}, '[~"^addr"~"."]')).to.throw();
+        });
+    });
+});
@@ -0,0 +1,89 @@
+/**
+ * @file pedestrianGraph.js
+ *
+ * Unit tests for src/lib/pedestrianGraph.js
+ */
+
+const expect = require('chai').expect;
+const {
+    buildPedestrianGraph,
+    findLargestComponent,
+    findNearestNode,
+    findShortestPath
+} = require('../../lib/pedestrianGraph');
+
+/**
+ * Builds a sidewalk between two pairs of GPS coordinates
+ */
+const sidewalk = (sidewalk_id, [startLatitude, startLongitude], [endLatitude, endLongitude], scores = {}) => Object.assign({
+    source: 'test',
+    sidewalk_id,
+    sidewalk_starting_latitude: startLatitude,
+    sidewalk_starting_longitude: startLongitude,
+    sidewalk_ending_latitude: endLatitude,
+    sidewalk_ending_longitude: endLongitude
+}, scores);
+
+// A square block whose west and north sides make a detour compared to its diagonal
+const southWest = [40.8, -73.9];
+const southEast = [40.8, -73.899];
+const northWest = [40.801, -73.9];
+const northEast = [40.801, -73.899];
+const sidewalks = [
+    sidewalk(1, southWest, northEast, { natural_beauty_score: 0 }),
+    sidewalk(2, southWest, northWest, { natural_beauty_score: 3 }),
+    sidewalk(3, northWest, northEast, { natural_beauty_score: 3 }),
+    sidewalk(4, southEast, [40.8, -73.8989])
+];
+
+describe('PedestrianGraph', function() {
+    describe('#buildPedestrianGraph()', () => {
+        it('Should connect sidewalks sharing an endpoint', () => {
+            const graph = buildPedestrianGraph(sidewalks);
+            expect(graph.size).to.equal(5);
+            const node = findNearestNode(graph, ...southWest).node;
+            expect(node.edges.map(edge => edge.sidewalk.sidewalk_id)).to.deep.equal([1, 2]);
+            expect(node.edges[0].length).to.be.closeTo(0.0867, 0.001);
+        });
+
+        it('Should connect the ends of sidewalks close enough to cross between them', () => {
+            const graph = buildPedestrianGraph(sidewalks, 0.06);
+            const node = findNearestNode(graph, ...southEast).node;
+            const crossings = node.edges.filter(edge => edge.crossing);
+            expect(crossings.map(edge => [edge.node.latitude, edge.node.longitude])).to.deep.equal([southWest]);
+        });
+    });
+
+    describe('#findShortestPath()', () => {
+        it('Should find the path of least length by default', () => {
+            const graph = buildPedestrianGraph(sidewalks);
+            const path = findShortestPath(findNearestNode(graph, ...southWest).node, findNearestNode(graph, ...northEast).node);
+            expect(path.map(edge => edge.sidewalk.sidewalk_id)).to.deep.equal([1]);
+        });
+
+        it('Should find the path of least cost', () => {
+            const graph = buildPedestrianGraph(sidewalks);
+            const path = findShortestPath(
+                findNearestNode(graph, ...southWest).node,
+                findNearestNode(graph, ...northEast).node,
+                edge => edge.length * (4 - edge.sidewalk.natural_beauty_score));
+            expect(path.map(edge => edge.sidewalk.sidewalk_id)).to.deep.equal([2, 3]);
+            expect(path.map(edge => edge.reversed)).to.deep.equal([false, false]);
+        });
+
+        it('Should find nothing between nodes that are not connected', () => {
+            const graph = buildPedestrianGraph(sidewalks);
+            expect(findShortestPath(findNearestNode(graph, ...southWest).node, findNearestNode(graph, ...southEast).node)).to.be.undefined;
+        });
+    });
+
+    describe('#findLargestComponent()', () => {
+        it('Should leave out the sidewalks cut off from the rest of the network', () => {
+            const graph = buildPedestrianGraph(sidewalks);
+            const network = findLargestComponent(graph);
+            expect(network.size).to.equal(3);
+            expect(network.has(findNearestNode(graph, ...southEast).node)).to.be.false;
+            expect(network.has(findNearestNode(graph, ...northEast).node)).to.be.true;
+        });
+    });
+});
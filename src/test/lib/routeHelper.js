@@ -0,0 +1,67 @@
+/**
+ * @file routeHelper.js
+ *
+ * Unit tests for src/lib/routeHelper.js
+ */
+
+const expect = require('chai').expect;
+const { getRouteScore } = require('../../lib/routeHelper');
+const { parseScoreWeights, SCORE_CATEGORIES } = require('../../lib/scoreHelper');
+
+describe('RouteHelper', function() {
+    describe('#getRouteScore()', () => {
+        const origin = { latitude: 40.8048311, longitude: -73.8550686 };
+        const destination = { latitude: 40.815, longitude: -73.865 };
+
+        it('Should score the shortest route segment by segment', () => {
+            const { shortest } = getRouteScore(origin, destination, { weights: parseScoreWeights() });
+            expect(shortest.length).to.be.within(0.9, 2);
+            expect(shortest.walking_time).to.equal(Math.ceil(shortest.length / 3 * 60));
+            expect(shortest.segments).to.have.lengthOf(shortest.segment_count + shortest.crossing_count);
+            expect(shortest.natural_beauty_score).to.be.within(0, 3);
+            expect(shortest.walkspan_index.score).to.be.within(0, 100);
+
+            // Every segment starts where the previous one ended
+            shortest.segments.slice(1).forEach((segment, index) => {
+                const previous = shortest.segments[index];
+                expect(segment.starting_latitude).to.be.closeTo(previous.ending_latitude, 0.000001);
+                expect(segment.starting_longitude).to.be.closeTo(previous.ending_longitude, 0.000001);
+            });
+            const sidewalkSegment = shortest.segments.find(segment => segment.type === 'sidewalk');
+            expect(sidewalkSegment.source).to.equal('bronx');
+            expect(sidewalkSegment.natural_beauty_score).to.be.within(0, 3);
+        });
+
+        it('Should trade some distance for a more pleasant route', () => {
+            const { shortest, most_pleasant } = getRouteScore(origin, destination, { weights: parseScoreWeights() });
+            expect(most_pleasant.length).to.be.at.least(shortest.length);
+            expect(most_pleasant.length).to.be.at.most(shortest.length * 1.5);
+            const pleasantness = route => route.natural_beauty_score + route.manmade_beauty_score;
+            expect(pleasantness(most_pleasant)).to.be.at.least(pleasantness(shortest));
+        });
+
+        it('Should round the scores of a route within the score range', () => {
+            // A route of the Bronx dataset whose length-weighted means are float errors past 3 before rounding
+            const { most_pleasant } = getRouteScore(
+                { latitude: 40.815306886, longitude: -73.877712968 },
+                { latitude: 40.819306886, longitude: -73.873712968 },
+                { weights: parseScoreWeights() });
+            expect(most_pleasant.natural_beauty_score).to.equal(3);
+            expect(most_pleasant.access_score).to.equal(3);
+            SCORE_CATEGORIES.forEach(category => {
+                const score = most_pleasant[category];
+                expect(score === null || Math.round(score * 100) === score * 100, category).to.be.true;
+            });
+        });
+
+        it('Should refuse points too far apart', () => {
+            expect(() => getRouteScore(origin, { latitude: 40.6782, longitude: -73.9442 }, { weights: parseScoreWeights() }))
+                .to.throw('routes are limited to');
+        });
+
+        it('Should fail where there are no sidewalks', () => {
+            expect(() => getRouteScore({ latitude: 40.6, longitude: -73.95 }, { latitude: 40.61, longitude: -73.95 }, { weights: parseScoreWeights() }))
+                .to.throw('No walking route');
+        });
+    });
+});
@@ -0,0 +1,170 @@
+/**
+ * @file scoreHelper.js
+ *
+ * Unit tests for src/lib/scoreHelper.js
+ */
+
+const expect = require('chai').expect;
+const {
+    aggregateSidewalkScores,
+    computeWalkspanIndex,
+    getScore,
+    parseScoreWeights,
+    scoreBatch
+} = require('../../lib/scoreHelper');
+
+const sidewalk = (scores, shape_length) => Object.assign({
+    natural_beauty_score: null,
+    manmade_beauty_score: null,
+    comfort_score: null,
+    interest_score: null,
+    safety_score: null,
+    access_score: null,
+    amenities_score: null,
+    shape_length
+}, scores);
+
+describe('ScoreHelper', function() {
+    describe('#aggregateSidewalkScores()', () => {
+        it('Should weight the mean of each category by sidewalk length', () => {
+            const aggregate = aggregateSidewalkScores([
+                sidewalk({ natural_beauty_score: 3 }, 3),
+                sidewalk({ natural_beauty_score: 1 }, 1)
+            ]);
+            expect(aggregate.segment_count).to.equal(2);
+            expect(aggregate.natural_beauty_score.mean).to.equal(2.5);
+            expect(aggregate.natural_beauty_score.distribution).to.deep.equal({ 0: 0, 1: 1, 2: 0, 3: 1 });
+            expect(aggregate.natural_beauty_score.segment_count).to.equal(2);
+        });
+
+        it('Should skip sidewalks without a score for a category', () => {
+            const aggregate = aggregateSidewalkScores([
+                sidewalk({ safety_score: 2 }, 1),
+                sidewalk({}, 5)
+            ]);
+            expect(aggregate.safety_score.mean).to.equal(2);
+            expect(aggregate.safety_score.segment_count).to.equal(1);
+            expect(aggregate.comfort_score.mean).to.be.null;
+        });
+
+        it('Should round means within the range of the scores', () => {
+            const aggregate = aggregateSidewalkScores([
+                sidewalk({ access_score: 3, safety_score: 2 }, 0.1),
+                sidewalk({ access_score: 3, safety_score: 1 }, 0.1),
+                sidewalk({ access_score: 3, safety_score: 1 }, 0.2)
+            ]);
+            // The weighted mean of the access scores is 3.0000000000000004 before rounding
+            expect(aggregate.access_score.mean).to.equal(3);
+            expect(aggregate.safety_score.mean).to.equal(1.25);
+        });
+    });
+
+    describe('#parseScoreWeights()', () => {
+        it('Should use the default profile when no weights are given', () => {
+            const { profile, weights } = parseScoreWeights(undefined);
+            expect(profile).to.equal('default');
+            expect(weights.safety_score).to.equal(1);
+        });
+
+        it('Should use a named profile', () => {
+            const { profile, weights } = parseScoreWeights('families');
+            expect(profile).to.equal('families');
+            expect(weights.safety_score).to.equal(3);
+        });
+
+        it('Should parse a list of category weights', () => {
+            const { profile, weights } = parseScoreWeights('safety:3,comfort_score:0');
+            expect(profile).to.equal('custom');
+            expect(weights.safety_score).to.equal(3);
+            expect(weights.comfort_score).to.equal(0);
+            expect(weights.access_score).to.equal(1);
+        });
+
+        it('Should reject unknown profiles, categories and invalid weights', () => {
+            expect(() => parseScoreWeights('tourists')).to.throw();
+            expect(() => parseScoreWeights('views:2')).to.throw();
+            expect(() => parseScoreWeights('safety:-1')).to.throw();
+            expect(() => parseScoreWeights('safety:')).to.throw();
+        });
+    });
+
+    describe('#computeWalkspanIndex()', () => {
+        it('Should compute a 0-100 index with the contribution of each category', () => {
+            const index = computeWalkspanIndex({
+                natural_beauty_score: 3,
+                manmade_beauty_score: 3,
+                comfort_score: 3,
+                interest_score: 0,
+                safety_score: 0,
+                access_score: 0,
+                amenities_score: 0
+            }, parseScoreWeights('safety:0,access:0,amenities:0,interest:0'));
+            expect(index.score).to.equal(100);
+            expect(index.profile).to.equal('custom');
+            expect(index.breakdown.comfort_score.contribution).to.be.closeTo(33.3, 0.1);
+            expect(index.breakdown.safety_score.contribution).to.equal(0);
+        });
+
+        it('Should leave out categories without a score', () => {
+            const index = computeWalkspanIndex({
+                natural_beauty_score: 3,
+                manmade_beauty_score: 0,
+                comfort_score: null,
+                interest_score: null,
+                safety_score: null,
+                access_score: null,
+                amenities_score: null
+            }, parseScoreWeights());
+            expect(index.score).to.equal(50);
+            expect(index.breakdown.comfort_score.score).to.be.null;
+            expect(index.breakdown.natural_beauty_score.max_contribution).to.equal(50);
+        });
+    });
+
+    describe('#getScore()', () => {
+        it('Should aggregate every sidewalk within range in area mode', () => {
+            const score = getScore(40.8048311, -73.8550686, {
+                range: 0.25,
+                mode: 'area',
+                weights: parseScoreWeights()
+            });
+            expect(score.mode).to.equal('area');
+            expect(score.segment_count).to.be.above(1);
+            expect(score.natural_beauty_score.mean).to.be.within(0, 3);
+            expect(score.walkspan_index.score).to.be.within(0, 100);
+        });
+
+        it('Should include the walkspan index of the closest sidewalk', () => {
+            const score = getScore(40.8048311, -73.8550686, {
+                mode: 'closest',
+                weights: parseScoreWeights('commuters')
+            });
+            expect(score.walkspan_index.profile).to.equal('commuters');
+            expect(score.walkspan_index.score).to.be.within(0, 100);
+        });
+    });
+
+    describe('#scoreBatch()', () => {
+        it('Should get a result or errors for every item in order', async () => {
+            const results = await scoreBatch([
+                { address: '1 E 161st St, Bronx, NY 10451' },
+                { latitude: 40.8048311, longitude: -73.8550686 },
+                { address: 'Some Fake Place, New York, NY 00000' },
+                { latitude: 0, longitude: 0 },
+                { address: '  1 e 161st st,  Bronx, NY 10451' },
+                { address: '100 Broadway, New York, NY' }
+            ], { mode: 'closest', weights: parseScoreWeights() });
+
+            expect(results).to.have.lengthOf(6);
+            expect(results[0].result.walkspan_index.score).to.be.within(0, 100);
+            expect(results[0].matched_address.display_address).to.equal('1 E 161st St, Bronx, NY 10451');
+            expect(results[1].result.natural_beauty_score).to.equal(3);
+            expect(results[2].errors[0].param).to.equal('address');
+            expect(results[3].errors[0].code).to.equal('OUT_OF_COVERAGE');
+            expect(results[3].errors[0].message).to.contain('the nearest is');
+            expect(results[4].result).to.equal(results[0].result);
+            expect(results[5].errors[0].param).to.equal('address');
+            expect(results[5].candidates).to.have.lengthOf(2);
+        });
+    });
+});
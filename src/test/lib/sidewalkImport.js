@@ -0,0 +1,117 @@
+/**
+ * @file sidewalkImport.js
+ *
+ * Unit tests for src/lib/sidewalkImport.js
+ */
+
+const expect = require('chai').expect;
+const { mkdtempSync, rmdirSync, writeFileSync } = require('fs');
+const { tmpdir } = require('os');
+const { join } = require('path');
+
+const { readSidewalkRows, summarizeImport, validateSidewalkRows } = require('../../lib/sidewalkImport');
+
+describe('SidewalkImport', function() {
+    const directory = mkdtempSync(join(tmpdir(), 'walkspan-import-'));
+    const csvFile = join(directory, 'segments.csv');
+    const geoJsonFile = join(directory, 'segments.geojson');
+
+    before(() => {
+        writeFileSync(csvFile, [
+            'id,beauty_n,comfort_score,sidewalk_starting_latitude,sidewalk_starting_longitude,sidewalk_ending_latitude,sidewalk_ending_longitude',
+            '7,3,,40.8048,-73.8551,40.8050,-73.8552',
+            ',1,2,40.8058,-73.8561,40.8060,-73.8562',
+            '8,4,1,40.8048,-73.8551,40.8050,-73.8552',
+            '9,1,1,40.8048,-73.8551,40.8048,-73.8551',
+            '7,1,1,40.8058,-73.8561,40.8060,-73.8562',
+            '10,1,1,95,-73.8561,40.8060,-73.8562'
+        ].join('\n'));
+        writeFileSync(geoJsonFile, JSON.stringify({
+            type: 'FeatureCollection',
+            features: [{
+                type: 'Feature',
+                properties: { NATURAL_BEAUTY_SCORE: 2 },
+                geometry: { type: 'MultiLineString', coordinates: [[[-73.8551, 40.8048], [-73.8552, 40.8049]], [[-73.8552, 40.8049], [-73.8553, 40.8050]]] }
+            }, {
+                type: 'Feature',
+                properties: { natural_beauty_score: 1 },
+                geometry: { type: 'Point', coordinates: [-73.8551, 40.8048] }
+            }]
+        }));
+    });
+
+    after(() => {
+        rmdirSync(directory, { recursive: true });
+    });
+
+    describe('#readSidewalkRows()', () => {
+        it('Should read the rows of a CSV file with renamed columns', () => {
+            const rows = readSidewalkRows(csvFile, { id: 'sidewalk_id', beauty_n: 'natural_beauty_score' });
+            expect(rows).to.have.length(6);
+            expect(rows[0].row).to.equal(2);
+            expect(rows[0].values).to.include({ sidewalk_id: '7', natural_beauty_score: '3', comfort_score: '' });
+        });
+
+        it('Should read the ends and length of the lines of a GeoJSON file', () => {
+            const rows = readSidewalkRows(geoJsonFile);
+            expect(rows[0].values).to.include({
+                natural_beauty_score: 2,
+                sidewalk_starting_longitude: -73.8551,
+                sidewalk_starting_latitude: 40.8048,
+                sidewalk_ending_longitude: -73.8553,
+                sidewalk_ending_latitude: 40.8050
+            });
+            expect(rows[0].values.shape_length).to.be.closeTo(0.000283, 0.000001);
+            expect(rows[1].errors).to.have.length(1);
+        });
+
+        it('Should reject GeoJSON files in a projected coordinate reference system', () => {
+            const projectedFile = join(directory, 'projected.geojson');
+            writeFileSync(projectedFile, JSON.stringify({
+                type: 'FeatureCollection',
+                crs: { type: 'name', properties: { name: 'urn:ogc:def:crs:EPSG::2263' } },
+                features: []
+            }));
+            expect(() => readSidewalkRows(projectedFile)).to.throw(/EPSG::2263/);
+        });
+    });
+
+    describe('#validateSidewalkRows()', () => {
+        it('Should keep the valid segments and report the rejected rows', () => {
+            const rows = readSidewalkRows(csvFile, { id: 'sidewalk_id', beauty_n: 'natural_beauty_score' });
+            const { sidewalks, rejected, outsideCoverageCount } = validateSidewalkRows(rows);
+
+            expect(sidewalks.map(sidewalk => sidewalk.sidewalk_id)).to.deep.equal([7, 8]);
+            expect(sidewalks[0]).to.include({ natural_beauty_score: 3, comfort_score: null, sidewalk_ending_latitude: 40.805 });
+            expect(outsideCoverageCount).to.equal(0);
+            expect(rejected.map(({ row }) => row)).to.deep.equal([4, 5, 6, 7]);
+            expect(rejected[0].errors[0]).to.match(/natural_beauty_score must be a whole number from 0 to 3/);
+            expect(rejected[1].errors[0]).to.match(/starts and ends at the same point/);
+            expect(rejected[2].errors[0]).to.match(/sidewalk_id 7 is repeated/);
+            expect(rejected[3].errors[0]).to.match(/sidewalk_starting_latitude must be a number from -90 to 90/);
+        });
+
+        it('Should keep the columns that aren\'t fields of the model as extra columns', () => {
+            const { sidewalks } = validateSidewalkRows(readSidewalkRows(csvFile, { id: 'sidewalk_id' }));
+            expect(sidewalks[0].natural_beauty_score).to.equal(null);
+            expect(sidewalks[0].extra_columns).to.deep.equal({ beauty_n: '3' });
+        });
+
+        it('Should only report the geometry errors of lines that could not be read', () => {
+            const { rejected } = validateSidewalkRows(readSidewalkRows(geoJsonFile));
+            expect(rejected).to.deep.equal([{ row: 2, errors: ['The geometry must be a LineString or MultiLineString, got a Point'] }]);
+        });
+    });
+
+    describe('#summarizeImport()', () => {
+        it('Should count the rows and summarize the scores of the imported segments', () => {
+            const rows = readSidewalkRows(csvFile, { id: 'sidewalk_id', beauty_n: 'natural_beauty_score' });
+            const summary = summarizeImport(rows.length, validateSidewalkRows(rows));
+
+            expect(summary).to.include({ row_count: 6, imported_count: 2, rejected_count: 4, outside_coverage_count: 0 });
+            expect(summary.scores.natural_beauty_score).to.deep.equal({ count: 2, null_count: 0, mean: 2 });
+            expect(summary.scores.comfort_score).to.deep.equal({ count: 1, null_count: 1, mean: 2 });
+            expect(summary.bounds).to.deep.equal({ top: 40.806, bottom: 40.8048, left: -73.8562, right: -73.8551 });
+        });
+    });
+});
@@ -0,0 +1,56 @@
+/**
+ * @file tileHelper.js
+ *
+ * Unit tests for src/lib/tileHelper.js
+ */
+
+const expect = require('chai').expect;
+const { VectorTile } = require('@mapbox/vector-tile');
+const Pbf = require('pbf');
+
+const { getSidewalksInBoundingBox } = require('../../model/db');
+const { getTileBoundingBox, getSidewalkTile, TILE_LAYER } = require('../../lib/tileHelper');
+
+describe('TileHelper', function() {
+    describe('#getTileBoundingBox()', () => {
+        it('Should get the bounding box of the whole world at zoom level 0', () => {
+            const boundingBox = getTileBoundingBox(0, 0, 0);
+            expect(boundingBox.leftLng).to.equal(-180);
+            expect(boundingBox.rightLng).to.equal(180);
+            expect(boundingBox.topLat).to.be.closeTo(85.0511, 0.0001);
+            expect(boundingBox.bottomLat).to.be.closeTo(-85.0511, 0.0001);
+        });
+
+        it('Should get the bounding box of a tile containing a location', () => {
+            const boundingBox = getTileBoundingBox(15, 9661, 12309);
+            expect(boundingBox.topLat).to.be.above(40.8048311);
+            expect(boundingBox.bottomLat).to.be.below(40.8048311);
+            expect(boundingBox.leftLng).to.be.below(-73.8550686);
+            expect(boundingBox.rightLng).to.be.above(-73.8550686);
+        });
+    });
+
+    describe('#getSidewalkTile()', () => {
+        it('Should encode the sidewalks within a tile with their scores', () => {
+            const tile = new VectorTile(new Pbf(getSidewalkTile(15, 9661, 12309)));
+            const layer = tile.layers[TILE_LAYER];
+            expect(layer.length).to.be.above(0);
+
+            const properties = layer.feature(0).properties;
+            expect(properties.source).to.equal('bronx');
+            expect(properties).to.have.property('sidewalk_id');
+            expect(layer.feature(0).type).to.equal(2);
+        });
+
+        it('Should leave out sidewalks too short to be seen at lower zoom levels', () => {
+            const tile = new VectorTile(new Pbf(getSidewalkTile(12, 1207, 1538)));
+            const sidewalks = getSidewalksInBoundingBox(getTileBoundingBox(12, 1207, 1538, 1 / 64));
+            expect(tile.layers[TILE_LAYER].length).to.be.above(0);
+            expect(tile.layers[TILE_LAYER].length).to.be.below(sidewalks.length);
+        });
+
+        it('Should not build tiles without sidewalks', () => {
+            expect(getSidewalkTile(15, 0, 0)).to.equal(undefined);
+        });
+    });
+});
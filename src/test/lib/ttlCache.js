@@ -0,0 +1,95 @@
+/**
+ * @file ttlCache.js
+ *
+ * Unit tests for src/lib/ttlCache.js
+ */
+
+const expect = require('chai').expect;
+const { createTtlCache } = require('../../lib/ttlCache');
+
+describe('TtlCache', function() {
+    let time;
+    const createCache = (options) => createTtlCache(Object.assign({
+        ttl: 60,
+        negativeTtl: 10,
+        maxEntries: 100,
+        isNotFound: value => value === undefined,
+        now: () => time
+    }, options));
+
+    beforeEach(() => {
+        time = 0;
+    });
+
+    describe('#get()', () => {
+        it('Should compute a result once until it expires', async () => {
+            const cache = createCache();
+            let computations = 0;
+            const compute = async () => ++computations;
+
+            expect(await cache.get('key', compute)).to.equal(1);
+            time = 59 * 1000;
+            expect(await cache.get('key', compute)).to.equal(1);
+            time = 60 * 1000;
+            expect(await cache.get('key', compute)).to.equal(2);
+            expect(cache.getStats()).to.deep.equal({ size: 1, hits: 1, negative_hits: 0, misses: 2 });
+        });
+
+        it('Should keep not found results for the negative time to live', async () => {
+            const cache = createCache();
+            const compute = async () => undefined;
+
+            await cache.get('key', compute);
+            time = 9 * 1000;
+            await cache.get('key', compute);
+            time = 10 * 1000;
+            await cache.get('key', compute);
+            expect(cache.getStats()).to.deep.equal({ size: 1, hits: 0, negative_hits: 1, misses: 2 });
+        });
+
+        it('Should share a single computation between concurrent calls', async () => {
+            const cache = createCache();
+            let computations = 0;
+            const compute = async () => ++computations;
+
+            const results = await Promise.all([cache.get('key', compute), cache.get('key', compute)]);
+            expect(results).to.deep.equal([1, 1]);
+            expect(computations).to.equal(1);
+        });
+
+        it('Should not cache failures', async () => {
+            const cache = createCache();
+            let computations = 0;
+            const compute = async () => {
+                if (++computations === 1) {
+                    throw new Error('Unavailable');
+                }
+                return computations;
+            };
+
+            let error;
+            await cache.get('key', compute).catch(e => error = e);
+            expect(error.message).to.equal('Unavailable');
+            expect(await cache.get('key', compute)).to.equal(2);
+        });
+
+        it('Should evict the oldest entry when the cache is full', async () => {
+            const cache = createCache({ maxEntries: 2 });
+            await cache.get('a', async () => 'a');
+            await cache.get('b', async () => 'b');
+            await cache.get('c', async () => 'c');
+
+            expect(cache.getStats().size).to.equal(2);
+            expect(await cache.get('a', async () => 'recomputed')).to.equal('recomputed');
+        });
+    });
+
+    describe('#clear()', () => {
+        it('Should remove every entry and reset the counters', async () => {
+            const cache = createCache();
+            await cache.get('key', async () => 1);
+            cache.clear();
+            expect(cache.getStats()).to.deep.equal({ size: 0, hits: 0, negative_hits: 0, misses: 0 });
+        });
+    });
+});
@@ -0,0 +1,146 @@
+/**
+ * @file walkshedHelper.js
+ *
+ * Unit tests for src/lib/walkshedHelper.js
+ */
+
+const expect = require('chai').expect;
+const Database = require('better-sqlite3');
+const { unlinkSync } = require('fs');
+const { tmpdir } = require('os');
+const { join } = require('path');
+
+const { buildEssentialsIndex } = require('../../model/essentialsIndex');
+const { ApiError } = require('../../lib/apiError');
+const { isInPolygon } = require('../../lib/coverage');
+const { parseScoreWeights, SCORE_CATEGORIES } = require('../../lib/scoreHelper');
+
+// Fails to get the lifestyle essentials while essentialsUnavailable is set, as when Overpass fails for every category,
+// it has to be replaced before walkshedHelper is loaded and is restored right after for the other tests
+const essentialsHelper = require('../../lib/essentialsHelper');
+const { getLifestyleEssentials, getMatchingCategories, loadEssentialsIndex, ESSENTIALS_CATEGORIES_VERSION } = essentialsHelper;
+let essentialsUnavailable = false;
+essentialsHelper.getLifestyleEssentials = async (...args) => {
+    if (essentialsUnavailable) {
+        throw new ApiError('UPSTREAM_UNAVAILABLE', 'Failed to get the lifestyle essentials: HTTP 504');
+    }
+    return getLifestyleEssentials(...args);
+};
+const { getWalksheds, parseWalkshedMinutes } = require('../../lib/walkshedHelper');
+essentialsHelper.getLifestyleEssentials = getLifestyleEssentials;
+
+describe('WalkshedHelper', function() {
+    describe('#parseWalkshedMinutes()', () => {
+        it('Should parse a list of walking times', () => {
+            expect(parseWalkshedMinutes(undefined)).to.deep.equal([5, 10, 15]);
+            expect(parseWalkshedMinutes('15, 5,15')).to.deep.equal([5, 15]);
+        });
+
+        it('Should reject invalid walking times', () => {
+            expect(() => parseWalkshedMinutes('0')).to.throw();
+            expect(() => parseWalkshedMinutes('31')).to.throw();
+            expect(() => parseWalkshedMinutes('2.5')).to.throw();
+            expect(() => parseWalkshedMinutes('1,2,3,4,5')).to.throw();
+        });
+    });
+
+    describe('#getWalksheds()', () => {
+        const indexFile = join(tmpdir(), `walkspan-walkshed-essentials-${process.pid}.sqlite`);
+
+        // Serves the lifestyle essentials from an index holding a pharmacy a block away and another miles away
+        before(() => {
+            const db = new Database(indexFile);
+            const pharmacy = (osm_id, name, latitude, longitude) => ({
+                osm_id,
+                name,
+                latitude,
+                longitude,
+                tags: { amenity: 'pharmacy', name },
+                categories: getMatchingCategories({ amenity: 'pharmacy' })
+            });
+            buildEssentialsIndex(db, [
+                pharmacy('node/1', 'Nearby Pharmacy', 40.83, -73.9255),
+                pharmacy('node/2', 'Distant Pharmacy', 40.85, -73.9)
+            ], {
+                categories_version: ESSENTIALS_CATEGORIES_VERSION,
+                bounds: { top: 40.92, bottom: 40.78, left: -73.94, right: -73.76 }
+            });
+            db.close();
+            loadEssentialsIndex(indexFile);
+        });
+
+        after(() => {
+            loadEssentialsIndex(join(tmpdir(), 'walkspan-missing-essentials.sqlite'));
+            unlinkSync(indexFile);
+        });
+
+        it('Should outline a growing area for every walking time', async () => {
+            const walksheds = await getWalksheds(40.8296426, -73.9261745, {
+                minutes: [5, 15],
+                weights: parseScoreWeights()
+            });
+            expect(walksheds.type).to.equal('FeatureCollection');
+            expect(walksheds.warnings).to.be.empty;
+
+            const [short, long] = walksheds.features;
+            expect(short.properties.minutes).to.equal(5);
+            expect(short.properties.distance).to.equal(0.25);
+            expect(short.geometry.type).to.equal('Polygon');
+            const ring = short.geometry.coordinates[0];
+            expect(ring[0]).to.deep.equal(ring[ring.length - 1]);
+            expect(isInPolygon(40.8296426, -73.9261745, short.geometry)).to.be.true;
+
+            // Everything reached in 5 minutes is also reached in 15
+            ring.forEach(([longitude, latitude]) => {
+                expect(isInPolygon(latitude, longitude, long.geometry) ||
+                    long.geometry.coordinates[0].some(([x, y]) => x === longitude && y === latitude)).to.be.true;
+            });
+            expect(long.properties.segment_count).to.be.above(short.properties.segment_count);
+            expect(long.properties.natural_beauty_score).to.be.within(0, 3);
+            expect(long.properties.walkspan_index.score).to.be.within(0, 100);
+        });
+
+        it('Should only list the lifestyle essentials within each walkshed', async () => {
+            const walksheds = await getWalksheds(40.8296426, -73.9261745, {
+                minutes: [15],
+                weights: parseScoreWeights(),
+                categories: ['pharmacy']
+            });
+            expect(walksheds.features[0].properties.essentials.map(({ name }) => name)).to.deep.equal(['Nearby Pharmacy']);
+        });
+
+        it('Should round the mean scores of every walkshed within the score range', async () => {
+            const walksheds = await getWalksheds(40.8296426, -73.9261745, { minutes: [5, 15], weights: parseScoreWeights() });
+            walksheds.features.forEach(({ properties }) => SCORE_CATEGORIES.forEach(category => {
+                const score = properties[category];
+                expect(score === null || (score <= 3 && Math.round(score * 100) === score * 100), category).to.be.true;
+            }));
+        });
+
+        it('Should still build the walksheds when no lifestyle essentials could be fetched', async () => {
+            essentialsUnavailable = true;
+            try {
+                const walksheds = await getWalksheds(40.8296426, -73.9261745, {
+                    minutes: [5],
+                    weights: parseScoreWeights(),
+                    categories: ['pharmacy']
+                });
+                expect(walksheds.features[0].properties.segment_count).to.be.above(0);
+                expect(walksheds.features[0].properties.essentials).to.be.empty;
+                expect(walksheds.warnings).to.deep.equal([{
+                    category_general: 'health',
+                    category_exact: 'pharmacy',
+                    message: 'Failed to get the lifestyle essentials: HTTP 504'
+                }]);
+            } finally {
+                essentialsUnavailable = false;
+            }
+        });
+
+        it('Should fail where there are no sidewalks', async () => {
+            const error = await getWalksheds(40.7353526, -74.0062303, { minutes: [5], weights: parseScoreWeights() })
+                .then(() => undefined, rejection => rejection);
+            expect(error.message).to.contain('No sidewalk');
+        });
+    });
+});
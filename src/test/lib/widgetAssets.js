@@ -0,0 +1,118 @@
+/**
+ * @file widgetAssets.js
+ *
+ * Unit tests for src/lib/widgetAssets.js and the widgets rendered with it by src/lib/handlebarsHelper.js
+ */
+
+const { createHash } = require('crypto');
+const expect = require('chai').expect;
+
+const config = require('../../config');
+const {
+    ESSENTIALS_WIDGET_ASSETS,
+    SCORE_WIDGET_ASSETS,
+    generateEssentialsWidget,
+    generateScoreWidget
+} = require('../../lib/handlebarsHelper');
+const { createWidgetContext, getWidgetAsset, getWidgetAssetPath } = require('../../lib/widgetAssets');
+
+/**
+ * Renders the score widget of a location in Greenwich Village
+ *
+ * @param mode One of WIDGET_ASSET_MODES
+ * @returns The widget context and the HTML of the widget
+ */
+const renderScoreWidget = (mode) => {
+    const widget = createWidgetContext(SCORE_WIDGET_ASSETS, mode, 'http://localhost:3000');
+    const closestSidewalk = { natural_beauty_score: 2, access_score: 3 };
+    return { widget, html: generateScoreWidget(40.7353526, -74.0062303, closestSidewalk, [], 0.25, widget) };
+};
+
+describe('Widget assets', function() {
+    describe('#getWidgetAsset()', () => {
+        it('Should serve every asset at the pinned version of its package', () => {
+            expect(getWidgetAssetPath('leaflet.js')).to.equal('leaflet@1.7.1/dist/leaflet.js');
+            const asset = getWidgetAsset('leaflet@1.7.1/dist/images/marker-icon.png');
+            expect(asset.contentType).to.equal('image/png');
+            expect(asset.content.length).to.be.above(0);
+        });
+
+        it('Should not find paths that aren\'t an asset', () => {
+            expect(getWidgetAsset('leaflet@1.7.1/package.json')).to.be.undefined;
+            expect(getWidgetAsset('leaflet@1.6.0/dist/leaflet.js')).to.be.undefined;
+        });
+    });
+
+    describe('#createWidgetContext()', () => {
+        it('Should load the assets from the CDN with their SRI hashes by default', () => {
+            const widget = createWidgetContext(SCORE_WIDGET_ASSETS, 'cdn', 'http://localhost:3000');
+            expect(widget.styles.map(style => style.href)).to.deep.equal([
+                'https://cdn.jsdelivr.net/npm/leaflet@1.7.1/dist/leaflet.css',
+                'https://cdn.jsdelivr.net/npm/bootstrap@5.0.1/dist/css/bootstrap.min.css'
+            ]);
+            // The hash published for bootstrap.bundle.min.js 5.0.1
+            expect(widget.scripts[1].integrity)
+                .to.equal('sha384-gtEjrD/SeCtmISkJkNUaaKMoLD0//ElJ19smozuHV6z3Iehds+3Ulb9Bn9Plx0x4');
+            expect(widget.contentSecurityPolicy).to.include(`script-src 'nonce-${widget.nonce}' https://cdn.jsdelivr.net;`);
+            expect(widget.contentSecurityPolicy).to.include("default-src 'none'");
+        });
+
+        it('Should give every asset the SRI hash of the copy the api serves', () => {
+            const widget = createWidgetContext(ESSENTIALS_WIDGET_ASSETS, 'hosted', 'http://localhost:3000');
+            widget.scripts.concat(widget.styles).forEach(({ href, integrity }) => {
+                const asset = getWidgetAsset(href.replace('http://localhost:3000/widget/assets/', ''));
+                expect(integrity).to.equal(`sha384-${createHash('sha384').update(asset.content).digest('base64')}`);
+            });
+            expect(widget.icons.iconUrl)
+                .to.equal('http://localhost:3000/widget/assets/leaflet@1.7.1/dist/images/marker-icon.png');
+        });
+
+        it('Should load hosted assets from widget.assetUrl when it\'s set', () => {
+            const { assetUrl } = config.widget;
+            config.widget.assetUrl = 'https://assets.walkspan.com/';
+            try {
+                const widget = createWidgetContext(SCORE_WIDGET_ASSETS, 'hosted', 'http://localhost:3000');
+                expect(widget.scripts[0].href).to.equal('https://assets.walkspan.com/widget/assets/jquery@3.5.1/dist/jquery.min.js');
+                expect(widget.contentSecurityPolicy).to.include('style-src').and.include('https://assets.walkspan.com;');
+            } finally {
+                config.widget.assetUrl = assetUrl;
+            }
+        });
+
+        it('Should give every widget a nonce of its own', () => {
+            const first = createWidgetContext(SCORE_WIDGET_ASSETS, 'cdn', 'http://localhost:3000');
+            const second = createWidgetContext(SCORE_WIDGET_ASSETS, 'cdn', 'http://localhost:3000');
+            expect(first.nonce).to.not.equal(second.nonce);
+        });
+    });
+
+    describe('widgets', () => {
+        it('Should only load assets carrying the nonce and SRI hash of the widget', () => {
+            const { widget, html } = renderScoreWidget('cdn');
+            const elements = html.match(/<(script|style|link)\b[^>]*>/g);
+            expect(elements).to.have.lengthOf(SCORE_WIDGET_ASSETS.length + 2);
+            elements.forEach(element => expect(element).to.include(`nonce="${widget.nonce.replace(/=/g, '&#x3D;')}"`));
+            html.match(/<(script|link)\b[^>]*(src|href)=[^>]*>/g)
+                .forEach(element => expect(element).to.match(/integrity="sha384-/));
+            expect(html).to.not.match(/\sstyle="/);
+            expect(html).to.not.include('unpkg.com');
+        });
+
+        it('Should embed every asset of an inline widget', () => {
+            const { widget, html } = renderScoreWidget('inline');
+            expect(html).to.not.match(/<(script|link)\b[^>]*(src|href)=/);
+            expect(html).to.not.include('url(images/');
+            expect(widget.icons.iconUrl).to.match(/^data:image\/png;base64,/);
+            expect(widget.contentSecurityPolicy).to.include(`script-src 'nonce-${widget.nonce}';`);
+        });
+
+        it('Should draw the lifestyle essentials with the marker icons of the widget', () => {
+            const widget = createWidgetContext(ESSENTIALS_WIDGET_ASSETS, 'hosted', 'http://localhost:3000');
+            const essentialsList = [{ name: 'Corner Bakery', category_general: 'Food', latitude: 40.7354, longitude: -74.0063 }];
+            const html = generateEssentialsWidget(40.7353526, -74.0062303, 0.25, essentialsList, widget);
+            expect(html).to.include(`iconUrl: '${widget.icons.iconUrl}'`);
+            expect(html).to.include('/widget/assets/leaflet-markers-canvas@0.2.1/');
+            expect(html).to.not.match(/\sstyle="/);
+        });
+    });
+});
@@ -0,0 +1,149 @@
+/**
+ * @file apiKey.js
+ *
+ * Unit tests for src/middleware/apiKey.js
+ */
+
+const expect = require('chai').expect;
+const { EventEmitter } = require('events');
+
+const config = require('../../config');
+const { loadApiKeyStore, requireApiKey } = require('../../middleware/apiKey');
+const { handleErrors } = require('../../middleware/errors');
+const { createApiKey, getApiKeyUsage, getUsageDay, revokeApiKey } = require('../../model/apiKeys');
+
+/**
+ * Makes a request through the middleware, answering the errors it passes on with the error middleware
+ *
+ * @param key The API key sent, none when undefined
+ * @param path The path requested within /score
+ * @returns The response, with calledNext true if the request was let through
+ */
+const makeRequest = (key, path = '/gps') => {
+    const request = {
+        baseUrl: '/score',
+        path,
+        route: { path },
+        get: (name) => name === 'X-API-Key' ? key : undefined
+    };
+    const response = Object.assign(new EventEmitter(), {
+        statusCode: 200,
+        headers: {},
+        locals: { requestId: 'test' },
+        set(name, value) {
+            this.headers[name] = value;
+            return this;
+        },
+        status(statusCode) {
+            this.statusCode = statusCode;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            this.emit('finish');
+            return this;
+        }
+    });
+    requireApiKey(request, response, (error) => {
+        if (error) {
+            return handleErrors(error, request, response);
+        }
+        response.calledNext = true;
+        response.json({});
+    });
+    return response;
+};
+
+/**
+ * Loads the configuration afresh with some environment variables set, leaving the loaded one in place
+ *
+ * @param env The value of each environment variable set while loading
+ * @returns The configuration loaded
+ */
+const loadConfig = (env) => {
+    const configPath = require.resolve('../../config');
+    const previousEnv = Object.assign({}, process.env);
+    const previousModule = require.cache[configPath];
+    Object.assign(process.env, env);
+    delete require.cache[configPath];
+    try {
+        return require('../../config');
+    } finally {
+        Object.keys(env).forEach(name => {
+            if (previousEnv[name] === undefined) {
+                delete process.env[name];
+            } else {
+                process.env[name] = previousEnv[name];
+            }
+        });
+        require.cache[configPath] = previousModule;
+    }
+};
+
+describe('ApiKey', function() {
+    const db = loadApiKeyStore(':memory:');
+
+    after(() => {
+        db.close();
+    });
+
+    describe('#requireApiKey()', () => {
+        it('Should refuse requests without a valid API key', () => {
+            const missing = makeRequest(undefined);
+            expect(missing.statusCode).to.equal(401);
+            expect(missing.calledNext).to.be.undefined;
+            expect(missing.body.errors[0]).to.include({ code: 'UNAUTHORIZED', param: 'X-API-Key' });
+            expect(missing.body.requestId).to.equal('test');
+            expect(makeRequest('wsk_unknown').statusCode).to.equal(401);
+
+            const revokedKey = createApiKey(db, 'Revoked');
+            revokeApiKey(db, revokedKey.id);
+            expect(makeRequest(revokedKey.key).body.errors[0].message).to.equal('This API key has been revoked');
+        });
+
+        it('Should let requests through until the daily quota is used and record them per endpoint', () => {
+            const apiKey = createApiKey(db, 'Acme maps', { dailyQuota: 2 });
+            const first = makeRequest(apiKey.key);
+            expect(first.calledNext).to.equal(true);
+            expect(first.headers['X-Quota-Remaining']).to.equal(1);
+            expect(makeRequest(apiKey.key, '/address').calledNext).to.equal(true);
+
+            const refused = makeRequest(apiKey.key);
+            expect(refused.statusCode).to.equal(429);
+            expect(refused.headers['Retry-After']).to.be.above(0);
+            expect(getApiKeyUsage(db, apiKey.id, getUsageDay()).map(row => row.endpoint)).to.deep.equal(['/score/address', '/score/gps']);
+        });
+
+        it('Should refuse requests past the burst of a key', () => {
+            const apiKey = createApiKey(db, 'Bursty', { rateLimit: 0.001, burst: 2 });
+            expect(makeRequest(apiKey.key).calledNext).to.equal(true);
+            expect(makeRequest(apiKey.key).calledNext).to.equal(true);
+            const refused = makeRequest(apiKey.key);
+            expect(refused.statusCode).to.equal(429);
+            expect(refused.body.errors[0].code).to.equal('RATE_LIMITED');
+            expect(refused.body.errors[0].message).to.include('Too many requests');
+        });
+
+        it('Should let every request through when API keys are disabled', () => {
+            config.apiKeys.enabled = false;
+            try {
+                expect(makeRequest(undefined).calledNext).to.equal(true);
+            } finally {
+                config.apiKeys.enabled = true;
+            }
+        });
+
+        it('Should only leave API keys to API Gateway on Lambda itself, not under serverless-offline', () => {
+            expect(loadConfig({ AWS_LAMBDA_FUNCTION_NAME: 'walkspan-dev-score' }).apiKeys.enabled).to.equal(false);
+
+            const offlineConfig = loadConfig({ AWS_LAMBDA_FUNCTION_NAME: 'walkspan-dev-score', IS_OFFLINE: 'true' });
+            expect(offlineConfig.apiKeys.enabled).to.equal(true);
+            config.apiKeys.enabled = offlineConfig.apiKeys.enabled;
+            try {
+                expect(makeRequest(undefined).statusCode).to.equal(401);
+            } finally {
+                config.apiKeys.enabled = true;
+            }
+        });
+    });
+});
@@ -0,0 +1,112 @@
+/**
+ * @file errors.js
+ *
+ * Unit tests for src/middleware/errors.js and src/lib/apiError.js
+ */
+
+const expect = require('chai').expect;
+const { query } = require('express-validator');
+
+const { ApiError } = require('../../lib/apiError');
+const { validateParams } = require('../../lib/validators');
+const { assignRequestId, catchErrors, handleErrors } = require('../../middleware/errors');
+
+/**
+ * Builds a response recording what's sent
+ *
+ * @returns The response
+ */
+const createResponse = () => ({
+    statusCode: 200,
+    headers: {},
+    locals: {},
+    headersSent: false,
+    set(name, value) {
+        this.headers[name] = value;
+        return this;
+    },
+    status(statusCode) {
+        this.statusCode = statusCode;
+        return this;
+    },
+    json(body) {
+        this.body = body;
+        return this;
+    }
+});
+
+describe('Errors', function() {
+    const request = {
+        originalUrl: '/score/gps',
+        get: () => undefined
+    };
+
+    describe('#assignRequestId()', () => {
+        it('Should keep the request id sent by a proxy and make up one otherwise', () => {
+            const sent = createResponse();
+            assignRequestId({ get: () => 'abc-123' }, sent, () => {});
+            expect(sent.locals.requestId).to.equal('abc-123');
+            expect(sent.headers['X-Request-Id']).to.equal('abc-123');
+
+            const madeUp = createResponse();
+            assignRequestId({ get: () => '<script>' }, madeUp, () => {});
+            expect(madeUp.locals.requestId).to.match(/^[0-9a-f]{32}$/);
+        });
+    });
+
+    describe('#handleErrors()', () => {
+        it('Should answer an ApiError with its status, code and the request id', () => {
+            const response = createResponse();
+            response.locals.requestId = 'abc-123';
+            handleErrors(new ApiError('OUT_OF_COVERAGE', 'Must be within an area covered by walkspan', 'q', 'query'), request, response);
+
+            expect(response.statusCode).to.equal(422);
+            expect(response.body).to.deep.equal({
+                errors: [{ code: 'OUT_OF_COVERAGE', message: 'Must be within an area covered by walkspan', param: 'q', location: 'query' }],
+                requestId: 'abc-123'
+            });
+        });
+
+        it('Should answer every invalid parameter of a validation', async () => {
+            const result = await validateParams([
+                query('latitude', 'Must be between -90 and 90').isFloat({ min: -90, max: 90 }),
+                query('longitude', 'Must be between -180 and 180').isFloat({ min: -180, max: 180 })
+            ], { latitude: 'north', longitude: 200 });
+            const response = createResponse();
+            handleErrors(ApiError.fromValidationResult(result, 'body'), request, response);
+
+            expect(response.statusCode).to.equal(400);
+            expect(response.body.errors.map(error => [error.code, error.param, error.location])).to.deep.equal([
+                ['INVALID_PARAM', 'latitude', 'body'],
+                ['INVALID_PARAM', 'longitude', 'body']
+            ]);
+        });
+
+        it('Should answer unexpected errors without disclosing them', () => {
+            const response = createResponse();
+            const consoleError = console.error;
+            console.error = () => {};
+            try {
+                handleErrors(new TypeError("Cannot read property 'safety_score' of null"), request, response);
+            } finally {
+                console.error = consoleError;
+            }
+
+            expect(response.statusCode).to.equal(500);
+            expect(response.body.errors[0].code).to.equal('INTERNAL_ERROR');
+            expect(response.body.errors[0].message).not.to.contain('safety_score');
+        });
+    });
+
+    describe('#catchErrors()', () => {
+        it('Should pass on what an async endpoint throws', async () => {
+            const error = new ApiError('NO_SIDEWALK_DATA', 'No sidewalk with walkspan scores is close enough to the location');
+            let passedError;
+            await catchErrors(async () => {
+                throw error;
+            })(request, createResponse(), thrown => passedError = thrown);
+
+            expect(passedError).to.equal(error);
+        });
+    });
+});
@@ -0,0 +1,172 @@
+/**
+ * @file resolveLocation.js
+ *
+ * Unit tests for src/middleware/resolveLocation.js
+ */
+
+const expect = require('chai').expect;
+
+const { clearGeocoderCache } = require('../../lib/geocoder');
+const { clearLocatorCache } = require('../../lib/locator');
+const { handleErrors } = require('../../middleware/errors');
+const { resolveLocation } = require('../../middleware/resolveLocation');
+
+/**
+ * Makes a request through the resolver, answering the errors it passes on with the error middleware
+ *
+ * @param query The query parameters of the request
+ * @param inputs The names of the inputs the location may be sent as, every one of them when undefined
+ * @param prefix The prefix of the parameters of the location, none when undefined
+ * @returns The request, holding the resolved location, and the response
+ */
+const makeRequest = async (query, inputs, prefix) => {
+    const request = { query, originalUrl: '/score/location' };
+    const response = {
+        statusCode: 200,
+        headers: {},
+        locals: { requestId: 'test' },
+        set(name, value) {
+            this.headers[name] = value;
+            return this;
+        },
+        status(statusCode) {
+            this.statusCode = statusCode;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+    for (const middleware of resolveLocation(inputs, prefix)) {
+        const error = await new Promise(resolve => middleware(request, response, resolve));
+        if (error) {
+            handleErrors(error, request, response);
+            break;
+        }
+    }
+    return { request, response };
+};
+
+describe('Location resolver', function() {
+    beforeEach(() => {
+        clearGeocoderCache();
+        clearLocatorCache();
+    });
+
+    describe('#resolveLocation()', () => {
+        it('Should resolve GPS coordinates', async () => {
+            const { request, response } = await makeRequest({ latitude: '40.7353526', longitude: '-74.0062303' });
+            expect(response.body).to.be.undefined;
+            expect(request.location).to.include({ source: 'gps', latitude: 40.7353526, longitude: -74.0062303 });
+            expect(response.headers['X-Matched-Address']).to.be.undefined;
+        });
+
+        it('Should resolve a street address along with what it was matched to', async () => {
+            const { request, response } = await makeRequest({ q: '555 Hudson Street, New York, NY 10014' });
+            expect(request.location).to.include({ source: 'address', latitude: 40.7353526, longitude: -74.0062303 });
+            expect(request.location.matched_address).to.include({ query: '555 Hudson Street, New York, NY 10014' });
+            expect(response.headers['X-Matched-Address']).to.equal(encodeURIComponent('555 Hudson Street, New York, NY 10014'));
+        });
+
+        it('Should resolve a place id', async () => {
+            const { request, response } = await makeRequest({ placeId: 'w42127044' });
+            expect(request.location).to.include({ source: 'place', latitude: 40.8296426, longitude: -73.9261745 });
+            expect(request.location.matched_address).to.be.undefined;
+            expect(decodeURIComponent(response.headers['X-Matched-Address']))
+                .to.equal('Yankee Stadium, 1 E 161st St, Bronx, New York 10451');
+        });
+
+        it('Should resolve a BBL and a BIN', async () => {
+            const { request: bblRequest } = await makeRequest({ bbl: '1006300032' });
+            expect(bblRequest.location).to.include({ source: 'bbl', latitude: 40.7353526, longitude: -74.0062303 });
+
+            const { request: binRequest } = await makeRequest({ bin: '1010724' });
+            expect(binRequest.location).to.include({ source: 'bin', latitude: 40.7353526, longitude: -74.0062303 });
+        });
+
+        it('Should resolve a three word address with or without its leading slashes', async () => {
+            const { request } = await makeRequest({ words: '///Filled.Count.Soap' });
+            expect(request.location).to.include({ source: 'words', latitude: 40.7579747, longitude: -73.9855426 });
+        });
+
+        it('Should refuse a request without any input', async () => {
+            const { request, response } = await makeRequest({});
+            expect(request.location).to.be.undefined;
+            expect(response.statusCode).to.equal(400);
+            expect(response.body.errors[0]).to.deep.equal({
+                code: 'INVALID_PARAM',
+                message: 'Must supply one of latitude and longitude, q, placeId, bbl, bin or words',
+                param: ['latitude', 'longitude', 'q', 'placeId', 'bbl', 'bin', 'words'],
+                location: 'query'
+            });
+        });
+
+        it('Should refuse a request with several inputs', async () => {
+            const { response } = await makeRequest({ q: '555 Hudson Street, New York, NY 10014', bbl: '1006300032' });
+            expect(response.statusCode).to.equal(400);
+            expect(response.body.errors[0]).to.include({ code: 'INVALID_PARAM' });
+            expect(response.body.errors[0].param).to.deep.equal(['q', 'bbl']);
+        });
+
+        it('Should refuse a latitude without a longitude', async () => {
+            const { response } = await makeRequest({ latitude: '40.7353526' });
+            expect(response.statusCode).to.equal(400);
+            expect(response.body.errors[0]).to.include({ message: 'Must supply latitude and longitude', code: 'INVALID_PARAM' });
+            expect(response.body.errors[0].param).to.deep.equal(['longitude']);
+        });
+
+        it('Should refuse inputs the endpoint doesn\'t take', async () => {
+            const { response } = await makeRequest({ bbl: '1006300032' }, ['gps']);
+            expect(response.statusCode).to.equal(400);
+            expect(response.body.errors[0].message).to.equal('Must supply latitude and longitude');
+        });
+
+        it('Should refuse invalid identifiers', async () => {
+            const { response } = await makeRequest({ bbl: '123' });
+            expect(response.statusCode).to.equal(400);
+            expect(response.body.errors[0]).to.include({ code: 'INVALID_PARAM', param: 'bbl', location: 'query' });
+        });
+
+        it('Should answer identifiers nothing matches with GEOCODE_NOT_FOUND', async () => {
+            const { response } = await makeRequest({ bin: '1000000' });
+            expect(response.statusCode).to.equal(404);
+            expect(response.body.errors[0]).to.include({ code: 'GEOCODE_NOT_FOUND', param: 'bin' });
+        });
+
+        it('Should answer locations outside of every covered area with OUT_OF_COVERAGE', async () => {
+            const { request, response } = await makeRequest({ words: 'index.home.raft' });
+            expect(request.location).to.be.undefined;
+            expect(response.statusCode).to.equal(422);
+            expect(response.body.errors[0]).to.include({ code: 'OUT_OF_COVERAGE', param: 'words' });
+        });
+
+        it('Should resolve a location from the parameters named with its prefix', async () => {
+            const { request, response } = await makeRequest({ originBbl: '1006300032' }, undefined, 'origin');
+            expect(request.location).to.be.undefined;
+            expect(request.originLocation).to.include({ source: 'bbl', latitude: 40.7353526, longitude: -74.0062303 });
+            expect(response.headers['X-Matched-Address']).to.be.undefined;
+
+            const { request: addressRequest } = await makeRequest({ destination: '555 Hudson Street, New York, NY 10014' }, undefined, 'destination');
+            expect(addressRequest.destinationLocation).to.include({ source: 'address', latitude: 40.7353526, longitude: -74.0062303 });
+            expect(addressRequest.destinationLocation.matched_address).to.include({ query: '555 Hudson Street, New York, NY 10014' });
+        });
+
+        it('Should name the prefixed parameters in its errors', async () => {
+            const { response } = await makeRequest({ originLatitude: '40.7353526' }, undefined, 'origin');
+            expect(response.body.errors[0]).to.include({ message: 'Must supply originLatitude and originLongitude' });
+            expect(response.body.errors[0].param).to.deep.equal(['originLongitude']);
+
+            const { response: missingResponse } = await makeRequest({}, undefined, 'destination');
+            expect(missingResponse.body.errors[0].message).to.equal('Must supply one of destinationLatitude and destinationLongitude, ' +
+                'destination, destinationPlaceId, destinationBbl, destinationBin or destinationWords');
+
+            const { response: invalidResponse } = await makeRequest({ originWords: 'index.home' }, undefined, 'origin');
+            expect(invalidResponse.body.errors[0]).to.include({ code: 'INVALID_PARAM', param: 'originWords' });
+
+            const { response: outsideResponse } = await makeRequest({ originLatitude: 0, originLongitude: 0 }, undefined, 'origin');
+            expect(outsideResponse.body.errors[0]).to.include({ code: 'OUT_OF_COVERAGE' });
+            expect(outsideResponse.body.errors[0].param).to.deep.equal(['originLatitude', 'originLongitude']);
+        });
+    });
+});
@@ -0,0 +1,67 @@
+/**
+ * @file widgetAssets.js
+ *
+ * Unit tests for src/middleware/widgetAssets.js
+ */
+
+const expect = require('chai').expect;
+
+const { sendWidgetAsset, serveWidgetAssets } = require('../../middleware/widgetAssets');
+
+/**
+ * Makes a request through the middleware
+ *
+ * @param path The path requested within /widget/assets
+ * @param method The method of the request
+ * @returns The response, with calledNext true if the request was passed on
+ */
+const makeRequest = (path, method = 'GET') => {
+    const response = {
+        statusCode: 200,
+        headers: {},
+        set(headers) {
+            Object.assign(this.headers, headers);
+            return this;
+        },
+        status(statusCode) {
+            this.statusCode = statusCode;
+            return this;
+        },
+        send(body) {
+            this.body = body;
+            return this;
+        }
+    };
+    serveWidgetAssets({ method, path }, response, () => response.calledNext = true);
+    return response;
+};
+
+describe('Widget assets middleware', function() {
+    describe('#serveWidgetAssets()', () => {
+        it('Should serve an asset to any origin, cached for good', () => {
+            const response = makeRequest('/leaflet@1.7.1/dist/leaflet.js');
+            expect(response.calledNext).to.be.undefined;
+            expect(response.body.toString('utf8')).to.include('Leaflet 1.7.1');
+            expect(response.headers).to.deep.equal({
+                'Content-Type': 'application/javascript; charset=utf-8',
+                'Cache-Control': 'public, max-age=31536000, immutable',
+                'Access-Control-Allow-Origin': '*',
+                'Cross-Origin-Resource-Policy': 'cross-origin'
+            });
+        });
+
+        it('Should pass on paths that aren\'t an asset', () => {
+            expect(makeRequest('/leaflet@1.7.1/../../../package.json').calledNext).to.be.true;
+            expect(makeRequest('/leaflet@1.7.1/dist/leaflet.js', 'POST').calledNext).to.be.true;
+        });
+    });
+
+    describe('#sendWidgetAsset()', () => {
+        it('Should serve the marker icon from the api', () => {
+            const response = makeRequest('/');
+            sendWidgetAsset('marker-icon.png')({}, response);
+            expect(response.headers['Content-Type']).to.equal('image/png');
+            expect(response.body.slice(1, 4).toString()).to.equal('PNG');
+        });
+    });
+});
@@ -0,0 +1,58 @@
+/**
+ * @file apiKeys.js
+ *
+ * Unit tests for src/model/apiKeys.js
+ */
+
+const expect = require('chai').expect;
+
+const {
+    createApiKey,
+    findApiKey,
+    getApiKeyUsage,
+    getDailyUsage,
+    listApiKeys,
+    openApiKeyStore,
+    recordApiKeyUsage,
+    revokeApiKey
+} = require('../../model/apiKeys');
+
+describe('ApiKeys', function() {
+    const db = openApiKeyStore(':memory:');
+    const apiKey = createApiKey(db, 'Acme maps', { dailyQuota: 500 });
+
+    describe('#createApiKey()', () => {
+        it('Should create a key that can be found again but is only stored as its hash', () => {
+            expect(apiKey.key).to.match(/^wsk_[0-9a-f]{48}$/);
+            expect(findApiKey(db, apiKey.key)).to.include({ id: apiKey.id, name: 'Acme maps', daily_quota: 500, rate_limit: null });
+            expect(findApiKey(db, 'wsk_unknown')).to.be.undefined;
+            expect(JSON.stringify(db.prepare('SELECT * FROM Api_keys').all())).not.to.include(apiKey.key);
+        });
+    });
+
+    describe('#recordApiKeyUsage()', () => {
+        it('Should count the requests and error responses of a key per day and endpoint', () => {
+            const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
+            recordApiKeyUsage(db, apiKey.id, '/score/gps', 200);
+            recordApiKeyUsage(db, apiKey.id, '/score/gps', 400);
+            recordApiKeyUsage(db, apiKey.id, '/datasets', 200);
+            recordApiKeyUsage(db, apiKey.id, '/datasets', 200, yesterday);
+
+            expect(getDailyUsage(db, apiKey.id)).to.equal(3);
+            const usage = getApiKeyUsage(db, apiKey.id, yesterday.toISOString().slice(0, 10));
+            expect(usage).to.have.length(3);
+            expect(usage.find(row => row.endpoint === '/score/gps')).to.include({ request_count: 2, error_count: 1 });
+            expect(listApiKeys(db)[0].request_count).to.equal(3);
+        });
+    });
+
+    describe('#revokeApiKey()', () => {
+        it('Should revoke a key only once', () => {
+            const otherKey = createApiKey(db, 'Other');
+            expect(revokeApiKey(db, otherKey.id)).to.equal(true);
+            expect(revokeApiKey(db, otherKey.id)).to.equal(false);
+            expect(findApiKey(db, otherKey.key).revoked_at).to.be.a('string');
+            expect(findApiKey(db, apiKey.key).revoked_at).to.be.null;
+        });
+    });
+});
@@ -0,0 +1,95 @@
+/**
+ * @file datasets.js
+ *
+ * Unit tests for src/model/datasets.js
+ */
+
+const expect = require('chai').expect;
+const Database = require('better-sqlite3');
+const { copyFileSync, existsSync, mkdirSync, mkdtempSync, readFileSync, rmdirSync, unlinkSync, writeFileSync } = require('fs');
+const { tmpdir } = require('os');
+const { join } = require('path');
+
+const config = require('../../config');
+const { getClosestSidewalk } = require('../../model/db');
+const {
+    archiveCurrentDataset,
+    getCurrentDataVersion,
+    getDataset,
+    listDatasets,
+    loadDatasets,
+    MANIFEST_FILE
+} = require('../../model/datasets');
+
+describe('Datasets', function() {
+    const originalDatasets = Object.assign({}, config.datasets);
+    const directory = mkdtempSync(join(tmpdir(), 'walkspan-datasets-'));
+    const archivedDirectory = join(directory, 'versions', '2021-01');
+    const latitude = 40.8048311;
+    const longitude = -73.8550686;
+
+    // Archives a version of the Bronx table with every natural beauty score lowered to 0
+    before(() => {
+        mkdirSync(archivedDirectory, { recursive: true });
+        copyFileSync('./database/walkability.sqlite', join(archivedDirectory, 'walkability.sqlite'));
+        const db = new Database(join(archivedDirectory, 'walkability.sqlite'));
+        db.prepare('UPDATE Bronx_Walkability SET beauty_n = 0').run();
+        db.close();
+
+        config.datasets.manifest = join(directory, MANIFEST_FILE);
+        config.datasets.archive = join(directory, 'versions');
+    });
+
+    after(() => {
+        Object.assign(config.datasets, originalDatasets);
+        loadDatasets();
+        rmdirSync(directory, { recursive: true });
+    });
+
+    describe('#loadDatasets()', () => {
+        it('Should report a dataset without a manifest as unversioned', () => {
+            loadDatasets();
+            expect(getCurrentDataVersion()).to.equal('unversioned');
+            expect(listDatasets()[0].tables.bronx).to.deep.equal({ table: 'Bronx_Walkability', source: null });
+            expect(getDataset('2021-01')).to.equal(undefined);
+        });
+
+        it('Should list the current version and the archived ones', () => {
+            writeFileSync(join(archivedDirectory, MANIFEST_FILE), JSON.stringify({
+                version: '2021-01',
+                built_at: '2021-01-15T00:00:00.000Z',
+                tables: { bronx: { source: 'Bronx survey' } }
+            }));
+            writeFileSync(config.datasets.manifest, JSON.stringify({
+                version: '2021-06',
+                built_at: '2021-06-15T00:00:00.000Z',
+                tables: { bronx: { source: 'Bronx resurvey' } }
+            }));
+            loadDatasets();
+
+            expect(getCurrentDataVersion()).to.equal('2021-06');
+            expect(listDatasets().map(dataset => dataset.version)).to.deep.equal(['2021-06', '2021-01']);
+            expect(getDataset('2021-01')).to.include({ version: '2021-01', directory: archivedDirectory });
+            expect(getDataset('2021-01').tables.bronx.source).to.equal('Bronx survey');
+        });
+    });
+
+    describe('#getDataset()', () => {
+        it('Should query the sidewalks of an archived version', () => {
+            expect(getClosestSidewalk(latitude, longitude, '2021-06').natural_beauty_score).to.equal(3);
+            expect(getClosestSidewalk(latitude, longitude, '2021-01').natural_beauty_score).to.equal(0);
+            expect(() => getClosestSidewalk(latitude, longitude, '2020-01')).to.throw();
+        });
+    });
+
+    describe('#archiveCurrentDataset()', () => {
+        it('Should copy the current version into the archive', () => {
+            const archive = archiveCurrentDataset();
+            expect(archive).to.equal(join(directory, 'versions', '2021-06'));
+            expect(existsSync(join(archive, 'walkability.sqlite'))).to.equal(true);
+            expect(JSON.parse(readFileSync(join(archive, MANIFEST_FILE), 'utf8')).version).to.equal('2021-06');
+            expect(() => archiveCurrentDataset()).to.throw();
+            unlinkSync(join(archive, 'walkability.sqlite'));
+        });
+    });
+});
@@ -5,7 +5,7 @@
  */
 
 const expect = require('chai').expect;
-const { getClosestSidewalk } = require('../../model/db');
+const { getClosestSidewalk, getSidewalksInRadius } = require('../../model/db');
 
 describe('Db', function() {
     describe('#getClosestSidewalk()', () => {
@@ -27,5 +27,40 @@ describe('Db', function() {
             expect(access_score).to.equal(3);
             expect(amenities_score).to.equal(1);
         });
+    
+        it('Should get the closest sidewalk from the Bronx data source', () => {
+            const sidewalk = getClosestSidewalk(40.8048311, -73.8550686);
+            expect(sidewalk.source).to.equal('bronx');
+            expect(sidewalk.sidewalk_id).to.equal(1);
+            expect(sidewalk.natural_beauty_score).to.equal(3);
+            expect(sidewalk.manmade_beauty_score).to.equal(1);
+            expect(sidewalk.comfort_score).to.be.null;
+            expect(sidewalk.safety_score).to.be.null;
+        });
+    });
+
+    describe('#getSidewalksInRadius()', () => {
+        it('Should get normalized sidewalks from every data source in range', () => {
+            const sidewalks = getSidewalksInRadius(40.8048741, -73.8551346, 0.25);
+            expect(sidewalks).to.not.be.empty;
+            sidewalks.forEach(sidewalk => {
+                expect(sidewalk).to.include.all.keys(
+                    'source',
+                    'sidewalk_id',
+                    'natural_beauty_score',
+                    'manmade_beauty_score',
+                    'comfort_score',
+                    'interest_score',
+                    'safety_score',
+                    'access_score',
+                    'amenities_score',
+                    'shape_length',
+                    'sidewalk_starting_latitude',
+                    'sidewalk_starting_longitude',
+                    'sidewalk_ending_latitude',
+                    'sidewalk_ending_longitude');
+                expect(sidewalk.shape_length).to.be.above(0);
+            });
+        });
     });
 });
@@ -0,0 +1,74 @@
+/**
+ * @file essentialsIndex.js
+ *
+ * Unit tests for src/model/essentialsIndex.js
+ */
+
+const expect = require('chai').expect;
+const Database = require('better-sqlite3');
+
+const { buildEssentialsIndex, prepareEssentialsIndex } = require('../../model/essentialsIndex');
+
+describe('EssentialsIndex', function() {
+    const db = new Database(':memory:');
+    const indexedCount = buildEssentialsIndex(db, [
+        {
+            osm_id: 'way/1',
+            name: 'Joyce Kilmer Park',
+            latitude: 40.8296426,
+            longitude: -73.9261745,
+            tags: { leisure: 'park', name: 'Joyce Kilmer Park' },
+            categories: [
+                { position: 6, category_general: 'comfort', category_exact: 'park' },
+                { position: 8, category_general: 'comfort' }
+            ]
+        },
+        {
+            osm_id: 'node/2',
+            latitude: 40.7353526,
+            longitude: -74.0062303,
+            tags: { amenity: 'pharmacy' },
+            categories: [{ position: 3, category_general: 'health', category_exact: 'pharmacy' }]
+        }
+    ], { extract: 'new-york.osm.pbf' });
+    const index = prepareEssentialsIndex(db);
+
+    describe('#buildEssentialsIndex()', () => {
+        it('Should index every lifestyle essential along with the bounds of the index', () => {
+            expect(indexedCount).to.equal(2);
+            expect(index.metadata.extract).to.equal('new-york.osm.pbf');
+            expect(index.metadata.bounds).to.deep.equal({
+                top: 40.8296426,
+                bottom: 40.7353526,
+                left: -74.0062303,
+                right: -73.9261745
+            });
+        });
+    });
+
+    describe('#findInBoundingBox()', () => {
+        it('Should find the lifestyle essentials in a bounding box once for every category they matched', () => {
+            const essentials = index.findInBoundingBox({ topLat: 40.83, bottomLat: 40.82, leftLng: -73.93, rightLng: -73.92 });
+            expect(essentials).to.deep.equal([
+                {
+                    id: 'way/1',
+                    name: 'Joyce Kilmer Park',
+                    latitude: 40.8296426,
+                    longitude: -73.9261745,
+                    position: 6,
+                    category_general: 'comfort',
+                    category_exact: 'park'
+                },
+                {
+                    id: 'way/1',
+                    name: 'Joyce Kilmer Park',
+                    latitude: 40.8296426,
+                    longitude: -73.9261745,
+                    position: 8,
+                    category_general: 'comfort',
+                    category_exact: null
+                }
+            ]);
+        });
+    });
+});
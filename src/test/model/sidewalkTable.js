@@ -0,0 +1,118 @@
+/**
+ * @file sidewalkTable.js
+ *
+ * Unit tests for src/model/sidewalkTable.js
+ */
+
+const expect = require('chai').expect;
+const Database = require('better-sqlite3');
+
+const { findSidewalksInBoundingBox, prepareDataSource } = require('../../model/db');
+const { buildSidewalkTable, getUnmappedColumns } = require('../../model/sidewalkTable');
+const { hasSpatialIndex } = require('../../model/spatialIndex');
+
+/**
+ * A data source with its own column names and no table for comfort and safety, as the Bronx table has
+ */
+const testSource = {
+    name: 'test',
+    table: 'Test_Walkability',
+    columns: {
+        sidewalk_id: 'id',
+        natural_beauty_score: 'beauty_n',
+        manmade_beauty_score: 'beauty_m',
+        comfort_score: null,
+        interest_score: 'interest',
+        safety_score: null,
+        access_score: 'access',
+        amenities_score: 'amenities',
+        shape_length: 'shape_length',
+        sidewalk_starting_longitude: 'start_long',
+        sidewalk_ending_longitude: 'end_long',
+        sidewalk_starting_latitude: 'start_lat',
+        sidewalk_ending_latitude: 'end_lat'
+    }
+};
+
+/**
+ * A segment in the normalized sidewalk model
+ */
+const sidewalk = {
+    sidewalk_id: 4,
+    natural_beauty_score: 3,
+    manmade_beauty_score: 2,
+    comfort_score: 1,
+    interest_score: null,
+    safety_score: 0,
+    access_score: 2,
+    amenities_score: 1,
+    shape_length: null,
+    sidewalk_starting_latitude: 40.8048,
+    sidewalk_starting_longitude: -73.8551,
+    sidewalk_ending_latitude: 40.805,
+    sidewalk_ending_longitude: -73.8552
+};
+
+describe('SidewalkTable', function() {
+    describe('#buildSidewalkTable()', () => {
+        it('Should write the segments with the column names of the data source and index them', () => {
+            const db = new Database(':memory:');
+            expect(buildSidewalkTable(db, testSource, [sidewalk])).to.equal(1);
+            expect(buildSidewalkTable(db, testSource, [sidewalk])).to.equal(1);
+            expect(hasSpatialIndex(db, testSource)).to.equal(true);
+
+            const sidewalks = findSidewalksInBoundingBox([prepareDataSource(testSource, db)], {
+                topLat: 40.81,
+                bottomLat: 40.8,
+                leftLng: -73.86,
+                rightLng: -73.85
+            });
+            expect(sidewalks).to.have.length(1);
+            expect(sidewalks[0]).to.include({
+                source: 'test',
+                sidewalk_id: 4,
+                natural_beauty_score: 3,
+                comfort_score: null,
+                safety_score: null,
+                sidewalk_ending_latitude: 40.805
+            });
+            db.close();
+        });
+
+        it('Should keep the unmapped columns of the previous table and add those of the import', () => {
+            const db = new Database(':memory:');
+            db.exec(`
+                CREATE TABLE Test_Walkability (id INTEGER PRIMARY KEY, total1 INTEGER, beauty_n INTEGER,
+                    start_long REAL, end_long REAL, start_lat REAL, end_lat REAL);
+                INSERT INTO Test_Walkability (id, total1, beauty_n) VALUES (4, 50, 1), (5, 40, 1);
+            `);
+            const imported = [
+                Object.assign({}, sidewalk, { extra_columns: { total2: '10', BEAUTY_N: '2' } }),
+                Object.assign({}, sidewalk, { sidewalk_id: 6, extra_columns: { total1: '30', total2: null } })
+            ];
+            expect(buildSidewalkTable(db, testSource, imported)).to.equal(2);
+
+            expect(getUnmappedColumns(db, testSource)).to.deep.equal([
+                { name: 'total1', type: 'INTEGER' },
+                { name: 'total2', type: 'NUMERIC' }
+            ]);
+            expect(db.prepare('SELECT id, total1, total2, beauty_n FROM Test_Walkability ORDER BY id').all()).to.deep.equal([
+                { id: 4, total1: 50, total2: 10, beauty_n: 3 },
+                { id: 6, total1: 30, total2: null, beauty_n: 3 }
+            ]);
+            expect(hasSpatialIndex(db, testSource)).to.equal(true);
+            db.close();
+        });
+
+        it('Should leave the previous table and its index untouched when the build fails', () => {
+            const db = new Database(':memory:');
+            buildSidewalkTable(db, testSource, [sidewalk]);
+            const invalidSidewalk = Object.assign({}, sidewalk, { sidewalk_id: 5, sidewalk_starting_latitude: null });
+            expect(() => buildSidewalkTable(db, testSource, [sidewalk, invalidSidewalk])).to.throw(/NOT NULL/);
+
+            expect(db.prepare('SELECT id FROM Test_Walkability').all()).to.deep.equal([{ id: 4 }]);
+            expect(hasSpatialIndex(db, testSource)).to.equal(true);
+            db.close();
+        });
+    });
+});
@@ -0,0 +1,197 @@
+/**
+ * @file spatialIndex.js
+ *
+ * Unit tests and a latency benchmark for src/model/spatialIndex.js
+ */
+
+const expect = require('chai').expect;
+const Database = require('better-sqlite3');
+const distanceToLineSegment = require('distance-to-line-segment');
+const { performance } = require('perf_hooks');
+
+const { buildSpatialIndex, hasSpatialIndex } = require('../../model/spatialIndex');
+const { prepareDataSource, findClosestSidewalk, findSidewalksInBoundingBox } = require('../../model/db');
+
+/**
+ * A data source whose table already uses the normalized column names
+ */
+const testSource = {
+    name: 'test',
+    table: 'Sidewalks',
+    columns: {
+        sidewalk_id: 'id',
+        natural_beauty_score: 'natural_beauty_score',
+        manmade_beauty_score: 'manmade_beauty_score',
+        comfort_score: 'comfort_score',
+        interest_score: 'interest_score',
+        safety_score: 'safety_score',
+        access_score: 'access_score',
+        amenities_score: 'amenities_score',
+        shape_length: null,
+        sidewalk_starting_longitude: 'sidewalk_starting_longitude',
+        sidewalk_ending_longitude: 'sidewalk_ending_longitude',
+        sidewalk_starting_latitude: 'sidewalk_starting_latitude',
+        sidewalk_ending_latitude: 'sidewalk_ending_latitude'
+    }
+};
+
+/**
+ * Roughly the number of sidewalk segments covering New York City
+ */
+const CITY_SIZED_TABLE = 200000;
+
+/**
+ * A seeded pseudo random number generator so the benchmark table is identical on every run
+ */
+const createRandom = (seed) => () => {
+    seed = (seed * 16807) % 2147483647;
+    return (seed - 1) / 2147483646;
+};
+
+const createSidewalkTable = (segments) => {
+    const db = new Database(':memory:');
+    db.exec(`
+        CREATE TABLE Sidewalks (
+            id INTEGER PRIMARY KEY,
+            natural_beauty_score INTEGER, manmade_beauty_score INTEGER, comfort_score INTEGER,
+            interest_score INTEGER, safety_score INTEGER, access_score INTEGER, amenities_score INTEGER,
+            sidewalk_starting_longitude REAL, sidewalk_ending_longitude REAL,
+            sidewalk_starting_latitude REAL, sidewalk_ending_latitude REAL
+        );
+    `);
+    const insert = db.prepare(`
+        INSERT INTO Sidewalks VALUES (:id, 1, 1, 1, 1, 1, 1, 1, :startLng, :endLng, :startLat, :endLat);
+    `);
+    db.transaction(() => segments.forEach(segment => insert.run(segment)))();
+    return db;
+};
+
+const bruteForceClosestId = (segments, latitude, longitude) => {
+    let closest;
+    segments.forEach(segment => {
+        const distance = distanceToLineSegment(
+            segment.startLat, segment.startLng, segment.endLat, segment.endLng, latitude, longitude);
+        if (!closest || distance < closest.distance) {
+            closest = { id: segment.id, distance };
+        }
+    });
+    return closest.id;
+};
+
+const meanLatency = (queries, run) => {
+    const start = performance.now();
+    queries.forEach(run);
+    return (performance.now() - start) / queries.length;
+};
+
+describe('SpatialIndex', function() {
+    describe('#findClosestSidewalk()', () => {
+        // A long avenue segment whose endpoints are far from the point, surrounded by short segments
+        const segments = [
+            { id: 1, startLat: 40.70, startLng: -74.00, endLat: 40.72, endLng: -74.00 },
+            { id: 2, startLat: 40.7102, startLng: -74.0010, endLat: 40.7102, endLng: -74.0012 },
+            { id: 3, startLat: 40.7098, startLng: -74.0010, endLat: 40.7098, endLng: -74.0012 }
+        ];
+        for (let id = 4; id < 12; id++) {
+            segments.push({ id, startLat: 40.7100, startLng: -74.0015 - id * 0.0001, endLat: 40.7101, endLng: -74.0015 - id * 0.0001 });
+        }
+
+        it('Should find a long segment whose endpoints are far from the point', () => {
+            const db = createSidewalkTable(segments);
+            const scanned = prepareDataSource(testSource, db);
+            buildSpatialIndex(db, testSource);
+            const indexed = prepareDataSource(testSource, db);
+
+            expect(findClosestSidewalk([scanned], 40.71, -74.0001).sidewalk_id).to.equal(1);
+            expect(findClosestSidewalk([indexed], 40.71, -74.0001).sidewalk_id).to.equal(1);
+        });
+
+        it('Should get nothing when there are no sidewalks nearby', () => {
+            const db = createSidewalkTable(segments);
+            buildSpatialIndex(db, testSource);
+            expect(findClosestSidewalk([prepareDataSource(testSource, db)], 0, 0)).to.be.undefined;
+        });
+    });
+
+    describe('#buildSpatialIndex()', () => {
+        it('Should index every sidewalk of the table', () => {
+            const db = createSidewalkTable([
+                { id: 1, startLat: 40.70, startLng: -74.00, endLat: 40.72, endLng: -74.01 },
+                { id: 2, startLat: 40.71, startLng: -74.00, endLat: 40.71, endLng: -74.02 }
+            ]);
+            expect(hasSpatialIndex(db, testSource)).to.be.false;
+            expect(buildSpatialIndex(db, testSource)).to.equal(2);
+            expect(hasSpatialIndex(db, testSource)).to.be.true;
+            expect(db.prepare('SELECT * FROM Sidewalks_rtree WHERE id = 1').get()).to.deep.include({
+                id: 1
+            });
+        });
+    });
+
+    describe('Benchmark on a city-sized table', function() {
+        this.timeout(120000);
+
+        const random = createRandom(42);
+        const segments = [];
+        for (let id = 1; id <= CITY_SIZED_TABLE; id++) {
+            const startLat = 40.5 + random() * 0.4;
+            const startLng = -74.25 + random() * 0.55;
+            // One in a thousand segments is a long avenue, the rest are about a block long
+            const length = id % 1000 === 0 ? 0.02 : 0.001;
+            const angle = random() * Math.PI * 2;
+            segments.push({
+                id,
+                startLat,
+                startLng,
+                endLat: startLat + Math.sin(angle) * length,
+                endLng: startLng + Math.cos(angle) * length
+            });
+        }
+        const points = [];
+        for (let i = 0; i < 100; i++) {
+            points.push([40.52 + random() * 0.36, -74.23 + random() * 0.5]);
+        }
+
+        let scanned;
+        let indexed;
+
+        before(() => {
+            const db = createSidewalkTable(segments);
+            scanned = prepareDataSource(testSource, db);
+            buildSpatialIndex(db, testSource);
+            indexed = prepareDataSource(testSource, db);
+        });
+
+        it('Should find the same closest sidewalk as a brute force search', () => {
+            points.forEach(([latitude, longitude]) => {
+                expect(findClosestSidewalk([indexed], latitude, longitude).sidewalk_id)
+                    .to.equal(bruteForceClosestId(segments, latitude, longitude));
+            });
+        });
+
+        it('Should answer closest sidewalk and bounding box queries faster than a table scan', () => {
+            const scanPoints = points.slice(0, 10);
+            const box = ([latitude, longitude]) => ({
+                topLat: latitude + 0.005,
+                bottomLat: latitude - 0.005,
+                leftLng: longitude - 0.005,
+                rightLng: longitude + 0.005
+            });
+
+            const latencies = {
+                closestIndexed: meanLatency(points, ([lat, lng]) => findClosestSidewalk([indexed], lat, lng)),
+                closestScanned: meanLatency(scanPoints, ([lat, lng]) => findClosestSidewalk([scanned], lat, lng)),
+                boundingBoxIndexed: meanLatency(points, point => findSidewalksInBoundingBox([indexed], box(point))),
+                boundingBoxScanned: meanLatency(scanPoints, point => findSidewalksInBoundingBox([scanned], box(point)))
+            };
+
+            console.log(`        Mean latency over ${CITY_SIZED_TABLE} sidewalks (ms):`);
+            Object.keys(latencies).forEach(name => {
+                console.log(`          ${name}: ${latencies[name].toFixed(3)}`);
+            });
+
+            expect(latencies.closestIndexed).to.be.below(latencies.closestScanned);
+            expect(latencies.boundingBoxIndexed).to.be.below(latencies.boundingBoxScanned);
+        });
+    });
+});
@@ -0,0 +1,15 @@
+/**
+ * @file setup.js
+ *
+ * Loaded before every test so the tests never depend on live services
+ */
+
+// Geocoding is answered from src/data/geocoder-fixtures.json unless a provider is set explicitly
+process.env.GEOCODER_PROVIDER = process.env.GEOCODER_PROVIDER || 'local';
+
+// Parcels and three word addresses are located from src/data/locator-fixtures.json unless a locator is set explicitly
+process.env.PARCEL_LOCATOR = process.env.PARCEL_LOCATOR || 'local';
+process.env.WORDS_LOCATOR = process.env.WORDS_LOCATOR || 'local';
+
+// Responses that don't match the OpenAPI spec fail the tests instead of being logged
+process.env.OPENAPI_VALIDATE_RESPONSES = process.env.OPENAPI_VALIDATE_RESPONSES || 'error';